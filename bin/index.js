@@ -1,7 +1,17 @@
 #!/usr/bin/env node
 import inquirer from 'inquirer';
 import chalk from 'chalk';
-import { codeInsightInit } from "../build/code-insight.js";
+import {
+  codeInsightInit,
+  parseCliArgs,
+  parseCompareArgs,
+  parseAdvisoriesArgs,
+  getCliHelp,
+  createBaseline,
+  generateCompareReport,
+  importAdvisories,
+  DEFAULT_BASELINE_FILE
+} from "../build/code-insight.js";
 import fs from 'fs';
 import path from 'path';
 
@@ -282,23 +292,118 @@ async function promptForBatchUrlTesting(reports, reportDir = null) {
   }
 }
 
+// compare <reportA> <reportB> diffs two existing report folders instead of running audits
+async function runCompare(argv) {
+  let compareOptions;
+  try {
+    compareOptions = parseCompareArgs(argv);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    console.log(getCliHelp());
+    process.exit(1);
+  }
+
+  if (compareOptions.help) {
+    console.log(getCliHelp());
+    return;
+  }
+
+  try {
+    await generateCompareReport(compareOptions.baseDir, compareOptions.headDir, compareOptions.outputDir);
+  } catch (error) {
+    console.error(chalk.red('Error:', error.message));
+    process.exit(1);
+  }
+}
+
+// advisories import <dump...> builds the offline advisory database for dependency checks
+async function runAdvisories(argv) {
+  let advisoriesOptions;
+  try {
+    advisoriesOptions = parseAdvisoriesArgs(argv);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    console.log(getCliHelp());
+    process.exit(1);
+  }
+
+  if (advisoriesOptions.help) {
+    console.log(getCliHelp());
+    return;
+  }
+
+  try {
+    console.log(chalk.blue('📥 Importing advisories...'));
+    const { databasePath, imported, total } = await importAdvisories(advisoriesOptions.dumpPaths, advisoriesOptions.databasePath);
+    console.log(chalk.green(`✅ ${imported} advisories imported, ${total} in ${databasePath}`));
+  } catch (error) {
+    console.error(chalk.red('Error:', error.message));
+    process.exit(1);
+  }
+}
+
 async function main() {
-  const { projectType } = await inquirer.prompt([
-    {
-      type: 'list',
-      name: 'projectType',
-      message: 'What type of project is this?',
-      choices: [
-        'React',
-        'Node',
-        'Vanilla JS',
-        'TypeScript',
-        'TypeScript + React',
-        'EDS',
-        'Other',
-      ],
-    },
-  ]);
+  if (process.argv[2] === 'compare') {
+    await runCompare(process.argv.slice(3));
+    return;
+  }
+  if (process.argv[2] === 'advisories') {
+    await runAdvisories(process.argv.slice(3));
+    return;
+  }
+
+  let cliOptions;
+  try {
+    cliOptions = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    console.log(getCliHelp());
+    process.exit(1);
+  }
+
+  if (cliOptions.help) {
+    console.log(getCliHelp());
+    return;
+  }
+
+  // --baseline records the issues in the existing reports instead of running audits
+  if (cliOptions.createBaseline) {
+    try {
+      await createBaseline(
+        path.resolve(cliOptions.outputDir || path.join(process.cwd(), 'report')),
+        cliOptions.baselineFile || DEFAULT_BASELINE_FILE
+      );
+    } catch (error) {
+      console.error(chalk.red('Error:', error.message));
+      process.exit(1);
+    }
+    return;
+  }
+
+  // Only prompt for missing values when someone is at the terminal
+  const canPrompt = !cliOptions.yes && Boolean(process.stdin.isTTY && process.stdout.isTTY);
+
+  let { projectType } = cliOptions;
+  if (!projectType && canPrompt) {
+    ({ projectType } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'projectType',
+        message: 'What type of project is this?',
+        choices: [
+          'React',
+          'Node',
+          'Vanilla JS',
+          'TypeScript',
+          'TypeScript + React',
+          'EDS',
+          'Other',
+        ],
+      },
+    ]));
+  } else if (!projectType) {
+    projectType = 'Other';
+  }
 
   // Show which plugins/configs will be used for linting
   const lintingInfo = {
@@ -416,52 +521,91 @@ async function main() {
     });
   }
 
-  const { reports } = await inquirer.prompt([
-    {
-      type: 'checkbox',
-      name: 'reports',
-      message: 'Which report(s) do you want to generate?',
-      choices: [
-        { name: 'All Reports', value: 'all' },
-        { name: 'Security Audit', value: 'security' },
-        { name: 'Performance Audit', value: 'performance' },
-        { name: 'Accessibility Audit', value: 'accessibility' },
-        { name: 'Lighthouse Audit', value: 'lighthouse' },
-        { name: 'Testing Audit', value: 'testing' },
-        { name: 'Dependency Audit', value: 'dependency' },
-        { name: 'ESLint Report', value: 'eslint' },
-        { name: 'Stylelint Report', value: 'stylelint' },
-        { name: 'Packages Report', value: 'packages' },
-        { name: 'Component Usage Report', value: 'component-usage' },
-      ],
-    },
-  ]);
+  let { reports } = cliOptions;
+  if (!reports && canPrompt) {
+    ({ reports } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'reports',
+        message: 'Which report(s) do you want to generate?',
+        choices: [
+          { name: 'All Reports', value: 'all' },
+          { name: 'Security Audit', value: 'security' },
+          { name: 'Performance Audit', value: 'performance' },
+          { name: 'Accessibility Audit', value: 'accessibility' },
+          { name: 'Lighthouse Audit', value: 'lighthouse' },
+          { name: 'Testing Audit', value: 'testing' },
+          { name: 'Dependency Audit', value: 'dependency' },
+          { name: 'Checklist Audit', value: 'checklist' },
+          { name: 'Plugin Audits', value: 'plugins' },
+          { name: 'ESLint Report', value: 'eslint' },
+          { name: 'Stylelint Report', value: 'stylelint' },
+          { name: 'Packages Report', value: 'packages' },
+          { name: 'SBOM (CycloneDX & SPDX)', value: 'sbom' },
+          { name: 'Component Usage Report', value: 'component-usage' },
+        ],
+      },
+    ]));
+  } else if (!reports) {
+    reports = ['all'];
+    console.log(chalk.blue('\nℹ️  No --reports given, running all reports'));
+  }
 
   // If only 'all' is selected, expand it to include all reports
   if (reports.length === 1 && reports.includes('all')) {
-    reports.push('security', 'performance', 'accessibility', 'lighthouse', 'testing', 'dependency', 'eslint', 'stylelint', 'packages', 'component-usage');
+    reports.push('security', 'performance', 'accessibility', 'lighthouse', 'testing', 'dependency', 'checklist', 'plugins', 'eslint', 'stylelint', 'packages', 'sbom', 'component-usage');
+    // With --changed-since, whole-project reports only run when asked for by name
+    if (cliOptions.changedSince) {
+      reports = reports.filter(report => !['testing', 'dependency', 'checklist', 'packages', 'sbom'].includes(report));
+    }
   }
 
   // Create report directory early for URL configuration
-  const currentDir = process.cwd();
-  const reportDir = path.join(currentDir, 'report');
+  const reportDir = path.resolve(cliOptions.outputDir || path.join(process.cwd(), 'report'));
   
   // Create report directory if it doesn't exist
   if (!fs.existsSync(reportDir)) {
     fs.mkdirSync(reportDir, { recursive: true });
   }
 
-  // Handle live URL prompting with report directory
-  const { lighthouseUrl, accessibilityUrls, securityUrls } = await promptForBatchUrlTesting(reports, reportDir);
+  // Live URLs passed as flags win; only prompt for audits that still lack them
+  let lighthouseUrl = cliOptions.lighthouseUrl ?? null;
+  let accessibilityUrls = cliOptions.accessibilityUrls ?? [];
+  let securityUrls = cliOptions.securityUrls ?? [];
+
+  const reportsNeedingUrls = reports.filter(report =>
+    (report === 'lighthouse' && cliOptions.lighthouseUrl === undefined) ||
+    (report === 'accessibility' && cliOptions.accessibilityUrls === undefined) ||
+    (report === 'security' && cliOptions.securityUrls === undefined)
+  );
+
+  if (canPrompt && reportsNeedingUrls.length > 0) {
+    const promptedUrls = await promptForBatchUrlTesting(reportsNeedingUrls, reportDir);
+    lighthouseUrl = cliOptions.lighthouseUrl ?? promptedUrls.lighthouseUrl;
+    accessibilityUrls = cliOptions.accessibilityUrls ?? promptedUrls.accessibilityUrls;
+    securityUrls = cliOptions.securityUrls ?? promptedUrls.securityUrls;
+  }
 
   try {
-    await codeInsightInit({
+    const { gates } = await codeInsightInit({
       projectType,
       reports,
       lighthouseUrl,
       accessibilityUrls,
-      securityUrls
+      securityUrls,
+      outputDir: reportDir,
+      gates: cliOptions.gates,
+      baselineFile: cliOptions.baselineFile,
+      changedSince: cliOptions.changedSince,
+      gitHistory: cliOptions.gitHistory,
+      cache: cliOptions.cache,
+      concurrency: cliOptions.concurrency
     });
+
+    // Non-zero exit code so CI can block on failed quality gates
+    if (!gates.passed) {
+      process.exitCode = 1;
+    }
   } catch (error) {
     console.error(chalk.red('Error:', error.message));
     process.exit(1);
@@ -42,4 +42,12 @@ export default [
     },
     plugins: [...plugins],
   },
+  {
+    // Worker thread entry, loaded next to code-insight.js by the file worker pool
+    input: "src/utils/file-worker.js",
+    output: {
+      file: "build/file-worker.js",
+      format: "es",
+    },
+  },
 ];
@@ -1,21 +1,14 @@
 #!/usr/bin/env node
 
 /**
- * Script to run accessibility audit with memory optimization
+ * Script to run the accessibility audit (code scans run on the worker pool)
  * Usage: node scripts/run-accessibility-audit.js [options]
  */
 
 import { AccessibilityAudit } from '../src/audits/accessibility-audit.js';
+import { setConcurrency, getConcurrency, closeWorkerPool } from '../src/utils/worker-pool.js';
 import chalk from 'chalk';
 
-// Memory optimization flags
-const NODE_FLAGS = [
-  '--max-old-space-size=8192',  // 8GB heap
-  '--expose-gc',                // Enable garbage collection
-  '--optimize-for-size',        // Optimize for memory usage
-  '--gc-interval=100'           // More frequent GC
-];
-
 // Parse command line arguments
 const args = process.argv.slice(2);
 const options = {
@@ -24,8 +17,7 @@ const options = {
   liveUrlTest: false,
   useAxeCore: true,
   useLighthouse: false,
-  memoryLimit: '8GB',
-  batchSize: 1000
+  concurrency: undefined
 };
 
 // Parse arguments
@@ -51,15 +43,9 @@ for (let i = 0; i < args.length; i++) {
     case '--use-lighthouse':
       options.useLighthouse = true;
       break;
-    case '--memory-limit':
-      if (args[i + 1]) {
-        options.memoryLimit = args[i + 1];
-        i++;
-      }
-      break;
-    case '--batch-size':
+    case '--concurrency':
       if (args[i + 1]) {
-        options.batchSize = parseInt(args[i + 1]);
+        options.concurrency = parseInt(args[i + 1]);
         i++;
       }
       break;
@@ -72,7 +58,7 @@ for (let i = 0; i < args.length; i++) {
 
 function showHelp() {
   console.log(chalk.blue(`
-Accessibility Audit Runner with Memory Optimization
+Accessibility Audit Runner
 
 Usage: node scripts/run-accessibility-audit.js [options]
 
@@ -82,8 +68,7 @@ Options:
   --live-url-test            Enable live URL testing
   --no-axe-core              Disable axe-core for live testing
   --use-lighthouse           Use Lighthouse for live testing
-  --memory-limit <size>      Memory limit (default: 8GB)
-  --batch-size <number>      Files per batch (default: 1000)
+  --concurrency <number>     Worker threads for code scanning (default: CPU cores)
   --help                     Show this help
 
 Examples:
@@ -96,29 +81,24 @@ Examples:
   # Both code scanning and live testing
   node scripts/run-accessibility-audit.js --live-url-test --urls "https://example.com"
 
-  # Custom memory settings
-  node scripts/run-accessibility-audit.js --memory-limit 16GB --batch-size 500
+  # Four worker threads
+  node scripts/run-accessibility-audit.js --concurrency 4
 `));
 }
 
 async function runAccessibilityAudit() {
-  console.log(chalk.blue('♿ Starting Accessibility Audit with Memory Optimization...\n'));
+  console.log(chalk.blue('♿ Starting Accessibility Audit...\n'));
   
-  // Log memory settings
+  setConcurrency(options.concurrency);
   const memUsage = process.memoryUsage();
-  console.log(chalk.gray(`Memory Settings:`));
-  console.log(chalk.gray(`  - Heap Limit: ${options.memoryLimit}`));
-  console.log(chalk.gray(`  - Batch Size: ${options.batchSize} files`));
+  console.log(chalk.gray(`Settings:`));
+  console.log(chalk.gray(`  - Worker threads: ${getConcurrency()}`));
   console.log(chalk.gray(`  - Current Heap: ${(memUsage.heapUsed / 1024 / 1024).toFixed(1)}MB`));
   console.log(chalk.gray(`  - Heap Total: ${(memUsage.heapTotal / 1024 / 1024).toFixed(1)}MB\n`));
   
   try {
     const audit = new AccessibilityAudit('./reports');
     
-    // Set environment variables for memory optimization
-    process.env.NODE_ENV = 'production';
-    process.env.MAX_FILES_PER_BATCH = options.batchSize.toString();
-    
     const startTime = Date.now();
     
     await audit.runAccessibilityAudit(options.urls, {
@@ -141,6 +121,8 @@ async function runAccessibilityAudit() {
     console.error(chalk.red(`❌ Accessibility audit failed: ${error.message}`));
     console.error(chalk.gray('Stack trace:'), error.stack);
     process.exit(1);
+  } finally {
+    await closeWorkerPool();
   }
 }
 
@@ -1,13 +1,14 @@
 #!/usr/bin/env node
 
 /**
- * Memory-optimized security audit runner
+ * Security audit runner (file checks run on the worker pool)
  */
 
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import chalk from 'chalk';
 import { SecurityAudit } from '../src/audits/security-audit.js';
+import { setConcurrency, getConcurrency, closeWorkerPool } from '../src/utils/worker-pool.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -16,19 +17,15 @@ const __dirname = dirname(__filename);
 const args = process.argv.slice(2);
 const urls = [];
 const options = {
-  batchSize: 25,
-  memoryLimit: 0.7
+  concurrency: undefined
 };
 
 // Parse arguments
 for (let i = 0; i < args.length; i++) {
   const arg = args[i];
   
-  if (arg === '--batch-size' && args[i + 1]) {
-    options.batchSize = parseInt(args[i + 1]);
-    i++;
-  } else if (arg === '--memory-limit' && args[i + 1]) {
-    options.memoryLimit = parseFloat(args[i + 1]);
+  if (arg === '--concurrency' && args[i + 1]) {
+    options.concurrency = parseInt(args[i + 1]);
     i++;
   } else if (arg === '--url' && args[i + 1]) {
     urls.push(args[i + 1]);
@@ -38,14 +35,10 @@ for (let i = 0; i < args.length; i++) {
   }
 }
 
-// Set environment variables for memory optimization
-process.env.NODE_ENV = 'production';
-process.env.SECURITY_BATCH_SIZE = options.batchSize.toString();
-process.env.SECURITY_MEMORY_THRESHOLD = options.memoryLimit.toString();
+setConcurrency(options.concurrency);
 
-console.log(chalk.blue('🔒 Starting Memory-Optimized Security Audit...'));
-console.log(chalk.gray(`Batch Size: ${options.batchSize}`));
-console.log(chalk.gray(`Memory Threshold: ${options.memoryLimit * 100}%`));
+console.log(chalk.blue('🔒 Starting Security Audit Runner...'));
+console.log(chalk.gray(`Worker threads: ${getConcurrency()}`));
 
 // Log initial memory usage
 const initialMemory = process.memoryUsage();
@@ -78,4 +71,6 @@ try {
 } catch (error) {
   console.error(chalk.red('❌ Error running security audit:'), error.message);
   process.exit(1);
+} finally {
+  await closeWorkerPool();
 } 
\ No newline at end of file
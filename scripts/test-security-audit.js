@@ -5,7 +5,6 @@
  */
 
 import chalk from 'chalk';
-import { globby } from 'globby';
 import { SecurityAudit } from '../src/audits/security-audit.js';
 
 console.log(chalk.blue('🔒 Testing Security Audit...'));
@@ -19,12 +18,7 @@ async function testSecurityAudit() {
     await securityAudit.checkESLintSecurityIssues();
     
     console.log(chalk.gray('\n📋 Testing Pattern Scanning...'));
-    const jsFiles = await globby(['**/*.{js,ts,jsx,tsx}', '!**/node_modules/**', '!**/__tests__/**']);
-    await securityAudit.patternScan(jsFiles, [
-      { pattern: /eval\s*\(/, type: 'dangerous_eval' },
-      { pattern: /innerHTML\s*=/, type: 'xss_innerhtml' },
-      { pattern: /document\.write\s*\(/, type: 'xss_document_write' }
-    ], 'security_patterns');
+    await securityAudit.runEnhancedPatternChecks();
     
     console.log(chalk.gray('\n📋 Testing Secrets Detection...'));
     await securityAudit.checkForSecrets();
@@ -1,62 +1,13 @@
 import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
-import { globby } from 'globby';
 import { writeFile } from 'fs/promises';
-import { getConfigPattern } from '../config-loader.js';
-import fsp from 'fs/promises';
 import puppeteer from 'puppeteer';
-import { 
-  getAccessibleComponents, 
-  getAccessibilityProps, 
-  shouldIgnoreLine,
-  isAccessibleComponent 
-} from './accessibility-config.js';
+import { isAccessibleComponent } from './accessibility-config.js';
+import { applySuppressions, getSuppressionSummary } from '../utils/suppressions.js';
+import { getFileScan } from '../scanner/file-scanner.js';
 
-// Memory optimization: Ultra-aggressive settings for very large projects
-const BATCH_SIZE = process.env.ACCESSIBILITY_BATCH_SIZE ? 
-  parseInt(process.env.ACCESSIBILITY_BATCH_SIZE) : 
-  (process.env.NODE_ENV === 'production' ? 1 : 2);
-const MAX_FILES_PER_BATCH = 500; // Reduced from 1000 to 500
-const MEMORY_THRESHOLD = process.env.ACCESSIBILITY_MEMORY_THRESHOLD ? 
-  parseFloat(process.env.ACCESSIBILITY_MEMORY_THRESHOLD) : 0.6;
-const MAX_IN_MEMORY_ISSUES = 2500; // Reduced from 5000 to 2500
-const FORCE_GC_INTERVAL = 25; // Force GC every 25 files instead of every batch
-
-/**
- * Memory management utility
- */
-class MemoryManager {
-  static getMemoryUsage() {
-    const usage = process.memoryUsage();
-    return {
-      heapUsed: usage.heapUsed / 1024 / 1024, // MB
-      heapTotal: usage.heapTotal / 1024 / 1024, // MB
-      external: usage.external / 1024 / 1024, // MB
-      rss: usage.rss / 1024 / 1024 // MB
-    };
-  }
-
-  static isMemoryHigh() {
-    const usage = this.getMemoryUsage();
-    return usage.heapUsed / usage.heapTotal > MEMORY_THRESHOLD;
-  }
-
-  static async forceGarbageCollection() {
-    if (global.gc) {
-      global.gc();
-      // Force multiple GC cycles for better cleanup
-      await new Promise(resolve => setTimeout(resolve, 50));
-      if (global.gc) global.gc();
-      await new Promise(resolve => setTimeout(resolve, 50));
-    }
-  }
-
-  static logMemoryUsage(label = '') {
-    const usage = this.getMemoryUsage();
-    console.log(chalk.gray(`[Memory] ${label}: Heap ${usage.heapUsed.toFixed(1)}MB / ${usage.heapTotal.toFixed(1)}MB`));
-  }
-}
+const MAX_IN_MEMORY_ISSUES = 2500;
 
 /**
  * Accessibility audit module for detecting accessibility issues
@@ -139,52 +90,14 @@ export class AccessibilityAudit {
   }
 
   /**
-   * Process files in batches to manage memory
+   * Add the issues of a per-file check (see accessibility-checks.js) from the shared file scan
+   * @param {string} check - Key of ACCESSIBILITY_FILE_CHECKS
    */
-  async processFilesInBatches(files, processor, auditType = '') {
-    const batches = [];
-    for (let i = 0; i < files.length; i += MAX_FILES_PER_BATCH) {
-      batches.push(files.slice(i, i + MAX_FILES_PER_BATCH));
-    }
-
-    console.log(chalk.blue(`📁 Processing ${files.length} files in ${batches.length} batches for ${auditType}`));
-    
-    let batchProcessedFiles = 0;
-    let filesSinceLastGC = 0;
-    
-    for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-      const batch = batches[batchIndex];
-      
-      // Check memory before processing batch
-      if (MemoryManager.isMemoryHigh()) {
-        console.log(chalk.yellow(`⚠️  High memory usage detected, forcing garbage collection...`));
-        await MemoryManager.forceGarbageCollection();
-        MemoryManager.logMemoryUsage(`Before batch ${batchIndex + 1}`);
-      }
-      
-      console.log(chalk.gray(`Processing batch ${batchIndex + 1}/${batches.length} (${batch.length} files)`));
-      
-      // Process batch
-      for (let i = 0; i < batch.length; i += BATCH_SIZE) {
-        const subBatch = batch.slice(i, i + BATCH_SIZE);
-        await Promise.all(subBatch.map(processor));
-        
-        batchProcessedFiles += subBatch.length;
-        filesSinceLastGC += subBatch.length;
-        process.stdout.write(`\r[Progress] ${batchProcessedFiles}/${files.length} files processed`);
-        
-        // Force GC more frequently
-        if (filesSinceLastGC >= FORCE_GC_INTERVAL) {
-          await MemoryManager.forceGarbageCollection();
-          filesSinceLastGC = 0;
-        }
-      }
-      
-      // Force garbage collection after each batch
-      await MemoryManager.forceGarbageCollection();
-    }
-    
-    console.log(`\n✅ ${auditType} processing completed`);
+  async addCheckIssues(check) {
+    if (!this.fileScan) this.fileScan = getFileScan('accessibility');
+    const issues = await this.fileScan.getIssues(`accessibility:${check}`);
+    for (const issue of issues) await this.addAccessibilityIssue(issue);
+    console.log(`✅ ${check} check completed: ${issues.length} issue(s)`);
   }
 
   /**
@@ -547,174 +460,12 @@ export class AccessibilityAudit {
     return element.tagName.toLowerCase();
   }
 
-  // Helper to get code and context lines
-  async getCodeContext(filePath, line, contextRadius = 2) {
-    try {
-      const content = await fsp.readFile(filePath, "utf8");
-      const lines = content.split('\n');
-      const idx = line - 1;
-      const start = Math.max(0, idx - contextRadius);
-      const end = Math.min(lines.length - 1, idx + contextRadius);
-      // Only include the specific line for code
-      let code = (lines[idx] || '').trim();
-      if (code.length > 200) code = code.slice(0, 200) + '... (truncated)';
-      // Clean context: trim, remove all-blank, collapse blank lines
-      let contextLines = lines.slice(start, end + 1).map(l => l.trim());
-      while (contextLines.length && contextLines[0] === '') contextLines.shift();
-      while (contextLines.length && contextLines[contextLines.length - 1] === '') contextLines.pop();
-      let lastWasBlank = false;
-      contextLines = contextLines.filter(l => {
-        if (l === '') {
-          if (lastWasBlank) return false;
-          lastWasBlank = true;
-          return true;
-        } else {
-          lastWasBlank = false;
-          return true;
-        }
-      });
-      const context = contextLines.map((l, i) => {
-        const n = start + i + 1;
-        const marker = n === line ? '>>>' : '   ';
-        let lineText = l;
-        if (lineText.length > 200) lineText = lineText.slice(0, 200) + '... (truncated)';
-        return `${marker} ${n}: ${lineText}`;
-      }).join('\n');
-      return { code, context };
-    } catch {
-      return { code: '', context: '' };
-    }
-  }
-
   /**
    * Check for missing alt attributes on images
    */
   async checkImageAccessibility() {
     console.log(chalk.blue('♿ Checking image accessibility...'));
-    
-    const imagePatterns = [
-      /<img[^>]*>/gi,
-      /<Image[^>]*>/gi,
-      /<img[^>]*\/>/gi,
-      /<Image[^>]*\/>/gi,
-    ];
-
-    // Get accessible components from configuration
-    const accessibleComponents = getAccessibleComponents();
-    const accessibilityProps = getAccessibilityProps();
-
-    // Use both JS and HTML file patterns for accessibility scanning
-    const jsFiles = await globby(getConfigPattern('jsFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const htmlFiles = await globby(getConfigPattern('htmlFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const files = [...jsFiles, ...htmlFiles];
-    await this.processFilesInBatches(files, async (file) => {
-      try {
-        const content = await fsp.readFile(file, 'utf8');
-        const lines = content.split('\n');
-        
-        for (let index = 0; index < lines.length; index++) {
-          const line = lines[index];
-          
-          // Check if this line should be ignored based on configuration
-          if (shouldIgnoreLine(line)) {
-            continue;
-          }
-          
-          // Check for accessible custom components first
-          const hasAccessibleComponent = accessibleComponents.some(component => 
-            line.includes(`<${component}`) || line.includes(`<${component}/`)
-          );
-          
-          // Skip if this line contains an accessible custom component
-          if (hasAccessibleComponent) {
-            continue;
-          }
-          
-          // Check for custom components with accessibility props
-          const customComponentPattern = /<([A-Z][a-zA-Z]*)[^>]*>/g;
-          const customMatches = line.match(customComponentPattern);
-          if (customMatches) {
-            for (const match of customMatches) {
-              // Check if component has accessibility-related props
-              const hasAccessibilityProps = accessibilityProps.some(prop => 
-                match.includes(`${prop}=`)
-              );
-              
-              // Skip if component has accessibility props
-              if (hasAccessibilityProps) {
-                continue;
-              }
-            }
-          }
-          
-          for (const pattern of imagePatterns) {
-            const matches = line.match(pattern);
-            if (matches) {
-              for (const match of matches) {
-                // Check for missing alt attribute
-                if (!match.includes('alt=')) {
-                  const { code, context } = await this.getCodeContext(file, index + 1);
-                  await this.addAccessibilityIssue({
-                    type: 'missing_alt',
-                    file: path.relative(process.cwd(), file),
-                    line: index + 1,
-                    severity: 'high',
-                    message: 'Image missing alt attribute',
-                    code,
-                    context,
-                    recommendation: 'Add descriptive alt text for screen readers',
-                    source: 'custom',
-                    wcag: '1.1.1'
-                  });
-                }
-                // Check for empty alt attribute
-                else if (match.includes('alt=""') || match.includes("alt=''")) {
-                  const { code, context } = await this.getCodeContext(file, index + 1);
-                  await this.addAccessibilityIssue({
-                    type: 'empty_alt',
-                    file: path.relative(process.cwd(), file),
-                    line: index + 1,
-                    severity: 'medium',
-                    message: 'Image has empty alt attribute',
-                    code,
-                    context,
-                    recommendation: 'Add descriptive alt text or use alt="" only for decorative images',
-                    source: 'custom',
-                    wcag: '1.1.1'
-                  });
-                }
-                // Check for generic alt text
-                else if (match.includes('alt="image"') || match.includes("alt='image'") || 
-                         match.includes('alt="img"') || match.includes("alt='img'") ||
-                         match.includes('alt="photo"') || match.includes("alt='photo'")) {
-                  const { code, context } = await this.getCodeContext(file, index + 1);
-                  await this.addAccessibilityIssue({
-                    type: 'generic_alt',
-                    file: path.relative(process.cwd(), file),
-                    line: index + 1,
-                    severity: 'medium',
-                    message: 'Image has generic alt text',
-                    code,
-                    context,
-                    recommendation: 'Use descriptive alt text that conveys the image content',
-                    source: 'custom',
-                    wcag: '1.1.1'
-                  });
-                }
-              }
-            }
-          }
-        }
-      } catch (error) {
-        console.warn(chalk.yellow(`Warning: Could not read file ${file}`));
-      }
-    }, 'Image Accessibility');
+    await this.addCheckIssues('image_accessibility');
   }
 
   /**
@@ -722,88 +473,7 @@ export class AccessibilityAudit {
    */
   async checkHeadingStructure() {
     console.log(chalk.blue('♿ Checking heading structure...'));
-    
-    const headingPatterns = [
-      /<h1[^>]*>/gi,
-      /<h2[^>]*>/gi,
-      /<h3[^>]*>/gi,
-      /<h4[^>]*>/gi,
-      /<h5[^>]*>/gi,
-      /<h6[^>]*>/gi,
-    ];
-
-    // Use both JS and HTML file patterns for accessibility scanning
-    const jsFiles = await globby(getConfigPattern('jsFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const htmlFiles = await globby(getConfigPattern('htmlFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const files = [...jsFiles, ...htmlFiles];
-    await this.processFilesInBatches(files, async (file) => {
-      try {
-        const content = await fsp.readFile(file, 'utf8');
-        const lines = content.split('\n');
-        
-        // Track heading levels in this file
-        const headingLevels = [];
-        
-        for (let index = 0; index < lines.length; index++) {
-          const line = lines[index];
-          for (let level = 0; level < headingPatterns.length; level++) {
-            const pattern = headingPatterns[level];
-            if (pattern.test(line)) {
-              const headingLevel = level + 1;
-              headingLevels.push({ level: headingLevel, line: index + 1 });
-              
-              // Check for multiple h1 elements (should typically be only one per page)
-              if (headingLevel === 1) {
-                const h1Count = headingLevels.filter(h => h.level === 1).length;
-                if (h1Count > 1) {
-                  const { code, context } = await this.getCodeContext(file, index + 1);
-                  await this.addAccessibilityIssue({
-                    type: 'multiple_h1',
-                    file: path.relative(process.cwd(), file),
-                    line: index + 1,
-                    severity: 'medium',
-                    message: 'Multiple h1 elements found',
-                    code,
-                    context,
-                    recommendation: 'Use only one h1 element per page as the main heading',
-                    source: 'custom',
-                    wcag: '1.3.1'
-                  });
-                }
-              }
-              
-              // Check for heading without content
-              const nextLine = lines[index + 1];
-              if (nextLine && nextLine.trim() === '') {
-                const { code, context } = await this.getCodeContext(file, index + 1);
-                await this.addAccessibilityIssue({
-                  type: 'empty_heading',
-                  file: path.relative(process.cwd(), file),
-                  line: index + 1,
-                  severity: 'low',
-                  message: 'Heading appears to be empty',
-                  code,
-                  context,
-                  recommendation: 'Ensure headings have meaningful content',
-                  source: 'custom',
-                  wcag: '1.3.1'
-                });
-              }
-            }
-          }
-        }
-        
-      } catch (error) {
-        console.warn(chalk.yellow(`Warning: Could not read file ${file}`));
-      }
-    });
-    
+    await this.addCheckIssues('heading_structure');
   }
 
   /**
@@ -811,149 +481,7 @@ export class AccessibilityAudit {
    */
   async checkFormAccessibility() {
     console.log(chalk.blue('♿ Checking form accessibility...'));
-    
-    const formPatterns = [
-      /<input[^>]*>/gi,
-      /<textarea[^>]*>/gi,
-      /<select[^>]*>/gi,
-      /<button[^>]*>/gi,
-      /<label[^>]*>/gi,
-    ];
-
-    // Use both JS and HTML file patterns for accessibility scanning
-    const jsFiles = await globby(getConfigPattern('jsFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const htmlFiles = await globby(getConfigPattern('htmlFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const files = [...jsFiles, ...htmlFiles];
-    await this.processFilesInBatches(files, async (file) => {
-      try {
-        const content = await fsp.readFile(file, 'utf8');
-        const lines = content.split('\n');
-        
-        for (let index = 0; index < lines.length; index++) {
-          const line = lines[index];
-          for (const pattern of formPatterns) {
-            const matches = line.match(pattern);
-            if (matches) {
-              for (const match of matches) {
-                // Check input elements
-                if (match.includes('<input')) {
-                  // Skip hidden inputs
-                  if (match.includes('type="hidden"')) continue;
-                  
-                  // Check for proper labeling
-                  const hasLabel = match.includes('aria-label=') || 
-                                 match.includes('aria-labelledby=') || 
-                                 match.includes('id=');
-                  
-                  if (!hasLabel) {
-                    const { code, context } = await this.getCodeContext(file, index + 1);
-                    await this.addAccessibilityIssue({
-                      type: 'missing_form_label',
-                      file: path.relative(process.cwd(), file),
-                      line: index + 1,
-                      severity: 'high',
-                      message: 'Form input missing proper labeling',
-                      code,
-                      context,
-                      recommendation: 'Add aria-label, aria-labelledby, or associate with a label element',
-                      source: 'custom',
-                      wcag: '3.3.2'
-                    });
-                  }
-                  
-                  // Check for required fields without aria-required
-                  if (match.includes('required') && !match.includes('aria-required=')) {
-                    const { code, context } = await this.getCodeContext(file, index + 1);
-                    await this.addAccessibilityIssue({
-                      type: 'missing_aria_required',
-                      file: path.relative(process.cwd(), file),
-                      line: index + 1,
-                      severity: 'medium',
-                      message: 'Required field missing aria-required attribute',
-                      code,
-                      context,
-                      recommendation: 'Add aria-required="true" for required fields',
-                      source: 'custom',
-                      wcag: '3.3.2'
-                    });
-                  }
-                }
-                
-                // Check button elements
-                if (match.includes('<button')) {
-                  // Check for empty button text
-                  if (!match.includes('>') || match.includes('></button>')) {
-                    const { code, context } = await this.getCodeContext(file, index + 1);
-                    await this.addAccessibilityIssue({
-                      type: 'empty_button',
-                      file: path.relative(process.cwd(), file),
-                      line: index + 1,
-                      severity: 'high',
-                      message: 'Button element is empty',
-                      code,
-                      context,
-                      recommendation: 'Add text content or aria-label to button',
-                      source: 'custom',
-                      wcag: '4.1.2'
-                    });
-                  }
-                  
-                  // Check for buttons without accessible name
-                  const hasAccessibleName = match.includes('aria-label=') || 
-                                          match.includes('aria-labelledby=') ||
-                                          match.includes('title=');
-                  
-                  if (!hasAccessibleName) {
-                    const { code, context } = await this.getCodeContext(file, index + 1);
-                    await this.addAccessibilityIssue({
-                      type: 'button_no_accessible_name',
-                      file: path.relative(process.cwd(), file),
-                      line: index + 1,
-                      severity: 'medium',
-                      message: 'Button missing accessible name',
-                      code,
-                      context,
-                      recommendation: 'Add aria-label, aria-labelledby, or title attribute',
-                      source: 'custom',
-                      wcag: '4.1.2'
-                    });
-                  }
-                }
-                
-                // Check label elements
-                if (match.includes('<label')) {
-                  // Check for empty labels
-                  if (!match.includes('for=') && !match.includes('>')) {
-                    const { code, context } = await this.getCodeContext(file, index + 1);
-                    await this.addAccessibilityIssue({
-                      type: 'empty_label',
-                      file: path.relative(process.cwd(), file),
-                      line: index + 1,
-                      severity: 'medium',
-                      message: 'Label element is empty',
-                      code,
-                      context,
-                      recommendation: 'Add text content to label element',
-                      source: 'custom',
-                      wcag: '3.3.2'
-                    });
-                  }
-                }
-              }
-            }
-          }
-        }
-      } catch (error) {
-        console.warn(chalk.yellow(`Warning: Could not read file ${file}`));
-      }
-    });
-    
+    await this.addCheckIssues('form_accessibility');
   }
 
   /**
@@ -961,55 +489,7 @@ export class AccessibilityAudit {
    */
   async checkColorContrast() {
     console.log(chalk.blue('♿ Checking color contrast...'));
-    
-    const colorPatterns = [
-      /color:\s*#[0-9a-fA-F]{3,6}/gi,
-      /background-color:\s*#[0-9a-fA-F]{3,6}/gi,
-      /color:\s*rgb\([^)]+\)/gi,
-      /background-color:\s*rgb\([^)]+\)/gi,
-    ];
-
-    // Use both JS and HTML file patterns for accessibility scanning
-    const jsFiles = await globby(getConfigPattern('jsFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const htmlFiles = await globby(getConfigPattern('htmlFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const files = [...jsFiles, ...htmlFiles];
-    await this.processFilesInBatches(files, async (file) => {
-      try {
-        const content = await fsp.readFile(file, 'utf8');
-        const lines = content.split('\n');
-        
-        for (let index = 0; index < lines.length; index++) {
-          const line = lines[index];
-          for (const pattern of colorPatterns) {
-            if (pattern.test(line)) {
-              // This is a basic check - in a real implementation, you'd want to
-              // actually calculate contrast ratios
-              const { code, context } = await this.getCodeContext(file, index + 1);
-              await this.addAccessibilityIssue({
-                type: 'color_contrast',
-                file: path.relative(process.cwd(), file),
-                line: index + 1,
-                severity: 'medium',
-                message: 'Color usage detected - verify contrast ratios meet WCAG guidelines',
-                code,
-                context,
-                recommendation: 'Use tools like axe-core or Lighthouse to check actual contrast ratios',
-                source: 'custom'
-              });
-            }
-          }
-        }
-      } catch (error) {
-        console.warn(chalk.yellow(`Warning: Could not read file ${file}`));
-      }
-    });
-    
+    await this.addCheckIssues('color_contrast');
   }
 
   /**
@@ -1017,61 +497,7 @@ export class AccessibilityAudit {
    */
   async checkKeyboardNavigation() {
     console.log(chalk.blue('♿ Checking keyboard navigation...'));
-    
-    const keyboardPatterns = [
-      /onClick\s*=/gi,
-      /onclick\s*=/gi,
-      /addEventListener\s*\(\s*['"]click['"]\)/gi,
-    ];
-
-    // Use both JS and HTML file patterns for accessibility scanning
-    const jsFiles = await globby(getConfigPattern('jsFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const htmlFiles = await globby(getConfigPattern('htmlFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const files = [...jsFiles, ...htmlFiles];
-    await this.processFilesInBatches(files, async (file) => {
-      try {
-        const content = await fsp.readFile(file, 'utf8');
-        const lines = content.split('\n');
-        
-        for (let index = 0; index < lines.length; index++) {
-          const line = lines[index];
-          for (const pattern of keyboardPatterns) {
-            if (pattern.test(line)) {
-              // Check if there's also keyboard event handling
-              const hasKeyboardSupport = line.includes('onKeyDown') || 
-                                       line.includes('onKeyUp') || 
-                                       line.includes('onKeyPress') ||
-                                       line.includes('addEventListener') && 
-                                       (line.includes('keydown') || line.includes('keyup') || line.includes('keypress'));
-              
-              if (!hasKeyboardSupport) {
-                const { code, context } = await this.getCodeContext(file, index + 1);
-                await this.addAccessibilityIssue({
-                  type: 'keyboard_navigation',
-                  file: path.relative(process.cwd(), file),
-                  line: index + 1,
-                  severity: 'medium',
-                  message: 'Click handler without keyboard support',
-                  code,
-                  context,
-                  recommendation: 'Add keyboard event handlers or use semantic HTML elements',
-                  source: 'custom'
-                });
-              }
-            }
-          }
-        }
-      } catch (error) {
-        console.warn(chalk.yellow(`Warning: Could not read file ${file}`));
-      }
-    });
-    
+    await this.addCheckIssues('keyboard_navigation');
   }
 
   /**
@@ -1079,56 +505,7 @@ export class AccessibilityAudit {
    */
   async checkARIAUsage() {
     console.log(chalk.blue('♿ Checking ARIA usage...'));
-    
-    const ariaPatterns = [
-      /aria-[a-zA-Z-]+/gi,
-    ];
-
-    // Use both JS and HTML file patterns for accessibility scanning
-    const jsFiles = await globby(getConfigPattern('jsFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const htmlFiles = await globby(getConfigPattern('htmlFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const files = [...jsFiles, ...htmlFiles];
-    await this.processFilesInBatches(files, async (file) => {
-      try {
-        const content = await fsp.readFile(file, 'utf8');
-        const lines = content.split('\n');
-        
-        for (let index = 0; index < lines.length; index++) {
-          const line = lines[index];
-          for (const pattern of ariaPatterns) {
-            const matches = line.match(pattern);
-            if (matches) {
-              for (const match of matches) {
-                // Check for common ARIA mistakes
-                if (match.includes('aria-label=""') || match.includes('aria-label=\'\'')) {
-                  const { code, context } = await this.getCodeContext(file, index + 1);
-                  await this.addAccessibilityIssue({
-                    type: 'empty_aria_label',
-                    file: path.relative(process.cwd(), file),
-                    line: index + 1,
-                    severity: 'medium',
-                    message: 'Empty ARIA label detected',
-                    code,
-                    context,
-                    recommendation: 'Provide meaningful ARIA labels or remove empty ones',
-                    source: 'custom'
-                  });
-                }
-              }
-            }
-          }
-        }
-      } catch (error) {
-        console.warn(chalk.yellow(`Warning: Could not read file ${file}`));
-      }
-    });
-    
+    await this.addCheckIssues('aria_usage');
   }
 
   /**
@@ -1136,57 +513,7 @@ export class AccessibilityAudit {
    */
   async checkTabOrderAndFocus() {
     console.log(chalk.blue('♿ Checking tab order and focus...'));
-    
-    const focusPatterns = [
-      /tabIndex\s*=/gi,
-      /tabindex\s*=/gi,
-      /focus\(\)/gi,
-      /blur\(\)/gi,
-    ];
-
-    // Use both JS and HTML file patterns for accessibility scanning
-    const jsFiles = await globby(getConfigPattern('jsFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const htmlFiles = await globby(getConfigPattern('htmlFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const files = [...jsFiles, ...htmlFiles];
-    this.totalFiles = files.length; // Set total files for progress tracking
-    await this.processFilesInBatches(files, async (file) => {
-      try {
-        const content = await fsp.readFile(file, 'utf8');
-        const lines = content.split('\n');
-        
-        for (let index = 0; index < lines.length; index++) {
-          const line = lines[index];
-          for (const pattern of focusPatterns) {
-            if (pattern.test(line)) {
-              // Check for potential tab order issues
-              if (line.includes('tabIndex="-1"') || line.includes('tabindex="-1"')) {
-                const { code, context } = await this.getCodeContext(file, index + 1);
-                await this.addAccessibilityIssue({
-                  type: 'tab_order_issue',
-                  file: path.relative(process.cwd(), file),
-                  line: index + 1,
-                  severity: 'medium',
-                  message: 'Negative tabIndex detected - verify tab order is logical',
-                  code,
-                  context,
-                  recommendation: 'Ensure tab order follows logical document flow',
-                  source: 'custom'
-                });
-              }
-            }
-          }
-        }
-      } catch (error) {
-        console.warn(chalk.yellow(`Warning: Could not read file ${file}`));
-      }
-    });
-    
+    await this.addCheckIssues('tab_order_focus');
   }
 
   /**
@@ -1194,58 +521,7 @@ export class AccessibilityAudit {
    */
   async checkLandmarksAndSkipLinks() {
     console.log(chalk.blue('♿ Checking landmarks and skip links...'));
-    
-    const landmarkPatterns = [
-      /<main[^>]*>/gi,
-      /<nav[^>]*>/gi,
-      /<header[^>]*>/gi,
-      /<footer[^>]*>/gi,
-      /<aside[^>]*>/gi,
-      /<section[^>]*>/gi,
-      /<article[^>]*>/gi,
-    ];
-
-    // Use both JS and HTML file patterns for accessibility scanning
-    const jsFiles = await globby(getConfigPattern('jsFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const htmlFiles = await globby(getConfigPattern('htmlFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const files = [...jsFiles, ...htmlFiles];
-    this.totalFiles = files.length; // Set total files for progress tracking
-    await this.processFilesInBatches(files, async (file) => {
-      try {
-        const content = await fsp.readFile(file, 'utf8');
-        const lines = content.split('\n');
-        
-        for (let index = 0; index < lines.length; index++) {
-          const line = lines[index];
-          for (const pattern of landmarkPatterns) {
-            if (pattern.test(line)) {
-              // Check for proper landmark usage
-              const { code, context } = await this.getCodeContext(file, index + 1);
-              await this.addAccessibilityIssue({
-                type: 'landmark_usage',
-                file: path.relative(process.cwd(), file),
-                line: index + 1,
-                severity: 'low',
-                message: 'Landmark element detected - ensure proper semantic structure',
-                code,
-                context,
-                recommendation: 'Use landmarks to create logical document structure',
-                source: 'custom'
-              });
-            }
-          }
-        }
-      } catch (error) {
-        console.warn(chalk.yellow(`Warning: Could not read file ${file}`));
-      }
-    });
-    
+    await this.addCheckIssues('landmarks_skip_links');
   }
 
   /**
@@ -1253,138 +529,7 @@ export class AccessibilityAudit {
    */
   async checkSemanticHTMLAndARIA() {
     console.log(chalk.blue('♿ Checking semantic HTML and ARIA usage...'));
-    
-    const semanticPatterns = [
-      /<main[^>]*>/gi,
-      /<nav[^>]*>/gi,
-      /<header[^>]*>/gi,
-      /<footer[^>]*>/gi,
-      /<aside[^>]*>/gi,
-      /<section[^>]*>/gi,
-      /<article[^>]*>/gi,
-      /<figure[^>]*>/gi,
-      /<figcaption[^>]*>/gi,
-      /<time[^>]*>/gi,
-      /<mark[^>]*>/gi,
-      /<details[^>]*>/gi,
-      /<summary[^>]*>/gi,
-    ];
-
-    const ariaPatterns = [
-      /aria-[a-zA-Z-]+/gi,
-      /role\s*=/gi,
-    ];
-
-    // Use both JS and HTML file patterns for accessibility scanning
-    const jsFiles = await globby(getConfigPattern('jsFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const htmlFiles = await globby(getConfigPattern('htmlFilePathPattern'), {
-      ignore: ['**/dist/**', '**/build/**', '**/out/**', '**/node_modules/**', '**/*.min.js', 'report/**', '**/tools/**'],
-    });
-    
-    const files = [...jsFiles, ...htmlFiles];
-    this.totalFiles = files.length; // Set total files for progress tracking
-    await this.processFilesInBatches(files, async (file) => {
-      try {
-        const content = await fsp.readFile(file, 'utf8');
-        const lines = content.split('\n');
-        
-        for (let index = 0; index < lines.length; index++) {
-          const line = lines[index];
-          
-          // Check for semantic HTML usage
-          for (const pattern of semanticPatterns) {
-            if (pattern.test(line)) {
-              // This is good - semantic HTML is being used
-              // We could add positive feedback here if needed
-            }
-          }
-          
-          // Check for ARIA usage
-          for (const pattern of ariaPatterns) {
-            const matches = line.match(pattern);
-            if (matches) {
-              for (const match of matches) {
-                // Check for common ARIA mistakes
-                if (match.includes('aria-label=""') || match.includes('aria-label=\'\'')) {
-                  const { code, context } = await this.getCodeContext(file, index + 1);
-                  await this.addAccessibilityIssue({
-                    type: 'empty_aria_label',
-                    file: path.relative(process.cwd(), file),
-                    line: index + 1,
-                    severity: 'medium',
-                    message: 'Empty ARIA label detected',
-                    code,
-                    context,
-                    recommendation: 'Provide meaningful ARIA labels or remove empty ones',
-                    source: 'custom',
-                    wcag: '4.1.2'
-                  });
-                }
-                
-                // Check for invalid ARIA attributes
-                if (match.includes('aria-invalid="true"') && !match.includes('aria-describedby=')) {
-                  const { code, context } = await this.getCodeContext(file, index + 1);
-                  await this.addAccessibilityIssue({
-                    type: 'missing_aria_error_description',
-                    file: path.relative(process.cwd(), file),
-                    line: index + 1,
-                    severity: 'medium',
-                    message: 'Invalid form field missing error description',
-                    code,
-                    context,
-                    recommendation: 'Add aria-describedby to link to error message',
-                    source: 'custom',
-                    wcag: '3.3.1'
-                  });
-                }
-                
-                // Check for redundant ARIA roles
-                if ((match.includes('role="button"') && line.includes('<button')) ||
-                    (match.includes('role="link"') && line.includes('<a')) ||
-                    (match.includes('role="heading"') && /<h[1-6]/.test(line))) {
-                  const { code, context } = await this.getCodeContext(file, index + 1);
-                  await this.addAccessibilityIssue({
-                    type: 'redundant_aria_role',
-                    file: path.relative(process.cwd(), file),
-                    line: index + 1,
-                    severity: 'low',
-                    message: 'Redundant ARIA role on semantic element',
-                    code,
-                    context,
-                    recommendation: 'Remove redundant ARIA role - semantic element already provides the role',
-                    source: 'custom',
-                    wcag: '4.1.2'
-                  });
-                }
-              }
-            }
-          }
-          
-          // Check for non-semantic elements that should be semantic
-          if (line.includes('<div') && (line.includes('onClick=') || line.includes('onclick='))) {
-            const { code, context } = await this.getCodeContext(file, index + 1);
-            await this.addAccessibilityIssue({
-              type: 'non_semantic_interactive',
-              file: path.relative(process.cwd(), file),
-              line: index + 1,
-              severity: 'medium',
-              message: 'Non-semantic div used for interactive element',
-              code,
-              context,
-              recommendation: 'Use semantic button element instead of div with click handler',
-              source: 'custom',
-              wcag: '4.1.2'
-            });
-          }
-        }
-      } catch (error) {
-        console.warn(chalk.yellow(`Warning: Could not read file ${file}`));
-      }
-    });
-    
+    await this.addCheckIssues('semantic_html_aria');
   }
 
   /**
@@ -1405,6 +550,7 @@ export class AccessibilityAudit {
     } = options;
 
     console.log(chalk.blue('♿ Starting Accessibility Audit...'));
+    this.fileScan = getFileScan('accessibility');
     
     // Run code scanning if enabled
     if (codeScan) {
@@ -1459,6 +605,10 @@ export class AccessibilityAudit {
     }
     this.accessibilityIssues = uniqueIssues;
 
+    // Honor ui-code-insight-disable comments
+    const { issues: reportedIssues, suppressed } = await applySuppressions(this.accessibilityIssues, this.fileScan.suppressions);
+    this.accessibilityIssues = reportedIssues;
+
     const results = {
       timestamp: new Date().toISOString(),
       totalIssues: this.accessibilityIssues.length,
@@ -1471,7 +621,8 @@ export class AccessibilityAudit {
         liveUrlIssues: this.accessibilityIssues.filter(issue => issue.source !== 'custom').length,
         axeCoreIssues: this.accessibilityIssues.filter(issue => issue.source === 'axe-core').length,
         lighthouseIssues: this.accessibilityIssues.filter(issue => issue.source === 'lighthouse').length
-      }
+      },
+      ...getSuppressionSummary(suppressed)
     };
 
     // Generate JSON report
@@ -1490,6 +641,9 @@ export class AccessibilityAudit {
     console.log(chalk.red(`High Severity: ${results.highSeverity}`));
     console.log(chalk.yellow(`Medium Severity: ${results.mediumSeverity}`));
     console.log(chalk.blue(`Low Severity: ${results.lowSeverity}`));
+    if (results.suppressedCount > 0) {
+      console.log(chalk.gray(`Suppressed: ${results.suppressedCount} (${results.suppressedWithoutReason} without a reason)`));
+    }
     
     if (liveUrlTest && urls && urls.length > 0) {
       console.log(chalk.blue('\n🌐 LIVE URL TESTING SUMMARY'));
@@ -1504,5 +658,7 @@ export class AccessibilityAudit {
         console.log(chalk.white(`Lighthouse Issues: ${results.summary.lighthouseIssues}`));
       }
     }
+
+    return results;
   }
 }
\ No newline at end of file
@@ -8,65 +8,145 @@ import { AccessibilityAudit } from './accessibility-audit.js';
 import { LighthouseAudit } from './lighthouse-audit.js';
 import { TestingAudit } from './testing-audit.js';
 import { DependencyAudit } from './dependency-audit.js';
+import { ChecklistAudit } from './checklist-audit.js';
+import { loadPlugins, runPlugin, writePluginManifest } from '../plugins/plugins.js';
+import { writeDependencyGraphReport } from '../dependencies/dependency-tree.js';
+import { writeThirdPartyNotices } from '../dependencies/licenses.js';
+import {
+  detectWorkspaces,
+  getLocalPackageNames,
+  mergeWorkspaceResults,
+  tagWorkspaceIssues,
+  writeWorkspaceReports,
+  summarizeWorkspaces
+} from '../workspaces/workspaces.js';
 
 /**
  * Main audit orchestrator that runs all audit categories
  */
 export class AuditOrchestrator {
-  constructor(folderPath, lighthouseUrl = null, accessibilityUrls = [], securityUrls = []) {
+  /**
+   * @param {string} folderPath - Report folder
+   * @param {string|null} [lighthouseUrl]
+   * @param {string[]} [accessibilityUrls]
+   * @param {string[]} [securityUrls]
+   * @param {Object} [securityOptions] - Passed to SecurityAudit.runSecurityAudit (e.g. gitHistory)
+   */
+  constructor(folderPath, lighthouseUrl = null, accessibilityUrls = [], securityUrls = [], securityOptions = {}) {
     this.folderPath = folderPath;
     this.lighthouseUrl = lighthouseUrl;
     this.accessibilityUrls = accessibilityUrls;
     this.securityUrls = securityUrls;
+    this.securityOptions = securityOptions;
     this.auditResults = {};
+    this.plugins = null;
+    this.workspaces = undefined;
+  }
+
+  /**
+   * Workspace packages of the project (detected once), or null for a single-package project
+   */
+  getWorkspaces() {
+    if (this.workspaces === undefined) {
+      this.workspaces = detectWorkspaces();
+      if (this.workspaces) {
+        console.log(chalk.blue(`🗂️  ${this.workspaces.tool} workspace detected: ${this.workspaces.packages.length} packages (root included)`));
+      }
+    }
+    return this.workspaces;
+  }
+
+  /**
+   * Run a whole-project audit once per workspace package and save the merged report
+   * @param {string} category - Report is saved as <category>-audit-report.json
+   * @param {Function} run - (workspace) => Promise<audit result>
+   */
+  async runPerWorkspace(category, run) {
+    const runs = [];
+    for (const workspace of this.workspaces.packages) {
+      console.log(chalk.blue(`\n🗂️  ${category} audit of ${workspace.name} (${workspace.dir})`));
+      runs.push({ workspace, result: await run(workspace) });
+    }
+    const results = mergeWorkspaceResults(runs);
+    const reportPath = path.join(this.folderPath, `${category}-audit-report.json`);
+    await writeFile(reportPath, JSON.stringify(results, null, 2));
+    console.log(chalk.green(`✅ ${this.getCategoryLabel(category)} audit report (${runs.length} packages) saved to: ${reportPath}`));
+    return results;
+  }
+
+  /**
+   * Plugins declared in the config (loaded once)
+   */
+  async getPlugins() {
+    if (!this.plugins) {
+      this.plugins = await loadPlugins();
+    }
+    return this.plugins;
   }
 
   /**
    * Run all audits
+   * @param {Object} [options]
+   * @param {string[]} [options.skip] - Categories to leave out of this run
    */
-  async runAllAudits() {
+  async runAllAudits({ skip = [] } = {}) {
     console.log(chalk.blue('🚀 Starting Comprehensive Code Audit...\n'));
     
     const startTime = Date.now();
     
     try {
+      const plugins = await this.getPlugins();
+
       // Run all audit categories with error handling
       const auditPromises = [
-        this.runSecurityAudit().catch(error => {
+        this.runUnlessSkipped('security', skip, () => this.runSecurityAudit()).catch(error => {
           console.warn(chalk.yellow('⚠️  Security audit failed:', error.message));
           return { totalIssues: 0, highSeverity: 0, mediumSeverity: 0, lowSeverity: 0, issues: [] };
         }),
-        this.runPerformanceAudit().catch(error => {
+        this.runUnlessSkipped('performance', skip, () => this.runPerformanceAudit()).catch(error => {
           console.warn(chalk.yellow('⚠️  Performance audit failed:', error.message));
           return { totalIssues: 0, highSeverity: 0, mediumSeverity: 0, lowSeverity: 0, issues: [] };
         }),
-        this.runAccessibilityAudit().catch(error => {
+        this.runUnlessSkipped('accessibility', skip, () => this.runAccessibilityAudit()).catch(error => {
           console.warn(chalk.yellow('⚠️  Accessibility audit failed:', error.message));
           return { totalIssues: 0, highSeverity: 0, mediumSeverity: 0, lowSeverity: 0, issues: [] };
         }),
-        this.runLighthouseAudit().catch(error => {
+        this.runUnlessSkipped('lighthouse', skip, () => this.runLighthouseAudit()).catch(error => {
           console.warn(chalk.yellow('⚠️  Lighthouse audit failed:', error.message));
           return { totalIssues: 0, highSeverity: 0, mediumSeverity: 0, lowSeverity: 0, issues: [] };
         }),
-        this.runTestingAudit().catch(error => {
+        this.runUnlessSkipped('testing', skip, () => this.runTestingAudit()).catch(error => {
           console.warn(chalk.yellow('⚠️  Testing audit failed:', error.message));
           return { totalIssues: 0, highSeverity: 0, mediumSeverity: 0, lowSeverity: 0, issues: [] };
         }),
-        this.runDependencyAudit().catch(error => {
+        this.runUnlessSkipped('dependency', skip, () => this.runDependencyAudit()).catch(error => {
           console.warn(chalk.yellow('⚠️  Dependency audit failed:', error.message));
           return { totalIssues: 0, highSeverity: 0, mediumSeverity: 0, lowSeverity: 0, issues: [] };
+        }),
+        this.runUnlessSkipped('checklist', skip, () => this.runChecklistAudit()).catch(error => {
+          console.warn(chalk.yellow('⚠️  Checklist audit failed:', error.message));
+          return { totalIssues: 0, highSeverity: 0, mediumSeverity: 0, lowSeverity: 0, issues: [] };
         })
       ];
 
+      // Plugin audits run alongside the built-in ones
+      const pluginPromises = plugins.map(plugin =>
+        this.runUnlessSkipped(plugin.name, skip, () => this.runPluginAudit(plugin)).catch(error => {
+          console.warn(chalk.yellow(`⚠️  ${plugin.title} audit failed:`, error.message));
+          return { totalIssues: 0, highSeverity: 0, mediumSeverity: 0, lowSeverity: 0, issues: [] };
+        })
+      );
+
       const [
         securityResults,
         performanceResults,
         accessibilityResults,
         lighthouseResults,
         testingResults,
-        dependencyResults
+        dependencyResults,
+        checklistResults
       ] = await Promise.all(auditPromises);
-
+      const pluginResults = await Promise.all(pluginPromises);
 
 
       // Compile results
@@ -86,23 +166,26 @@ export class AuditOrchestrator {
           accessibility: accessibilityResults,
           lighthouse: lighthouseResults,
           testing: testingResults,
-          dependency: dependencyResults
+          dependency: dependencyResults,
+          checklist: checklistResults,
+          ...Object.fromEntries(plugins.map((plugin, index) => [plugin.name, pluginResults[index]]))
         }
       };
 
-      // Calculate summary with better error handling
-      Object.entries(this.auditResults.categories).forEach(([categoryName, category]) => {
-        if (!category) {
-          console.warn(chalk.yellow(`⚠️  ${categoryName} audit returned undefined, using fallback values`));
-          category = { totalIssues: 0, highSeverity: 0, mediumSeverity: 0, lowSeverity: 0, issues: [] };
+      // Skipped categories are left out of the report entirely
+      Object.keys(this.auditResults.categories).forEach((category) => {
+        if (skip.includes(category)) {
+          delete this.auditResults.categories[category];
         }
-        
-        this.auditResults.summary.totalIssues += category.totalIssues || 0;
-        this.auditResults.summary.highSeverity += category.highSeverity || 0;
-        this.auditResults.summary.mediumSeverity += category.mediumSeverity || 0;
-        this.auditResults.summary.lowSeverity += category.lowSeverity || 0;
       });
 
+      this.calculateSummary();
+      await this.applyWorkspaces();
+
+      if (plugins.length > 0) {
+        await writePluginManifest(this.folderPath, plugins.filter(plugin => !skip.includes(plugin.name)));
+      }
+
       // Generate report
       await this.generateAuditReport();
       
@@ -117,13 +200,72 @@ export class AuditOrchestrator {
     }
   }
 
+  /**
+   * In a workspace, tag the file-based issues with the package of their file, rewrite those
+   * reports and add the per-package breakdown to the comprehensive report
+   */
+  async applyWorkspaces() {
+    if (!this.getWorkspaces()) return;
+    const tagged = tagWorkspaceIssues(this.workspaces, this.auditResults.categories);
+    await writeWorkspaceReports(this.folderPath, this.auditResults.categories, tagged);
+    this.updateWorkspaceSummary();
+  }
+
+  /**
+   * (Re)calculate the per-package breakdown from the category results
+   */
+  updateWorkspaceSummary() {
+    if (!this.workspaces) return;
+    this.auditResults.workspaces = summarizeWorkspaces(this.workspaces, this.auditResults.categories);
+  }
+
+  /**
+   * Run an audit unless its category is skipped
+   * @param {string} category
+   * @param {string[]} skip
+   * @param {Function} run
+   */
+  async runUnlessSkipped(category, skip, run) {
+    if (skip.includes(category)) {
+      console.log(chalk.yellow(`⏭️  Skipping ${category} audit`));
+      return null;
+    }
+    return await run();
+  }
+
+  /**
+   * (Re)calculate the summary totals from the category results
+   */
+  calculateSummary() {
+    const summary = this.auditResults.summary;
+    summary.totalIssues = 0;
+    summary.highSeverity = 0;
+    summary.mediumSeverity = 0;
+    summary.lowSeverity = 0;
+
+    // Calculate summary with better error handling
+    Object.entries(this.auditResults.categories).forEach(([categoryName, category]) => {
+      if (!category) {
+        console.warn(chalk.yellow(`⚠️  ${categoryName} audit returned undefined, using fallback values`));
+        category = { totalIssues: 0, highSeverity: 0, mediumSeverity: 0, lowSeverity: 0, issues: [] };
+      }
+      
+      summary.totalIssues += category.totalIssues || 0;
+      summary.highSeverity += category.highSeverity || 0;
+      summary.mediumSeverity += category.mediumSeverity || 0;
+      summary.lowSeverity += category.lowSeverity || 0;
+    });
+
+    return summary;
+  }
+
   /**
    * Run security audit
    */
   async runSecurityAudit() {
     console.log(chalk.blue('🔒 Running Security Audit...'));
     const securityAudit = new SecurityAudit(this.folderPath);
-    return await securityAudit.runSecurityAudit(this.securityUrls);
+    return await securityAudit.runSecurityAudit(this.securityUrls, this.securityOptions);
   }
 
   /**
@@ -187,8 +329,16 @@ export class AuditOrchestrator {
    */
   async runTestingAudit() {
     console.log(chalk.blue('🧪 Running Testing Audit...'));
-    const testingAudit = new TestingAudit(this.folderPath);
-    return await testingAudit.runTestingAudit();
+    if (!this.getWorkspaces()) {
+      const testingAudit = new TestingAudit(this.folderPath);
+      return await testingAudit.runTestingAudit();
+    }
+    const memberDirs = this.workspaces.packages.filter(workspace => !workspace.root).map(workspace => workspace.dir);
+    return await this.runPerWorkspace('testing', workspace => new TestingAudit(this.folderPath, {
+      workspace,
+      // Member packages get their own run
+      excludeDirs: workspace.root ? memberDirs : []
+    }).runTestingAudit());
   }
 
   /**
@@ -196,8 +346,71 @@ export class AuditOrchestrator {
    */
   async runDependencyAudit() {
     console.log(chalk.blue('📦 Running Dependency Audit...'));
-    const dependencyAudit = new DependencyAudit(this.folderPath);
-    return await dependencyAudit.runDependencyAudit();
+    if (!this.getWorkspaces()) {
+      const dependencyAudit = new DependencyAudit(this.folderPath);
+      return await dependencyAudit.runDependencyAudit();
+    }
+    const localPackages = getLocalPackageNames(this.workspaces);
+    const trees = [];
+    const notices = [];
+    const results = await this.runPerWorkspace('dependency', async workspace => {
+      const dependencyAudit = new DependencyAudit(this.folderPath, { workspace, localPackages, writeProjectReports: false });
+      const result = await dependencyAudit.runDependencyAudit();
+      if (dependencyAudit.dependencyTree) trees.push(dependencyAudit.dependencyTree);
+      if (dependencyAudit.licenseNotices) notices.push(...dependencyAudit.licenseNotices);
+      return result;
+    });
+    if (trees.length > 0) {
+      const graphReportPath = await writeDependencyGraphReport(this.folderPath, trees);
+      console.log(chalk.green(`✅ Dependency graph (${trees.length} packages) saved to: ${graphReportPath}`));
+    }
+    if (trees.length > 0 || notices.length > 0) {
+      const noticesPath = await writeThirdPartyNotices(this.folderPath, notices, this.workspaces.packages[0].name);
+      console.log(chalk.green(`✅ Third-party notices saved to: ${noticesPath}`));
+    }
+    return results;
+  }
+
+  /**
+   * Run checklist audit
+   */
+  async runChecklistAudit() {
+    console.log(chalk.blue('✅ Running Checklist Audit...'));
+    const checklistAudit = new ChecklistAudit(this.folderPath);
+    return await checklistAudit.runChecklistAudit();
+  }
+
+  /**
+   * Run one plugin audit
+   * @param {Object} plugin - From loadPlugins()
+   */
+  async runPluginAudit(plugin) {
+    console.log(chalk.blue(`${plugin.icon} Running ${plugin.title} Audit...`));
+    return await runPlugin(plugin, this.folderPath);
+  }
+
+  /**
+   * Run every configured plugin audit (the "plugins" report)
+   * @returns {Promise<Object>} Results keyed by plugin name
+   */
+  async runPluginAudits() {
+    const plugins = await this.getPlugins();
+    if (plugins.length === 0) {
+      console.log(chalk.yellow('No plugins configured. Add "plugins" to ui-code-insight.config.json.'));
+      return {};
+    }
+
+    const results = {};
+    for (const plugin of plugins) {
+      try {
+        results[plugin.name] = await this.runPluginAudit(plugin);
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️  ${plugin.title} audit failed:`, error.message));
+        results[plugin.name] = { totalIssues: 0, highSeverity: 0, mediumSeverity: 0, lowSeverity: 0, issues: [] };
+      }
+    }
+    await writePluginManifest(this.folderPath, plugins);
+    return results;
   }
 
   /**
@@ -240,7 +453,7 @@ export class AuditOrchestrator {
       
       // Handle undefined results
       if (!results) {
-        console.log(chalk.white(`${icon} ${category.charAt(0).toUpperCase() + category.slice(1)}:`));
+        console.log(chalk.white(`${icon} ${this.getCategoryLabel(category)}:`));
         console.log(chalk.white(`   Total: 0 | High: 0 | Medium: 0 | Low: 0`));
         return;
       }
@@ -250,14 +463,32 @@ export class AuditOrchestrator {
       const medium = results.mediumSeverity || 0;
       const low = results.lowSeverity || 0;
       
-      console.log(chalk.white(`${icon} ${category.charAt(0).toUpperCase() + category.slice(1)}:`));
+      console.log(chalk.white(`${icon} ${this.getCategoryLabel(category)}:`));
       console.log(chalk.white(`   Total: ${total} | High: ${high} | Medium: ${medium} | Low: ${low}`));
     });
+
+    // Package breakdown of a workspace
+    if (this.auditResults.workspaces) {
+      console.log(chalk.white('\n🗂️  Package Breakdown:'));
+      console.log(chalk.blue('-'.repeat(30)));
+      this.auditResults.workspaces.forEach(workspace => {
+        console.log(chalk.white(`${workspace.name} (${workspace.dir}):`));
+        console.log(chalk.white(`   Total: ${workspace.totalIssues} | High: ${workspace.highSeverity} | Medium: ${workspace.mediumSeverity} | Low: ${workspace.lowSeverity}`));
+      });
+    }
     
     // Recommendations
     this.displayRecommendations();
   }
 
+  /**
+   * Display name for an audit category (plugin title for plugins)
+   */
+  getCategoryLabel(category) {
+    const plugin = this.plugins?.find(p => p.name === category);
+    return plugin ? plugin.title : category.charAt(0).toUpperCase() + category.slice(1);
+  }
+
   /**
    * Get icon for audit category
    */
@@ -268,9 +499,11 @@ export class AuditOrchestrator {
       accessibility: '♿',
       lighthouse: '🚀',
       testing: '🧪',
-      dependency: '📦'
+      dependency: '📦',
+      checklist: '✅'
     };
-    return icons[category] || '📋';
+    const plugin = this.plugins?.find(p => p.name === category);
+    return icons[category] || plugin?.icon || '📋';
   }
 
   /**
@@ -283,12 +516,12 @@ export class AuditOrchestrator {
     const { categories } = this.auditResults;
     
     // Security recommendations
-    if (categories.security.highSeverity > 0) {
+    if (categories.security && categories.security.highSeverity > 0) {
       console.log(chalk.red('🔒 Security: Address high-severity security issues immediately'));
     }
     
     // Performance recommendations
-    if (categories.performance.highSeverity > 0) {
+    if (categories.performance && categories.performance.highSeverity > 0) {
       console.log(chalk.yellow('⚡ Performance: Fix memory leaks and optimize bundle size'));
     }
     
@@ -311,6 +544,18 @@ export class AuditOrchestrator {
     if (categories.dependency && categories.dependency.highSeverity > 0) {
       console.log(chalk.cyan('📦 Dependencies: Install missing dependencies and update outdated packages'));
     }
+
+    // Checklist recommendations
+    if (categories.checklist && categories.checklist.failedChecks > 0) {
+      console.log(chalk.green(`✅ Checklist: Review the ${categories.checklist.failedChecks} failed checklist item(s)`));
+    }
+
+    // Plugin recommendations
+    (this.plugins || []).forEach(plugin => {
+      if (plugin.recommendation && categories[plugin.name]?.totalIssues > 0) {
+        console.log(chalk.white(`${plugin.icon} ${plugin.title}: ${plugin.recommendation}`));
+      }
+    });
     
     console.log(chalk.white('\n📄 Detailed report saved to: comprehensive-audit-report.json'));
   }
@@ -325,13 +570,18 @@ export class AuditOrchestrator {
       accessibility: () => this.runAccessibilityAudit(),
       lighthouse: () => this.runLighthouseAudit(),
       testing: () => this.runTestingAudit(),
-      dependency: () => this.runDependencyAudit()
+      dependency: () => this.runDependencyAudit(),
+      checklist: () => this.runChecklistAudit()
     };
 
     if (auditMethods[category]) {
       return await auditMethods[category]();
-    } else {
-      throw new Error(`Unknown audit category: ${category}`);
     }
+
+    const plugin = (await this.getPlugins()).find(p => p.name === category);
+    if (plugin) {
+      return await this.runPluginAudit(plugin);
+    }
+    throw new Error(`Unknown audit category: ${category}`);
   }
 } 
\ No newline at end of file
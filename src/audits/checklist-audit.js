@@ -1,10 +1,40 @@
 import fs from 'fs';
 import path from 'path';
+import chalk from 'chalk';
 import { globby } from 'globby';
+import { writeFile } from 'fs/promises';
 import { getConfigPattern } from '../config-loader.js';
 import stylelint from 'stylelint';
 import { ESLint } from 'eslint';
 
+/**
+ * Checklist items in run order. A failed item becomes an issue with the given severity.
+ */
+export const CHECKLIST_ITEMS = [
+  { type: 'css-responsive', method: 'checkCssResponsive', title: 'Responsive media queries', severity: 'medium', recommendation: 'Use @media queries so layouts adapt to different screen sizes.' },
+  { type: 'css-print', method: 'checkCssPrint', title: 'Print styles', severity: 'low', recommendation: 'Add a print stylesheet or @media print rules.' },
+  { type: 'js-minification', method: 'checkJsMinification', title: 'Minified JS output', severity: 'medium', recommendation: 'Minify production JavaScript (e.g. with Terser) and emit .min.js files to dist/ or build/.' },
+  { type: 'js-non-blocking', method: 'checkJsNonBlocking', title: 'Non-blocking scripts', severity: 'medium', recommendation: 'Load scripts with async or defer so they do not block rendering.' },
+  { type: 'css-unique-ids', method: 'checkCssUniqueIds', title: 'Unique HTML IDs', severity: 'medium', recommendation: 'Give every element a unique id; duplicates break CSS, scripts and label associations.' },
+  { type: 'css-reset', method: 'checkCssReset', title: 'CSS reset/normalize', severity: 'low', recommendation: 'Include a reset, normalize or reboot stylesheet for consistent browser defaults.' },
+  { type: 'css-inline', method: 'checkCssInline', title: 'No inline CSS', severity: 'low', recommendation: 'Move <style> blocks and style attributes into stylesheets.' },
+  { type: 'css-vendor-prefixes', method: 'checkCssVendorPrefixes', title: 'Vendor prefixes', severity: 'low', recommendation: 'Add vendor prefixes where needed, ideally with Autoprefixer.' },
+  { type: 'css-syntax', method: 'checkCssSyntax', title: 'CSS syntax', severity: 'medium', recommendation: 'Fix the syntax errors reported by Stylelint.' },
+  { type: 'css-validation', method: 'checkCssValidation', title: 'CSS validation', severity: 'low', recommendation: 'Resolve the warnings reported by Stylelint.' },
+  { type: 'css-naming', method: 'checkCssNaming', title: 'BEM class naming', severity: 'low', recommendation: 'Follow a naming convention such as BEM (block__element--modifier).' },
+  { type: 'css-global-styles', method: 'checkCssGlobalStyles', title: 'Global base styles', severity: 'low', recommendation: 'Define base styles for html, body or * in one place.' },
+  { type: 'css-property-order', method: 'checkCssPropertyOrder', title: 'Consistent property order', severity: 'low', recommendation: 'Keep a consistent property order, e.g. with stylelint-order.' },
+  { type: 'css-color-variables', method: 'checkCssColorVariables', title: 'Color variables', severity: 'low', recommendation: 'Use CSS custom properties or preprocessor variables for colors.' },
+  { type: 'css-remove-comments', method: 'checkCssRemoveComments', title: 'No commented-out CSS', severity: 'low', recommendation: 'Remove commented-out code from stylesheets.' },
+  { type: 'js-eslint', method: 'checkJsESLint', title: 'ESLint clean', severity: 'medium', recommendation: 'Fix the errors reported by ESLint.' },
+  { type: 'js-naming', method: 'checkJsNaming', title: 'JS naming conventions', severity: 'low', recommendation: 'Use camelCase for variables and functions and PascalCase for classes.' },
+  { type: 'js-namespace', method: 'checkJsNamespace', title: 'No global namespace pollution', severity: 'medium', recommendation: 'Avoid assigning to window or global; use modules instead.' },
+  { type: 'js-jquery-usage', method: 'checkJsJqueryUsage', title: 'No jQuery', severity: 'low', recommendation: 'Replace jQuery with native DOM APIs.' },
+];
+
+/**
+ * Checklist audit module: project-wide pass/fail checks for front-end best practices
+ */
 export class ChecklistAudit {
   constructor(folderPath) {
     this.folderPath = folderPath;
@@ -12,28 +42,68 @@ export class ChecklistAudit {
   }
 
   async runChecklistAudit() {
-    await this.checkCssResponsive();
-    await this.checkCssPrint();
-    await this.checkJsMinification();
-    await this.checkJsNonBlocking();
-    await this.checkCssUniqueIds();
-    await this.checkCssReset();
-    await this.checkCssInline();
-    await this.checkCssVendorPrefixes();
-    await this.checkCssSyntax();
-    await this.checkCssValidation();
-    await this.checkCssNaming();
-    await this.checkCssGlobalStyles();
-    await this.checkCssPropertyOrder();
-    await this.checkCssColorVariables();
-    await this.checkCssRemoveComments();
-    await this.checkJsESLint();
-    await this.checkJsNaming();
-    await this.checkJsNamespace();
-    await this.checkJsJqueryUsage();
-    // Add more checks as needed
-    await this.generateReport();
-    return this.results;
+    console.log(chalk.blue('✅ Starting Checklist Audit...'));
+
+    for (const item of CHECKLIST_ITEMS) {
+      await this.runCheck(item);
+    }
+
+    const auditResults = this.buildResults();
+    await this.generateReport(auditResults);
+    this.displaySummary(auditResults);
+    return auditResults;
+  }
+
+  /**
+   * Run one check; a check that throws (e.g. no Stylelint config) is recorded as skipped
+   * @param {Object} item - Entry from CHECKLIST_ITEMS
+   */
+  async runCheck(item) {
+    try {
+      await this[item.method]();
+    } catch (error) {
+      this.results.push({
+        type: item.type,
+        passed: false,
+        skipped: true,
+        message: `Check could not run: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Combine the check results into the standard audit result shape.
+   * Failed checks become issues so they count towards the summary totals.
+   */
+  buildResults() {
+    const checks = this.results.map(result => {
+      const item = CHECKLIST_ITEMS.find(entry => entry.type === result.type) || {};
+      return { title: item.title || result.type, severity: item.severity || 'low', ...result };
+    });
+
+    const issues = checks
+      .filter(check => !check.passed && !check.skipped)
+      .map(check => ({
+        type: check.type,
+        severity: check.severity,
+        message: check.message,
+        recommendation: CHECKLIST_ITEMS.find(entry => entry.type === check.type)?.recommendation,
+        source: 'checklist'
+      }));
+
+    return {
+      timestamp: new Date().toISOString(),
+      totalChecks: checks.length,
+      passedChecks: checks.filter(check => check.passed).length,
+      failedChecks: issues.length,
+      skippedChecks: checks.filter(check => check.skipped).length,
+      totalIssues: issues.length,
+      highSeverity: issues.filter(issue => issue.severity === 'high').length,
+      mediumSeverity: issues.filter(issue => issue.severity === 'medium').length,
+      lowSeverity: issues.filter(issue => issue.severity === 'low').length,
+      checks,
+      issues
+    };
   }
 
   async checkCssResponsive() {
@@ -387,8 +457,24 @@ export class ChecklistAudit {
     });
   }
 
-  async generateReport() {
+  async generateReport(auditResults) {
     const reportPath = path.join(this.folderPath, 'checklist-audit-report.json');
-    fs.writeFileSync(reportPath, JSON.stringify(this.results, null, 2));
+    try {
+      await writeFile(reportPath, JSON.stringify(auditResults, null, 2));
+      console.log(chalk.green(`✅ Checklist audit report saved to: ${reportPath}`));
+    } catch (error) {
+      console.error(chalk.red('Error saving checklist audit report:', error.message));
+    }
+  }
+
+  displaySummary(auditResults) {
+    console.log(chalk.blue('\n✅ CHECKLIST AUDIT SUMMARY'));
+    console.log(chalk.blue('='.repeat(40)));
+    console.log(chalk.white(`Checks: ${auditResults.totalChecks}`));
+    console.log(chalk.green(`Passed: ${auditResults.passedChecks}`));
+    console.log(chalk.red(`Failed: ${auditResults.failedChecks}`));
+    if (auditResults.skippedChecks > 0) {
+      console.log(chalk.yellow(`Skipped: ${auditResults.skippedChecks}`));
+    }
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,236 @@
+import chalk from 'chalk';
+import esquery from 'esquery';
+import { globby } from 'globby';
+import { getConfig, getConfigPattern, getScanExclusionPatterns } from '../config-loader.js';
+import { filterChangedFiles, matchPatterns, toProjectPath } from '../utils/changed-files.js';
+import { hashContent } from '../utils/scan-cache.js';
+import { getChildKeys, nodeLocation } from '../scanner/ast-utils.js';
+
+/**
+ * User-defined rules from ui-code-insight.config.json
+ *
+ *   "customRules": [
+ *     {
+ *       "id": "no-token-in-localstorage",
+ *       "category": "security",
+ *       "pattern": "localStorage\\.setItem\\(\\s*['\"][^'\"]*token",
+ *       "flags": "i",
+ *       "message": "Do not store tokens in localStorage",
+ *       "severity": "high",
+ *       "files": ["src/**\/*.{js,ts}"],
+ *       "recommendation": "Keep tokens in memory or an httpOnly cookie"
+ *     },
+ *     {
+ *       "id": "no-sync-xhr",
+ *       "category": "performance",
+ *       "selector": "CallExpression[callee.property.name='open'][arguments.2.value=false]",
+ *       "message": "Synchronous XMLHttpRequest blocks the main thread",
+ *       "severity": "medium"
+ *     }
+ *   ]
+ *
+ * A rule has either a "pattern" (regular expression tested against each line) or a
+ * "selector" (ESLint AST selector, as used by no-restricted-syntax). Without "files"
+ * a rule scans the files of jsFilePathPattern.
+ *
+ * Rules run as the "custom_rules" check of the security and performance audits in the
+ * shared scan (see src/scanner), on the lines and AST of files it has already read.
+ */
+
+export const CUSTOM_RULE_CATEGORIES = ['security', 'performance'];
+
+const SEVERITIES = ['high', 'medium', 'low'];
+
+let cachedRules = null;
+let cachedRulesConfig = null;
+
+/**
+ * Check one rule entry, returning it with a compiled regex, or throwing a descriptive error
+ */
+const validateRule = (rule) => {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('rule must be an object');
+  }
+  if (typeof rule.id !== 'string' || !rule.id.trim()) {
+    throw new Error('rule needs an "id"');
+  }
+  if (!CUSTOM_RULE_CATEGORIES.includes(rule.category)) {
+    throw new Error(`"category" must be one of: ${CUSTOM_RULE_CATEGORIES.join(', ')}`);
+  }
+  if (typeof rule.message !== 'string' || !rule.message.trim()) {
+    throw new Error('rule needs a "message"');
+  }
+  if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+    throw new Error(`"severity" must be one of: ${SEVERITIES.join(', ')}`);
+  }
+  if ((rule.pattern === undefined) === (rule.selector === undefined)) {
+    throw new Error('rule needs either a "pattern" or a "selector"');
+  }
+  const files = rule.files === undefined ? null : [].concat(rule.files);
+  if (files && (files.length === 0 || !files.every((file) => typeof file === 'string' && file.trim()))) {
+    throw new Error('"files" must be a glob or an array of globs');
+  }
+
+  let regex = null;
+  if (rule.pattern !== undefined) {
+    // "g" and "y" keep state between test() calls, which would skip matches on later lines
+    const flags = String(rule.flags || '').replace(/[gy]/g, '');
+    try {
+      regex = new RegExp(rule.pattern, flags);
+    } catch (error) {
+      throw new Error(`invalid "pattern": ${error.message}`);
+    }
+  } else if (typeof rule.selector !== 'string' || !rule.selector.trim()) {
+    throw new Error('"selector" must be a non-empty string');
+  } else {
+    try {
+      esquery.parse(rule.selector);
+    } catch (error) {
+      throw new Error(`invalid "selector": ${error.message}`);
+    }
+  }
+
+  return {
+    id: rule.id.trim(),
+    category: rule.category,
+    message: rule.message,
+    severity: rule.severity || 'medium',
+    recommendation: rule.recommendation || null,
+    files,
+    regex,
+    selector: regex ? null : rule.selector,
+  };
+};
+
+/**
+ * Valid custom rules from the config. Invalid rules are reported once and skipped.
+ * @param {string} [category] - Only rules for this audit category
+ * @returns {Object[]}
+ */
+export const getCustomRules = (category) => {
+  const config = getConfig();
+  if (cachedRulesConfig !== config) {
+    cachedRulesConfig = config;
+    cachedRules = [];
+    const entries = Array.isArray(config.customRules) ? config.customRules : [];
+    entries.forEach((entry, index) => {
+      try {
+        const rule = validateRule(entry);
+        if (cachedRules.some((other) => other.id === rule.id)) {
+          throw new Error(`duplicate id "${rule.id}"`);
+        }
+        cachedRules.push(rule);
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️  Ignoring custom rule ${entry?.id || `#${index + 1}`}: ${error.message}`));
+      }
+    });
+  }
+  return category ? cachedRules.filter((rule) => rule.category === category) : cachedRules;
+};
+
+/**
+ * Files the custom rules scan (the "customRules" file set of the shared scanner):
+ * the JS files for rules without "files", plus the files of each rule's own globs
+ * @param {Function} getFiles - Files of another set, from the shared scanner
+ * @returns {Promise<string[]>}
+ */
+export const getCustomRuleFiles = async (getFiles) => {
+  const rules = getCustomRules();
+  const exclusions = ['!**/node_modules/**', ...getScanExclusionPatterns()];
+  const [codeFiles, ...ruleFiles] = await Promise.all([
+    rules.some((rule) => !rule.files) ? getFiles('js') : [],
+    ...rules.filter((rule) => rule.files).map((rule) => globby([...rule.files, ...exclusions])),
+  ]);
+  return [...new Set([...codeFiles, ...filterChangedFiles(ruleFiles.flat())])];
+};
+
+/**
+ * Options of the custom_rules check of an audit, resolved once on the main thread
+ * @param {string} category - 'security' or 'performance'
+ * @returns {{rules: Object[], jsPatterns: string[]}} Plain rule data for the workers
+ */
+export const getCustomRuleOptions = (category) => ({
+  rules: getCustomRules(category).map(({ regex, ...rule }) => ({
+    ...rule,
+    pattern: regex ? regex.source : null,
+    flags: regex ? regex.flags : null,
+  })),
+  jsPatterns: getConfigPattern('jsFilePathPattern'),
+});
+
+// Compiled patterns and selectors, per thread
+const compiled = new Map();
+
+const compile = (key, create) => {
+  if (!compiled.has(key)) compiled.set(key, create());
+  return compiled.get(key);
+};
+
+/**
+ * Build an issue in the same shape as the built-in pattern checks
+ */
+const createIssue = (rule, file, lines, lineNumber, location = null) => {
+  const index = lineNumber - 1;
+  const start = Math.max(0, index - 2);
+  const end = Math.min(lines.length - 1, index + 2);
+  return {
+    type: rule.id,
+    ruleId: rule.id,
+    file,
+    line: lineNumber,
+    ...location,
+    severity: rule.severity,
+    message: rule.message,
+    code: (lines[index] || '').trim().slice(0, 200),
+    context: lines.slice(start, end + 1)
+      .map((text, offset) => `${start + offset + 1 === lineNumber ? '>>>' : '   '} ${start + offset + 1}: ${text.slice(0, 200)}`)
+      .join('\n'),
+    recommendation: rule.recommendation,
+    source: 'custom',
+  };
+};
+
+/**
+ * Run an audit's custom rules on one file (the custom_rules check)
+ * @param {Object} source - From the shared scanner
+ * @param {Object} options - From getCustomRuleOptions()
+ * @returns {Promise<Object[]>} Issues
+ */
+export const scanCustomRules = async (source, { rules, jsPatterns }) => {
+  const { file, lines } = source;
+  const projectFile = toProjectPath(file);
+  const applies = (rule) => matchPatterns([projectFile], rule.files || jsPatterns).length > 0;
+  const issues = [];
+
+  rules.filter(applies).forEach((rule) => {
+    if (rule.pattern !== null) {
+      const regex = compile(`${rule.flags}/${rule.pattern}`, () => new RegExp(rule.pattern, rule.flags));
+      lines.forEach((line, index) => {
+        if (line.trim() && regex.test(line)) {
+          issues.push(createIssue(rule, file, lines, index + 1));
+        }
+      });
+    } else if (source.ast) {
+      // Selector rules need an AST; files that do not parse are skipped
+      const selector = compile(rule.selector, () => esquery.parse(rule.selector));
+      esquery.match(source.ast, selector, { fallback: getChildKeys }).forEach((node) => {
+        const location = nodeLocation(node);
+        issues.push(createIssue(rule, file, lines, location.line, location));
+      });
+    }
+  });
+
+  return issues;
+};
+
+/**
+ * The custom_rules file check of an audit (see src/scanner/file-checks.js); results
+ * are cached per set of rules
+ * @param {string} category - 'security' or 'performance'
+ */
+export const getCustomRulesCheck = (category) => ({
+  files: 'customRules',
+  run: scanCustomRules,
+  options: () => getCustomRuleOptions(category),
+  cacheKey: (options) => hashContent(JSON.stringify(options)),
+});
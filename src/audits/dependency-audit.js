@@ -3,15 +3,55 @@ import path from 'path';
 import { execSync } from 'child_process';
 import chalk from 'chalk';
 import { writeFile } from 'fs/promises';
+import semver from 'semver';
+import { getConfig } from '../config-loader.js';
+import {
+  readDependencyGraph,
+  groupByName,
+  addInstalledMetadata
+} from '../dependencies/lockfile.js';
+import { buildDependencyTree, readPackageSizes, writeDependencyGraphReport } from '../dependencies/dependency-tree.js';
+import { loadAdvisoryDatabase, matchAdvisories } from '../dependencies/advisories.js';
+import {
+  getLicensePolicy,
+  evaluateLicense,
+  resolvePackageLicense,
+  createNoticeEntry,
+  writeThirdPartyNotices
+} from '../dependencies/licenses.js';
 
 const BATCH_SIZE = 5;
+const ROOT_DEPENDENCY_GROUPS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+// Sort versions semver-aware, with anything that is not a version (git, tarball) last
+const compareVersions = (a, b) => {
+  if (semver.valid(a) && semver.valid(b)) return semver.compare(a, b);
+  return semver.valid(a) ? -1 : semver.valid(b) ? 1 : a.localeCompare(b);
+};
 
 /**
  * Dependency audit module for detecting dependency issues
  */
 export class DependencyAudit {
-  constructor(folderPath) {
+  /**
+   * @param {string} folderPath - Report folder
+   * @param {Object} [options]
+   * @param {string} [options.rootDir] - Repository root, where the lockfile is
+   * @param {Object} [options.workspace] - Workspace package to audit (from detectWorkspaces());
+   *   the whole project when omitted
+   * @param {string[]} [options.localPackages] - Names of the workspace's own packages, which are
+   *   linked rather than resolved from the lockfile
+   * @param {boolean} [options.writeProjectReports] - Save the dependency tree as
+   *   dependency-graph-report.json and the third-party notices (off when the caller combines
+   *   those of several packages)
+   */
+  constructor(folderPath, { rootDir = process.cwd(), workspace = null, localPackages = [], writeProjectReports = true } = {}) {
     this.folderPath = folderPath;
+    this.writeProjectReports = writeProjectReports;
+    this.rootDir = rootDir;
+    this.workspace = workspace;
+    this.projectDir = workspace ? workspace.path : rootDir;
+    this.localPackages = new Set(localPackages);
     this.dependencyIssues = [];
     this.issuesFile = path.join(this.folderPath, 'dependency-issues.jsonl');
     // Remove file if it exists from previous runs
@@ -28,11 +68,17 @@ export class DependencyAudit {
    */
   async checkOutdatedDependencies() {
     console.log(chalk.blue('📦 Checking for outdated dependencies...'));
+
+    // npm outdated needs the registry; there is no offline source for latest versions
+    if (getConfig().offline) {
+      console.log(chalk.gray('ℹ️  Offline mode: skipping outdated dependency check (needs the npm registry)'));
+      return;
+    }
     
     try {
       const outdatedResult = execSync('npm outdated --json', { 
         encoding: 'utf8', 
-        cwd: process.cwd(),
+        cwd: this.projectDir,
         stdio: 'pipe'
       });
       
@@ -87,38 +133,83 @@ export class DependencyAudit {
           console.warn(chalk.yellow('Warning: Could not parse outdated dependencies'));
         }
       } else {
-        console.warn(chalk.yellow('Warning: Could not check for outdated dependencies'));
+        console.warn(chalk.yellow('Warning: Could not check for outdated dependencies - npm outdated needs registry access. Set "offline": true in ui-code-insight.config.json to skip this check'));
       }
     }
   }
 
   /**
-   * Check for duplicate dependencies
+   * Resolved dependency graph from the project's lockfile, read once per audit and completed
+   * with licenses and peer dependencies from node_modules where the lockfile has none.
+   * Reports a missing lockfile; the lockfile-based checks are skipped without one.
+   */
+  getDependencyGraph() {
+    if (this.graph !== undefined) return this.graph;
+    try {
+      this.graph = this.workspace
+        ? readDependencyGraph(this.rootDir, { importer: this.workspace.dir })
+        : readDependencyGraph(this.rootDir);
+      if (this.graph) addInstalledMetadata(this.graph, this.rootDir);
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: Could not parse the lockfile: ${error.message}`));
+      this.graph = null;
+      return null;
+    }
+    if (!this.graph && fs.existsSync(path.join(this.projectDir, 'package.json'))) {
+      this.addDependencyIssue({
+        type: 'missing_lockfile',
+        severity: 'medium',
+        message: 'No package-lock.json, yarn.lock or pnpm-lock.yaml found',
+        recommendation: 'Commit the lockfile of your package manager so installs are reproducible'
+      });
+    }
+    return this.graph;
+  }
+
+  /**
+   * Check for duplicate dependencies: packages listed in both dependencies and devDependencies,
+   * and packages the lockfile resolves at more than one version
    */
   async checkDuplicateDependencies() {
     console.log(chalk.blue('📦 Checking for duplicate dependencies...'));
     
     try {
-      const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
-      const allDeps = { ...packageJson.dependencies, ...packageJson.devDependencies };
-      
-      const packageNames = Object.keys(allDeps);
-      for (let i = 0; i < packageNames.length; i += BATCH_SIZE) {
-        const batch = packageNames.slice(i, i + BATCH_SIZE);
-        batch.forEach((name, idx) => {
-          process.stdout.write(`\r[Duplicate Dependencies] Progress: ${i + idx + 1}/${packageNames.length} checked`);
-          if (packageNames.indexOf(name) !== i + idx) {
+      const packageJson = JSON.parse(fs.readFileSync(path.join(this.projectDir, 'package.json'), 'utf8'));
+      Object.keys(packageJson.dependencies || {})
+        .filter(name => packageJson.devDependencies?.[name])
+        .forEach(name => {
           this.addDependencyIssue({
             type: 'duplicate_dependency',
-              package: name,
+            package: name,
             severity: 'medium',
-              message: `Duplicate dependency found: ${name}`,
+            message: `${name} is listed in both dependencies and devDependencies`,
             recommendation: 'Remove duplicate entry from package.json'
           });
-          }
+        });
+
+      const graph = this.getDependencyGraph();
+      if (!graph) return;
+      const lockfile = path.relative(process.cwd(), graph.lockfile.path);
+      const direct = new Set(Object.values(graph.root).flatMap(group => Object.keys(group)));
+      const duplicates = [...groupByName(graph).entries()].filter(([, nodes]) => nodes.length > 1);
+
+      for (let i = 0; i < duplicates.length; i += BATCH_SIZE) {
+        const batch = duplicates.slice(i, i + BATCH_SIZE);
+        batch.forEach(([name, nodes], idx) => {
+          process.stdout.write(`\r[Duplicate Dependencies] Progress: ${i + idx + 1}/${duplicates.length} checked`);
+          const versions = nodes.map(node => node.version).sort(compareVersions);
+          this.addDependencyIssue({
+            type: 'duplicate_dependency',
+            package: name,
+            versions,
+            file: lockfile,
+            severity: direct.has(name) ? 'medium' : 'low',
+            message: `${name} is resolved at ${versions.length} versions: ${versions.join(', ')}`,
+            recommendation: `Align the version ranges that require ${name}, or pin one version with overrides/resolutions`
+          });
         });
       }
-      process.stdout.write(`\r[Duplicate Dependencies] Progress: ${packageNames.length}/${packageNames.length} checked\n`);
+      process.stdout.write(`\r[Duplicate Dependencies] Progress: ${duplicates.length}/${duplicates.length} checked\n`);
     } catch (error) {
       console.warn(chalk.yellow('Warning: Could not check for duplicate dependencies'));
     }
@@ -152,7 +243,7 @@ export class DependencyAudit {
         return;
       }
       // Run depcheck
-      const depcheckResult = spawnSync('npx', ['depcheck', '--json'], { encoding: 'utf8' });
+      const depcheckResult = spawnSync('npx', ['depcheck', '--json'], { encoding: 'utf8', cwd: this.projectDir });
       if (depcheckResult.error) {
         throw depcheckResult.error;
       }
@@ -228,81 +319,114 @@ export class DependencyAudit {
   }
 
   /**
-   * Check for missing dependencies
+   * Check for missing dependencies: declared in package.json but not resolved in the lockfile,
+   * or resolved at a version outside the declared range
    */
   async checkMissingDependencies() {
     console.log(chalk.blue('📦 Checking for missing dependencies...'));
     
     try {
-      const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
-      const allDeps = { ...packageJson.dependencies, ...packageJson.devDependencies };
-      
-      // Check if node_modules exists
-      if (!fs.existsSync('node_modules')) {
-        this.addDependencyIssue({
-          type: 'missing_node_modules',
-          severity: 'high',
-          message: 'node_modules directory not found',
-          recommendation: 'Run npm install to install dependencies'
+      const graph = this.getDependencyGraph();
+      if (!graph) return;
+      const lockfileName = path.basename(graph.lockfile.path);
+      const declared = ROOT_DEPENDENCY_GROUPS.flatMap(group =>
+        Object.entries(graph.manifest[group] || {}).map(([name, range]) => ({ group, name, range }))
+      );
+
+      for (let i = 0; i < declared.length; i += BATCH_SIZE) {
+        const batch = declared.slice(i, i + BATCH_SIZE);
+        batch.forEach(({ group, name, range }, idx) => {
+          process.stdout.write(`\r[Missing Packages] Progress: ${i + idx + 1}/${declared.length} checked`);
+          // workspace:, file:, git and alias specifiers are not version ranges
+          if (!semver.validRange(range) || this.localPackages.has(name)) return;
+          const id = graph.root[group][name];
+          if (!id) {
+            if (group === 'optionalDependencies') return;
+            this.addDependencyIssue({
+              type: 'missing_package',
+              package: name,
+              severity: 'high',
+              message: `Package ${name} is declared in package.json but missing from ${lockfileName}`,
+              recommendation: `Run ${graph.lockfile.installCommand} to update ${lockfileName}`
+            });
+            return;
+          }
+          const { version } = graph.packages.get(id);
+          if (semver.valid(version) && !semver.satisfies(version, range, { includePrerelease: true })) {
+            this.addDependencyIssue({
+              type: 'lockfile_out_of_sync',
+              package: name,
+              version,
+              requiredVersion: range,
+              severity: 'medium',
+              message: `${lockfileName} resolves ${name}@${version}, which does not satisfy ${range} from package.json`,
+              recommendation: `Run ${graph.lockfile.installCommand} to update ${lockfileName}`
+            });
+          }
         });
-        return;
-      }
-      
-      // Check for missing packages in node_modules
-      const depKeys = Object.keys(allDeps);
-      for (let i = 0; i < depKeys.length; i += BATCH_SIZE) {
-        const batch = depKeys.slice(i, i + BATCH_SIZE);
-        batch.forEach((packageName, idx) => {
-          process.stdout.write(`\r[Missing Packages] Progress: ${i + idx + 1}/${depKeys.length} checked`);
-        const packagePath = path.join('node_modules', packageName);
-        if (!fs.existsSync(packagePath)) {
-          this.addDependencyIssue({
-            type: 'missing_package',
-            package: packageName,
-            severity: 'high',
-            message: `Package ${packageName} is missing from node_modules`,
-            recommendation: `Run npm install to install ${packageName}`
-          });
-        }
-      });
       }
-      process.stdout.write(`\r[Missing Packages] Progress: ${depKeys.length}/${depKeys.length} checked\n`);
+      process.stdout.write(`\r[Missing Packages] Progress: ${declared.length}/${declared.length} checked\n`);
     } catch (error) {
       console.warn(chalk.yellow('Warning: Could not check for missing dependencies'));
     }
   }
 
   /**
-   * Check for peer dependency issues
+   * Check for peer dependency issues of the project and of every package in the lockfile
    */
   async checkPeerDependencies() {
     console.log(chalk.blue('📦 Checking peer dependencies...'));
     
     try {
-      const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
-      
-      if (packageJson.peerDependencies) {
-        const peerKeys = Object.keys(packageJson.peerDependencies);
-        for (let i = 0; i < peerKeys.length; i += BATCH_SIZE) {
-          const batch = peerKeys.slice(i, i + BATCH_SIZE);
-          batch.forEach((peerDep, idx) => {
-            process.stdout.write(`\r[Peer Dependencies] Progress: ${i + idx + 1}/${peerKeys.length} checked`);
-          const requiredVersion = packageJson.peerDependencies[peerDep];
-          const packagePath = path.join('node_modules', peerDep);
-          if (!fs.existsSync(packagePath)) {
-            this.addDependencyIssue({
-              type: 'missing_peer_dependency',
-              package: peerDep,
-              requiredVersion,
-              severity: 'high',
-              message: `Peer dependency ${peerDep}@${requiredVersion} is not installed`,
-              recommendation: `Install ${peerDep}@${requiredVersion}`
-            });
-          }
+      const graph = this.getDependencyGraph();
+      if (!graph) return;
+      const lockfileName = path.basename(graph.lockfile.path);
+      const byName = groupByName(graph);
+
+      const owners = [
+        { id: null, peerDependencies: graph.manifest.peerDependencies || {}, optionalPeers: [], dependencies: {} },
+        ...[...graph.packages.values()].filter(node => Object.keys(node.peerDependencies).length > 0)
+      ];
+      for (let i = 0; i < owners.length; i += BATCH_SIZE) {
+        const batch = owners.slice(i, i + BATCH_SIZE);
+        batch.forEach((owner, idx) => {
+          process.stdout.write(`\r[Peer Dependencies] Progress: ${i + idx + 1}/${owners.length} checked`);
+          Object.entries(owner.peerDependencies).forEach(([peerDep, requiredVersion]) => {
+            if (owner.optionalPeers.includes(peerDep) || this.localPackages.has(peerDep)) return;
+            // Prefer the version the lockfile resolved for this package (pnpm records it)
+            const resolvedId = owner.dependencies[peerDep];
+            const versions = resolvedId
+              ? [graph.packages.get(resolvedId).version]
+              : (byName.get(peerDep) || []).map(node => node.version);
+            const requiredBy = owner.id ? `${owner.id} requires peer ${peerDep}@${requiredVersion}` : `Peer dependency ${peerDep}@${requiredVersion}`;
+
+            if (versions.length === 0) {
+              this.addDependencyIssue({
+                type: 'missing_peer_dependency',
+                package: peerDep,
+                requiredVersion,
+                requiredBy: owner.id || undefined,
+                severity: owner.id ? 'medium' : 'high',
+                message: `${requiredBy} is not in ${lockfileName}`,
+                recommendation: `Install ${peerDep}@${requiredVersion}`
+              });
+            } else if (semver.validRange(requiredVersion) &&
+              !versions.some(version => semver.valid(version) && semver.satisfies(version, requiredVersion, { includePrerelease: true }))) {
+              this.addDependencyIssue({
+                type: 'incompatible_peer_dependency',
+                package: peerDep,
+                requiredVersion,
+                installedVersions: versions,
+                requiredBy: owner.id || undefined,
+                severity: 'medium',
+                message: `${requiredBy}, but ${lockfileName} resolves ${versions.join(', ')}`,
+                recommendation: `Install a version of ${peerDep} that satisfies ${requiredVersion}`
+              });
+            }
+          });
         });
-        }
-        process.stdout.write(`\r[Peer Dependencies] Progress: ${peerKeys.length}/${peerKeys.length} checked\n`);
       }
+      process.stdout.write(`\r[Peer Dependencies] Progress: ${owners.length}/${owners.length} checked\n`);
     } catch (error) {
       console.warn(chalk.yellow('Warning: Could not check peer dependencies'));
     }
@@ -315,7 +439,7 @@ export class DependencyAudit {
     console.log(chalk.blue('📦 Checking dependency sizes...'));
     
     try {
-      const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+      const packageJson = JSON.parse(fs.readFileSync(path.join(this.projectDir, 'package.json'), 'utf8'));
       const allDeps = { ...packageJson.dependencies, ...packageJson.devDependencies };
       
       // Known large packages
@@ -347,13 +471,14 @@ export class DependencyAudit {
   }
 
   /**
-   * Check for license compliance
+   * Check every package in the lockfile against the license policy (see licenses.js) and
+   * collect the attribution of the production packages for the third-party notices
    */
   async checkLicenseCompliance() {
     console.log(chalk.blue('📦 Checking license compliance...'));
     
     try {
-      const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+      const packageJson = JSON.parse(fs.readFileSync(path.join(this.projectDir, 'package.json'), 'utf8'));
       
       if (!packageJson.license) {
         this.addDependencyIssue({
@@ -364,49 +489,92 @@ export class DependencyAudit {
         });
       }
       
-      // Check for problematic licenses in dependencies
-      try {
-        const licenseResult = execSync('npx license-checker --json', { 
-          encoding: 'utf8', 
-          cwd: process.cwd(),
-          stdio: 'pipe'
-        });
-        
-        const licenseData = JSON.parse(licenseResult);
-        
-        const problematicLicenses = ['GPL', 'AGPL', 'LGPL'];
-        
-        const licenseKeys = Object.keys(licenseData);
-        for (let i = 0; i < licenseKeys.length; i += BATCH_SIZE) {
-          const batch = licenseKeys.slice(i, i + BATCH_SIZE);
-          batch.forEach((packageName, idx) => {
-            process.stdout.write(`\r[License Compliance] Progress: ${i + idx + 1}/${licenseKeys.length} checked`);
-          const packageInfo = licenseData[packageName];
-          if (packageInfo.licenses) {
-            problematicLicenses.forEach(license => {
-              if (packageInfo.licenses.includes(license)) {
-                this.addDependencyIssue({
-                  type: 'problematic_license',
-                  package: packageName,
-                  license: packageInfo.licenses,
-                  severity: 'medium',
-                  message: `Package ${packageName} uses ${packageInfo.licenses} license`,
-                  recommendation: 'Review license compatibility with your project'
-                });
-              }
+      const graph = this.getDependencyGraph();
+      if (!graph) return;
+      const policy = getLicensePolicy();
+      const nodes = [...graph.packages.values()];
+      this.licenseNotices = [];
+      let unknown = 0;
+
+      for (let i = 0; i < nodes.length; i += BATCH_SIZE) {
+        const batch = nodes.slice(i, i + BATCH_SIZE);
+        batch.forEach((node, idx) => {
+          process.stdout.write(`\r[License Compliance] Progress: ${i + idx + 1}/${nodes.length} checked`);
+          const resolved = resolvePackageLicense(node, this.rootDir);
+          if (!node.dev) this.licenseNotices.push(createNoticeEntry(node, resolved));
+          const evaluation = evaluateLicense(resolved.expression, policy);
+          if (evaluation.unknown) unknown++;
+          if (evaluation.status === 'allowed') return;
+
+          const license = resolved.expression || 'unknown';
+          const details = {
+            package: node.name,
+            version: node.version,
+            license,
+            licenseSource: resolved.source,
+            dev: node.dev
+          };
+          if (evaluation.unknown) {
+            this.addDependencyIssue({
+              type: 'unknown_license',
+              ...details,
+              severity: evaluation.status === 'denied' ? 'high' : 'medium',
+              message: `License of package ${node.id} could not be determined`,
+              recommendation: 'Check the package license by hand and add it to the license policy'
+            });
+          } else if (evaluation.status === 'denied') {
+            this.addDependencyIssue({
+              type: 'denied_license',
+              ...details,
+              severity: 'high',
+              message: `Package ${node.id} uses ${license}, which the license policy denies (${evaluation.licenses.join(', ')})`,
+              recommendation: 'Replace the package, or get a license exception approved and allow it in the license policy'
+            });
+          } else {
+            this.addDependencyIssue({
+              type: 'problematic_license',
+              ...details,
+              severity: 'medium',
+              message: `Package ${node.id} uses ${license} license, which needs a license review (${evaluation.licenses.join(', ')})`,
+              recommendation: 'Review license compatibility with your project'
             });
           }
         });
-        }
-        process.stdout.write(`\r[License Compliance] Progress: ${licenseKeys.length}/${licenseKeys.length} checked\n`);
-      } catch (licenseError) {
-        console.warn(chalk.yellow('Warning: Could not check dependency licenses (license-checker not available)'));
+      }
+      process.stdout.write(`\r[License Compliance] Progress: ${nodes.length}/${nodes.length} checked\n`);
+      if (unknown > 0) {
+        console.log(chalk.gray(`ℹ️  ${unknown} package(s) without a recognizable license in ${path.basename(graph.lockfile.path)}, package.json or LICENSE files (run an install to fill them in)`));
       }
     } catch (error) {
       console.warn(chalk.yellow('Warning: Could not check license compliance'));
     }
   }
 
+  /**
+   * Dependency tree for the dashboard: what each direct dependency pulls in, its size and
+   * duplicated or vulnerable packages (vulnerabilities come from the offline advisory database)
+   * @returns {Object|null} From buildDependencyTree(), null without a lockfile
+   */
+  buildDependencyTree() {
+    console.log(chalk.blue('📦 Building dependency tree...'));
+    const graph = this.getDependencyGraph();
+    if (!graph) return null;
+
+    let vulnerabilities = [];
+    try {
+      const database = loadAdvisoryDatabase();
+      if (database) vulnerabilities = matchAdvisories([...graph.packages.values()], database);
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: Could not read the advisory database: ${error.message}`));
+    }
+    return buildDependencyTree(graph, {
+      name: this.workspace?.name,
+      dir: this.workspace?.dir,
+      sizes: readPackageSizes(graph, this.rootDir),
+      vulnerabilities
+    });
+  }
+
   /**
    * Run all dependency checks
    */
@@ -420,8 +588,27 @@ export class DependencyAudit {
     await this.checkPeerDependencies();
     await this.checkDependencySizes();
     await this.checkLicenseCompliance();
+
+    try {
+      this.dependencyTree = this.buildDependencyTree();
+      if (this.dependencyTree && this.writeProjectReports) {
+        const graphReportPath = await writeDependencyGraphReport(this.folderPath, [this.dependencyTree]);
+        console.log(chalk.green(`✅ Dependency graph saved to: ${graphReportPath}`));
+      }
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: Could not build the dependency tree: ${error.message}`));
+    }
+    if (this.licenseNotices && this.writeProjectReports) {
+      try {
+        const noticesPath = await writeThirdPartyNotices(this.folderPath, this.licenseNotices, this.getDependencyGraph()?.manifest.name);
+        console.log(chalk.green(`✅ Third-party notices saved to: ${noticesPath}`));
+      } catch (error) {
+        console.warn(chalk.yellow(`Warning: Could not write the third-party notices: ${error.message}`));
+      }
+    }
     
-    this.issueStream.end();
+    // Wait for pending writes, otherwise the last issues are missing from the file
+    await new Promise(resolve => this.issueStream.end(resolve));
     // Load issues from file
     if (fs.existsSync(this.issuesFile)) {
       const lines = fs.readFileSync(this.issuesFile, 'utf8').split('\n').filter(Boolean);
@@ -23,7 +23,7 @@ export class LighthouseAudit {
    * Combine Lighthouse data from multiple URLs into a single report
    */
   async combineLightHouseData(urls) {
-    const folderPath = path.resolve(process.cwd(), "report");
+    const folderPath = this.folderPath;
     const lightHouseResult = [];
     
     for (const url of urls) {
@@ -157,7 +157,7 @@ export class LighthouseAudit {
       return [];
     }
 
-    const folderPath = path.resolve(process.cwd(), "report");
+    const folderPath = this.folderPath;
     await fs.mkdir(folderPath, { recursive: true });
 
     console.log(chalk.blue(`🚀 Running Lighthouse audit on ${urls.length} URL(s) for desktop and mobile...`));
@@ -335,7 +335,7 @@ export class LighthouseAudit {
   async generateCustomHtmlReport(url, deviceType, reportData) {
     const outputName = url.replace(/^https?:\/\//, "").replace(/\//g, "");
     const deviceSuffix = deviceType === 'mobile' ? '.mobile' : '.desktop';
-    const htmlOutputPath = path.join(path.resolve(process.cwd(), "report"), `${outputName}${deviceSuffix}.custom.html`);
+    const htmlOutputPath = path.join(this.folderPath, `${outputName}${deviceSuffix}.custom.html`);
     
     const htmlContent = this.createCustomHtmlReport(url, deviceType, reportData);
     await fs.writeFile(htmlOutputPath, htmlContent);
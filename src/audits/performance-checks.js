@@ -0,0 +1,281 @@
+import path from 'path';
+import { digestFile } from '../utils/scan-cache.js';
+import { getAuditLintOptions, lintSource } from '../eslint/lint-file.js';
+import { getLineContext } from '../scanner/source-file.js';
+import { getCustomRulesCheck } from './custom-rules.js';
+import {
+  walk, findNodes, nodeLocation, nodeText, isFunction, getComponent, getEnclosingFunction, getCalleeName,
+} from '../scanner/ast-utils.js';
+
+/**
+ * Per-file performance code checks
+ * Each check gets a file already read by the shared scanner (see src/scanner) and
+ * returns its issues, so checks run on the worker pool and their results are cached.
+ */
+
+/**
+ * Inefficient loops and operations
+ * @param {Object} source - From the shared scanner
+ * @returns {Promise<Object[]>} Issues found in the file
+ */
+export async function scanInefficientOperations({ file, lines }) {
+  const issues = [];
+  const inefficientPatterns = [
+    {
+      pattern: /for\s*\(\s*let\s+\w+\s*=\s*0;\s*\w+\s*<\s*array\.length;\s*\w+\+\+\)/g,
+      message: 'Consider using forEach or for...of instead of traditional for loop',
+      severity: 'low'
+    },
+    {
+      pattern: /\.map\(.*\)\.filter\(.*\)/g,
+      message: 'Consider combining map and filter operations',
+      severity: 'low'
+    },
+    {
+      pattern: /\.filter\(.*\)\.map\(.*\)/g,
+      message: 'Consider combining filter and map operations',
+      severity: 'low'
+    },
+    {
+      pattern: /JSON\.parse\(JSON\.stringify\(/g,
+      message: 'Deep cloning with JSON.parse/stringify is inefficient',
+      severity: 'medium'
+    },
+    {
+      pattern: /\.innerHTML\s*=\s*['"`][^'"`]*['"`]/g,
+      message: 'Consider using textContent for text-only content',
+      severity: 'low'
+    }
+  ];
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    for (const { pattern, message, severity } of inefficientPatterns) {
+      if (pattern.test(line)) {
+        const { code, context } = getLineContext(lines, index + 1);
+        issues.push({
+          type: 'inefficient_operation',
+          file,
+          line: index + 1,
+          severity,
+          message,
+          code,
+          context,
+          source: 'custom'
+        });
+      }
+    }
+  }
+  return issues;
+}
+
+const MEMORY_LEAK_MESSAGES = {
+  addEventListener: { message: 'Event listener added without removal - potential memory leak', severity: 'medium' },
+  setInterval: { message: 'setInterval used without clearInterval - potential memory leak', severity: 'high' },
+  setTimeout: { message: 'setTimeout used without clearTimeout - potential memory leak', severity: 'medium' },
+};
+
+// What cleans up after each call, looked for in the same component
+const CLEANUP_CALLS = {
+  addEventListener: 'removeEventListener',
+  setInterval: 'clearInterval',
+  setTimeout: 'clearTimeout',
+};
+
+const isTrue = (node) => node?.type === 'Literal' && node.value === true;
+
+// A listener that removes itself: addEventListener(type, handler, { once: true })
+const isOnceListener = (call) => {
+  const options = call.arguments[2];
+  return options?.type === 'ObjectExpression' && options.properties.some(property =>
+    property.type === 'Property' && (property.key.name === 'once' || property.key.value === 'once') &&
+    isTrue(property.value)
+  );
+};
+
+/**
+ * Listeners and timers that are never cleaned up
+ * A listener counts as removed when the same component (outermost function or class)
+ * calls removeEventListener with the same event and handler; a timer when the
+ * component clears that kind of timer.
+ * @param {Object} source - From the shared scanner
+ * @returns {Promise<Object[]>} Issues found in the file
+ */
+export async function scanMemoryLeaks(source) {
+  const { file, lines, ast } = source;
+  if (!ast) return scanMemoryLeakLines(source);
+
+  const calls = findNodes(ast, 'CallExpression').map(({ node, ancestors }) => ({
+    node,
+    name: getCalleeName(node),
+    component: getComponent(ancestors),
+  }));
+  const argumentText = (call, count) => call.arguments.slice(0, count).map(arg => nodeText(source, arg)).join(',');
+  const isCleanedUp = ({ node, name, component }) => calls.some(other => {
+    if (other.component !== component || other.name !== CLEANUP_CALLS[name]) return false;
+    if (name !== 'addEventListener') return true;
+    // An inline function is a new handler each time, so it can never be removed
+    return !isFunction(node.arguments[1]) && argumentText(other.node, 2) === argumentText(node, 2);
+  });
+
+  const issues = [];
+  for (const call of calls) {
+    if (!MEMORY_LEAK_MESSAGES[call.name] || call.node.arguments.length === 0) continue;
+    if (call.name === 'addEventListener' && isOnceListener(call.node)) continue;
+    if (isCleanedUp(call)) continue;
+    const location = nodeLocation(call.node);
+    const { code, context } = getLineContext(lines, location.line);
+    issues.push({
+      type: 'memory_leak',
+      file,
+      ...location,
+      ...MEMORY_LEAK_MESSAGES[call.name],
+      code,
+      context,
+      source: 'custom'
+    });
+  }
+  return issues;
+}
+
+// Line patterns for files that do not parse
+function scanMemoryLeakLines({ file, lines }) {
+  const issues = [];
+  const memoryLeakPatterns = [
+    { pattern: /addEventListener\([^)]+\)(?!\s*removeEventListener)/g, ...MEMORY_LEAK_MESSAGES.addEventListener },
+    { pattern: /setInterval\([^)]+\)(?!\s*clearInterval)/g, ...MEMORY_LEAK_MESSAGES.setInterval },
+    { pattern: /setTimeout\([^)]+\)(?!\s*clearTimeout)/g, ...MEMORY_LEAK_MESSAGES.setTimeout },
+  ];
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    for (const { pattern, message, severity } of memoryLeakPatterns) {
+      pattern.lastIndex = 0;
+      if (pattern.test(line)) {
+        const { code, context } = getLineContext(lines, index + 1);
+        issues.push({
+          type: 'memory_leak',
+          file,
+          line: index + 1,
+          severity,
+          message,
+          code,
+          context,
+          source: 'custom'
+        });
+      }
+    }
+  }
+  return issues;
+}
+
+// while (true), for (;;) and do {} while (true)
+const isEndlessLoop = (node) =>
+  (node.type === 'WhileStatement' && isTrue(node.test)) ||
+  (node.type === 'DoWhileStatement' && isTrue(node.test)) ||
+  (node.type === 'ForStatement' && node.test === null);
+
+// Whether the loop awaits, leaving the event loop free between iterations
+const hasAwait = (loop) => findNodes(loop.body, 'AwaitExpression')
+  .some(({ ancestors }) => !ancestors.some(isFunction));
+
+/**
+ * Synchronous/blocking code in async functions: endless loops that never await,
+ * and *Sync() calls such as fs.readFileSync()
+ * @param {Object} source - From the shared scanner
+ * @returns {Promise<Object[]>} Issues found in the file
+ */
+export async function scanBlockingCodeInAsync({ file, lines, ast }) {
+  const issues = [];
+  if (!ast) return issues;
+
+  walk(ast, (node, ancestors) => {
+    if (!getEnclosingFunction(ancestors)?.async) return;
+    const blocking = node.type === 'CallExpression'
+      ? /\wSync$/.test(getCalleeName(node) || '')
+      : isEndlessLoop(node) && !hasAwait(node);
+    if (!blocking) return;
+
+    const location = nodeLocation(node);
+    const { code, context } = getLineContext(lines, location.line);
+    issues.push({
+      type: 'blocking_code_in_async',
+      file,
+      ...location,
+      severity: 'medium',
+      message: 'Potential blocking code in async context',
+      code,
+      context,
+      source: "custom"
+    });
+  });
+  return issues;
+}
+
+/**
+ * eslint-plugin-promise findings
+ * @param {Object} source - From the shared scanner
+ * @param {Object} options - From getAuditLintOptions()
+ * @param {string} options.configFile - ESLint config with the promise plugin
+ * @returns {Promise<Object[]>} Issues found in the file
+ */
+export async function scanESLintPromise(source, { configFile }) {
+  const messages = await lintSource(source, configFile);
+  return messages
+    .filter(message => message.ruleId.startsWith('promise/'))
+    .map(message => ({
+      type: 'eslint_promise',
+      file: source.file,
+      line: message.line,
+      severity: message.severity === 2 ? 'high' : 'medium',
+      message: message.message,
+      ruleId: message.ruleId,
+      ...getLineContext(source.lines, message.line),
+      source: 'eslint'
+    }));
+}
+
+/**
+ * Unused variables and imports, from the same lint as scanESLintPromise
+ * @param {Object} source - From the shared scanner
+ * @param {Object} options - From getAuditLintOptions()
+ * @returns {Promise<Object[]>} Issues found in the file
+ */
+export async function scanUnusedCode(source, { configFile }) {
+  const messages = await lintSource(source, configFile);
+  return messages
+    .filter(message => message.ruleId === 'no-unused-vars' || message.ruleId === '@typescript-eslint/no-unused-vars')
+    .map(message => ({
+      type: 'unused_code',
+      file: source.file,
+      line: message.line,
+      severity: 'low',
+      message: 'Unused variable or import detected',
+      ruleId: message.ruleId,
+      ...getLineContext(source.lines, message.line),
+      source: 'eslint'
+    }));
+}
+
+/**
+ * Checks by id; "files" names the file set they run on (see src/scanner/file-scanner.js).
+ * "options" is resolved once on the main thread and "cacheKey" adds to the scan cache scope.
+ */
+export const PERFORMANCE_FILE_CHECKS = {
+  inefficient_operations: { files: 'js', run: scanInefficientOperations },
+  memory_leaks: { files: 'js', run: scanMemoryLeaks },
+  blocking_code_in_async: { files: 'js', run: scanBlockingCodeInAsync },
+  unused_code: {
+    files: 'js',
+    run: scanUnusedCode,
+    options: getAuditLintOptions,
+    cacheKey: ({ configFile }) => digestFile(configFile),
+  },
+  eslint_promise: {
+    files: 'js',
+    run: scanESLintPromise,
+    options: getAuditLintOptions,
+    cacheKey: ({ configFile }) => digestFile(configFile),
+  },
+  custom_rules: getCustomRulesCheck('performance'),
+};
@@ -3,142 +3,18 @@ import fsp from "fs/promises";
 import path from 'path';
 import { execSync } from 'child_process';
 import chalk from 'chalk';
-import { globby } from 'globby';
-import { getConfigPattern } from '../config-loader.js';
-import { ESLint } from "eslint";
-import { fileURLToPath } from 'url';
+import { getConfig } from '../config-loader.js';
 import pLimit from 'p-limit';
 import { getMergedExcludeRules } from '../config-loader.js';
+import { scanGitHistory } from '../secrets/git-history-scanner.js';
+import { applySuppressions, getSuppressionSummary } from '../utils/suppressions.js';
+import { isChangedFilesMode } from '../utils/changed-files.js';
+import { getFileScan } from '../scanner/file-scanner.js';
+import { readResolvedPackages } from '../dependencies/lockfile.js';
+import { loadAdvisoryDatabase, getAdvisoryDatabasePath, matchAdvisories } from '../dependencies/advisories.js';
 import puppeteer from 'puppeteer';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const CONFIG_FOLDER = "config";
-const ESLINTRC_JSON = ".eslintrc.json";
-const ESLINTRC_JS = ".eslintrc.js";
-const ESLINTRC_YML = ".eslintrc.yml";
-const ESLINTRC = ".eslintrc";
-const ESLINTRC_REACT = "eslintrc.react.json";
-const ESLINTRC_NODE = "eslintrc.node.json";
-const ESLINTRC_VANILLA = "eslintrc.vanilla.json";
-const ESLINTRC_TS = "eslintrc.typescript.json";
-const ESLINTRC_TSREACT = "eslintrc.tsreact.json";
-
-const getLintConfigFile = (recommendedLintRules = false, projectType = '') => {
-  const __filename = fileURLToPath(import.meta.url);
-  const __dirname = path.dirname(__filename);
-  let configFileName = 'eslintrc.simple.json'; // Default to simple config
-
-  if (projectType && typeof projectType === 'string') {
-    const type = projectType.toLowerCase();
-    if (type === 'react') configFileName = ESLINTRC_REACT;
-    else if (type === 'node') configFileName = ESLINTRC_NODE;
-    else if (type === 'vanilla') configFileName = ESLINTRC_VANILLA;
-    else if (type === 'typescript') configFileName = ESLINTRC_TS;
-    else if (type === 'typescript + react' || type === 'tsreact') configFileName = ESLINTRC_TSREACT;
-  }
-
-  const configFilePath = path.join(__dirname, CONFIG_FOLDER, configFileName);
-  
-  // Check if the target config exists, otherwise fallback to simple config
-  if (fs.existsSync(configFilePath)) {
-    return configFilePath;
-  }
-
-  // Fallback to simple config to avoid module resolution issues
-  const simpleConfigPath = path.join(__dirname, CONFIG_FOLDER, 'eslintrc.simple.json');
-  if (fs.existsSync(simpleConfigPath)) {
-    console.log(chalk.yellow(`⚠️  Using simplified ESLint config to avoid module resolution issues`));
-    return simpleConfigPath;
-  }
-
-  // Final fallback to default logic
-  const recommendedLintRulesConfigFile = path.join(__dirname, CONFIG_FOLDER, ESLINTRC_JSON);
-  const moduleDir = path.join(process.cwd(), "node_modules", "ui-code-insight");
-  const eslintLintFilePathFromModule = path.join(moduleDir, ESLINTRC_JSON);
-
-  if (recommendedLintRules) {
-    return recommendedLintRulesConfigFile;
-  }
-
-  const configFiles = [
-    ESLINTRC,
-    ESLINTRC_JS,
-    ESLINTRC_YML,
-    ESLINTRC_JSON,
-    eslintLintFilePathFromModule,
-  ];
-
-  const foundConfig = configFiles.find((file) => fs.existsSync(file));
-  
-  // If no config found, return simple config to avoid node_modules
-  return foundConfig || simpleConfigPath;
-};
-
-// Helper to get code and context lines
-async function getCodeContext(filePath, line, contextRadius = 2) {
-  try {
-    const content = await fsp.readFile(filePath, "utf8");
-    const lines = content.split('\n');
-    const idx = line - 1;
-    const start = Math.max(0, idx - contextRadius);
-    const end = Math.min(lines.length - 1, idx + contextRadius);
-    const code = (lines[idx] || '').slice(0, 200) + ((lines[idx] || '').length > 200 ? '... (truncated)' : '');
-    const context = lines.slice(start, end + 1)
-      .map((l, i) => {
-        const n = start + i + 1;
-        let lineText = l.length > 200 ? l.slice(0, 200) + '... (truncated)' : l;
-        const marker = n === line ? '>>>' : '   ';
-        return `${marker} ${n}: ${lineText}`;
-      }).join('\n');
-    return { code, context };
-  } catch {
-    return { code: '', context: '' };
-  }
-}
-
-// Memory management constants
-const BATCH_SIZE = process.env.SECURITY_BATCH_SIZE ? 
-  parseInt(process.env.SECURITY_BATCH_SIZE) : 
-  (process.env.NODE_ENV === 'production' ? 25 : 50);
-const MAX_FILES_PER_BATCH = 500;
-const MEMORY_THRESHOLD = process.env.SECURITY_MEMORY_THRESHOLD ? 
-  parseFloat(process.env.SECURITY_MEMORY_THRESHOLD) : 0.7;
 const MAX_IN_MEMORY_ISSUES = 5000;
-const FORCE_GC_INTERVAL = 50;
-
-// Memory management class
-class MemoryManager {
-  static getMemoryUsage() {
-    const usage = process.memoryUsage();
-    return {
-      heapUsed: usage.heapUsed / 1024 / 1024,
-      heapTotal: usage.heapTotal / 1024 / 1024,
-      external: usage.external / 1024 / 1024
-    };
-  }
-
-  static isMemoryHigh() {
-    const usage = this.getMemoryUsage();
-    return usage.heapUsed / usage.heapTotal > MEMORY_THRESHOLD;
-  }
-
-  static async forceGarbageCollection() {
-    if (global.gc) {
-      global.gc();
-      // Force multiple GC cycles for better cleanup
-      await new Promise(resolve => setTimeout(resolve, 50));
-      if (global.gc) global.gc();
-      await new Promise(resolve => setTimeout(resolve, 50));
-    }
-  }
-
-  static logMemoryUsage(label = '') {
-    const usage = this.getMemoryUsage();
-    console.log(chalk.gray(`[Memory] ${label}: Heap ${usage.heapUsed.toFixed(1)}MB / ${usage.heapTotal.toFixed(1)}MB`));
-  }
-}
 
 export class SecurityAudit {
   constructor(folderPath) {
@@ -149,47 +25,26 @@ export class SecurityAudit {
   }
 
   /**
-   * Process files in batches with memory management
+   * Add the issues of a per-file check (see security-checks.js) from the shared file scan
+   * @param {string} check - Key of SECURITY_FILE_CHECKS
    */
-  async processFilesInBatches(files, processor, auditType = 'security') {
-    const batches = [];
-    for (let i = 0; i < files.length; i += MAX_FILES_PER_BATCH) {
-      batches.push(files.slice(i, i + MAX_FILES_PER_BATCH));
-    }
-
-    let batchProcessedFiles = 0;
-    let filesSinceLastGC = 0;
+  async addCheckIssues(check) {
+    if (!this.fileScan) this.fileScan = getFileScan('security');
+    const issues = await this.fileScan.getIssues(`security:${check}`);
+    issues.forEach(issue => this.addFileIssue(issue));
+    console.log(chalk.green(`✅ ${check} check completed: ${issues.length} issue(s)`));
+  }
 
-    for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-      const batch = batches[batchIndex];
-      
-      // Check memory before processing batch
-      if (MemoryManager.isMemoryHigh()) {
-        console.log(chalk.yellow('⚠️ High memory usage detected, forcing garbage collection...'));
-        MemoryManager.logMemoryUsage(`Before batch ${batchIndex + 1}`);
-        await MemoryManager.forceGarbageCollection();
-      }
-
-      console.log(chalk.gray(`Processing batch ${batchIndex + 1}/${batches.length} (${batch.length} files)`));
-      
-      // Process sub-batches for better memory control
-      for (let i = 0; i < batch.length; i += BATCH_SIZE) {
-        const subBatch = batch.slice(i, i + BATCH_SIZE);
-        await Promise.all(subBatch.map(processor));
-        
-        batchProcessedFiles += subBatch.length;
-        filesSinceLastGC += subBatch.length;
-        process.stdout.write(`\r[Progress] ${batchProcessedFiles}/${files.length} files processed`);
-        
-        // Force GC more frequently
-        if (filesSinceLastGC >= FORCE_GC_INTERVAL) {
-          await MemoryManager.forceGarbageCollection();
-          filesSinceLastGC = 0;
-        }
+  addFileIssue(issue) {
+    if (this.issueCount >= MAX_IN_MEMORY_ISSUES) {
+      if (!this.issueLimitReached) {
+        console.warn(chalk.yellow('⚠️ Maximum in-memory issues reached, skipping further issues'));
+        this.issueLimitReached = true;
       }
+      return;
     }
-    
-    console.log(chalk.green(`\n✅ ${auditType} audit completed: ${batchProcessedFiles} files processed`));
+    this.securityIssues.push(issue);
+    this.issueCount++;
   }
 
   /**
@@ -220,141 +75,76 @@ export class SecurityAudit {
     }
   }
 
-  printContext(lines, index) {
-    const contextStart = Math.max(0, index - 2);
-    const contextEnd = Math.min(lines.length - 1, index + 2);
-    return lines.slice(contextStart, contextEnd + 1)
-      .map((line, i) => {
-        const lineNum = contextStart + i + 1;
-        const marker = lineNum === index + 1 ? chalk.red('>>>') : '   ';
-        return `${marker} ${lineNum}: ${line}`;
-      }).join('\n');
-  }
-
   /**
    * Check for hardcoded secrets
    */
   async checkForSecrets() {
     console.log(chalk.blue('🔒 Checking for hardcoded secrets...'));
-  
-    const secretPatterns = [
-      /\b(const|let|var)\s+\w*(password|api[_-]?key|secret|token|auth|access[_-]?token|refresh[_-]?token|private[_-]?key|client[_-]?id|client[_-]?secret|firebase[_-]?key|connection\s*string)\w*\s*=\s*['"][^'"`]+['"]/i,
-      /['"]?(password|api[_-]?key|secret|token|auth|access[_-]?token|refresh[_-]?token|private[_-]?key|client[_-]?id|client[_-]?secret)['"]?\s*:\s*['"][^'"`]+['"]/i,
-      /\b(PASSWORD|SECRET|TOKEN|KEY|ACCESS_KEY|PRIVATE_KEY)\s*=\s*[^'"`\n\r]+/i,
-      /-----BEGIN\s+\w+PRIVATE KEY-----[\s\S]+?-----END\s+\w+PRIVATE KEY-----/g,
-      /\b(const|let|var)\s+\w*(api|access|secret|auth|token|key)\w*\s*=\s*['"][\w\-]{16,}['"]/i,
-    ];
-  
+
     try {
-      const files = await globby(getConfigPattern('jsFilePathPattern'), {
-        absolute: true,
-      });
-      console.log(chalk.gray(`📁 Scanning ${files.length} files for secrets...`));
-      
-      const processor = async (file) => {
-        try {
-          const content = await fsp.readFile(file, 'utf8');
-          const lines = content.split('\n');
-          
-          for (let index = 0; index < lines.length; index++) {
-            const line = lines[index];
-            const trimmed = line.trim();
-            if (!trimmed || trimmed.startsWith('//')) continue;
-            
-            for (const pattern of secretPatterns) {
-              if (
-                pattern.test(trimmed) &&
-                /=\s*['"][^'"`]+['"]/ .test(trimmed) &&
-                !/(===|!==|==|!=)/.test(trimmed) &&
-                !/\w+\s*\(/.test(trimmed) &&
-                !/`.*`/.test(trimmed)
-              ) {
-                // Limit in-memory issues
-                if (this.issueCount >= MAX_IN_MEMORY_ISSUES) {
-                  console.warn(chalk.yellow('⚠️ Maximum in-memory issues reached, skipping further issues'));
-                  return;
-                }
-                
-                this.securityIssues.push({
-                  type: 'hardcoded_secret',
-                  file,
-                  line: index + 1,
-                  severity: 'high',
-                  message: 'Potential hardcoded secret detected',
-                  code: trimmed,
-                  context: this.printContext(lines, index),
-                });
-                this.issueCount++;
-                break;
-              }
-            }
-          }
-          
-          // Clear lines array to free memory
-          lines.length = 0;
-        } catch (err) {
-          console.warn(chalk.yellow(`⚠️ Could not read file ${file}: ${err.message}`));
-        }
-      };
-      
-      await this.processFilesInBatches(files, processor, 'secrets');
-      
+      await this.addCheckIssues('secrets');
     } catch (err) {
-      console.error(chalk.red(`❌ Failed to glob files: ${err.message}`));
+      console.error(chalk.red(`❌ Failed to scan for secrets: ${err.message}`));
     }
   }
-  
+
   /**
-   * Common function to scan files with given patterns
+   * Match the lockfile's resolved versions against the offline advisory database
+   * @param {Object} database - From loadAdvisoryDatabase()
    */
-  async patternScan(files, patterns, type) {
-    const processor = async (file) => {
-      try {
-        const content = await fs.readFile(file, 'utf8');
-        const lines = content.split('\n');
-        
-        for (let index = 0; index < lines.length; index++) {
-          const line = lines[index];
-          const trimmed = line.trim();
-          if (!trimmed || trimmed.startsWith('//')) continue;
-          
-          for (const { pattern, message, severity } of patterns) {
-            if (pattern.test(trimmed)) {
-              // Limit in-memory issues
-              if (this.issueCount >= MAX_IN_MEMORY_ISSUES) {
-                console.warn(chalk.yellow('⚠️ Maximum in-memory issues reached, skipping further issues'));
-                return;
-              }
-              
-              this.securityIssues.push({
-                type,
-                file,
-                line: index + 1,
-                severity,
-                message,
-                code: trimmed,
-                context: this.printContext(lines, index)
-              });
-              this.issueCount++;
-            }
-          }
-        }
-        
-        // Clear lines array to free memory
-        lines.length = 0;
-      } catch (err) {
-        console.warn(chalk.yellow(`⚠️ Could not read file ${file}: ${err.message}`));
-      }
-    };
-    
-    await this.processFilesInBatches(files, processor, type);
+  checkOfflineAdvisories(database) {
+    const resolved = readResolvedPackages();
+    if (!resolved) {
+      console.warn(chalk.yellow('⚠️  No package-lock.json, yarn.lock or pnpm-lock.yaml found; skipping dependency vulnerability check'));
+      return;
+    }
+    const lockfile = path.relative(process.cwd(), resolved.lockfile.path);
+    console.log(chalk.gray(`📦 Matching ${resolved.packages.length} packages from ${lockfile} against ${database.advisories.length} advisories...`));
+
+    matchAdvisories(resolved.packages, database).forEach(({ name, version, advisory, fixedIn }) => {
+      this.securityIssues.push({
+        type: 'dependency_vulnerability',
+        ruleId: advisory.id,
+        package: name,
+        version,
+        file: lockfile,
+        severity: advisory.severity,
+        message: `${name}@${version}: ${advisory.summary} (${advisory.id})`,
+        code: `${name}@${version}`,
+        recommendation: fixedIn ? `Update ${name} to ${fixedIn} or later` : `No patched version of ${name} is listed; replace the package or mitigate the issue`,
+        advisory: {
+          id: advisory.id,
+          aliases: advisory.aliases,
+          url: advisory.url,
+          vulnerableRanges: advisory.vulnerableRanges,
+        },
+        fixedIn,
+        source: 'advisory-database',
+      });
+    });
   }
 
 /**
-   * Check for outdated dependencies with known vulnerabilities
+   * Check for outdated dependencies with known vulnerabilities.
+   * Uses the offline advisory database when there is one, npm audit otherwise.
    */
 async checkDependencyVulnerabilities() {
   console.log(chalk.blue('🔒 Checking for dependency vulnerabilities...'));
+
+  let database = null;
+  try {
+    database = loadAdvisoryDatabase();
+  } catch (error) {
+    console.warn(chalk.yellow(`⚠️  Could not load advisory database: ${error.message}`));
+  }
+  if (database) {
+    this.checkOfflineAdvisories(database);
+    return;
+  }
+  if (getConfig().offline) {
+    console.log(chalk.gray('ℹ️  Offline mode: skipping npm audit. Import an advisory database with "ui-code-insight advisories import <dump>"'));
+    return;
+  }
   
   try {
     // Run npm audit to check for vulnerabilities
@@ -408,243 +198,35 @@ async checkDependencyVulnerabilities() {
         console.warn(chalk.yellow('Warning: Could not parse npm audit results'));
       }
     } else {
-      console.warn(chalk.yellow('Warning: Could not run npm audit - this may be due to network issues or npm configuration'));
+      console.warn(chalk.yellow('Warning: Could not run npm audit - this may be due to network issues or npm configuration. Without network access, import an advisory database with "ui-code-insight advisories import <dump>"'));
     }
   }
 }
 
   async checkESLintSecurityIssues() {
     console.log(chalk.blue('🔍 Checking for security issues with ESLint plugins...'));
-    const issuesFile = path.join(this.folderPath, 'security-issues.jsonl');
-    // Remove file if it exists from previous runs
-    if (fs.existsSync(issuesFile)) fs.unlinkSync(issuesFile);
-    const stream = fs.createWriteStream(issuesFile, { flags: 'a' });
+    // Linted on the worker pool with the config resolved once for the scan (see getAuditLintOptions)
     try {
-      const eslintConfig = getLintConfigFile();
-      if (!eslintConfig) {
-        throw new Error(".eslintrc file is missing");
-      }
-      
-      let eslint;
-      try {
-        eslint = new ESLint({
-          useEslintrc: false,
-          overrideConfigFile: eslintConfig,
-          errorOnUnmatchedPattern: false,
-          allowInlineConfig: false
-        });
-      } catch (initError) {
-        console.warn(chalk.yellow(`⚠️ ESLint initialization failed with config ${eslintConfig}, falling back to simple config`));
-        const simpleConfigPath = path.join(__dirname, CONFIG_FOLDER, 'eslintrc.simple.json');
-        if (fs.existsSync(simpleConfigPath)) {
-          eslint = new ESLint({
-            useEslintrc: false,
-            overrideConfigFile: simpleConfigPath,
-            errorOnUnmatchedPattern: false,
-            allowInlineConfig: false
-          });
-        } else {
-          throw new Error("No valid ESLint configuration found");
-        }
-      }
-      const files = await globby(getConfigPattern('jsFilePathPattern'));
-      let processed = 0;
-      for (const file of files) {
-        try {
-          const results = await eslint.lintFiles([file]);
-          
-          // Validate results before processing
-          if (!results || !Array.isArray(results)) {
-            console.warn(chalk.yellow(`⚠️ Invalid ESLint results for file ${file}`));
-            continue;
-          }
-          
-          for (const result of results) {
-            // Validate result structure
-            if (!result || !result.messages || !Array.isArray(result.messages)) {
-              console.warn(chalk.yellow(`⚠️ Invalid ESLint result structure for file ${file}`));
-              continue;
-            }
-            
-            for (const message of result.messages) {
-              // Validate message structure
-              if (!message || !message.ruleId) {
-                continue;
-              }
-              
-              if (
-                message.ruleId.startsWith('security/') ||
-                message.ruleId.startsWith('no-unsanitized/') ||
-                message.ruleId === 'no-unsanitized/method' ||
-                message.ruleId === 'no-unsanitized/property'
-              ) {
-                const { code, context } = await getCodeContext(result.filePath, message.line);
-                const issue = {
-                  type: 'eslint_security',
-                  file: result.filePath,
-                  line: message.line,
-                  severity: message.severity === 2 ? 'high' : 'medium',
-                  message: message.message,
-                  ruleId: message.ruleId,
-                  code,
-                  context,
-                  source: 'eslint'
-                };
-                stream.write(JSON.stringify(issue) + '\n');
-              }
-            }
-          }
-        } catch (err) {
-          console.warn(chalk.yellow(`⚠️ ESLint failed on file ${file}: ${err.message}`));
-        }
-        processed++;
-        if (processed % 10 === 0 || processed === files.length) {
-          process.stdout.write(`\rESLint Progress: ${processed}/${files.length} files checked`);
-        }
-        if (global.gc) global.gc();
-      }
-      process.stdout.write(`\rESLint Progress: ${files.length}/${files.length} files checked\n`);
+      await this.addCheckIssues('eslint_security');
     } catch (error) {
       console.warn(chalk.yellow('Warning: Could not run ESLint for security plugin checks'));
       if (error && error.message) {
         console.warn(chalk.yellow(error.message));
       }
-    } finally {
-      stream.end();
-    }
-    // After all files, read issues from file and add to this.securityIssues
-    if (fs.existsSync(issuesFile)) {
-      const lines = fs.readFileSync(issuesFile, 'utf8').split('\n').filter(Boolean);
-      for (const line of lines) {
-        try {
-          this.securityIssues.push(JSON.parse(line));
-        } catch {}
-      }
     }
   }
 
   async checkFileUploadSecurity() {
     console.log(chalk.blue('🔒 Checking file upload security (UI)...'));
-    const htmlFiles = await globby(getConfigPattern('htmlFilePathPattern'));
-    for (const file of htmlFiles) {
-      try {
-        const content = await fsp.readFile(file, 'utf8');
-        const lines = content.split('\n');
-        
-        lines.forEach((line, index) => {
-          const trimmed = line.trim();
-          if (!trimmed) return;
-          
-          // File input without accept attribute
-          const fileInputMatches = [...trimmed.matchAll(/<input[^>]+type=["']file["'][^>]*>/gi)];
-          for (const match of fileInputMatches) {
-            if (!/accept=/.test(match[0])) {
-              this.securityIssues.push({
-                type: 'file_upload_no_type_restriction',
-                file,
-                line: index + 1,
-                severity: 'medium',
-                message: 'File input without file type restriction (accept attribute missing)',
-                code: trimmed,
-                context: this.printContext(lines, index)
-              });
-            }
-          }
-          
-          // File input without size validation (look for max attribute)
-          for (const match of fileInputMatches) {
-            if (!/max/.test(match[0])) {
-              this.securityIssues.push({
-                type: 'file_upload_no_size_limit',
-                file,
-                line: index + 1,
-                severity: 'medium',
-                message: 'File input without file size limit (max attribute missing)',
-                code: trimmed,
-                context: this.printContext(lines, index)
-              });
-            }
-          }
-        });
-      } catch (err) {
-        console.warn(chalk.yellow(`⚠️ Could not read file ${file}: ${err.message}`));
-      }
-    }
-    
+    // HTML: file inputs without type or size restrictions
+    await this.addCheckIssues('file_upload_inputs');
     // JS: look for direct use of file.name (no sanitization)
-    const jsFiles = await globby(getConfigPattern('jsFilePathPattern'));
-    for (const file of jsFiles) {
-      try {
-        const content = await fsp.readFile(file, 'utf8');
-        const lines = content.split('\n');
-        
-        lines.forEach((line, index) => {
-          const trimmed = line.trim();
-          if (!trimmed) return;
-          
-          if (/\.name\b/.test(trimmed) && !/sanitize|replace|slugify/.test(trimmed)) {
-            this.securityIssues.push({
-              type: 'file_upload_filename_no_sanitization',
-              file,
-              line: index + 1,
-              severity: 'medium',
-              message: 'File name used directly in upload logic (no sanitization/renaming detected)',
-              code: trimmed,
-              context: this.printContext(lines, index)
-            });
-          }
-        });
-      } catch (err) {
-        console.warn(chalk.yellow(`⚠️ Could not read file ${file}: ${err.message}`));
-      }
-    }
+    await this.addCheckIssues('file_upload_names');
   }
 
   async checkInputValidation() {
     console.log(chalk.blue('🔒 Checking input validation (UI)...'));
-    const htmlFiles = await globby(getConfigPattern('htmlFilePathPattern'));
-    for (const file of htmlFiles) {
-      try {
-        const content = await fsp.readFile(file, 'utf8');
-        const lines = content.split('\n');
-        
-        lines.forEach((line, index) => {
-          const trimmed = line.trim();
-          if (!trimmed) return;
-          
-          // Check for inputs without validation attributes
-          const inputMatches = [...trimmed.matchAll(/<input[^>]+>/gi)];
-          for (const match of inputMatches) {
-            if (!/required|pattern|maxlength/.test(match[0])) {
-              this.securityIssues.push({
-                type: 'input_no_validation',
-                file,
-                line: index + 1,
-                severity: 'medium',
-                message: 'Input field missing validation attributes (required, pattern, maxlength)',
-                code: trimmed,
-                context: this.printContext(lines, index)
-              });
-            }
-          }
-          
-          // Check for unsafe DOM insertion
-          if (/innerHTML|dangerouslySetInnerHTML/.test(trimmed)) {
-            this.securityIssues.push({
-              type: 'input_unsafe_dom_insertion',
-              file,
-              line: index + 1,
-              severity: 'high',
-              message: 'Potential unsafe DOM insertion (innerHTML or dangerouslySetInnerHTML)',
-              code: trimmed,
-              context: this.printContext(lines, index)
-            });
-          }
-        });
-      } catch (err) {
-        console.warn(chalk.yellow(`⚠️ Could not read file ${file}: ${err.message}`));
-      }
-    }
+    await this.addCheckIssues('input_validation');
   }
 
   /**
@@ -847,69 +429,57 @@ async checkDependencyVulnerabilities() {
   async runEnhancedPatternChecks() {
     console.log(chalk.blue('🔍 Running enhanced pattern checks...'));
 
-    const SUSPICIOUS_PATTERNS = [
-      { type: 'eval_usage', pattern: /\beval\s*\(/, message: 'Avoid using eval()', severity: 'high' },
-      { type: 'function_constructor', pattern: /new Function\s*\(/, message: 'Avoid using Function constructor', severity: 'high' },
-      { type: 'insecure_transport', pattern: /fetch\(['"]http:\/\//, message: 'Insecure HTTP request detected', severity: 'high' },
-      { type: 'token_exposure', pattern: /Authorization:\s*Bearer\s+[\w\-]+\.[\w\-]+\.[\w\-]+/, message: 'Bearer token might be exposed in code', severity: 'high' },
-      { type: 'dev_url', pattern: /['"]http:\/\/localhost[:\/]/, message: 'Dev/localhost URL found in code', severity: 'medium' },
-      { type: 'xss_dom', pattern: /\.innerHTML\s*=|\.outerHTML\s*=|\.insertAdjacentHTML\s*\(/, message: 'Potential DOM XSS with innerHTML or related API', severity: 'high' },
-    ];
-    
-    const jsFiles = await globby(getConfigPattern('jsFilePathPattern'));
-    
-    const processor = async (file) => {
-      try {
-        const content = await fsp.readFile(file, 'utf8');
-        const lines = content.split('\n');
-        
-        for (let index = 0; index < lines.length; index++) {
-          const line = lines[index];
-          const trimmed = line.trim();
-          if (!trimmed) continue;
-          
-          for (const rule of SUSPICIOUS_PATTERNS) {
-            if (rule.pattern.test(trimmed)) {
-              // Limit in-memory issues
-              if (this.issueCount >= MAX_IN_MEMORY_ISSUES) {
-                console.warn(chalk.yellow('⚠️ Maximum in-memory issues reached, skipping further issues'));
-                return;
-              }
-              
-              this.securityIssues.push({
-                type: rule.type,
-                file,
-                line: index + 1,
-                severity: rule.severity,
-                message: rule.message,
-                code: trimmed,
-                context: this.printContext(lines, index)
-              });
-              this.issueCount++;
-            }
-          }
-        }
-        
-        // Clear lines array to free memory
-        lines.length = 0;
-      } catch (err) {
-        console.warn(chalk.yellow(`⚠️ Could not read file ${file}: ${err.message}`));
-      }
-    };
-    
-    await this.processFilesInBatches(jsFiles, processor, 'enhanced_patterns');
+    await this.addCheckIssues('enhanced_patterns');
+  }
+
+  /**
+   * Untrusted data reaching DOM sinks, traced through each file
+   */
+  async checkDomXss() {
+    console.log(chalk.blue('🔒 Tracing untrusted data to DOM sinks...'));
+    await this.addCheckIssues('dom_xss');
   }
     
   
-  async runSecurityAudit(urls = []) {
+  /**
+   * Scan committed history for secrets that may no longer be in the working tree
+   * @param {{range: string|null, depth: number}} options
+   * @returns {Promise<Object|null>} Scan summary for the report, or null when git failed
+   */
+  async checkGitHistorySecrets(options) {
+    try {
+      const { issues, ...summary } = await scanGitHistory(options);
+      this.securityIssues.push(...issues);
+      return { ...summary, secretsFound: issues.length };
+    } catch (err) {
+      console.warn(chalk.yellow(`⚠️ Could not scan git history: ${err.message}`));
+      return null;
+    }
+  }
+
+  /**
+   * @param {string[]} [urls] - Live URLs to test
+   * @param {Object} [options]
+   * @param {Object} [options.gitHistory] - { range, depth } to also scan git history for secrets
+   */
+  async runSecurityAudit(urls = [], options = {}) {
+    const { gitHistory = null } = options;
     console.log(chalk.cyan.bold('\n🔍 Running Full Security Audit...'));
+    this.fileScan = getFileScan('security');
     
     // Run code scanning
     await this.checkForSecrets();
+    const gitHistorySummary = gitHistory ? await this.checkGitHistorySecrets(gitHistory) : null;
     await this.checkESLintSecurityIssues();
     await this.checkFileUploadSecurity();
     await this.checkInputValidation();
     await this.runEnhancedPatternChecks();
+    await this.checkDomXss();
+    await this.addCheckIssues('custom_rules');
+    // Lockfile check is whole-project and offline, so it only runs when an advisory database was imported
+    if (!isChangedFilesMode() && fs.existsSync(getAdvisoryDatabasePath())) {
+      await this.checkDependencyVulnerabilities();
+    }
 
     // Run live URL testing if URLs provided
     if (urls && urls.length > 0) {
@@ -954,14 +524,22 @@ async checkDependencyVulnerabilities() {
     }
     this.securityIssues = uniqueIssues;
 
+    // Honor ui-code-insight-disable comments
+    const { issues: reportedIssues, suppressed } = await applySuppressions(this.securityIssues, this.fileScan.suppressions);
+    this.securityIssues = reportedIssues;
+
     const results = {
       timestamp: new Date().toISOString(),
       totalIssues: this.securityIssues.length,
       highSeverity: this.securityIssues.filter(i => i.severity === 'high').length,
       mediumSeverity: this.securityIssues.filter(i => i.severity === 'medium').length,
       lowSeverity: this.securityIssues.filter(i => i.severity === 'low').length,
-      issues: this.securityIssues
+      issues: this.securityIssues,
+      ...getSuppressionSummary(suppressed)
     };
+    if (gitHistorySummary) {
+      results.gitHistory = gitHistorySummary;
+    }
 
     const reportPath = path.join(this.folderPath, 'security-audit-report.json');
     await fsp.writeFile(reportPath, JSON.stringify(results, null, 2));
@@ -971,6 +549,9 @@ async checkDependencyVulnerabilities() {
     console.log(chalk.red(`🔴 High: ${results.highSeverity}`));
     console.log(chalk.yellow(`🟠 Medium: ${results.mediumSeverity}`));
     console.log(chalk.blue(`🔵 Low: ${results.lowSeverity}`));
+    if (results.suppressedCount > 0) {
+      console.log(chalk.gray(`🔕 Suppressed: ${results.suppressedCount} (${results.suppressedWithoutReason} without a reason)`));
+    }
 
     return results;
   }
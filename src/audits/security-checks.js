@@ -0,0 +1,262 @@
+import { getSecretSettings, findSecrets, toSecretIssues } from '../secrets/secret-scanner.js';
+import { getConfig } from '../config-loader.js';
+import { walk, nodeLocation, getJSXName, getJSXAttribute, hasJSXSpread } from '../scanner/ast-utils.js';
+import { getSpanLocation, getLineContext } from '../scanner/source-file.js';
+import { digestFile } from '../utils/scan-cache.js';
+import { getAuditLintOptions, lintSource } from '../eslint/lint-file.js';
+import { findTaintFlows, DEFAULT_SANITIZERS } from '../scanner/taint-tracker.js';
+import { getCustomRulesCheck } from './custom-rules.js';
+
+/**
+ * Per-file security code checks
+ * Each check gets a file already read by the shared scanner (see src/scanner) and
+ * returns its issues, so checks run on the worker pool and their results are cached.
+ */
+
+const SUSPICIOUS_PATTERNS = [
+  { type: 'eval_usage', pattern: /\beval\s*\(/, message: 'Avoid using eval()', severity: 'high' },
+  { type: 'function_constructor', pattern: /new Function\s*\(/, message: 'Avoid using Function constructor', severity: 'high' },
+  { type: 'insecure_transport', pattern: /fetch\(['"]http:\/\//, message: 'Insecure HTTP request detected', severity: 'high' },
+  { type: 'token_exposure', pattern: /Authorization:\s*Bearer\s+[\w\-]+\.[\w\-]+\.[\w\-]+/, message: 'Bearer token might be exposed in code', severity: 'high' },
+  { type: 'dev_url', pattern: /['"]http:\/\/localhost[:\/]/, message: 'Dev/localhost URL found in code', severity: 'medium' },
+  // Parsed files get the data-flow check (dom_xss) instead
+  { type: 'xss_dom', pattern: /\.innerHTML\s*=|\.outerHTML\s*=|\.insertAdjacentHTML\s*\(/, message: 'Potential DOM XSS with innerHTML or related API', severity: 'high', unparsedOnly: true },
+];
+
+// Secret settings are read once per thread
+let secretSettings = null;
+
+export function printContext(lines, index) {
+  const contextStart = Math.max(0, index - 2);
+  const contextEnd = Math.min(lines.length - 1, index + 2);
+  return lines.slice(contextStart, contextEnd + 1)
+    .map((line, i) => {
+      const lineNum = contextStart + i + 1;
+      const marker = lineNum === index + 1 ? '>>>' : '   ';
+      return `${marker} ${lineNum}: ${line}`;
+    }).join('\n');
+}
+
+export async function scanEnhancedPatterns({ file, lines, ast }) {
+  const issues = [];
+  const rules = ast ? SUSPICIOUS_PATTERNS.filter(rule => !rule.unparsedOnly) : SUSPICIOUS_PATTERNS;
+  for (let index = 0; index < lines.length; index++) {
+    const trimmed = lines[index].trim();
+    if (!trimmed) continue;
+
+    for (const rule of rules) {
+      if (rule.pattern.test(trimmed)) {
+        issues.push({
+          type: rule.type,
+          file,
+          line: index + 1,
+          severity: rule.severity,
+          message: rule.message,
+          code: trimmed,
+          context: printContext(lines, index)
+        });
+      }
+    }
+  }
+  return issues;
+}
+
+export async function scanSecrets({ file, content }) {
+  if (!secretSettings) secretSettings = getSecretSettings();
+  return toSecretIssues(file, content, findSecrets(content, file, secretSettings));
+}
+
+/**
+ * File inputs without type or size restrictions (HTML)
+ */
+export async function scanFileUploadInputs({ file, lines }) {
+  const issues = [];
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    // File input without accept attribute
+    const fileInputMatches = [...trimmed.matchAll(/<input[^>]+type=["']file["'][^>]*>/gi)];
+    for (const match of fileInputMatches) {
+      if (!/accept=/.test(match[0])) {
+        issues.push({
+          type: 'file_upload_no_type_restriction',
+          file,
+          line: index + 1,
+          severity: 'medium',
+          message: 'File input without file type restriction (accept attribute missing)',
+          code: trimmed,
+          context: printContext(lines, index)
+        });
+      }
+    }
+
+    // File input without size validation (look for max attribute)
+    for (const match of fileInputMatches) {
+      if (!/max/.test(match[0])) {
+        issues.push({
+          type: 'file_upload_no_size_limit',
+          file,
+          line: index + 1,
+          severity: 'medium',
+          message: 'File input without file size limit (max attribute missing)',
+          code: trimmed,
+          context: printContext(lines, index)
+        });
+      }
+    }
+  });
+  return issues;
+}
+
+/**
+ * Direct use of file.name in upload logic (no sanitization)
+ */
+export async function scanFileUploadNames({ file, lines }) {
+  const issues = [];
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    if (/\.name\b/.test(trimmed) && !/sanitize|replace|slugify/.test(trimmed)) {
+      issues.push({
+        type: 'file_upload_filename_no_sanitization',
+        file,
+        line: index + 1,
+        severity: 'medium',
+        message: 'File name used directly in upload logic (no sanitization/renaming detected)',
+        code: trimmed,
+        context: printContext(lines, index)
+      });
+    }
+  });
+  return issues;
+}
+
+const INPUT_NO_VALIDATION = {
+  type: 'input_no_validation',
+  severity: 'medium',
+  message: 'Input field missing validation attributes (required, pattern, maxlength)',
+};
+const UNSAFE_DOM_INSERTION = {
+  type: 'input_unsafe_dom_insertion',
+  severity: 'high',
+  message: 'Potential unsafe DOM insertion (innerHTML or dangerouslySetInnerHTML)',
+};
+
+/**
+ * Inputs without validation attributes and unsafe DOM insertion
+ * JSX <input> elements come from the AST, and DOM insertion in parsed code is left to
+ * the data-flow check (dom_xss); HTML (and code that does not parse) is matched as
+ * text, so tags spanning several lines are still found.
+ */
+export async function scanInputValidation(source) {
+  const { file, lines, ast } = source;
+  const issues = [];
+  const addIssue = (kind, location) => issues.push({
+    ...kind,
+    file,
+    ...location,
+    code: lines[location.line - 1].trim(),
+    context: printContext(lines, location.line - 1)
+  });
+
+  if (ast) {
+    walk(ast, (node) => {
+      if (node.type === 'JSXOpeningElement' && getJSXName(node) === 'input' && !hasJSXSpread(node) &&
+        !['required', 'pattern', 'maxLength'].some(name => getJSXAttribute(node, name))) {
+        addIssue(INPUT_NO_VALIDATION, nodeLocation(node));
+      }
+    });
+    return issues;
+  }
+
+  for (const match of source.content.matchAll(/<input\b[^>]*>/gi)) {
+    if (!/\b(required|pattern|maxlength)\b/i.test(match[0])) {
+      addIssue(INPUT_NO_VALIDATION, getSpanLocation(source, match.index, match.index + match[0].length));
+    }
+  }
+  lines.forEach((line, index) => {
+    if (/innerHTML|dangerouslySetInnerHTML/.test(line)) {
+      addIssue(UNSAFE_DOM_INSERTION, { line: index + 1 });
+    }
+  });
+  return issues.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Options for the dom_xss check: the default sanitizers plus "xss.sanitizers" from the config
+ * @returns {{sanitizers: string[]}}
+ */
+export function getDomXssOptions() {
+  const settings = getConfig().xss || {};
+  return { sanitizers: [...DEFAULT_SANITIZERS, ...(settings.sanitizers || [])] };
+}
+
+/**
+ * Untrusted data (URL, postMessage, fetch responses, input values) that reaches a DOM
+ * sink without a sanitizer, with the path it takes through the file
+ * @param {Object} source - From the shared scanner
+ * @param {Object} options - From getDomXssOptions()
+ */
+export async function scanDomXss(source, { sanitizers }) {
+  const { file, lines } = source;
+  return findTaintFlows(source, { sanitizers }).map(flow => {
+    const location = nodeLocation(flow.node);
+    const route = flow.path.map(step => step.label).join(' → ');
+    return {
+      type: 'dom_xss',
+      file,
+      ...location,
+      severity: 'high',
+      message: `Untrusted ${flow.source} reaches ${flow.sink} without sanitization (${route})`,
+      code: lines[location.line - 1].trim(),
+      context: printContext(lines, location.line - 1),
+      recommendation: 'Sanitize the value (e.g. DOMPurify.sanitize) or use textContent / safe DOM APIs',
+      path: flow.path
+    };
+  });
+}
+
+/**
+ * eslint-plugin-security and eslint-plugin-no-unsanitized findings
+ * @param {Object} source - From the shared scanner
+ * @param {Object} options - From getAuditLintOptions()
+ * @param {string} options.configFile - ESLint config with the security plugins
+ * @returns {Promise<Object[]>} Issues found in the file
+ */
+export async function scanESLintSecurity(source, { configFile }) {
+  const messages = await lintSource(source, configFile);
+  return messages
+    .filter(message => message.ruleId.startsWith('security/') || message.ruleId.startsWith('no-unsanitized/'))
+    .map(message => ({
+      type: 'eslint_security',
+      file: source.file,
+      line: message.line,
+      severity: message.severity === 2 ? 'high' : 'medium',
+      message: message.message,
+      ruleId: message.ruleId,
+      ...getLineContext(source.lines, message.line),
+      source: 'eslint'
+    }));
+}
+
+/**
+ * Checks by id; "files" names the file set they run on (see src/scanner/file-scanner.js).
+ * "options" is resolved once on the main thread.
+ */
+export const SECURITY_FILE_CHECKS = {
+  secrets: { files: 'secrets', run: scanSecrets },
+  file_upload_inputs: { files: 'html', run: scanFileUploadInputs },
+  file_upload_names: { files: 'js', run: scanFileUploadNames },
+  input_validation: { files: 'markup', run: scanInputValidation },
+  enhanced_patterns: { files: 'js', run: scanEnhancedPatterns },
+  dom_xss: { files: 'js', run: scanDomXss, options: getDomXssOptions },
+  eslint_security: {
+    files: 'js',
+    run: scanESLintSecurity,
+    options: getAuditLintOptions,
+    cacheKey: ({ configFile }) => digestFile(configFile),
+  },
+  custom_rules: getCustomRulesCheck('security'),
+};
@@ -5,15 +5,26 @@ import chalk from 'chalk';
 import { globby } from 'globby';
 import { writeFile } from 'fs/promises';
 import { getConfigPattern } from '../config-loader.js';
-
-const BATCH_SIZE = 5;
+import { getFileScan } from '../scanner/file-scanner.js';
 
 /**
  * Testing audit module for detecting testing practices and coverage
  */
 export class TestingAudit {
-  constructor(folderPath) {
+  /**
+   * @param {string} folderPath - Report folder
+   * @param {Object} [options]
+   * @param {string} [options.rootDir] - Repository root; reported file paths are relative to it
+   * @param {Object} [options.workspace] - Workspace package to audit (from detectWorkspaces());
+   *   the whole project when omitted
+   * @param {string[]} [options.excludeDirs] - Directories (relative to the package) left to their
+   *   own run, e.g. the member packages when auditing a workspace root
+   */
+  constructor(folderPath, { rootDir = process.cwd(), workspace = null, excludeDirs = [] } = {}) {
     this.folderPath = folderPath;
+    this.rootDir = rootDir;
+    this.projectDir = workspace ? workspace.path : rootDir;
+    this.excludeDirs = excludeDirs;
     this.testingIssues = [];
     this.issuesFile = path.join(this.folderPath, 'testing-issues.jsonl');
     // Remove file if it exists from previous runs
@@ -25,13 +36,31 @@ export class TestingAudit {
     this.issueStream.write(JSON.stringify(issue) + '\n');
   }
 
+  /**
+   * Files of the audited package matching the patterns, relative to the repository root
+   */
+  async findFiles(patterns, { ignore = [] } = {}) {
+    const files = await globby(patterns, {
+      cwd: this.projectDir,
+      ignore: [...ignore, ...this.excludeDirs.map(dir => `${dir}/**`)]
+    });
+    return files.map(file => path.relative(this.rootDir, path.join(this.projectDir, file)).split(path.sep).join('/'));
+  }
+
+  /**
+   * Path of a file in the audited package
+   */
+  resolvePath(file) {
+    return path.join(this.projectDir, file);
+  }
+
   /**
    * Check for test files and testing framework usage
    */
   async checkTestFiles() {
     console.log(chalk.blue('🧪 Checking test files...'));
     
-    const testFiles = await globby(getConfigPattern('jsFilePathPattern'));
+    const testFiles = await this.findFiles(getConfigPattern('jsFilePathPattern'));
     
     if (testFiles.length === 0) {
       await this.addTestingIssue({
@@ -51,7 +80,7 @@ export class TestingAudit {
 
     // Check for testing frameworks
     try {
-      const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+      const packageJson = JSON.parse(fs.readFileSync(this.resolvePath('package.json'), 'utf8'));
       const allDeps = { ...packageJson.dependencies, ...packageJson.devDependencies };
       
       const testingFrameworks = [
@@ -90,7 +119,7 @@ export class TestingAudit {
     
     try {
       // Try to run test coverage if available
-      const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+      const packageJson = JSON.parse(fs.readFileSync(this.resolvePath('package.json'), 'utf8'));
       const scripts = packageJson.scripts || {};
       
       const coverageScripts = Object.keys(scripts).filter(script => 
@@ -100,12 +129,12 @@ export class TestingAudit {
       if (coverageScripts.length > 0) {
         try {
           const coverageScript = coverageScripts[0];
-          execSync(`npm run ${coverageScript}`, { stdio: 'pipe' });
+          execSync(`npm run ${coverageScript}`, { stdio: 'pipe', cwd: this.projectDir });
           
           // Look for coverage reports
           const coverageDirs = ['coverage', '.nyc_output'];
           for (const dir of coverageDirs) {
-            if (fs.existsSync(dir)) {
+            if (fs.existsSync(this.resolvePath(dir))) {
               await this.addTestingIssue({
                 type: 'coverage_report_generated',
                 severity: 'info',
@@ -136,46 +165,24 @@ export class TestingAudit {
     }
   }
 
+  /**
+   * Add the issues of a per-file check (see testing-checks.js) on the package's files
+   * from the shared file scan
+   * @param {string} check - Key of TESTING_FILE_CHECKS
+   */
+  async addCheckIssues(check) {
+    if (!this.fileScan) this.fileScan = getFileScan('testing');
+    if (!this.sourceFiles) this.sourceFiles = await this.findFiles(getConfigPattern('jsFilePathPattern'));
+    const issues = await this.fileScan.getIssues(`testing:${check}`, this.sourceFiles);
+    this.testingIssues.push(...issues);
+  }
+
   /**
    * Check for common testing patterns
    */
   async checkTestingPatterns() {
     console.log(chalk.blue('🧪 Checking testing patterns...'));
-    
-    const testFiles = await globby(getConfigPattern('jsFilePathPattern'));
-    let processed = 0;
-    for (let i = 0; i < testFiles.length; i += BATCH_SIZE) {
-      const batch = testFiles.slice(i, i + BATCH_SIZE);
-      await Promise.all(batch.map(async (file) => {
-        processed++;
-        process.stdout.write(`\r[Test Patterns] Progress: ${processed}/${testFiles.length} files checked`);
-      try {
-        const content = fs.readFileSync(file, 'utf8');
-        const lines = content.split('\n');
-        
-        lines.forEach((line, index) => {
-          getConfigPattern('testPatterns').forEach(({ pattern, name, positive }) => {
-            if (pattern.test(line)) {
-              if (positive) {
-                this.testingIssues.push({
-                  type: 'testing_pattern_found',
-                  file,
-                  line: index + 1,
-                  severity: 'info',
-                  message: `Testing ${name} detected`,
-                  code: line.trim(),
-                  positive: true
-                });
-              }
-            }
-          });
-        });
-      } catch (error) {
-        console.warn(chalk.yellow(`Warning: Could not read test file ${file}`));
-      }
-      }));
-    }
-    process.stdout.write(`\r[Test Patterns] Progress: ${testFiles.length}/${testFiles.length} files checked\n`);
+    await this.addCheckIssues('testing_patterns');
   }
 
   /**
@@ -183,41 +190,7 @@ export class TestingAudit {
    */
   async checkMockingPatterns() {
     console.log(chalk.blue('🧪 Checking mocking patterns...'));
-    
-    const testFiles = await globby(getConfigPattern('jsFilePathPattern'));
-    let processed = 0;
-    for (let i = 0; i < testFiles.length; i += BATCH_SIZE) {
-      const batch = testFiles.slice(i, i + BATCH_SIZE);
-      await Promise.all(batch.map(async (file) => {
-        processed++;
-        process.stdout.write(`\r[Mocking Patterns] Progress: ${processed}/${testFiles.length} files checked`);
-      try {
-        const content = fs.readFileSync(file, 'utf8');
-        const lines = content.split('\n');
-        
-        lines.forEach((line, index) => {
-          getConfigPattern('mockPatterns').forEach(({ pattern, name, positive }) => {
-            if (pattern.test(line)) {
-              if (positive) {
-                this.testingIssues.push({
-                  type: 'mocking_pattern_found',
-                  file,
-                  line: index + 1,
-                  severity: 'info',
-                  message: `${name} detected`,
-                  code: line.trim(),
-                  positive: true
-                });
-              }
-            }
-          });
-        });
-      } catch (error) {
-        console.warn(chalk.yellow(`Warning: Could not read test file ${file}`));
-      }
-      }));
-    }
-    process.stdout.write(`\r[Mocking Patterns] Progress: ${testFiles.length}/${testFiles.length} files checked\n`);
+    await this.addCheckIssues('mocking_patterns');
   }
 
   /**
@@ -227,7 +200,7 @@ export class TestingAudit {
     console.log(chalk.blue('🧪 Checking E2E testing setup...'));
     
     try {
-      const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+      const packageJson = JSON.parse(fs.readFileSync(this.resolvePath('package.json'), 'utf8'));
       const allDeps = { ...packageJson.dependencies, ...packageJson.devDependencies };
       
       const e2eFrameworks = ['cypress', 'playwright', 'puppeteer', 'selenium-webdriver'];
@@ -267,7 +240,7 @@ export class TestingAudit {
       '.mocharc.js', '.mocharc.json'
     ];
     
-    const foundConfigs = configFiles.filter(file => fs.existsSync(file));
+    const foundConfigs = configFiles.filter(file => fs.existsSync(this.resolvePath(file)));
     
     if (foundConfigs.length === 0) {
       this.testingIssues.push({
@@ -291,6 +264,7 @@ export class TestingAudit {
    */
   async runTestingAudit() {
     console.log(chalk.blue('🧪 Starting Testing Audit...'));
+    this.fileScan = getFileScan('testing');
 
     // Check for common test folders or files before running the rest of the audit
     const testPatterns = [
@@ -304,7 +278,7 @@ export class TestingAudit {
       '**/*.test.tsx',
       '**/*.spec.tsx',
     ];
-    const foundTestFiles = (await globby(testPatterns, { ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/out/**'] })).length > 0;
+    const foundTestFiles = (await this.findFiles(testPatterns, { ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/out/**'] })).length > 0;
     if (!foundTestFiles) {
       await this.addTestingIssue({
         type: 'no_test_files',
@@ -312,7 +286,7 @@ export class TestingAudit {
         message: 'No test files or folders found. Test case not written.',
         recommendation: 'Create test files in __tests__, test, or tests folders, or use .test.js/.spec.js/.test.ts file naming.'
       });
-      this.issueStream.end();
+      await new Promise(resolve => this.issueStream.end(resolve));
       // Write minimal report and return
       const results = {
         timestamp: new Date().toISOString(),
@@ -355,7 +329,8 @@ export class TestingAudit {
     await this.checkE2ETesting();
     await this.checkTestConfiguration();
     
-    this.issueStream.end();
+    // Wait for pending writes, otherwise the last issues are missing from the file
+    await new Promise(resolve => this.issueStream.end(resolve));
     // Load issues from file
     if (fs.existsSync(this.issuesFile)) {
       const lines = fs.readFileSync(this.issuesFile, 'utf8').split('\n').filter(Boolean);
@@ -0,0 +1,44 @@
+import { getConfigPattern } from '../config-loader.js';
+
+/**
+ * Per-file testing checks
+ * Each check gets a file already read by the shared scanner (see src/scanner) and
+ * returns its issues, so checks run on the worker pool and their results are cached.
+ */
+
+// Positive findings for each configured pattern that matches a line
+const findPatterns = ({ file, lines }, patternKey, type, describe) => {
+  const issues = [];
+  lines.forEach((line, index) => {
+    getConfigPattern(patternKey).forEach(({ pattern, name, positive }) => {
+      if (pattern.test(line) && positive) {
+        issues.push({
+          type,
+          file,
+          line: index + 1,
+          severity: 'info',
+          message: describe(name),
+          code: line.trim(),
+          positive: true
+        });
+      }
+    });
+  });
+  return issues;
+};
+
+export async function scanTestingPatterns(source) {
+  return findPatterns(source, 'testPatterns', 'testing_pattern_found', name => `Testing ${name} detected`);
+}
+
+export async function scanMockingPatterns(source) {
+  return findPatterns(source, 'mockPatterns', 'mocking_pattern_found', name => `${name} detected`);
+}
+
+/**
+ * Checks by id; "files" names the file set they run on (see src/scanner/file-scanner.js)
+ */
+export const TESTING_FILE_CHECKS = {
+  testing_patterns: { files: 'js', run: scanTestingPatterns },
+  mocking_patterns: { files: 'js', run: scanMockingPatterns },
+};
@@ -0,0 +1,294 @@
+import chalk from "chalk";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { writeFile } from "fs/promises";
+import { getToolVersion, createSourceReader } from "../utils.js";
+import { getLintCounts } from "../quality-gates.js";
+
+/**
+ * Baseline ("new issues only") support
+ *
+ * A baseline records a fingerprint for every issue in the current reports.
+ * Later runs move matching issues out of `issues` / `messages` into
+ * `baselineIssues` / `baselineMessages`, so reports, SARIF and gates only see
+ * new issues. Fingerprints hash the category, rule, file and normalized code
+ * line (never the line number), so they survive line shifts.
+ */
+
+export const DEFAULT_BASELINE_FILE = "ui-code-insight-baseline.json";
+
+const BASELINE_VERSION = 1;
+
+// File-based categories that can be baselined (Lighthouse scores are not)
+export const BASELINE_AUDIT_CATEGORIES = ["security", "performance", "accessibility", "testing", "dependency", "checklist"];
+export const BASELINE_LINT_CATEGORIES = ["eslint", "stylelint"];
+
+/**
+ * Collapse whitespace so formatting-only changes keep the same fingerprint
+ * @param {string} value
+ * @returns {string}
+ */
+const normalizeCode = (value) => String(value || "").replace(/\s+/g, " ").trim();
+
+/**
+ * Project-relative, forward-slash path
+ * @param {string} filePath
+ * @param {string} [rootDir] - Project root the report was generated in (defaults to cwd)
+ * @returns {string}
+ */
+const normalizeFile = (filePath, rootDir = process.cwd()) => {
+  if (!filePath) return "";
+  return path.relative(rootDir, path.resolve(rootDir, filePath)).split(path.sep).join("/");
+};
+
+const hash = (parts) => crypto.createHash("sha1").update(parts.join("\u0000")).digest("hex");
+
+/**
+ * Fingerprint an audit issue
+ * @param {string} category
+ * @param {Object} issue
+ * @param {string} [rootDir] - Project root the report was generated in (defaults to cwd)
+ * @returns {string}
+ */
+export const fingerprintIssue = (category, issue, rootDir) => {
+  const location = issue.file ? normalizeFile(issue.file, rootDir) : issue.url || "";
+  const code = normalizeCode(issue.code) || normalizeCode(issue.message);
+  return hash([category, issue.type || "", issue.ruleId || "", location, code]);
+};
+
+/**
+ * Fingerprint an ESLint/Stylelint message using the source line it points at
+ * @param {string} category
+ * @param {string} filePath
+ * @param {Object} message
+ * @param {Function} readSourceLine - from createSourceReader(); may return null to fall back to the message
+ * @param {string} [rootDir] - Project root the report was generated in (defaults to cwd)
+ * @returns {string}
+ */
+export const fingerprintLintMessage = (category, filePath, message, readSourceLine, rootDir) => {
+  const ruleId = (category === "eslint" ? message.ruleId : message.rule) || "";
+  const code = normalizeCode(readSourceLine(filePath, message.line)) || normalizeCode(message.message);
+  return hash([category, ruleId, normalizeFile(filePath, rootDir), code]);
+};
+
+/**
+ * Read a JSON report from the report folder, or null when missing/invalid
+ */
+const readReport = (folderPath, fileName) => {
+  const reportPath = path.join(folderPath, fileName);
+  if (!fs.existsSync(reportPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(reportPath, "utf8"));
+  } catch (error) {
+    console.warn(chalk.yellow(`⚠️  Could not read ${fileName}: ${error.message}`));
+    return null;
+  }
+};
+
+const addFingerprint = (map, fingerprint) => {
+  map[fingerprint] = (map[fingerprint] || 0) + 1;
+};
+
+/**
+ * Create a baseline from the reports currently in the report folder.
+ * Uses <category>-audit-report.json (always the latest run of that audit), falling back to
+ * comprehensive-audit-report.json, plus eslint-report.json and stylelint-report.json.
+ * Issues already hidden by a previous baseline are kept in the new one.
+ * @param {string} folderPath - Report folder
+ * @param {string} baselineFile - Where to write the baseline
+ * @returns {Promise<Object>} The baseline written
+ */
+export const createBaseline = async (folderPath, baselineFile = DEFAULT_BASELINE_FILE) => {
+  const comprehensive = readReport(folderPath, "comprehensive-audit-report.json");
+  const fingerprints = {};
+  const categories = {};
+
+  BASELINE_AUDIT_CATEGORIES.forEach((category) => {
+    const report = readReport(folderPath, `${category}-audit-report.json`) || comprehensive?.categories?.[category];
+    if (!report) return;
+    const map = {};
+    [...(report.issues || []), ...(report.baselineIssues || [])]
+      .filter((issue) => issue && !issue.positive)
+      .forEach((issue) => addFingerprint(map, fingerprintIssue(category, issue)));
+    fingerprints[category] = map;
+    categories[category] = Object.values(map).reduce((acc, count) => acc + count, 0);
+  });
+
+  const readSourceLine = createSourceReader();
+  BASELINE_LINT_CATEGORIES.forEach((category) => {
+    const report = readReport(folderPath, `${category}-report.json`);
+    if (!report) return;
+    const map = {};
+    (report.results || []).forEach((fileResult) => {
+      [...(fileResult.messages || []), ...(fileResult.baselineMessages || [])].forEach((message) =>
+        addFingerprint(map, fingerprintLintMessage(category, fileResult.filePath, message, readSourceLine))
+      );
+    });
+    fingerprints[category] = map;
+    categories[category] = Object.values(map).reduce((acc, count) => acc + count, 0);
+  });
+
+  if (Object.keys(categories).length === 0) {
+    throw new Error(`No reports found in ${folderPath}. Run an audit before creating a baseline.`);
+  }
+
+  const baseline = {
+    version: BASELINE_VERSION,
+    createdAt: new Date().toISOString(),
+    toolVersion: getToolVersion(),
+    totalIssues: Object.values(categories).reduce((acc, count) => acc + count, 0),
+    categories,
+    fingerprints,
+  };
+
+  await writeFile(path.resolve(baselineFile), JSON.stringify(baseline, null, 2));
+  console.log(chalk.green(`✅ Baseline saved to: ${path.resolve(baselineFile)} (${baseline.totalIssues} issues)`));
+  Object.entries(categories).forEach(([category, count]) => {
+    console.log(chalk.white(`   ${category}: ${count}`));
+  });
+
+  return baseline;
+};
+
+/**
+ * Load a baseline file, or null when it doesn't exist
+ * @param {string} baselineFile
+ * @returns {Object|null}
+ */
+export const loadBaseline = (baselineFile = DEFAULT_BASELINE_FILE) => {
+  const baselinePath = path.resolve(baselineFile);
+  if (!fs.existsSync(baselinePath)) return null;
+  try {
+    const baseline = JSON.parse(fs.readFileSync(baselinePath, "utf8"));
+    if (baseline.version !== BASELINE_VERSION || !baseline.fingerprints) {
+      console.warn(chalk.yellow(`⚠️  Unsupported baseline format in ${baselinePath}, ignoring it`));
+      return null;
+    }
+    return baseline;
+  } catch (error) {
+    console.warn(chalk.yellow(`⚠️  Could not read baseline ${baselinePath}: ${error.message}`));
+    return null;
+  }
+};
+
+/**
+ * Consume one occurrence of a fingerprint; true when it was in the baseline
+ */
+const takeFingerprint = (remaining, fingerprint) => {
+  if (!remaining[fingerprint]) return false;
+  remaining[fingerprint]--;
+  return true;
+};
+
+/**
+ * Recalculate the severity counts of an audit result from its issues
+ */
+const recount = (result) => {
+  result.totalIssues = result.issues.length;
+  result.highSeverity = result.issues.filter((issue) => issue.severity === "high").length;
+  result.mediumSeverity = result.issues.filter((issue) => issue.severity === "medium").length;
+  result.lowSeverity = result.issues.filter((issue) => issue.severity === "low").length;
+};
+
+/**
+ * Move baselined issues out of the results (in place).
+ * @param {Object} baseline - From loadBaseline()
+ * @param {Object} results - Results keyed by category (audit results, lint reports)
+ * @returns {Object} Per-category { baseline, new } counts
+ */
+export const applyBaseline = (baseline, results) => {
+  const summary = {};
+
+  BASELINE_AUDIT_CATEGORIES.forEach((category) => {
+    const result = results[category];
+    if (!result || !Array.isArray(result.issues)) return;
+    const remaining = { ...(baseline.fingerprints[category] || {}) };
+    const newIssues = [];
+    const baselineIssues = [];
+
+    result.issues.forEach((issue) => {
+      if (!issue.positive && takeFingerprint(remaining, fingerprintIssue(category, issue))) {
+        baselineIssues.push(issue);
+      } else {
+        newIssues.push(issue);
+      }
+    });
+
+    result.issues = newIssues;
+    result.baselineIssues = baselineIssues;
+    recount(result);
+    summary[category] = { baseline: baselineIssues.length, new: newIssues.length };
+  });
+
+  const readSourceLine = createSourceReader();
+  BASELINE_LINT_CATEGORIES.forEach((category) => {
+    const report = results[category];
+    if (!report || !Array.isArray(report.results)) return;
+    const remaining = { ...(baseline.fingerprints[category] || {}) };
+    let baselineCount = 0;
+    let newCount = 0;
+
+    report.results.forEach((fileResult) => {
+      const messages = [];
+      const baselineMessages = [];
+      (fileResult.messages || []).forEach((message) => {
+        const fingerprint = fingerprintLintMessage(category, fileResult.filePath, message, readSourceLine);
+        if (takeFingerprint(remaining, fingerprint)) {
+          baselineMessages.push(message);
+        } else {
+          messages.push(message);
+        }
+      });
+      fileResult.messages = messages;
+      fileResult.baselineMessages = baselineMessages;
+      // Counts of the new messages only, split by severity like the quality gates count them
+      const { errors, warnings } = getLintCounts({ results: [{ messages }] });
+      fileResult.errorCount = errors;
+      fileResult.warningCount = warnings;
+      baselineCount += baselineMessages.length;
+      newCount += messages.length;
+    });
+
+    summary[category] = { baseline: baselineCount, new: newCount };
+  });
+
+  return summary;
+};
+
+/**
+ * Rewrite the per-category report files after a baseline was applied
+ * @param {string} folderPath
+ * @param {Object} results - Results keyed by category
+ * @param {Object} baselineSummary - From applyBaseline()
+ */
+export const writeBaselinedReports = async (folderPath, results, baselineSummary) => {
+  const writes = Object.keys(baselineSummary).map((category) => {
+    const fileName = BASELINE_LINT_CATEGORIES.includes(category)
+      ? `${category}-report.json`
+      : `${category}-audit-report.json`;
+    return writeFile(path.join(folderPath, fileName), JSON.stringify(results[category], null, 2));
+  });
+  await Promise.all(writes);
+};
+
+/**
+ * Print how many issues the baseline hid
+ * @param {Object} baselineSummary - From applyBaseline()
+ * @param {string} baselineFile
+ */
+export const printBaselineSummary = (baselineSummary, baselineFile) => {
+  const entries = Object.entries(baselineSummary);
+  if (entries.length === 0) return;
+
+  const hidden = entries.reduce((acc, [, counts]) => acc + counts.baseline, 0);
+  const fresh = entries.reduce((acc, [, counts]) => acc + counts.new, 0);
+
+  console.log(chalk.blue("\n🧱 BASELINE"));
+  console.log(chalk.blue("=".repeat(50)));
+  console.log(chalk.white(`Baseline: ${path.resolve(baselineFile)}`));
+  entries.forEach(([category, counts]) => {
+    console.log(chalk.white(`   ${category}: ${counts.new} new, ${counts.baseline} known`));
+  });
+  console.log(chalk.green(`Reporting ${fresh} new issue(s); ${hidden} known issue(s) hidden by the baseline`));
+};
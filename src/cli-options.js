@@ -0,0 +1,336 @@
+import { parseArgs } from 'util';
+import { parseGateSpecs } from './quality-gates.js';
+
+/**
+ * Report values accepted by --reports (same values as the interactive checkbox)
+ */
+export const REPORT_CHOICES = [
+  'all',
+  'security',
+  'performance',
+  'accessibility',
+  'lighthouse',
+  'testing',
+  'dependency',
+  'checklist',
+  'plugins',
+  'eslint',
+  'stylelint',
+  'packages',
+  'sbom',
+  'component-usage',
+];
+
+/**
+ * Project types offered by the interactive prompt
+ */
+export const PROJECT_TYPES = [
+  'React',
+  'Node',
+  'Vanilla JS',
+  'TypeScript',
+  'TypeScript + React',
+  'EDS',
+  'Other',
+];
+
+// Lower-case, dash-separated aliases accepted by --project-type
+const PROJECT_TYPE_ALIASES = {
+  'react': 'React',
+  'node': 'Node',
+  'vanilla-js': 'Vanilla JS',
+  'vanilla': 'Vanilla JS',
+  'js': 'Vanilla JS',
+  'typescript': 'TypeScript',
+  'ts': 'TypeScript',
+  'typescript-react': 'TypeScript + React',
+  'ts-react': 'TypeScript + React',
+  'eds': 'EDS',
+  'other': 'Other',
+};
+
+const CLI_OPTIONS = {
+  'reports': { type: 'string', short: 'r', multiple: true },
+  'project-type': { type: 'string', short: 'p' },
+  'lighthouse-url': { type: 'string' },
+  'a11y-urls': { type: 'string', multiple: true },
+  'security-urls': { type: 'string', multiple: true },
+  'out': { type: 'string', short: 'o' },
+  'gate': { type: 'string', short: 'g', multiple: true },
+  'baseline': { type: 'boolean', default: false },
+  'baseline-file': { type: 'string' },
+  'changed-since': { type: 'string' },
+  'git-history': { type: 'boolean', default: false },
+  'git-history-range': { type: 'string' },
+  'git-history-depth': { type: 'string' },
+  'no-cache': { type: 'boolean', default: false },
+  concurrency: { type: 'string' },
+  'yes': { type: 'boolean', short: 'y', default: false },
+  'help': { type: 'boolean', short: 'h', default: false },
+};
+
+const COMPARE_OPTIONS = {
+  'out': { type: 'string', short: 'o' },
+  'help': { type: 'boolean', short: 'h', default: false },
+};
+
+const ADVISORIES_OPTIONS = {
+  'out': { type: 'string', short: 'o' },
+  'help': { type: 'boolean', short: 'h', default: false },
+};
+
+/**
+ * Split comma-separated flag values (flags may also be repeated)
+ */
+function splitList(values) {
+  return values
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Validate a URL passed on the command line
+ */
+function assertValidUrl(url, flag) {
+  try {
+    const urlObj = new URL(url);
+    if (!urlObj.protocol || !urlObj.hostname) {
+      throw new Error();
+    }
+  } catch {
+    throw new Error(`Invalid URL for --${flag}: ${url}`);
+  }
+  return url;
+}
+
+/**
+ * Map a --project-type value onto one of PROJECT_TYPES
+ */
+export function normalizeProjectType(value) {
+  const exact = PROJECT_TYPES.find(type => type.toLowerCase() === value.trim().toLowerCase());
+  if (exact) return exact;
+
+  const key = value.trim().toLowerCase().replace(/[\s_+]+/g, '-').replace(/-+/g, '-');
+  if (PROJECT_TYPE_ALIASES[key]) return PROJECT_TYPE_ALIASES[key];
+
+  throw new Error(
+    `Unknown project type: ${value}. Use one of: ${Object.keys(PROJECT_TYPE_ALIASES).join(', ')}`
+  );
+}
+
+/**
+ * Parse command line arguments into codeInsightInit options.
+ * Options that were not passed on the command line are left undefined so the
+ * CLI can decide whether to prompt for them or fall back to a default.
+ * @param {string[]} argv - Arguments without the node and script path
+ * @returns {Object} Parsed options
+ */
+export function parseCliArgs(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: false, strict: true });
+
+  const options = {
+    yes: values.yes,
+    help: values.help,
+    createBaseline: values.baseline,
+  };
+
+  if (values['project-type'] !== undefined) {
+    options.projectType = normalizeProjectType(values['project-type']);
+  }
+
+  if (values.reports !== undefined) {
+    const reports = splitList(values.reports);
+    const unknown = reports.filter(report => !REPORT_CHOICES.includes(report));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown report(s): ${unknown.join(', ')}. Use one of: ${REPORT_CHOICES.join(', ')}`);
+    }
+    if (reports.length === 0) {
+      throw new Error('--reports requires at least one report');
+    }
+    options.reports = [...new Set(reports)];
+  }
+
+  if (values['lighthouse-url'] !== undefined) {
+    options.lighthouseUrl = assertValidUrl(values['lighthouse-url'].trim(), 'lighthouse-url');
+  }
+
+  if (values['a11y-urls'] !== undefined) {
+    options.accessibilityUrls = splitList(values['a11y-urls']).map(url => assertValidUrl(url, 'a11y-urls'));
+  }
+
+  if (values['security-urls'] !== undefined) {
+    options.securityUrls = splitList(values['security-urls']).map(url => assertValidUrl(url, 'security-urls'));
+  }
+
+  if (values.out !== undefined) {
+    if (!values.out.trim()) {
+      throw new Error('--out requires a directory');
+    }
+    options.outputDir = values.out.trim();
+  }
+
+  if (values['baseline-file'] !== undefined) {
+    if (!values['baseline-file'].trim()) {
+      throw new Error('--baseline-file requires a path');
+    }
+    options.baselineFile = values['baseline-file'].trim();
+  }
+
+  if (values['changed-since'] !== undefined) {
+    if (!values['changed-since'].trim()) {
+      throw new Error('--changed-since requires a git ref');
+    }
+    options.changedSince = values['changed-since'].trim();
+  }
+
+  if (values.gate !== undefined) {
+    options.gates = parseGateSpecs(values.gate);
+  }
+
+  if (values['no-cache']) {
+    options.cache = false;
+  }
+
+  if (values.concurrency !== undefined) {
+    const concurrency = values.concurrency.trim();
+    if (!/^[1-9]\d*$/.test(concurrency)) {
+      throw new Error('--concurrency requires a number of worker threads (1 or more)');
+    }
+    options.concurrency = Number(concurrency);
+  }
+
+  // Range or depth on their own also turn the history scan on
+  if (values['git-history'] || values['git-history-range'] !== undefined || values['git-history-depth'] !== undefined) {
+    options.gitHistory = {};
+    if (values['git-history-range'] !== undefined) {
+      const range = values['git-history-range'].trim();
+      if (!range || range.startsWith('-')) {
+        throw new Error('--git-history-range requires a git revision range, e.g. origin/main..HEAD');
+      }
+      options.gitHistory.range = range;
+    }
+    if (values['git-history-depth'] !== undefined) {
+      const depth = values['git-history-depth'].trim();
+      if (!/^\d+$/.test(depth)) {
+        throw new Error('--git-history-depth requires a number of commits (0 for no limit)');
+      }
+      options.gitHistory.depth = Number(depth);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Parse the arguments of the compare command
+ * @param {string[]} argv - Arguments after "compare"
+ * @returns {Object} { baseDir, headDir, outputDir, help }
+ */
+export function parseCompareArgs(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: COMPARE_OPTIONS, allowPositionals: true, strict: true });
+
+  if (values.help) {
+    return { help: true };
+  }
+  if (positionals.length !== 2) {
+    throw new Error('compare requires two report folders: compare <reportA> <reportB>');
+  }
+  if (values.out !== undefined && !values.out.trim()) {
+    throw new Error('--out requires a directory');
+  }
+
+  return {
+    baseDir: positionals[0],
+    headDir: positionals[1],
+    outputDir: values.out !== undefined ? values.out.trim() : './report-compare',
+    help: false,
+  };
+}
+
+/**
+ * Parse the arguments of the advisories command
+ * @param {string[]} argv - Arguments after "advisories"
+ * @returns {Object} { action, dumpPaths, databasePath, help }
+ */
+export function parseAdvisoriesArgs(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: ADVISORIES_OPTIONS, allowPositionals: true, strict: true });
+
+  if (values.help) {
+    return { help: true };
+  }
+  const [action, ...dumpPaths] = positionals;
+  if (action !== 'import') {
+    throw new Error('Unknown advisories command. Use: advisories import <dump...> [--out <file>]');
+  }
+  if (dumpPaths.length === 0) {
+    throw new Error('advisories import requires at least one OSV or GitHub advisory JSON file or directory');
+  }
+  if (values.out !== undefined && !values.out.trim()) {
+    throw new Error('--out requires a file');
+  }
+
+  return {
+    action,
+    dumpPaths,
+    databasePath: values.out !== undefined ? values.out.trim() : undefined,
+    help: false,
+  };
+}
+
+/**
+ * Usage text printed for --help and on invalid arguments
+ */
+export function getCliHelp() {
+  return `
+Usage: ui-code-insight [options]
+       ui-code-insight compare <reportA> <reportB> [--out <dir>]
+       ui-code-insight advisories import <dump...> [--out <file>]
+
+Options:
+  -r, --reports <list>        Comma-separated reports: ${REPORT_CHOICES.join(', ')}
+  -p, --project-type <type>   react, node, vanilla-js, typescript, typescript-react, eds, other
+      --lighthouse-url <url>  URL to test with Lighthouse
+      --a11y-urls <list>      Comma-separated URLs for live accessibility testing
+      --security-urls <list>  Comma-separated URLs for live security testing
+  -o, --out <dir>             Report output directory (default: ./report)
+  -g, --gate <list>           Quality gates, e.g. security.high=0,lighthouse.performance=70
+                              (exit code 1 when a gate fails; merged over "gates" in config)
+      --baseline              Record every issue in the existing reports as known, then exit.
+                              Later runs report and gate only on new issues
+      --baseline-file <path>  Baseline location (default: ./ui-code-insight-baseline.json)
+      --changed-since <ref>   Only scan files changed since a git ref (e.g. origin/main).
+                              Whole-project checks run only when requested by name
+      --git-history           Also scan git history for secrets (security audit)
+      --git-history-range <r> Commit range to scan, e.g. origin/main..HEAD (default: HEAD)
+      --git-history-depth <n> Scan at most n commits (default: 1000, 0 for no limit)
+      --no-cache              Scan every file again instead of reusing findings of
+                              unchanged files from the scan cache
+      --concurrency <n>       Worker threads for file-based audits and ESLint
+                              (default: number of CPU cores, 1 for no workers)
+  -y, --yes                   Never prompt; use defaults for anything not passed
+  -h, --help                  Show this help
+
+Prompts are only shown for values that were not passed and when running in a terminal.
+
+Commands:
+  compare <reportA> <reportB> Compare two report folders: new, fixed and unchanged issues
+                              per category plus Lighthouse score changes (reportA is the
+                              earlier run). Writes JSON, Markdown and a dashboard to --out
+                              (default: ./report-compare)
+  advisories import <dump...> Import OSV or GitHub advisory JSON dumps (files or folders)
+                              into the offline advisory database the security audit uses
+                              instead of npm audit. Writes --out, "advisoryDatabase" from
+                              config, or ./ui-code-insight-advisories.json
+
+Examples:
+  ui-code-insight --reports security,eslint --project-type react --yes
+  ui-code-insight -r accessibility --a11y-urls https://example.com --out ./audit
+  ui-code-insight -r security,eslint -y --gate security.high=0,eslint.errors=0
+  ui-code-insight --baseline
+  ui-code-insight -r all -y --changed-since origin/main
+  ui-code-insight -r security -y --git-history --git-history-depth 200
+  ui-code-insight compare ../main/report ./report --out ./report-compare
+  ui-code-insight advisories import ./osv-npm ./github-advisories.json
+`;
+}
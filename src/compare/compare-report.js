@@ -0,0 +1,412 @@
+import chalk from "chalk";
+import fs from "fs";
+import path from "path";
+import { writeFile } from "fs/promises";
+import { copyStaticFiles, getToolVersion } from "../utils.js";
+import { fingerprintIssue, fingerprintLintMessage } from "../baseline/baseline.js";
+import { getLintCounts, LIGHTHOUSE_SCORE_METRICS } from "../quality-gates.js";
+
+/**
+ * Compare two report folders
+ *
+ * Issues are matched with the same fingerprints as the baseline, so moving code around
+ * doesn't make an issue look new. Paths are taken relative to the parent of each report
+ * folder, which lets two checkouts of the same project (e.g. main and a release branch)
+ * be compared.
+ */
+
+export const COMPARE_JSON_FILE = "compare-report.json";
+export const COMPARE_MARKDOWN_FILE = "compare-report.md";
+
+export const COMPARE_AUDIT_CATEGORIES = ["security", "performance", "accessibility", "lighthouse", "testing", "dependency", "checklist"];
+export const COMPARE_LINT_CATEGORIES = ["eslint", "stylelint"];
+
+// Issues listed per category and section in the Markdown report
+const MARKDOWN_ISSUE_LIMIT = 50;
+
+// The source files may not be on disk any more, so lint messages are matched on their text
+const noSourceLine = () => null;
+
+/**
+ * Read a JSON report from a folder, or null when missing/invalid
+ */
+const readReport = (folderPath, fileName) => {
+  const reportPath = path.join(folderPath, fileName);
+  if (!fs.existsSync(reportPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(reportPath, "utf8"));
+  } catch (error) {
+    console.warn(chalk.yellow(`⚠️  Could not read ${reportPath}: ${error.message}`));
+    return null;
+  }
+};
+
+/**
+ * Lighthouse scores keyed by URL and device, from the Lighthouse audit report or
+ * the combined Lighthouse report
+ */
+const readLighthouseScores = (folderPath, lighthouseResult) => {
+  if (lighthouseResult?.scores && Object.keys(lighthouseResult.scores).length > 0) {
+    return lighthouseResult.scores;
+  }
+  const combined = readReport(folderPath, "lightHouseCombine-report.json");
+  if (!Array.isArray(combined)) return {};
+  const scores = {};
+  combined.forEach((entry) => {
+    if (!entry?.url) return;
+    scores[entry.url] = {};
+    ["desktop", "mobile"].forEach((device) => {
+      if (!entry[device]) return;
+      scores[entry.url][device] = {};
+      LIGHTHOUSE_SCORE_METRICS.forEach((metric) => {
+        scores[entry.url][device][metric] = entry[device][metric];
+      });
+    });
+  });
+  return scores;
+};
+
+/**
+ * Load the reports of one folder.
+ * Uses <category>-audit-report.json, falling back to comprehensive-audit-report.json,
+ * plus eslint-report.json, stylelint-report.json and the Lighthouse reports.
+ * @param {string} folderPath - Report folder
+ * @returns {Object} { folderPath, rootDir, timestamp, audits, lint, lighthouseScores }
+ */
+export const loadReportFolder = (folderPath) => {
+  const resolved = path.resolve(folderPath);
+  if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+    throw new Error(`Report folder not found: ${resolved}`);
+  }
+
+  const comprehensive = readReport(resolved, "comprehensive-audit-report.json");
+  const audits = {};
+  COMPARE_AUDIT_CATEGORIES.forEach((category) => {
+    const report = readReport(resolved, `${category}-audit-report.json`) || comprehensive?.categories?.[category];
+    if (report) audits[category] = report;
+  });
+
+  const lint = {};
+  COMPARE_LINT_CATEGORIES.forEach((category) => {
+    const report = readReport(resolved, `${category}-report.json`);
+    if (report) lint[category] = report;
+  });
+
+  const lighthouseScores = readLighthouseScores(resolved, audits.lighthouse);
+
+  if (Object.keys(audits).length === 0 && Object.keys(lint).length === 0 && Object.keys(lighthouseScores).length === 0) {
+    throw new Error(`No reports found in ${resolved}`);
+  }
+
+  return {
+    folderPath: resolved,
+    rootDir: path.dirname(resolved),
+    timestamp: comprehensive?.timestamp || null,
+    audits,
+    lint,
+    lighthouseScores,
+  };
+};
+
+/**
+ * Issues of an audit result, including any hidden by a baseline
+ */
+const getAuditIssues = (result) =>
+  [...(result.issues || []), ...(result.baselineIssues || [])].filter((issue) => issue && !issue.positive);
+
+/**
+ * Lint messages flattened into issue-like entries
+ */
+const getLintIssues = (category, report) =>
+  (report.results || []).flatMap((fileResult) =>
+    [...(fileResult.messages || []), ...(fileResult.baselineMessages || [])].map((message) => ({
+      file: fileResult.filePath,
+      line: message.line,
+      column: message.column,
+      ruleId: (category === "eslint" ? message.ruleId : message.rule) || null,
+      severity: message.severity === 2 || message.severity === "error" ? "error" : "warning",
+      message: message.message,
+      raw: message,
+    }))
+  );
+
+/**
+ * Split two issue lists into new, fixed and unchanged.
+ * Identical fingerprints are matched one-to-one, so a second copy of a known issue is new.
+ * @param {Array} baseIssues
+ * @param {Array} headIssues
+ * @param {Function} fingerprint - (issue, rootDir) => string
+ * @param {string} baseRoot
+ * @param {string} headRoot
+ * @returns {{new: Array, fixed: Array, unchanged: Array}}
+ */
+export const diffIssues = (baseIssues, headIssues, fingerprint, baseRoot, headRoot) => {
+  const remaining = new Map();
+  baseIssues.forEach((issue) => {
+    const key = fingerprint(issue, baseRoot);
+    if (!remaining.has(key)) remaining.set(key, []);
+    remaining.get(key).push(issue);
+  });
+
+  const added = [];
+  const unchanged = [];
+  headIssues.forEach((issue) => {
+    const matches = remaining.get(fingerprint(issue, headRoot));
+    if (matches && matches.length > 0) {
+      matches.shift();
+      unchanged.push(issue);
+    } else {
+      added.push(issue);
+    }
+  });
+
+  const fixed = [...remaining.values()].flat();
+  return { new: added, fixed, unchanged };
+};
+
+/**
+ * Score changes for every URL, device and metric present in both folders
+ */
+const diffLighthouseScores = (baseScores, headScores) => {
+  const deltas = [];
+  Object.keys(headScores).forEach((url) => {
+    if (!baseScores[url]) return;
+    ["desktop", "mobile"].forEach((device) => {
+      const base = baseScores[url][device];
+      const head = headScores[url][device];
+      if (!base || !head) return;
+      LIGHTHOUSE_SCORE_METRICS.forEach((metric) => {
+        if (typeof base[metric] !== "number" || typeof head[metric] !== "number") return;
+        deltas.push({ url, device, metric, base: base[metric], head: head[metric], delta: head[metric] - base[metric] });
+      });
+    });
+  });
+  return deltas;
+};
+
+/**
+ * Compare two report folders
+ * @param {string} baseFolder - Earlier reports (e.g. main)
+ * @param {string} headFolder - Later reports (e.g. a release branch)
+ * @returns {Object} Comparison
+ */
+export const compareReports = (baseFolder, headFolder) => {
+  const base = loadReportFolder(baseFolder);
+  const head = loadReportFolder(headFolder);
+
+  const categories = {};
+  const skippedCategories = [];
+  const summary = { new: 0, fixed: 0, unchanged: 0 };
+
+  const addCategory = (category, baseIssues, headIssues, fingerprint, extra = {}) => {
+    const diff = diffIssues(baseIssues, headIssues, fingerprint, base.rootDir, head.rootDir);
+    categories[category] = {
+      base: baseIssues.length,
+      head: headIssues.length,
+      delta: headIssues.length - baseIssues.length,
+      ...extra,
+      ...diff,
+    };
+    summary.new += diff.new.length;
+    summary.fixed += diff.fixed.length;
+    summary.unchanged += diff.unchanged.length;
+  };
+
+  const skipMissing = (category, inBase, inHead) => {
+    if (inBase && inHead) return false;
+    if (inBase || inHead) {
+      skippedCategories.push({ category, reason: `only in ${inBase ? "base" : "head"} reports` });
+    }
+    return true;
+  };
+
+  COMPARE_AUDIT_CATEGORIES.forEach((category) => {
+    if (skipMissing(category, base.audits[category], head.audits[category])) return;
+    addCategory(
+      category,
+      getAuditIssues(base.audits[category]),
+      getAuditIssues(head.audits[category]),
+      (issue, rootDir) => fingerprintIssue(category, issue, rootDir)
+    );
+  });
+
+  COMPARE_LINT_CATEGORIES.forEach((category) => {
+    if (skipMissing(category, base.lint[category], head.lint[category])) return;
+    const baseCounts = getLintCounts(base.lint[category]);
+    const headCounts = getLintCounts(head.lint[category]);
+    addCategory(
+      category,
+      getLintIssues(category, base.lint[category]),
+      getLintIssues(category, head.lint[category]),
+      (issue, rootDir) => fingerprintLintMessage(category, issue.file, issue.raw, noSourceLine, rootDir),
+      {
+        errors: { base: baseCounts.errors, head: headCounts.errors, delta: headCounts.errors - baseCounts.errors },
+        warnings: { base: baseCounts.warnings, head: headCounts.warnings, delta: headCounts.warnings - baseCounts.warnings },
+      }
+    );
+  });
+
+  // The raw lint message was only needed for fingerprinting
+  COMPARE_LINT_CATEGORIES.forEach((category) => {
+    if (!categories[category]) return;
+    ["new", "fixed", "unchanged"].forEach((key) => {
+      categories[category][key] = categories[category][key].map(({ raw, ...issue }) => issue);
+    });
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    toolVersion: getToolVersion(),
+    base: { path: base.folderPath, timestamp: base.timestamp },
+    head: { path: head.folderPath, timestamp: head.timestamp },
+    summary,
+    categories,
+    skippedCategories,
+    lighthouse: diffLighthouseScores(base.lighthouseScores, head.lighthouseScores),
+  };
+};
+
+const CATEGORY_LABELS = { eslint: "ESLint", stylelint: "Stylelint" };
+
+const formatCategory = (name) => CATEGORY_LABELS[name] || name.charAt(0).toUpperCase() + name.slice(1);
+
+const formatDelta = (delta) => (delta > 0 ? `+${delta}` : `${delta}`);
+
+const escapeMarkdown = (value) => String(value ?? "").replace(/\|/g, "\\|").replace(/\s+/g, " ").trim();
+
+/**
+ * One Markdown list line for an issue
+ */
+const formatIssueLine = (issue) => {
+  const label = issue.ruleId || issue.type || "issue";
+  const location = issue.file ? `${issue.file}${issue.line ? `:${issue.line}` : ""}` : issue.url || "";
+  return `- **${escapeMarkdown(issue.severity || "-")}** \`${escapeMarkdown(label)}\` ${escapeMarkdown(issue.message)}` +
+    (location ? ` (\`${escapeMarkdown(location)}\`)` : "");
+};
+
+/**
+ * Markdown issue lists for one section (new or fixed)
+ */
+const formatIssueSection = (comparison, key, title) => {
+  const lines = [`## ${title}`, ""];
+  const entries = Object.entries(comparison.categories).filter(([, category]) => category[key].length > 0);
+  if (entries.length === 0) {
+    lines.push("None.", "");
+    return lines;
+  }
+  entries.forEach(([name, category]) => {
+    lines.push(`### ${formatCategory(name)} (${category[key].length})`, "");
+    category[key].slice(0, MARKDOWN_ISSUE_LIMIT).forEach((issue) => lines.push(formatIssueLine(issue)));
+    if (category[key].length > MARKDOWN_ISSUE_LIMIT) {
+      lines.push(`- …and ${category[key].length - MARKDOWN_ISSUE_LIMIT} more (see ${COMPARE_JSON_FILE})`);
+    }
+    lines.push("");
+  });
+  return lines;
+};
+
+/**
+ * Render a comparison as Markdown (for PR comments and release notes)
+ * @param {Object} comparison - From compareReports()
+ * @returns {string}
+ */
+export const formatCompareMarkdown = (comparison) => {
+  const { summary } = comparison;
+  const lines = [
+    "# UI Code Insight Comparison",
+    "",
+    `- **Base:** \`${comparison.base.path}\`${comparison.base.timestamp ? ` (${comparison.base.timestamp})` : ""}`,
+    `- **Head:** \`${comparison.head.path}\`${comparison.head.timestamp ? ` (${comparison.head.timestamp})` : ""}`,
+    "",
+    `**${summary.new} new**, **${summary.fixed} fixed**, ${summary.unchanged} unchanged`,
+    "",
+    "| Category | Base | Head | Change | New | Fixed | Unchanged |",
+    "| --- | ---: | ---: | ---: | ---: | ---: | ---: |",
+  ];
+
+  Object.entries(comparison.categories).forEach(([name, category]) => {
+    lines.push(
+      `| ${formatCategory(name)} | ${category.base} | ${category.head} | ${formatDelta(category.delta)} | ` +
+      `${category.new.length} | ${category.fixed.length} | ${category.unchanged.length} |`
+    );
+  });
+  lines.push("");
+
+  if (comparison.skippedCategories.length > 0) {
+    lines.push(
+      `Not compared: ${comparison.skippedCategories.map(({ category, reason }) => `${category} (${reason})`).join(", ")}`,
+      ""
+    );
+  }
+
+  if (comparison.lighthouse.length > 0) {
+    lines.push(
+      "## Lighthouse Scores",
+      "",
+      "| URL | Device | Metric | Base | Head | Change |",
+      "| --- | --- | --- | ---: | ---: | ---: |"
+    );
+    comparison.lighthouse.forEach((score) => {
+      lines.push(
+        `| ${escapeMarkdown(score.url)} | ${score.device} | ${score.metric} | ${score.base} | ${score.head} | ${formatDelta(score.delta)} |`
+      );
+    });
+    lines.push("");
+  }
+
+  lines.push(...formatIssueSection(comparison, "new", "New Issues"));
+  lines.push(...formatIssueSection(comparison, "fixed", "Fixed Issues"));
+
+  return lines.join("\n");
+};
+
+/**
+ * Print a short comparison summary to the console
+ * @param {Object} comparison - From compareReports()
+ */
+export const printCompareSummary = (comparison) => {
+  console.log(chalk.blue("\n🔀 REPORT COMPARISON"));
+  console.log(chalk.blue("=".repeat(50)));
+  console.log(chalk.white(`Base: ${comparison.base.path}`));
+  console.log(chalk.white(`Head: ${comparison.head.path}`));
+  Object.entries(comparison.categories).forEach(([name, category]) => {
+    console.log(
+      chalk.white(`   ${name}: ${category.new.length} new, ${category.fixed.length} fixed, ${category.unchanged.length} unchanged`)
+    );
+  });
+  comparison.skippedCategories.forEach(({ category, reason }) => {
+    console.log(chalk.gray(`   ${category}: not compared (${reason})`));
+  });
+  comparison.lighthouse
+    .filter((score) => score.delta !== 0)
+    .forEach((score) => {
+      const color = score.delta > 0 ? chalk.green : chalk.red;
+      console.log(color(`   Lighthouse ${score.metric} (${score.device}) ${score.url}: ${score.base} → ${score.head}`));
+    });
+
+  const { summary } = comparison;
+  const color = summary.new > 0 ? chalk.yellow : chalk.green;
+  console.log(color(`\n${summary.new} new, ${summary.fixed} fixed, ${summary.unchanged} unchanged issue(s)`));
+};
+
+/**
+ * Compare two report folders and write compare-report.json, compare-report.md and the dashboard
+ * @param {string} baseFolder - Earlier reports
+ * @param {string} headFolder - Later reports
+ * @param {string} outputDir - Where to write the comparison
+ * @returns {Promise<Object>} The comparison
+ */
+export const generateCompareReport = async (baseFolder, headFolder, outputDir) => {
+  const comparison = compareReports(baseFolder, headFolder);
+  const folderPath = path.resolve(outputDir);
+
+  await copyStaticFiles(folderPath);
+  await writeFile(path.join(folderPath, COMPARE_JSON_FILE), JSON.stringify(comparison, null, 2));
+  await writeFile(path.join(folderPath, COMPARE_MARKDOWN_FILE), formatCompareMarkdown(comparison));
+
+  printCompareSummary(comparison);
+  console.log(chalk.green(`\n✅ Comparison saved to: ${folderPath}`));
+  console.log(chalk.white(`   ${COMPARE_JSON_FILE}, ${COMPARE_MARKDOWN_FILE}, index.html (dashboard)`));
+
+  return comparison;
+};
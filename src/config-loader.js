@@ -2,6 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { IgnoreHandler } from './utils/ignore-handler.js';
+import { isChangedFilesMode, matchChangedFiles, escapeGlobPath } from './utils/changed-files.js';
 
 // Default patterns - moved here to break circular dependency
 const defaultJsFilePathPattern = [
@@ -35,8 +36,28 @@ const defaultScssFilePathPattern = [
   '!**/tools/**'
 ];
 
+// Non-code files that commonly hold credentials; scanned for secrets next to jsFilePathPattern
+const defaultSecretFilePathPattern = [
+  '**/*.{json,yml,yaml,html,htm,pem,key}',
+  '**/.env*',
+  '!**/node_modules/**',
+  '!**/dist/**',
+  '!**/build/**',
+  '!**/coverage/**',
+  '!**/report/**',
+  '!**/tools/**',
+  '!**/package-lock.json',
+  '!**/npm-shrinkwrap.json',
+  '!**/pnpm-lock.yaml',
+  '!**/*-report.json',
+  '!**/ui-code-insight-baseline.json',
+  '!**/ui-code-insight-advisories.json'
+];
+
 let cachedConfig = null;
 let warnedAboutDefaultConfig = false;
+// Extra exclusions added at runtime (e.g. a custom --out report folder)
+let runtimeExcludePatterns = [];
 
 function loadConfig() {
   if (cachedConfig) return cachedConfig;
@@ -101,10 +122,16 @@ export function getConfigPattern(key) {
     patterns = config.htmlFilePathPattern || defaultHtmlFilePathPattern;
   } else if (key === 'scssFilePathPattern') {
     patterns = config.scssFilePathPattern || defaultScssFilePathPattern;
+  } else if (key === 'secretFilePathPattern') {
+    patterns = config.secretFilePathPattern || defaultSecretFilePathPattern;
   } else {
     return [];
   }
 
+  if (runtimeExcludePatterns.length > 0) {
+    patterns = [...patterns, ...runtimeExcludePatterns];
+  }
+
   // Apply ignore file patterns if enabled
   const ignoreConfig = config.ignoreFileConfig;
   if (ignoreConfig && ignoreConfig.enabled !== false) {
@@ -112,9 +139,36 @@ export function getConfigPattern(key) {
     patterns = ignoreHandler.applyIgnorePatterns(patterns);
   }
 
+  // --changed-since: narrow the patterns to the changed files they match
+  if (isChangedFilesMode()) {
+    return matchChangedFiles(patterns).map(escapeGlobPath);
+  }
+
   return patterns;
 }
 
+/**
+ * Exclude a directory (e.g. the report output folder) from all config-driven file patterns
+ * @param {string} dirPath - Absolute or cwd-relative directory
+ */
+export function addScanExclusion(dirPath) {
+  const relative = path.relative(process.cwd(), path.resolve(dirPath)).split(path.sep).join('/');
+  // Directories outside the project are never matched by the patterns anyway
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return;
+  const pattern = `!${relative}/**`;
+  if (!runtimeExcludePatterns.includes(pattern)) {
+    runtimeExcludePatterns.push(pattern);
+  }
+}
+
+/**
+ * Runtime exclusions (e.g. the report folder) as negated globs, for scans that use their own patterns
+ * @returns {string[]}
+ */
+export function getScanExclusionPatterns() {
+  return [...runtimeExcludePatterns];
+}
+
 export function getExcludeRules(auditType) {
   const config = loadConfig();
   const excludeConfig = config.excludeRules || {};
@@ -142,10 +196,23 @@ export function getMergedExcludeRules(auditType, defaultRules) {
   return [...defaultRules, ...excludeConfig.additionalRules];
 }
 
+export function getGates() {
+  const config = loadConfig();
+  return config.gates || {};
+}
+
 export function getConfig() {
   return loadConfig();
 }
 
+/**
+ * Use a config the main thread already loaded (worker threads) instead of searching for it again
+ * @param {Object} config
+ */
+export function setConfig(config) {
+  cachedConfig = config;
+}
+
 export function getConfigSearchPaths() {
   const __filename = fileURLToPath(import.meta.url);
   const __dirname = path.dirname(__filename);
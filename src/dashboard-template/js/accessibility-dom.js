@@ -356,10 +356,11 @@ function changeAccessibilityPage(page) {
  */
 function showAccessibilitySection() {
   // Hide all sections first
-  ['overviewSection', 'eslintSection', 'stylelintSection', 'npmSection', 'securitySection', 'performanceSection', 'accessibilitySection', 'lighthouseSection', 'testingSection', 'dependencySection', 'comprehensiveSection', 'excludedRulesSection'].forEach(sec => {
+  ['overviewSection', 'eslintSection', 'stylelintSection', 'npmSection', 'trendsSection', 'compareSection', 'dependencyGraphSection', 'securitySection', 'performanceSection', 'accessibilitySection', 'lighthouseSection', 'testingSection', 'dependencySection', 'checklistSection', 'comprehensiveSection', 'excludedRulesSection'].forEach(sec => {
     const el = document.getElementById(sec);
     if (el) el.classList.add('hidden');
   });
+  document.querySelectorAll('.plugin-section').forEach(el => el.classList.add('hidden'));
   
   // Show accessibility section
   const accessibilitySection = document.getElementById('accessibilitySection');
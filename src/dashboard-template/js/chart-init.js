@@ -135,3 +135,54 @@ export const chartInit = () => {
   updateChartWithData("eslint", "js-pie-chart");
   updateChartWithData("stylelint", "scss-pie-chart");
 };
+
+/**
+ * Options for a line chart (one line per series) used by the Trends section
+ * @param {string[]} labels - X axis labels (one per run)
+ * @param {Array<{name: string, data: Array<number|null>}>} series
+ * @param {Object} [options] - { colors, yMax }
+ */
+export const getLineChartOptions = (labels, series, { colors, yMax } = {}) => {
+  return {
+    series,
+    colors,
+    chart: {
+      type: "line",
+      height: 300,
+      width: "100%",
+      zoom: { enabled: false },
+      toolbar: { show: false },
+    },
+    stroke: { curve: "straight", width: 2 },
+    markers: { size: 3 },
+    dataLabels: { enabled: false },
+    xaxis: {
+      categories: labels,
+      labels: { rotate: -45, hideOverlappingLabels: true },
+    },
+    yaxis: {
+      min: 0,
+      max: yMax,
+      forceNiceScale: true,
+      labels: { formatter: (value) => (value === null ? "" : Math.round(value)) },
+    },
+    legend: {
+      show: true,
+      position: "bottom",
+      fontFamily: "Inter, sans-serif",
+    },
+    tooltip: { shared: true },
+  };
+};
+
+/**
+ * Render a line chart into an element; returns the chart or null when ApexCharts is unavailable
+ */
+export const renderLineChart = (element, labels, series, options) => {
+  const container = typeof element === "string" ? document.getElementById(element) : element;
+  if (!container || typeof ApexCharts === "undefined") return null;
+  container.innerHTML = "";
+  const chart = new ApexCharts(container, getLineChartOptions(labels, series, options));
+  chart.render();
+  return chart;
+};
@@ -0,0 +1,95 @@
+/**
+ * Checklist audit DOM rendering (pass/fail per checklist item)
+ */
+
+const STATUS_STYLES = {
+  passed: { label: 'Pass', icon: '✅', className: 'bg-green-100 text-green-800' },
+  failed: { label: 'Fail', icon: '❌', className: 'bg-red-100 text-red-800' },
+  skipped: { label: 'Skipped', icon: '⏭️', className: 'bg-gray-100 text-gray-800' },
+};
+
+/**
+ * Status of a single checklist item
+ */
+function getCheckStatus(check) {
+  if (check.skipped) return 'skipped';
+  return check.passed ? 'passed' : 'failed';
+}
+
+/**
+ * Get severity class for styling
+ */
+function getSeverityClass(severity) {
+  switch (severity?.toLowerCase()) {
+    case 'high':
+      return 'bg-red-100 text-red-800';
+    case 'medium':
+      return 'bg-yellow-100 text-yellow-800';
+    case 'low':
+      return 'bg-blue-100 text-blue-800';
+    default:
+      return 'bg-gray-100 text-gray-800';
+  }
+}
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Render the checklist summary and pass/fail table
+ * @param {Object} data - checklist-audit-report.json
+ * @param {string} tableId - Container element id
+ */
+function renderChecklistTable(data, tableId = 'checklistTableWrap') {
+  const wrap = document.getElementById(tableId);
+  if (!wrap) return;
+
+  if (!data || !Array.isArray(data.checks) || data.checks.length === 0) {
+    wrap.innerHTML = '<div class="text-gray-500 p-4">No checklist results found.</div>';
+    return;
+  }
+
+  const issuesByType = new Map((data.issues || []).map(issue => [issue.type, issue]));
+
+  let html = '<div class="bg-white rounded-lg shadow p-6 mb-6">';
+  html += '<div class="grid grid-cols-2 md:grid-cols-4 gap-4">';
+  html += `<div class="text-center"><div class="text-2xl font-bold text-gray-700">${data.totalChecks || 0}</div><div class="text-sm text-gray-500">Checks</div></div>`;
+  html += `<div class="text-center"><div class="text-2xl font-bold text-green-600">${data.passedChecks || 0}</div><div class="text-sm text-gray-500">Passed</div></div>`;
+  html += `<div class="text-center"><div class="text-2xl font-bold text-red-600">${data.failedChecks || 0}</div><div class="text-sm text-gray-500">Failed</div></div>`;
+  html += `<div class="text-center"><div class="text-2xl font-bold text-gray-400">${data.skippedChecks || 0}</div><div class="text-sm text-gray-500">Skipped</div></div>`;
+  html += '</div></div>';
+
+  html += '<div class="overflow-x-auto"><table class="min-w-full bg-white rounded-lg overflow-hidden"><thead><tr>' +
+    '<th class="py-2 px-4 text-left">Status</th>' +
+    '<th class="py-2 px-4 text-left">Check</th>' +
+    '<th class="py-2 px-4 text-left">Severity</th>' +
+    '<th class="py-2 px-4 text-left">Result</th>' +
+    '</tr></thead><tbody>';
+
+  data.checks.forEach(check => {
+    const status = STATUS_STYLES[getCheckStatus(check)];
+    const recommendation = !check.passed && !check.skipped ? issuesByType.get(check.type)?.recommendation : null;
+    html += '<tr class="border-t">';
+    html += `<td class="py-2 px-4"><span class="px-2 py-1 rounded text-xs font-semibold ${status.className}">${status.icon} ${status.label}</span></td>`;
+    html += `<td class="py-2 px-4"><div class="font-medium">${escapeHtml(check.title || check.type)}</div><div class="text-xs text-gray-400">${escapeHtml(check.type)}</div></td>`;
+    html += `<td class="py-2 px-4"><span class="px-2 py-1 rounded text-xs ${getSeverityClass(check.severity)}">${escapeHtml(check.severity || '-')}</span></td>`;
+    html += `<td class="py-2 px-4"><div class="text-sm">${escapeHtml(check.message || '')}</div>` +
+      (recommendation ? `<div class="text-sm text-gray-500 mt-1">💡 ${escapeHtml(recommendation)}</div>` : '') +
+      '</td>';
+    html += '</tr>';
+  });
+
+  html += '</tbody></table></div>';
+  wrap.innerHTML = html;
+}
+
+// Export functions for use in other modules
+export {
+  renderChecklistTable
+};
@@ -0,0 +1,205 @@
+/**
+ * Compare section: delta between two report folders (compare-report.json)
+ */
+
+const STATUS_STYLES = {
+  new: { label: 'New', className: 'bg-red-100 text-red-800' },
+  fixed: { label: 'Fixed', className: 'bg-green-100 text-green-800' },
+  unchanged: { label: 'Unchanged', className: 'bg-gray-100 text-gray-800' },
+};
+
+// Rows shown in the issue table before asking to narrow the filters
+const ISSUE_ROW_LIMIT = 200;
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+const CATEGORY_LABELS = { eslint: 'ESLint', stylelint: 'Stylelint' };
+
+function formatCategory(name) {
+  return CATEGORY_LABELS[name] || name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Signed change with a colour: more issues is red, a higher score is green
+ */
+function formatDelta(delta, higherIsBetter = false) {
+  if (!delta) return '<span class="text-gray-500">0</span>';
+  const good = higherIsBetter ? delta > 0 : delta < 0;
+  return `<span class="font-bold ${good ? 'text-green-600' : 'text-red-600'}">${delta > 0 ? '+' : ''}${delta}</span>`;
+}
+
+function renderSummary(comparison) {
+  const wrap = document.getElementById('compareSummary');
+  if (!wrap) return;
+  const { summary } = comparison;
+  wrap.innerHTML = '<div class="grid grid-cols-1 md:grid-cols-3 gap-4">' +
+    `<div class="bg-white rounded-lg shadow p-6 text-center"><div class="text-3xl font-bold text-red-600">${summary.new}</div><div class="text-sm text-gray-500">New Issues</div></div>` +
+    `<div class="bg-white rounded-lg shadow p-6 text-center"><div class="text-3xl font-bold text-green-600">${summary.fixed}</div><div class="text-sm text-gray-500">Fixed Issues</div></div>` +
+    `<div class="bg-white rounded-lg shadow p-6 text-center"><div class="text-3xl font-bold text-gray-700">${summary.unchanged}</div><div class="text-sm text-gray-500">Unchanged Issues</div></div>` +
+    '</div>';
+
+  const meta = document.getElementById('compareMeta');
+  if (meta) {
+    const describe = side => `${side.path}${side.timestamp ? ` (${new Date(side.timestamp).toLocaleString()})` : ''}`;
+    let text = `Base: ${describe(comparison.base)} → Head: ${describe(comparison.head)}`;
+    if (comparison.skippedCategories && comparison.skippedCategories.length > 0) {
+      text += `. Not compared: ${comparison.skippedCategories.map(({ category, reason }) => `${category} (${reason})`).join(', ')}`;
+    }
+    meta.textContent = text;
+  }
+}
+
+function renderCategoryTable(comparison) {
+  const wrap = document.getElementById('compareCategoryTable');
+  if (!wrap) return;
+  const entries = Object.entries(comparison.categories || {});
+  if (entries.length === 0) {
+    wrap.innerHTML = '<div class="text-gray-500 p-4">No categories found in both report folders.</div>';
+    return;
+  }
+
+  let html = '<table class="min-w-full bg-white rounded-lg overflow-hidden"><thead><tr>' +
+    '<th class="py-2 px-4 text-left">Category</th>' +
+    '<th class="py-2 px-4 text-left">Base</th>' +
+    '<th class="py-2 px-4 text-left">Head</th>' +
+    '<th class="py-2 px-4 text-left">Change</th>' +
+    '<th class="py-2 px-4 text-left">New</th>' +
+    '<th class="py-2 px-4 text-left">Fixed</th>' +
+    '<th class="py-2 px-4 text-left">Unchanged</th>' +
+    '</tr></thead><tbody>';
+  entries.forEach(([name, category]) => {
+    html += '<tr class="border-t">';
+    html += `<td class="py-2 px-4 font-medium">${escapeHtml(formatCategory(name))}</td>`;
+    html += `<td class="py-2 px-4">${category.base}</td>`;
+    html += `<td class="py-2 px-4">${category.head}</td>`;
+    html += `<td class="py-2 px-4">${formatDelta(category.delta)}</td>`;
+    html += `<td class="py-2 px-4 text-red-600">${category.new.length}</td>`;
+    html += `<td class="py-2 px-4 text-green-600">${category.fixed.length}</td>`;
+    html += `<td class="py-2 px-4 text-gray-500">${category.unchanged.length}</td>`;
+    html += '</tr>';
+  });
+  html += '</tbody></table>';
+  wrap.innerHTML = html;
+}
+
+function renderLighthouseTable(comparison) {
+  const wrap = document.getElementById('compareLighthouseTable');
+  if (!wrap) return;
+  const scores = comparison.lighthouse || [];
+  const card = wrap.closest('.compare-card');
+  if (card) card.classList.toggle('hidden', scores.length === 0);
+  if (scores.length === 0) return;
+
+  let html = '<table class="min-w-full bg-white rounded-lg overflow-hidden"><thead><tr>' +
+    '<th class="py-2 px-4 text-left">URL</th>' +
+    '<th class="py-2 px-4 text-left">Device</th>' +
+    '<th class="py-2 px-4 text-left">Metric</th>' +
+    '<th class="py-2 px-4 text-left">Base</th>' +
+    '<th class="py-2 px-4 text-left">Head</th>' +
+    '<th class="py-2 px-4 text-left">Change</th>' +
+    '</tr></thead><tbody>';
+  scores.forEach(score => {
+    html += '<tr class="border-t">';
+    html += `<td class="py-2 px-4 text-sm break-all">${escapeHtml(score.url)}</td>`;
+    html += `<td class="py-2 px-4 text-sm">${escapeHtml(score.device)}</td>`;
+    html += `<td class="py-2 px-4 text-sm">${escapeHtml(score.metric)}</td>`;
+    html += `<td class="py-2 px-4 text-sm">${score.base}</td>`;
+    html += `<td class="py-2 px-4 text-sm">${score.head}</td>`;
+    html += `<td class="py-2 px-4 text-sm">${formatDelta(score.delta, true)}</td>`;
+    html += '</tr>';
+  });
+  html += '</tbody></table>';
+  wrap.innerHTML = html;
+}
+
+/**
+ * Issue table filtered by status (new/fixed/unchanged) and category
+ */
+function renderIssueTable(comparison, status, categoryFilter) {
+  const wrap = document.getElementById('compareIssuesTable');
+  if (!wrap) return;
+
+  const rows = [];
+  Object.entries(comparison.categories || {}).forEach(([name, category]) => {
+    if (categoryFilter !== 'all' && categoryFilter !== name) return;
+    const statuses = status === 'all' ? ['new', 'fixed', 'unchanged'] : [status];
+    statuses.forEach(key => {
+      (category[key] || []).forEach(issue => rows.push({ category: name, status: key, issue }));
+    });
+  });
+
+  if (rows.length === 0) {
+    wrap.innerHTML = '<div class="text-gray-500 p-4">No issues match the selected filters.</div>';
+    return;
+  }
+
+  let html = '<table class="min-w-full bg-white rounded-lg overflow-hidden"><thead><tr>' +
+    '<th class="py-2 px-4 text-left">Status</th>' +
+    '<th class="py-2 px-4 text-left">Category</th>' +
+    '<th class="py-2 px-4 text-left">Severity</th>' +
+    '<th class="py-2 px-4 text-left">Issue</th>' +
+    '<th class="py-2 px-4 text-left">Location</th>' +
+    '</tr></thead><tbody>';
+  rows.slice(0, ISSUE_ROW_LIMIT).forEach(({ category, status: rowStatus, issue }) => {
+    const style = STATUS_STYLES[rowStatus];
+    const location = issue.file ? `${issue.file}${issue.line ? `:${issue.line}` : ''}` : (issue.url || '-');
+    html += '<tr class="border-t">';
+    html += `<td class="py-2 px-4"><span class="px-2 py-1 rounded text-xs font-semibold ${style.className}">${style.label}</span></td>`;
+    html += `<td class="py-2 px-4 text-sm">${escapeHtml(formatCategory(category))}</td>`;
+    html += `<td class="py-2 px-4 text-sm">${escapeHtml(issue.severity || '-')}</td>`;
+    html += `<td class="py-2 px-4"><div class="text-sm">${escapeHtml(issue.message || '')}</div><div class="text-xs text-gray-400">${escapeHtml(issue.ruleId || issue.type || '')}</div></td>`;
+    html += `<td class="py-2 px-4 text-sm font-mono break-all">${escapeHtml(location)}</td>`;
+    html += '</tr>';
+  });
+  html += '</tbody></table>';
+  if (rows.length > ISSUE_ROW_LIMIT) {
+    html += `<div class="text-sm text-gray-500 p-2">Showing ${ISSUE_ROW_LIMIT} of ${rows.length} issues. Narrow the filters or see compare-report.json.</div>`;
+  }
+  wrap.innerHTML = html;
+}
+
+/**
+ * Render the Compare section
+ * @param {Object} comparison - compare-report.json
+ */
+function renderCompare(comparison) {
+  if (!comparison || !comparison.summary) {
+    const meta = document.getElementById('compareMeta');
+    if (meta) meta.textContent = 'No comparison data found.';
+    return;
+  }
+
+  renderSummary(comparison);
+  renderCategoryTable(comparison);
+  renderLighthouseTable(comparison);
+
+  const statusSelect = document.getElementById('compareStatusFilter');
+  const categorySelect = document.getElementById('compareCategoryFilter');
+  if (categorySelect) {
+    categorySelect.innerHTML = '<option value="all">All categories</option>' +
+      Object.keys(comparison.categories || {})
+        .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(formatCategory(name))}</option>`)
+        .join('');
+  }
+
+  const update = () => renderIssueTable(
+    comparison,
+    statusSelect ? statusSelect.value : 'new',
+    categorySelect ? categorySelect.value : 'all'
+  );
+  if (statusSelect) statusSelect.addEventListener('change', update);
+  if (categorySelect) categorySelect.addEventListener('change', update);
+  update();
+}
+
+// Export functions for use in other modules
+export {
+  renderCompare
+};
@@ -1,5 +1,10 @@
 import { fetchData, showDashboardMessage } from './helper.js';
 import { loadAccessibilityReport, showAccessibilitySection, changeAccessibilityPage } from './accessibility-dom.js';
+import { renderChecklistTable } from './checklist-dom.js';
+import { renderTrends } from './trends-dom.js';
+import { renderCompare } from './compare-dom.js';
+import { renderDependencyGraph } from './dependency-graph-dom.js';
+import { addPluginSections, renderPluginSection } from './plugins-dom.js';
 
 // Load configuration for exclude rules
 let configExcludeRules = {};
@@ -413,12 +418,16 @@ const REPORTS = [
   { id: 'jsAuditReport', section: 'eslintSection', type: 'eslint', search: 'eslintSearch', pagination: 'eslintPagination', table: 'eslintTableWrap' },
   { id: 'scssAuditReport', section: 'stylelintSection', type: 'stylelint', search: 'stylelintSearch', pagination: 'stylelintPagination', table: 'stylelintTableWrap' },
   { id: 'npmPackagesReport', section: 'npmSection', type: 'npm', search: 'npmSearch', pagination: 'npmPagination', table: 'npmTableWrap' },
+  { id: 'trendsReport', section: 'trendsSection', type: 'history', search: null, pagination: null, table: null },
+  { id: 'compareReport', section: 'compareSection', type: 'compare', search: null, pagination: null, table: null },
   // Comprehensive Audits
   { id: 'securityAuditReport', section: 'securitySection', type: 'security-audit', search: 'securitySearch', pagination: 'securityPagination', table: 'securityTableWrap' },
   { id: 'performanceAuditReport', section: 'performanceSection', type: 'performance-audit', search: 'performanceSearch', pagination: 'performancePagination', table: 'performanceTableWrap' },
   { id: 'accessibilityAuditReport', section: 'accessibilitySection', type: 'accessibility-audit', search: 'accessibilitySearch', pagination: 'accessibilityPagination', table: 'accessibilityTableWrap' },
   { id: 'testingAuditReport', section: 'testingSection', type: 'testing-audit', search: 'testingSearch', pagination: 'testingPagination', table: 'testingTableWrap' },
   { id: 'dependencyAuditReport', section: 'dependencySection', type: 'dependency-audit', search: 'dependencySearch', pagination: 'dependencyPagination', table: 'dependencyTableWrap' },
+  { id: 'dependencyGraphReport', section: 'dependencyGraphSection', type: 'dependency-graph', search: null, pagination: null, table: null },
+  { id: 'checklistAuditReport', section: 'checklistSection', type: 'checklist-audit', search: null, pagination: null, table: 'checklistTableWrap' },
   { id: 'comprehensiveAuditReport', section: 'comprehensiveSection', type: 'comprehensive-audit', search: null, pagination: null, table: 'comprehensiveTableWrap' },
 ];
 
@@ -518,6 +527,13 @@ function renderComprehensiveOverview(comprehensiveData, individualAuditData = {}
   if (testingTotal) testingTotal.textContent = getTotalIssues('testing', 'testing-audit');
   if (dependencyTotal) dependencyTotal.textContent = getTotalIssues('dependency', 'dependency-audit');
 
+  // Checklist shows passed/total checks rather than an issue count
+  const checklistTotal = document.getElementById('checklistTotal');
+  const checklistData = categories.checklist || individualAuditData['checklist-audit'];
+  if (checklistTotal && checklistData && checklistData.totalChecks !== undefined) {
+    checklistTotal.textContent = `${checklistData.passedChecks || 0}/${checklistData.totalChecks}`;
+  }
+
   // Update accessibility overview with detailed breakdown if available
   if (accessibilityTotal && individualAuditData['accessibility-audit']) {
     const accessibilityData = individualAuditData['accessibility-audit'];
@@ -627,7 +643,7 @@ function renderOverviewCharts(eslintData, stylelintData, npmData, comprehensiveD
     const devDeps = Array.isArray(npmData.devDependencies) ? npmData.devDependencies : [];
     const all = deps.concat(devDeps);
     const total = all.length;
-    const outdated = all.filter(pkg => pkg.deprecated && pkg.deprecated !== 'Not deprecated').length;
+    const outdated = all.filter(pkg => pkg.outdated || (pkg.deprecated && pkg.deprecated !== 'Not deprecated')).length;
     if (npmTotalPackagesEl) npmTotalPackagesEl.textContent = `Total packages: ${total}`;
     // Pie chart: Up-to-date vs Outdated
     if (npmPackagesChartEl) {
@@ -754,6 +770,7 @@ window.renderAuditTable = function(data, tableId, paginationId, pageSize = 10, a
   // Map type to label and color (move outside loop)
   const vulnLabels = {
     hardcoded_secret: { label: 'Hardcoded Secret', color: 'bg-pink-100 text-pink-800 border-pink-200' },
+    git_history_secret: { label: 'Secret in Git History', color: 'bg-pink-100 text-pink-800 border-pink-200' },
     unsafe_eval: { label: 'Unsafe Eval', color: 'bg-red-100 text-red-800 border-red-200' },
     xss_vulnerability: { label: 'XSS', color: 'bg-yellow-100 text-yellow-800 border-yellow-200' },
     sql_injection: { label: 'SQL Injection', color: 'bg-purple-100 text-purple-800 border-purple-200' },
@@ -797,6 +814,10 @@ window.renderAuditTable = function(data, tableId, paginationId, pageSize = 10, a
     if (fileCell.length > 40) {
       fileCell = `<span title="${issue.file}">${fileCell.slice(0, 18)}...${fileCell.slice(-18)}</span>`;
     }
+    // Workspace package the issue belongs to (monorepos)
+    if (issue.workspace) {
+      fileCell = `<span class="inline-block mb-1 px-2 py-0.5 rounded border text-xs font-semibold bg-gray-100 text-gray-800 border-gray-200">${issue.workspace}</span><br>${fileCell}`;
+    }
     
     // Determine source for security audits
     let sourceCell = '';
@@ -928,6 +949,22 @@ window.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  // Plugin audits get their own sidebar entries and sections
+  const pluginEntries = (await reportExists('plugins')) ? addPluginSections(await fetchData('plugins')) : [];
+  for (const entry of pluginEntries) {
+    REPORTS.push({ id: entry.id, section: entry.section, type: `${entry.plugin.name}-audit`, search: null, pagination: entry.pagination, table: entry.table });
+    if (!(await reportExists(`${entry.plugin.name}-audit`))) {
+      hideReportTabAndSection(entry);
+      continue;
+    }
+    document.getElementById(entry.id).addEventListener('click', async (e) => {
+      e.preventDefault();
+      setActiveSidebar(entry.id);
+      showSection(entry.section);
+      renderPluginSection(entry, await fetchData(`${entry.plugin.name}-audit`));
+    });
+  }
+
   // Check for Lighthouse report
   const lighthouseExists = await reportExists('lightHouseCombine');
   if (!lighthouseExists) {
@@ -946,6 +983,7 @@ window.addEventListener('DOMContentLoaded', async () => {
   const accessibilityData = reportExistence['accessibility-audit'] ? await fetchData('accessibility-audit') : null;
   const testingData = reportExistence['testing-audit'] ? await fetchData('testing-audit') : null;
   const dependencyData = reportExistence['dependency-audit'] ? await fetchData('dependency-audit') : null;
+  const checklistData = reportExistence['checklist-audit'] ? await fetchData('checklist-audit') : null;
 
   // Project meta
   let meta = null;
@@ -965,7 +1003,8 @@ window.addEventListener('DOMContentLoaded', async () => {
       'performance-audit': performanceData,
       'accessibility-audit': accessibilityData,
       'testing-audit': testingData,
-      'dependency-audit': dependencyData
+      'dependency-audit': dependencyData,
+      'checklist-audit': checklistData
     }
   );
 
@@ -1358,6 +1397,7 @@ window.addEventListener('DOMContentLoaded', async () => {
       let html = '<div class="overflow-x-auto"><table class="min-w-full bg-white rounded-lg overflow-hidden"><thead><tr>' +
         '<th class="py-2 px-4 text-left">Name</th>' +
         '<th class="py-2 px-4 text-left">Version</th>' +
+        '<th class="py-2 px-4 text-left">Latest</th>' +
         '<th class="py-2 px-4 text-left">License</th>' +
         '<th class="py-2 px-4 text-left">Description</th>' +
         '<th class="py-2 px-4 text-left">Deprecated</th>' +
@@ -1366,10 +1406,11 @@ window.addEventListener('DOMContentLoaded', async () => {
       pageData.forEach(item => {
         html += `<tr class="border-b border-gray-200 hover:bg-gray-100 ${item.deprecated === 'Deprecated' ? 'bg-red-100' : ''}">` +
           `<td class="py-2 px-4 whitespace-nowrap">${item.name}</td>` +
-          `<td class="py-2 px-4">${item.version}</td>` +
+          `<td class="py-2 px-4">${item.version}${item.installed === false ? ' <span class="text-xs text-gray-500">(not installed)</span>' : ''}</td>` +
+          `<td class="py-2 px-4 ${item.outdated ? 'text-yellow-600 font-semibold' : ''}">${item.latest || '-'}</td>` +
           `<td class="py-2 px-4">${item.license}</td>` +
           `<td class="py-2 px-4">${item.description}</td>` +
-          `<td class="py-2 px-4">${item.deprecated}</td>` +
+          `<td class="py-2 px-4" title="${(item.deprecationMessage || '').replace(/"/g, '&quot;')}">${item.deprecated}</td>` +
           `<td class="py-2 px-4">${item.unpackedSize}</td>` +
           '</tr>';
       });
@@ -1494,6 +1535,58 @@ window.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
+  // Trends charts are rendered when the section is first opened (charts need a visible container)
+  if (reportExistence['history']) {
+    let trendsRendered = false;
+    document.getElementById('trendsReport').addEventListener('click', async (e) => {
+      e.preventDefault();
+      setActiveSidebar('trendsReport');
+      showSection('trendsSection');
+      if (!trendsRendered) {
+        renderTrends(await fetchData('history'));
+        trendsRendered = true;
+      }
+    });
+  }
+
+  // Compare view of two report folders (written by the compare command)
+  if (reportExistence['compare']) {
+    let compareRendered = false;
+    document.getElementById('compareReport').addEventListener('click', async (e) => {
+      e.preventDefault();
+      setActiveSidebar('compareReport');
+      showSection('compareSection');
+      if (!compareRendered) {
+        renderCompare(await fetchData('compare'));
+        compareRendered = true;
+      }
+    });
+  }
+
+  // Dependency tree from the lockfile, rendered when the section is first opened
+  if (reportExistence['dependency-graph']) {
+    let dependencyGraphRendered = false;
+    document.getElementById('dependencyGraphReport').addEventListener('click', async (e) => {
+      e.preventDefault();
+      setActiveSidebar('dependencyGraphReport');
+      showSection('dependencyGraphSection');
+      if (!dependencyGraphRendered) {
+        renderDependencyGraph(await fetchData('dependency-graph'));
+        dependencyGraphRendered = true;
+      }
+    });
+  }
+
+  // Checklist audit renders pass/fail per item instead of an issue table
+  if (reportExistence['checklist-audit']) {
+    document.getElementById('checklistAuditReport').addEventListener('click', (e) => {
+      e.preventDefault();
+      setActiveSidebar('checklistAuditReport');
+      showSection('checklistSection');
+      renderChecklistTable(checklistData, 'checklistTableWrap');
+    });
+  }
+
   // Special handling for accessibility audit
   if (reportExistence['accessibility-audit']) {
     document.getElementById('accessibilityAuditReport').addEventListener('click', async (e) => {
@@ -1643,7 +1736,9 @@ window.addEventListener('DOMContentLoaded', async () => {
                         category === 'performance' ? '⚡' : 
                         category === 'accessibility' ? '♿' : 
                         category === 'testing' ? '🧪' : 
-                        category === 'dependency' ? '📦' : '📋';
+                        category === 'dependency' ? '📦' : 
+                        category === 'checklist' ? '✅' :
+                        (categoryData.plugin && categoryData.plugin.icon) || '📋';
             
             html += `<div class="border-b border-gray-200 py-3 last:border-b-0">`;
             html += `<div class="flex items-center justify-between">`;
@@ -1662,7 +1757,39 @@ window.addEventListener('DOMContentLoaded', async () => {
           }
         });
         
-        html += '</div></div>';
+        html += '</div>';
+
+        // Package breakdown of a workspace (monorepo)
+        if (Array.isArray(data.workspaces) && data.workspaces.length > 0) {
+          html += '<div class="bg-white rounded-lg shadow p-6">';
+          html += '<h3 class="text-lg font-semibold mb-4">🗂️ Package Breakdown</h3>';
+          html += '<div class="overflow-x-auto"><table class="min-w-full bg-white"><thead><tr>' +
+            '<th class="py-2 px-4 text-left">Package</th>' +
+            '<th class="py-2 px-4 text-left">Directory</th>' +
+            '<th class="py-2 px-4 text-left">High</th>' +
+            '<th class="py-2 px-4 text-left">Medium</th>' +
+            '<th class="py-2 px-4 text-left">Low</th>' +
+            '<th class="py-2 px-4 text-left">Total</th>' +
+            '<th class="py-2 px-4 text-left">By Category</th>' +
+            '</tr></thead><tbody>';
+          data.workspaces.forEach(workspace => {
+            const byCategory = Object.entries(workspace.categories || {})
+              .map(([category, counts]) => `<span class="capitalize">${category}</span>: ${counts.totalIssues}`)
+              .join(' | ');
+            html += `<tr class="border-b border-gray-200 hover:bg-gray-100">` +
+              `<td class="py-2 px-4 font-medium break-all">${workspace.name}</td>` +
+              `<td class="py-2 px-4 text-sm text-gray-500 break-all">${workspace.dir}</td>` +
+              `<td class="py-2 px-4 text-red-600 font-bold">${workspace.highSeverity || 0}</td>` +
+              `<td class="py-2 px-4 text-yellow-600 font-bold">${workspace.mediumSeverity || 0}</td>` +
+              `<td class="py-2 px-4 text-blue-600 font-bold">${workspace.lowSeverity || 0}</td>` +
+              `<td class="py-2 px-4 font-bold">${workspace.totalIssues || 0}</td>` +
+              `<td class="py-2 px-4 text-sm text-gray-500">${byCategory || 'No issues'}</td>` +
+              '</tr>';
+          });
+          html += '</tbody></table></div></div>';
+        }
+
+        html += '</div>';
         wrap.innerHTML = html;
       } catch (error) {
         console.error('Error loading comprehensive audit:', error);
@@ -1681,7 +1808,11 @@ window.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
-  // Show overview by default
+  // Show overview by default; a folder written by the compare command opens on the comparison
+  if (reportExistence['compare'] && !reportExistence['comprehensive-audit']) {
+    document.getElementById('compareReport').click();
+    return;
+  }
   setActiveSidebar('mainPage');
   showSection('overviewSection');
 });
@@ -0,0 +1,236 @@
+/**
+ * Dependency Graph section: the lockfile tree per direct dependency (dependency-graph-report.json)
+ */
+
+// Rows shown in the package search before asking to narrow it
+const SEARCH_RESULT_LIMIT = 50;
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+/**
+ * Badges for duplicated and vulnerable packages
+ */
+function renderBadges(node) {
+  let html = '';
+  if (node.vulnerabilities.length > 0) {
+    const ids = node.vulnerabilities.map(vulnerability => vulnerability.id).join(', ');
+    html += ` <span class="px-2 py-0.5 rounded border text-xs font-semibold bg-red-100 text-red-800 border-red-200" title="${escapeHtml(ids)}">vulnerable</span>`;
+  }
+  if (node.duplicate) {
+    html += ' <span class="px-2 py-0.5 rounded border text-xs font-semibold bg-orange-100 text-orange-800 border-orange-200">duplicate</span>';
+  }
+  if (node.dev) {
+    html += ' <span class="px-2 py-0.5 rounded border text-xs bg-gray-100 text-gray-600 border-gray-200">dev</span>';
+  }
+  return html;
+}
+
+function renderNodeLabel(node) {
+  const size = node.size === null ? 'not installed' : formatBytes(node.size);
+  return `<span class="font-mono text-sm">${escapeHtml(node.id)}</span>` +
+    ` <span class="text-xs text-gray-500">${size}</span>${renderBadges(node)}`;
+}
+
+/**
+ * One tree level; children are rendered when a node is opened, so large trees stay fast.
+ * A package already open higher up in the same branch is not expanded again.
+ */
+function renderChildren(nodesById, ids, ancestors) {
+  if (ids.length === 0) return '<div class="ml-6 text-xs text-gray-400">No dependencies</div>';
+  return ids.map(id => {
+    const node = nodesById.get(id);
+    if (!node) return '';
+    if (node.dependencies.length === 0 || ancestors.includes(id)) {
+      const cycle = ancestors.includes(id) ? ' <span class="text-xs text-gray-400">(circular)</span>' : '';
+      return `<div class="ml-6 py-0.5">${renderNodeLabel(node)}${cycle}</div>`;
+    }
+    return `<details class="ml-6 py-0.5 dependency-graph-node" data-id="${escapeHtml(id)}" data-ancestors="${escapeHtml(JSON.stringify([...ancestors, id]))}">` +
+      `<summary class="cursor-pointer">${renderNodeLabel(node)} <span class="text-xs text-gray-400">(${node.dependencies.length})</span></summary>` +
+      '</details>';
+  }).join('');
+}
+
+/**
+ * Shortest chain from a direct dependency down to a package
+ */
+function findPath(nodesById, fromId, toId) {
+  const previous = new Map([[fromId, null]]);
+  const queue = [fromId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (id === toId) break;
+    (nodesById.get(id)?.dependencies || []).forEach(next => {
+      if (!previous.has(next)) {
+        previous.set(next, id);
+        queue.push(next);
+      }
+    });
+  }
+  if (!previous.has(toId)) return [];
+  const chain = [];
+  for (let id = toId; id; id = previous.get(id)) chain.unshift(id);
+  return chain;
+}
+
+function renderSummary(project) {
+  const { summary } = project;
+  const sizeNote = summary.unknownSize > 0 ? `<div class="text-xs text-gray-400 mt-1">${summary.unknownSize} not installed</div>` : '';
+  const card = (value, label, color, extra = '') =>
+    `<div class="bg-white rounded-lg shadow p-4 text-center"><div class="text-2xl font-bold ${color}">${value}</div><div class="text-sm text-gray-500">${label}</div>${extra}</div>`;
+  return '<div class="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">' +
+    card(summary.packages, 'Packages', 'text-gray-800') +
+    card(summary.direct, 'Direct', 'text-blue-600', `<div class="text-xs text-gray-400 mt-1">${summary.transitive} transitive</div>`) +
+    card(summary.duplicated, 'Duplicated Names', 'text-orange-600') +
+    card(summary.vulnerable, 'Vulnerable', 'text-red-600') +
+    card(formatBytes(summary.installedSize), 'Installed Size', 'text-cyan-600', sizeNote) +
+    '</div>';
+}
+
+function renderRootsTable(project) {
+  if (project.roots.length === 0) return '<div class="text-gray-500 p-4">No dependencies in the lockfile.</div>';
+  let html = '<div class="bg-white rounded-lg shadow p-4 mb-6">' +
+    '<h3 class="text-lg font-semibold mb-1">Direct Dependencies</h3>' +
+    '<p class="text-sm text-gray-500 mb-3">Sorted by what removing each one saves: the packages only it pulls in. Open a row to walk its tree.</p>' +
+    '<div class="overflow-x-auto"><table class="min-w-full bg-white"><thead><tr>' +
+    '<th class="py-2 px-4 text-left">Dependency</th>' +
+    '<th class="py-2 px-4 text-left">Packages</th>' +
+    '<th class="py-2 px-4 text-left">Subtree Size</th>' +
+    '<th class="py-2 px-4 text-left">Removing Saves</th>' +
+    '<th class="py-2 px-4 text-left">Duplicates</th>' +
+    '<th class="py-2 px-4 text-left">Vulnerable</th>' +
+    '</tr></thead><tbody>';
+  project.roots.forEach(root => {
+    const group = root.group === 'dependencies' ? '' : ` <span class="text-xs text-gray-400">${escapeHtml(root.group)}</span>`;
+    html += '<tr class="border-t align-top">' +
+      `<td class="py-2 px-4"><details class="dependency-graph-node" data-id="${escapeHtml(root.id)}" data-ancestors="${escapeHtml(JSON.stringify([root.id]))}">` +
+      `<summary class="cursor-pointer font-mono text-sm">${escapeHtml(root.id)}${group}</summary></details></td>` +
+      `<td class="py-2 px-4 text-sm">${root.packages}</td>` +
+      `<td class="py-2 px-4 text-sm">${formatBytes(root.totalSize)}</td>` +
+      `<td class="py-2 px-4 text-sm font-bold">${formatBytes(root.exclusiveSize)} <span class="text-xs font-normal text-gray-500">(${root.exclusivePackages} pkg)</span></td>` +
+      `<td class="py-2 px-4 text-sm ${root.duplicates > 0 ? 'text-orange-600 font-bold' : ''}">${root.duplicates}</td>` +
+      `<td class="py-2 px-4 text-sm ${root.vulnerable > 0 ? 'text-red-600 font-bold' : ''}">${root.vulnerable}</td>` +
+      '</tr>';
+  });
+  return html + '</tbody></table></div></div>';
+}
+
+/**
+ * Packages matching the search, with the direct dependencies that pull them in
+ */
+function renderSearchResults(project, nodesById, query) {
+  const wrap = document.getElementById('dependencyGraphSearchResults');
+  if (!wrap) return;
+  const term = query.trim().toLowerCase();
+  const special = { ':duplicate': node => node.duplicate, ':vulnerable': node => node.vulnerabilities.length > 0 };
+  if (!term) {
+    wrap.innerHTML = '';
+    return;
+  }
+  const matches = project.nodes.filter(special[term] || (node => node.id.toLowerCase().includes(term)));
+  if (matches.length === 0) {
+    wrap.innerHTML = '<div class="text-gray-500 p-2">No matching packages.</div>';
+    return;
+  }
+
+  let html = '<div class="overflow-x-auto"><table class="min-w-full bg-white"><thead><tr>' +
+    '<th class="py-2 px-4 text-left">Package</th>' +
+    '<th class="py-2 px-4 text-left">Pulled In By</th>' +
+    '<th class="py-2 px-4 text-left">Path</th>' +
+    '</tr></thead><tbody>';
+  matches.slice(0, SEARCH_RESULT_LIMIT).forEach(node => {
+    const chains = node.introducedBy.map(rootName => {
+      const root = project.roots.find(item => item.name === rootName);
+      return root ? findPath(nodesById, root.id, node.id).map(escapeHtml).join(' → ') : '';
+    }).filter(Boolean);
+    const advisories = node.vulnerabilities.map(vulnerability =>
+      `<div class="text-xs text-red-700">${escapeHtml(vulnerability.id)} (${escapeHtml(vulnerability.severity)}): ${escapeHtml(vulnerability.summary || '')}${vulnerability.fixedIn ? ` - fixed in ${escapeHtml(vulnerability.fixedIn)}` : ''}</div>`
+    ).join('');
+    html += '<tr class="border-t align-top">' +
+      `<td class="py-2 px-4">${renderNodeLabel(node)}${advisories}</td>` +
+      `<td class="py-2 px-4 text-sm">${node.direct ? '<span class="text-blue-600 font-medium">direct</span>' : escapeHtml(node.introducedBy.join(', ') || '-')}</td>` +
+      `<td class="py-2 px-4 text-xs font-mono">${chains.join('<br>') || '-'}</td>` +
+      '</tr>';
+  });
+  html += '</tbody></table></div>';
+  if (matches.length > SEARCH_RESULT_LIMIT) {
+    html += `<div class="text-xs text-gray-500 p-2">Showing ${SEARCH_RESULT_LIMIT} of ${matches.length} packages; narrow the search to see more.</div>`;
+  }
+  wrap.innerHTML = html;
+}
+
+function renderProject(wrap, project, nodesById) {
+  wrap.innerHTML = renderSummary(project) +
+    '<div class="bg-white rounded-lg shadow p-4 mb-6">' +
+    '<h3 class="text-lg font-semibold mb-3">Find a Package</h3>' +
+    '<input id="dependencyGraphSearch" type="text" placeholder="Package name, :duplicate or :vulnerable" class="mb-3 px-3 py-2 border rounded w-full md:w-1/2" />' +
+    '<div id="dependencyGraphSearchResults"></div>' +
+    '</div>' +
+    renderRootsTable(project);
+
+  document.getElementById('dependencyGraphSearch').addEventListener('input', (e) => {
+    renderSearchResults(project, nodesById, e.target.value);
+  });
+}
+
+/**
+ * Render the Dependency Graph section
+ * @param {Object} report - dependency-graph-report.json
+ */
+export function renderDependencyGraph(report) {
+  const projects = (report && report.projects) || [];
+  const wrap = document.getElementById('dependencyGraphContent');
+  const meta = document.getElementById('dependencyGraphMeta');
+  const picker = document.getElementById('dependencyGraphProject');
+  if (!wrap) return;
+  if (projects.length === 0) {
+    wrap.innerHTML = '<div class="text-gray-500 p-4">No dependency graph found. It is built from the lockfile during the dependency audit.</div>';
+    return;
+  }
+
+  let nodesById = new Map();
+  const show = (index) => {
+    const project = projects[index];
+    nodesById = new Map(project.nodes.map(node => [node.id, node]));
+    if (meta) {
+      meta.textContent = `${project.name} (${project.dir}) - ${project.lockfile}, ${project.format}` +
+        (report.generated ? ` - ${new Date(report.generated).toLocaleString()}` : '');
+    }
+    renderProject(wrap, project, nodesById);
+  };
+
+  // Fill a tree node the first time it is opened ("toggle" does not bubble, so listen in the capture phase)
+  wrap.addEventListener('toggle', (e) => {
+    const details = e.target;
+    if (!details.classList || !details.classList.contains('dependency-graph-node') || !details.open || details.dataset.rendered) return;
+    const node = nodesById.get(details.dataset.id);
+    const ancestors = JSON.parse(details.dataset.ancestors);
+    details.insertAdjacentHTML('beforeend', renderChildren(nodesById, node ? node.dependencies : [], ancestors));
+    details.dataset.rendered = 'true';
+  }, true);
+
+  // Workspaces have one tree per package
+  if (picker) {
+    if (projects.length > 1) {
+      picker.innerHTML = projects.map((project, index) => `<option value="${index}">${escapeHtml(project.name)} (${escapeHtml(project.dir)})</option>`).join('');
+      picker.classList.remove('hidden');
+      picker.addEventListener('change', (e) => show(Number(e.target.value)));
+    } else {
+      picker.classList.add('hidden');
+    }
+  }
+  show(0);
+}
@@ -10,6 +10,9 @@ export const globalInit = () => {
     { id: 'jsAuditReport', file: 'eslint-report.json' },
     { id: 'scssAuditReport', file: 'stylelint-report.json' },
     { id: 'npmPackagesReport', file: 'npm-report.json' },
+    { id: 'trendsReport', file: 'history-report.json' },
+    { id: 'compareReport', file: 'compare-report.json' },
+    { id: 'dependencyGraphReport', file: 'dependency-graph-report.json' },
     // Comprehensive Audits
     { id: 'securityAuditReport', file: 'security-audit-report.json' },
     { id: 'performanceAuditReport', file: 'performance-audit-report.json' },
@@ -17,6 +20,7 @@ export const globalInit = () => {
     { id: 'lighthouseAuditReport', file: 'lightHouseCombine-report.json' },
     { id: 'testingAuditReport', file: 'testing-audit-report.json' },
     { id: 'dependencyAuditReport', file: 'dependency-audit-report.json' },
+    { id: 'checklistAuditReport', file: 'checklist-audit-report.json' },
     { id: 'comprehensiveAuditReport', file: 'comprehensive-audit-report.json' },
   ];
   menuChecks.forEach(({ id, file }) => {
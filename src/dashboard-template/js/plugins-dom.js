@@ -0,0 +1,77 @@
+/**
+ * Plugin audit sections, added at runtime from plugins-report.json
+ */
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Add a sidebar link and an empty section for every plugin in the manifest.
+ * Entries go next to the built-in audits, just above the comprehensive report.
+ * @param {Object} manifest - plugins-report.json
+ * @returns {Array} Added entries { plugin, id, section, table, pagination }
+ */
+function addPluginSections(manifest) {
+  const plugins = (manifest && Array.isArray(manifest.plugins)) ? manifest.plugins : [];
+  const comprehensiveLink = document.getElementById('comprehensiveAuditReport');
+  const comprehensiveSection = document.getElementById('comprehensiveSection');
+  if (!comprehensiveLink || !comprehensiveSection) return [];
+
+  return plugins.map(plugin => {
+    const entry = {
+      plugin,
+      id: `${plugin.name}PluginReport`,
+      section: `${plugin.name}PluginSection`,
+      table: `${plugin.name}TableWrap`,
+      pagination: `${plugin.name}Pagination`,
+    };
+    const title = `${plugin.icon || '🧩'} ${plugin.title || plugin.name}`;
+
+    const item = document.createElement('li');
+    item.innerHTML = `<a href="#" id="${entry.id}" class="block px-4 py-2 rounded hover:bg-blue-50">${escapeHtml(title)}</a>`;
+    comprehensiveLink.parentElement.before(item);
+
+    const section = document.createElement('section');
+    section.id = entry.section;
+    section.className = 'plugin-section hidden';
+    section.innerHTML =
+      `<h2 class="text-xl font-semibold mb-4 flex items-center space-x-2"><span>${escapeHtml(title)}</span></h2>` +
+      `<div id="${entry.table}" class="overflow-x-auto"></div>` +
+      `<div id="${entry.pagination}" class="mt-2"></div>`;
+    comprehensiveSection.before(section);
+
+    return entry;
+  });
+}
+
+/**
+ * Render a plugin report: the plugin's own view when it supplied one, otherwise the audit table
+ * @param {Object} entry - From addPluginSections()
+ * @param {Object} data - <name>-audit-report.json
+ */
+function renderPluginSection(entry, data) {
+  const wrap = document.getElementById(entry.table);
+  if (!wrap) return;
+  if (!data || !Array.isArray(data.issues)) {
+    wrap.innerHTML = '<div class="text-gray-500 p-4">No plugin results found.</div>';
+    return;
+  }
+  // Plugins are installed by the project, so their HTML is trusted like the rest of the report
+  if (data.dashboardHtml) {
+    wrap.innerHTML = data.dashboardHtml;
+    return;
+  }
+  window.renderAuditTable(data, entry.table, entry.pagination, 10, entry.plugin.name);
+}
+
+// Export functions for use in other modules
+export {
+  addPluginSections,
+  renderPluginSection
+};
@@ -0,0 +1,159 @@
+/**
+ * Trends section: line charts over the run history (history-report.json)
+ */
+import { renderLineChart } from './chart-init.js';
+
+const CATEGORY_COLORS = {
+  security: '#dc2626',
+  performance: '#ca8a04',
+  accessibility: '#2563eb',
+  lighthouse: '#ea580c',
+  testing: '#9333ea',
+  dependency: '#0891b2',
+  checklist: '#16a34a',
+};
+
+/**
+ * X axis label for a snapshot: short date plus short commit when known
+ */
+function getSnapshotLabel(snapshot) {
+  const date = new Date(snapshot.timestamp);
+  const day = isNaN(date) ? snapshot.timestamp : date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  return snapshot.git && snapshot.git.commit ? `${day} (${snapshot.git.commit.slice(0, 7)})` : day;
+}
+
+/**
+ * Values of one field across snapshots; null where a run did not produce it
+ */
+function pluck(snapshots, getter) {
+  return snapshots.map(snapshot => {
+    const value = getter(snapshot);
+    return typeof value === 'number' ? value : null;
+  });
+}
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Table of runs with the change in total issues since the previous run
+ */
+function renderRunsTable(snapshots) {
+  const wrap = document.getElementById('trendsRunsTable');
+  if (!wrap) return;
+
+  let html = '<table class="min-w-full bg-white rounded-lg overflow-hidden"><thead><tr>' +
+    '<th class="py-2 px-4 text-left">Run</th>' +
+    '<th class="py-2 px-4 text-left">Commit</th>' +
+    '<th class="py-2 px-4 text-left">Branch</th>' +
+    '<th class="py-2 px-4 text-left">Total Issues</th>' +
+    '<th class="py-2 px-4 text-left">Change</th>' +
+    '</tr></thead><tbody>';
+
+  [...snapshots].reverse().forEach((snapshot, index, reversed) => {
+    const previous = reversed[index + 1];
+    const total = snapshot.summary ? snapshot.summary.totalIssues : 0;
+    const delta = previous && previous.summary ? total - previous.summary.totalIssues : null;
+    const deltaClass = delta > 0 ? 'text-red-600' : delta < 0 ? 'text-green-600' : 'text-gray-500';
+    const deltaText = delta === null ? '-' : delta > 0 ? `+${delta}` : `${delta}`;
+    const commit = snapshot.git && snapshot.git.commit ? snapshot.git.commit.slice(0, 7) + (snapshot.git.dirty ? '*' : '') : '-';
+
+    html += '<tr class="border-t">';
+    html += `<td class="py-2 px-4 text-sm">${escapeHtml(new Date(snapshot.timestamp).toLocaleString())}</td>`;
+    html += `<td class="py-2 px-4 text-sm font-mono">${escapeHtml(commit)}</td>`;
+    html += `<td class="py-2 px-4 text-sm">${escapeHtml((snapshot.git && snapshot.git.branch) || '-')}</td>`;
+    html += `<td class="py-2 px-4 text-sm font-bold">${total}</td>`;
+    html += `<td class="py-2 px-4 text-sm font-bold ${deltaClass}">${deltaText}</td>`;
+    html += '</tr>';
+  });
+
+  html += '</tbody></table>';
+  wrap.innerHTML = html;
+}
+
+/**
+ * Show or hide a chart card depending on whether it has any data
+ */
+function toggleCard(chartId, hasData) {
+  const card = document.getElementById(chartId)?.closest('.trends-card');
+  if (card) card.classList.toggle('hidden', !hasData);
+}
+
+/**
+ * Render all Trends charts
+ * @param {Object} history - history-report.json
+ */
+function renderTrends(history) {
+  const snapshots = (history && Array.isArray(history.snapshots)) ? history.snapshots : [];
+  const message = document.getElementById('trendsMessage');
+
+  if (snapshots.length === 0) {
+    if (message) message.textContent = 'No run history yet. Trends appear after the first run.';
+    return;
+  }
+  if (message) {
+    message.textContent = snapshots.length === 1
+      ? 'Only one run recorded so far. Run the audit again to see trends.'
+      : `${snapshots.length} runs recorded.`;
+  }
+
+  const labels = snapshots.map(getSnapshotLabel);
+
+  // Overall issues by severity
+  renderLineChart('trendsSeverityChart', labels, [
+    { name: 'Total', data: pluck(snapshots, s => s.summary && s.summary.totalIssues) },
+    { name: 'High', data: pluck(snapshots, s => s.summary && s.summary.highSeverity) },
+    { name: 'Medium', data: pluck(snapshots, s => s.summary && s.summary.mediumSeverity) },
+    { name: 'Low', data: pluck(snapshots, s => s.summary && s.summary.lowSeverity) },
+  ], { colors: ['#374151', '#dc2626', '#f59e0b', '#3b82f6'] });
+
+  // Issues per category (only categories that appear in the history)
+  const categories = Object.keys(CATEGORY_COLORS).filter(category =>
+    snapshots.some(s => s.categories && s.categories[category])
+  );
+  toggleCard('trendsCategoryChart', categories.length > 0);
+  renderLineChart('trendsCategoryChart', labels,
+    categories.map(category => ({
+      name: category.charAt(0).toUpperCase() + category.slice(1),
+      data: pluck(snapshots, s => s.categories && s.categories[category] && s.categories[category].totalIssues),
+    })),
+    { colors: categories.map(category => CATEGORY_COLORS[category]) }
+  );
+
+  // Lighthouse scores (worst URL/device per run)
+  const hasLighthouse = snapshots.some(s => s.lighthouse);
+  toggleCard('trendsLighthouseChart', hasLighthouse);
+  if (hasLighthouse) {
+    renderLineChart('trendsLighthouseChart', labels, [
+      { name: 'Performance', data: pluck(snapshots, s => s.lighthouse && s.lighthouse.performance) },
+      { name: 'Accessibility', data: pluck(snapshots, s => s.lighthouse && s.lighthouse.accessibility) },
+      { name: 'Best Practices', data: pluck(snapshots, s => s.lighthouse && s.lighthouse.bestPractices) },
+      { name: 'SEO', data: pluck(snapshots, s => s.lighthouse && s.lighthouse.seo) },
+    ], { colors: ['#ea580c', '#2563eb', '#16a34a', '#9333ea'], yMax: 100 });
+  }
+
+  // ESLint / Stylelint errors and warnings
+  const hasLint = snapshots.some(s => s.lint && (s.lint.eslint || s.lint.stylelint));
+  toggleCard('trendsLintChart', hasLint);
+  if (hasLint) {
+    renderLineChart('trendsLintChart', labels, [
+      { name: 'ESLint Errors', data: pluck(snapshots, s => s.lint && s.lint.eslint && s.lint.eslint.errors) },
+      { name: 'ESLint Warnings', data: pluck(snapshots, s => s.lint && s.lint.eslint && s.lint.eslint.warnings) },
+      { name: 'Stylelint Errors', data: pluck(snapshots, s => s.lint && s.lint.stylelint && s.lint.stylelint.errors) },
+      { name: 'Stylelint Warnings', data: pluck(snapshots, s => s.lint && s.lint.stylelint && s.lint.stylelint.warnings) },
+    ], { colors: ['#dc2626', '#f59e0b', '#7c3aed', '#a78bfa'] });
+  }
+
+  renderRunsTable(snapshots);
+}
+
+// Export functions for use in other modules
+export {
+  renderTrends
+};
@@ -0,0 +1,286 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import semver from 'semver';
+import { getConfig } from '../config-loader.js';
+
+/**
+ * Offline advisory database
+ *
+ * Advisory dumps are imported once (`ui-code-insight advisories import <files...>`) into a
+ * normalized JSON file that is matched against the versions resolved in the lockfile, so
+ * dependency vulnerability results need no network and do not change between runs.
+ *
+ * Accepted dumps (npm ecosystem entries only, everything else is skipped):
+ *   - OSV records: one object, an array, { "vulns": [...] }, or a directory of .json files
+ *     (e.g. an osv.dev npm export or the github/advisory-database repository)
+ *   - GitHub REST global advisories: [{ ghsa_id, vulnerabilities: [{ package, vulnerable_version_range }] }]
+ *   - GitHub GraphQL securityVulnerabilities: { data: { securityVulnerabilities: { nodes: [...] } } }
+ *
+ * Database location: "advisoryDatabase" in ui-code-insight.config.json, default
+ * ./ui-code-insight-advisories.json
+ */
+
+export const DEFAULT_ADVISORY_DATABASE = 'ui-code-insight-advisories.json';
+
+const DATABASE_VERSION = 1;
+
+const SEVERITY_MAP = {
+  critical: 'high',
+  high: 'high',
+  moderate: 'medium',
+  medium: 'medium',
+  low: 'low',
+};
+
+/**
+ * Map an advisory severity (CRITICAL, HIGH, MODERATE, LOW) onto high/medium/low
+ * @param {string} [severity]
+ * @returns {string}
+ */
+export const normalizeSeverity = (severity) => SEVERITY_MAP[String(severity || '').toLowerCase()] || 'medium';
+
+/**
+ * GitHub range syntax (">= 1.0.0, < 1.2.3", "= 2.0.0") to a semver range
+ * @param {string} range
+ * @returns {string}
+ */
+export const githubRangeToSemver = (range) => range
+  .split(',')
+  .map((part) => part.trim().replace(/^(=|[<>]=?)\s+/, '$1'))
+  .filter(Boolean)
+  .join(' ');
+
+/**
+ * OSV range events to semver ranges, e.g. [{introduced: "1.0.0"}, {fixed: "1.2.3"}] -> [">=1.0.0 <1.2.3"]
+ * @param {Array<Object>} events
+ * @returns {string[]}
+ */
+export const osvEventsToRanges = (events = []) => {
+  const ranges = [];
+  let lower = null;
+  events.forEach((event) => {
+    if (event.introduced !== undefined) {
+      lower = event.introduced === '0' ? '>=0.0.0-0' : `>=${event.introduced}`;
+    } else if (lower !== null && event.fixed !== undefined) {
+      ranges.push(`${lower} <${event.fixed}`);
+      lower = null;
+    } else if (lower !== null && event.last_affected !== undefined) {
+      ranges.push(`${lower} <=${event.last_affected}`);
+      lower = null;
+    }
+  });
+  if (lower !== null) ranges.push(lower);
+  return ranges;
+};
+
+/**
+ * Normalize one OSV record into database entries (one per affected npm package)
+ * @param {Object} record
+ * @returns {Object[]}
+ */
+export const fromOsv = (record) => {
+  const byPackage = new Map();
+  (record.affected || []).forEach((affected) => {
+    if (affected.package?.ecosystem?.toLowerCase() !== 'npm' || !affected.package.name) return;
+    const name = affected.package.name;
+    const entry = byPackage.get(name) || { vulnerableRanges: [], patchedVersions: [] };
+    const semverRanges = (affected.ranges || []).filter((range) => range.type === 'SEMVER' || range.type === 'ECOSYSTEM');
+    semverRanges.forEach((range) => {
+      entry.vulnerableRanges.push(...osvEventsToRanges(range.events));
+      (range.events || []).forEach((event) => {
+        if (event.fixed) entry.patchedVersions.push(event.fixed);
+      });
+    });
+    // Some records only list the affected versions
+    if (semverRanges.length === 0) {
+      (affected.versions || []).forEach((version) => entry.vulnerableRanges.push(`=${version}`));
+    }
+    byPackage.set(name, entry);
+  });
+
+  const advisoryUrl = (record.references || []).find((reference) => reference.type === 'ADVISORY')?.url
+    || (record.references || [])[0]?.url
+    || null;
+  return [...byPackage.entries()]
+    .filter(([, entry]) => entry.vulnerableRanges.length > 0)
+    .map(([name, entry]) => ({
+      id: record.id,
+      aliases: record.aliases || [],
+      package: name,
+      summary: record.summary || (record.details || '').split('\n')[0] || record.id,
+      severity: normalizeSeverity(record.database_specific?.severity),
+      vulnerableRanges: [...new Set(entry.vulnerableRanges)],
+      patchedVersions: [...new Set(entry.patchedVersions)],
+      url: advisoryUrl,
+    }));
+};
+
+/**
+ * Normalize one GitHub REST global advisory
+ * @param {Object} advisory
+ * @returns {Object[]}
+ */
+export const fromGithubRest = (advisory) => (advisory.vulnerabilities || [])
+  .filter((vulnerability) => vulnerability.package?.ecosystem?.toLowerCase() === 'npm' && vulnerability.vulnerable_version_range)
+  .map((vulnerability) => ({
+    id: advisory.ghsa_id,
+    aliases: advisory.cve_id ? [advisory.cve_id] : [],
+    package: vulnerability.package.name,
+    summary: advisory.summary || advisory.ghsa_id,
+    severity: normalizeSeverity(advisory.severity),
+    vulnerableRanges: [githubRangeToSemver(vulnerability.vulnerable_version_range)],
+    patchedVersions: vulnerability.first_patched_version ? [vulnerability.first_patched_version] : [],
+    url: advisory.html_url || null,
+  }));
+
+/**
+ * Normalize one GitHub GraphQL securityVulnerabilities node
+ * @param {Object} node
+ * @returns {Object[]}
+ */
+export const fromGithubGraphql = (node) => {
+  if (node.package?.ecosystem?.toLowerCase() !== 'npm' || !node.vulnerableVersionRange) return [];
+  const advisory = node.advisory || {};
+  return [{
+    id: advisory.ghsaId,
+    aliases: (advisory.identifiers || []).map((identifier) => identifier.value).filter((value) => value !== advisory.ghsaId),
+    package: node.package.name,
+    summary: advisory.summary || advisory.ghsaId,
+    severity: normalizeSeverity(node.severity || advisory.severity),
+    vulnerableRanges: [githubRangeToSemver(node.vulnerableVersionRange)],
+    patchedVersions: node.firstPatchedVersion?.identifier ? [node.firstPatchedVersion.identifier] : [],
+    url: advisory.permalink || null,
+  }];
+};
+
+/**
+ * Normalize the content of one dump file, whatever its format
+ * @param {*} data - Parsed JSON
+ * @returns {Object[]} Database entries
+ */
+export const normalizeAdvisories = (data) => {
+  if (Array.isArray(data)) return data.flatMap(normalizeAdvisories);
+  if (!data || typeof data !== 'object') return [];
+  if (Array.isArray(data.vulns)) return data.vulns.flatMap(fromOsv);
+  if (data.data?.securityVulnerabilities) return (data.data.securityVulnerabilities.nodes || []).flatMap(fromGithubGraphql);
+  if (Array.isArray(data.nodes)) return data.nodes.flatMap(fromGithubGraphql);
+  if (data.affected) return fromOsv(data);
+  if (data.ghsa_id) return fromGithubRest(data);
+  if (data.vulnerableVersionRange) return fromGithubGraphql(data);
+  return [];
+};
+
+/**
+ * Path of the advisory database
+ * @returns {string}
+ */
+export const getAdvisoryDatabasePath = () => path.resolve(getConfig().advisoryDatabase || DEFAULT_ADVISORY_DATABASE);
+
+/**
+ * Load the advisory database
+ * @param {string} [databasePath]
+ * @returns {Object|null} null when there is none
+ */
+export const loadAdvisoryDatabase = (databasePath = getAdvisoryDatabasePath()) => {
+  if (!fs.existsSync(databasePath)) return null;
+  const database = JSON.parse(fs.readFileSync(databasePath, 'utf8'));
+  if (database.version !== DATABASE_VERSION || !Array.isArray(database.advisories)) {
+    throw new Error(`${databasePath} is not an advisory database (re-import it with "ui-code-insight advisories import")`);
+  }
+  return database;
+};
+
+/**
+ * JSON files of a dump path (a file, or every .json file under a directory)
+ */
+const listDumpFiles = async (dumpPath) => {
+  const stat = await fsp.stat(dumpPath);
+  if (!stat.isDirectory()) return [dumpPath];
+  const entries = await fsp.readdir(dumpPath, { withFileTypes: true, recursive: true });
+  return entries
+    .filter((entry) => entry.isFile() && entry.name.endsWith('.json'))
+    .map((entry) => path.join(entry.parentPath || entry.path, entry.name))
+    .sort();
+};
+
+/**
+ * Import advisory dumps into the database, merging with what is already there.
+ * An advisory that is imported again replaces the stored one.
+ * @param {string[]} dumpPaths - Files or directories
+ * @param {string} [databasePath]
+ * @returns {Promise<{databasePath: string, imported: number, total: number}>}
+ */
+export const importAdvisories = async (dumpPaths, databasePath = getAdvisoryDatabasePath()) => {
+  const existing = loadAdvisoryDatabase(databasePath);
+  const advisories = new Map((existing?.advisories || []).map((advisory) => [`${advisory.id}|${advisory.package}`, advisory]));
+  const sources = [...(existing?.sources || [])];
+  let imported = 0;
+
+  for (const dumpPath of dumpPaths) {
+    const files = await listDumpFiles(dumpPath);
+    let count = 0;
+    for (const file of files) {
+      let data;
+      try {
+        data = JSON.parse(await fsp.readFile(file, 'utf8'));
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️  Skipping ${file}: ${error.message}`));
+        continue;
+      }
+      normalizeAdvisories(data).forEach((advisory) => {
+        const invalid = advisory.vulnerableRanges.find((range) => !semver.validRange(range, { loose: true }));
+        if (!advisory.id || invalid) {
+          console.warn(chalk.yellow(`⚠️  Skipping ${advisory.id || 'advisory without id'} for ${advisory.package}: invalid range ${invalid}`));
+          return;
+        }
+        advisories.set(`${advisory.id}|${advisory.package}`, advisory);
+        count++;
+      });
+    }
+    sources.push({ path: path.resolve(dumpPath), advisories: count, importedAt: new Date().toISOString() });
+    imported += count;
+    console.log(chalk.gray(`   ${dumpPath}: ${count} npm advisor${count === 1 ? 'y' : 'ies'}`));
+  }
+
+  const database = {
+    version: DATABASE_VERSION,
+    generated: new Date().toISOString(),
+    sources,
+    advisories: [...advisories.values()].sort((a, b) => a.package.localeCompare(b.package) || a.id.localeCompare(b.id)),
+  };
+  await fsp.mkdir(path.dirname(databasePath), { recursive: true });
+  await fsp.writeFile(databasePath, JSON.stringify(database, null, 2));
+  return { databasePath, imported, total: database.advisories.length };
+};
+
+/**
+ * Lowest patched version above the installed one
+ */
+const findFixedVersion = (version, patchedVersions) => patchedVersions
+  .filter((patched) => semver.valid(patched) && semver.gt(patched, version))
+  .sort(semver.compare)[0] || null;
+
+/**
+ * Match resolved packages against the database
+ * @param {Array<{name: string, version: string}>} packages - From readResolvedPackages()
+ * @param {Object} database - From loadAdvisoryDatabase()
+ * @returns {Array<{name: string, version: string, advisory: Object, fixedIn: string|null}>}
+ */
+export const matchAdvisories = (packages, database) => {
+  const byPackage = new Map();
+  database.advisories.forEach((advisory) => {
+    if (!byPackage.has(advisory.package)) byPackage.set(advisory.package, []);
+    byPackage.get(advisory.package).push(advisory);
+  });
+
+  return packages.flatMap(({ name, version }) => {
+    const candidates = byPackage.get(name);
+    // Git, tarball and alias versions cannot be range-matched
+    if (!candidates || !semver.valid(version)) return [];
+    return candidates
+      .filter((advisory) => advisory.vulnerableRanges.some((range) => semver.satisfies(version, range, { includePrerelease: true, loose: true })))
+      .map((advisory) => ({ name, version, advisory, fixedIn: findFixedVersion(version, advisory.patchedVersions) }));
+  });
+};
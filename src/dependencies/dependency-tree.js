@@ -0,0 +1,186 @@
+import fs from 'fs';
+import path from 'path';
+import { writeFile } from 'fs/promises';
+import { groupByName, findInstalledPackage } from './lockfile.js';
+
+/**
+ * Dependency tree for the dashboard
+ *
+ * Built from the lockfile graph (see lockfile.js): for every direct dependency the packages
+ * it pulls in, what they add on disk, and which of them are duplicated or vulnerable. Sizes
+ * are read from node_modules, so they are only known after an install.
+ *
+ * dependency-graph-report.json: { generated, projects: [tree] }, one tree per workspace package
+ *   tree.roots  [{ name, id, group, packages, totalSize, exclusivePackages, exclusiveSize,
+ *                  duplicates, vulnerable }] - "exclusive" is what only this dependency needs,
+ *                  i.e. what removing it saves
+ *   tree.nodes  [{ id, name, version, license, dev, direct, size, dependencies: [id],
+ *                  introducedBy: [direct dependency], duplicate, vulnerabilities }]
+ */
+
+export const DEPENDENCY_GRAPH_REPORT = 'dependency-graph-report.json';
+
+const ROOT_GROUPS = ['dependencies', 'optionalDependencies', 'devDependencies'];
+
+/**
+ * Bytes on disk of an installed package, without its own nested node_modules
+ * @param {string} dir
+ * @returns {number}
+ */
+export const measureDirectory = (dir) => {
+  let size = 0;
+  const pending = [dir];
+  while (pending.length > 0) {
+    const current = pending.pop();
+    let entries;
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    entries.forEach((entry) => {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== 'node_modules') pending.push(entryPath);
+      } else if (entry.isFile()) {
+        size += fs.statSync(entryPath).size;
+      }
+    });
+  }
+  return size;
+};
+
+/**
+ * Installed size of every package in the graph
+ * @param {Object} graph - From readDependencyGraph()
+ * @param {string} [rootDir]
+ * @returns {Map<string, number|null>} id -> bytes, null when the package is not installed
+ */
+export const readPackageSizes = (graph, rootDir = process.cwd()) => {
+  const sizes = new Map();
+  graph.packages.forEach((node) => {
+    const installed = findInstalledPackage(node, rootDir);
+    sizes.set(node.id, installed ? measureDirectory(installed.dir) : null);
+  });
+  return sizes;
+};
+
+/**
+ * Ids reachable from one package, itself included
+ */
+const collectSubtree = (packages, startId) => {
+  const seen = new Set();
+  const queue = [startId];
+  while (queue.length > 0) {
+    const id = queue.pop();
+    if (seen.has(id) || !packages.has(id)) continue;
+    seen.add(id);
+    queue.push(...Object.values(packages.get(id).dependencies).filter(Boolean));
+  }
+  return seen;
+};
+
+const sumSizes = (ids, sizes) => [...ids].reduce((acc, id) => acc + (sizes.get(id) || 0), 0);
+
+/**
+ * Build the tree of one project
+ * @param {Object} graph - From readDependencyGraph()
+ * @param {Object} [options]
+ * @param {string} [options.name] - Project or workspace package name
+ * @param {string} [options.dir] - Its directory relative to the repository root
+ * @param {Map<string, number|null>} [options.sizes] - From readPackageSizes()
+ * @param {Object[]} [options.vulnerabilities] - From matchAdvisories()
+ * @returns {Object} Tree (see above)
+ */
+export const buildDependencyTree = (graph, { name, dir = '.', sizes = new Map(), vulnerabilities = [] } = {}) => {
+  const { packages } = graph;
+
+  // A package listed in several groups counts once, in its production group
+  const roots = [];
+  ROOT_GROUPS.forEach((group) => {
+    Object.entries(graph.root[group] || {}).forEach(([dependency, id]) => {
+      if (!id || roots.some((root) => root.name === dependency)) return;
+      roots.push({ name: dependency, id, group });
+    });
+  });
+
+  const introducedBy = new Map();
+  const subtrees = new Map();
+  roots.forEach((root) => {
+    const subtree = collectSubtree(packages, root.id);
+    subtrees.set(root.name, subtree);
+    subtree.forEach((id) => {
+      if (!introducedBy.has(id)) introducedBy.set(id, []);
+      introducedBy.get(id).push(root.name);
+    });
+  });
+
+  const duplicated = new Set([...groupByName(graph).entries()].filter(([, nodes]) => nodes.length > 1).map(([packageName]) => packageName));
+  const vulnerabilitiesById = new Map();
+  vulnerabilities.forEach(({ name: packageName, version, advisory, fixedIn }) => {
+    const id = `${packageName}@${version}`;
+    if (!vulnerabilitiesById.has(id)) vulnerabilitiesById.set(id, []);
+    vulnerabilitiesById.get(id).push({ id: advisory.id, severity: advisory.severity, summary: advisory.summary, url: advisory.url, fixedIn });
+  });
+  const directIds = new Set(roots.map((root) => root.id));
+
+  const nodes = [...packages.values()].map((node) => ({
+    id: node.id,
+    name: node.name,
+    version: node.version,
+    license: node.license,
+    dev: node.dev,
+    direct: directIds.has(node.id),
+    size: sizes.get(node.id) ?? null,
+    dependencies: [...new Set(Object.values(node.dependencies).filter(Boolean))],
+    introducedBy: introducedBy.get(node.id) || [],
+    duplicate: duplicated.has(node.name),
+    vulnerabilities: vulnerabilitiesById.get(node.id) || [],
+  }));
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+
+  const rootSummaries = roots.map((root) => {
+    const subtree = subtrees.get(root.name);
+    const exclusive = [...subtree].filter((id) => introducedBy.get(id).length === 1);
+    const subtreeNodes = [...subtree].map((id) => nodesById.get(id));
+    return {
+      ...root,
+      packages: subtree.size,
+      totalSize: sumSizes(subtree, sizes),
+      exclusivePackages: exclusive.length,
+      exclusiveSize: sumSizes(exclusive, sizes),
+      duplicates: subtreeNodes.filter((node) => node.duplicate).length,
+      vulnerable: subtreeNodes.filter((node) => node.vulnerabilities.length > 0).length,
+    };
+  }).sort((a, b) => b.exclusiveSize - a.exclusiveSize || a.name.localeCompare(b.name));
+
+  return {
+    name: name || graph.manifest.name || '(root)',
+    dir,
+    lockfile: path.basename(graph.lockfile.path),
+    format: graph.lockfile.format,
+    summary: {
+      packages: nodes.length,
+      direct: roots.length,
+      transitive: nodes.filter((node) => !node.direct).length,
+      duplicated: duplicated.size,
+      vulnerable: nodes.filter((node) => node.vulnerabilities.length > 0).length,
+      installedSize: sumSizes(nodes.map((node) => node.id), sizes),
+      unknownSize: nodes.filter((node) => node.size === null).length,
+    },
+    roots: rootSummaries,
+    nodes,
+  };
+};
+
+/**
+ * Save the trees as dependency-graph-report.json
+ * @param {string} folderPath
+ * @param {Object[]} trees - From buildDependencyTree()
+ * @returns {Promise<string>} Report path
+ */
+export const writeDependencyGraphReport = async (folderPath, trees) => {
+  const reportPath = path.join(folderPath, DEPENDENCY_GRAPH_REPORT);
+  await writeFile(reportPath, JSON.stringify({ generated: new Date().toISOString(), projects: trees }, null, 2));
+  return reportPath;
+};
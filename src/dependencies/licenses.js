@@ -0,0 +1,340 @@
+import fs from 'fs';
+import path from 'path';
+import { writeFile } from 'fs/promises';
+import { getConfig } from '../config-loader.js';
+import { findInstalledPackage, normalizeLicense } from './lockfile.js';
+
+/**
+ * License policy
+ *
+ * Every package in the lockfile is checked against a policy of SPDX license ids. Licenses come
+ * from the lockfile, the installed package.json and the package's LICENSE file, so no network
+ * is needed. SPDX expressions are evaluated: "MIT OR GPL-3.0" passes when MIT does, while
+ * "MIT AND GPL-3.0" needs both.
+ *
+ * Optional settings in ui-code-insight.config.json (each list replaces its default):
+ *   "licenses": {
+ *     "allowed": ["MIT", "ISC", "BSD-*", "Apache-2.0"],  // when set, other licenses need a review
+ *     "denied": ["AGPL-*"],                             // reported as high severity
+ *     "review": ["GPL-*", "LGPL-*"],                    // reported as medium severity
+ *     "unknown": "review"                               // packages without a license: allowed, review or denied
+ *   }
+ *
+ * Ids match case-insensitively and "*" is a wildcard. GNU ids are compared in their current
+ * form, so "GPL-2.0" and "GPL-2.0-only" are the same license, as are "GPL-2.0+" and
+ * "GPL-2.0-or-later".
+ */
+
+export const THIRD_PARTY_NOTICES = 'third-party-notices.txt';
+
+export const DEFAULT_LICENSE_POLICY = {
+  allowed: [],
+  denied: [],
+  review: ['GPL*', 'AGPL*', 'LGPL*'],
+  unknown: 'allowed',
+};
+
+const STATUSES = ['allowed', 'review', 'denied'];
+const GNU_LICENSE = /^(?:A|L)?GPL-\d\.\d$|^GFDL-\d\.\d$/i;
+const LICENSE_FILE = /^(?:licen[cs]e|copying|unlicense)(?:[-._][^/]*)?$/i;
+const NOTICE_FILE = /^notice(?:\.(?:md|txt))?$/i;
+const SEE_LICENSE_IN = /^SEE LICEN[CS]E IN\s+(.+)$/i;
+const SPDX_ID = /^(?:DocumentRef-[A-Za-z0-9.-]+:)?[A-Za-z0-9.-]+\+?$/;
+const SEPARATOR = '='.repeat(80);
+
+// Checked in order, so the more specific GNU licenses come before GPL
+const LICENSE_TEXT_SIGNATURES = [
+  { id: 'AGPL-3.0', pattern: /GNU AFFERO GENERAL PUBLIC LICENSE/i },
+  { id: 'LGPL-3.0', pattern: /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 3/i },
+  { id: 'LGPL-2.1', pattern: /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 2\.1/i },
+  { id: 'GPL-3.0', pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 3/i },
+  { id: 'GPL-2.0', pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 2/i },
+  { id: 'MPL-2.0', pattern: /Mozilla Public License,?\s+(?:Version|v\.)\s*2\.0/i },
+  { id: 'Apache-2.0', pattern: /Apache License,?\s+Version 2\.0/i },
+  { id: 'Unlicense', pattern: /free and unencumbered software released into the public domain/i },
+  { id: 'CC0-1.0', pattern: /CC0 1\.0 Universal/i },
+  { id: 'ISC', pattern: /Permission to use, copy, modify, and\/or distribute this software for any\s+purpose with or without fee/i },
+  { id: 'MIT', pattern: /Permission is hereby granted, free of charge, to any person obtaining a copy/i },
+  { id: 'BSD-3-Clause', pattern: /Redistribution and use in source and binary forms[\s\S]*Neither the name/i },
+  { id: 'BSD-2-Clause', pattern: /Redistribution and use in source and binary forms/i },
+];
+
+/**
+ * License policy from the config, merged with the defaults
+ * @param {Object} [config]
+ * @returns {{allowed: string[], denied: string[], review: string[], unknown: string}}
+ */
+export const getLicensePolicy = (config = getConfig()) => {
+  const settings = config.licenses || {};
+  const list = (key) => (Array.isArray(settings[key]) ? settings[key] : DEFAULT_LICENSE_POLICY[key]);
+  return {
+    allowed: list('allowed'),
+    denied: list('denied'),
+    review: list('review'),
+    unknown: STATUSES.includes(settings.unknown) ? settings.unknown : DEFAULT_LICENSE_POLICY.unknown,
+  };
+};
+
+/**
+ * Parse an SPDX license expression
+ * @param {string} expression - e.g. "(MIT OR Apache-2.0) AND GPL-2.0 WITH Classpath-exception-2.0"
+ * @returns {Object} { license, exception? } or { conjunction: 'and'|'or', left, right }
+ * @throws {Error} When the expression is not valid SPDX
+ */
+export const parseSpdxExpression = (expression) => {
+  const tokens = expression.match(/\(|\)|[^\s()]+/g) || [];
+  let position = 0;
+  const peek = () => tokens[position]?.toUpperCase();
+  const next = () => tokens[position++];
+
+  const parseLicense = () => {
+    const token = next();
+    if (!token || ['AND', 'OR', 'WITH'].includes(token.toUpperCase()) || !SPDX_ID.test(token)) {
+      throw new Error(`Expected a license id in "${expression}"`);
+    }
+    if (peek() !== 'WITH') return { license: token };
+    next();
+    const exception = next();
+    if (!exception || !SPDX_ID.test(exception)) throw new Error(`Expected an exception id in "${expression}"`);
+    return { license: token, exception };
+  };
+  const parseOperand = () => {
+    if (peek() !== '(') return parseLicense();
+    next();
+    const inner = parseOr();
+    if (next() !== ')') throw new Error(`Missing ")" in "${expression}"`);
+    return inner;
+  };
+  const parseBinary = (operator, parseSide) => () => {
+    let left = parseSide();
+    while (peek() === operator) {
+      next();
+      left = { conjunction: operator.toLowerCase(), left, right: parseSide() };
+    }
+    return left;
+  };
+  const parseAnd = parseBinary('AND', parseOperand);
+  const parseOr = parseBinary('OR', parseAnd);
+
+  if (tokens.length === 0) throw new Error('Empty license expression');
+  const parsed = parseOr();
+  if (position < tokens.length) throw new Error(`Unexpected "${tokens[position]}" in "${expression}"`);
+  return parsed;
+};
+
+/**
+ * Current form of a license id: GNU licenses get their -only / -or-later suffix
+ * @param {string} id
+ * @returns {string}
+ */
+export const normalizeLicenseId = (id) => {
+  if (id.endsWith('+')) {
+    const base = id.slice(0, -1);
+    return GNU_LICENSE.test(base) ? `${base}-or-later` : id;
+  }
+  return GNU_LICENSE.test(id) ? `${id}-only` : id;
+};
+
+const matchesPattern = (id, pattern) => {
+  if (!pattern.includes('*')) return normalizeLicenseId(id).toLowerCase() === normalizeLicenseId(pattern).toLowerCase();
+  const escaped = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`, 'i').test(id);
+};
+
+const matchesAny = (id, patterns) => patterns.some((pattern) => matchesPattern(id, pattern));
+
+/**
+ * Status of one license id. An id with its exception ("GPL-2.0 WITH Classpath-exception-2.0")
+ * listed as such in the policy wins over the plain id.
+ */
+const evaluateLicenseId = ({ license, exception }, policy) => {
+  if (exception) {
+    const withException = `${license} WITH ${exception}`;
+    const listed = ['denied', 'review', 'allowed'].find((status) =>
+      policy[status].some((pattern) => !pattern.includes('*') && matchesPattern(withException, pattern))
+    );
+    if (listed) return listed;
+  }
+  if (matchesAny(license, policy.denied)) return 'denied';
+  if (matchesAny(license, policy.review)) return 'review';
+  if (policy.allowed.length === 0 || matchesAny(license, policy.allowed)) return 'allowed';
+  return 'review';
+};
+
+const rank = (status) => STATUSES.indexOf(status);
+
+/**
+ * Evaluate a license expression against the policy. OR takes the best choice, AND the worst.
+ * @param {string|null} expression
+ * @param {Object} [policy] - From getLicensePolicy()
+ * @returns {{status: string, licenses: string[], unknown: boolean}} status is allowed, review or
+ *   denied; licenses are the ids that decided it
+ */
+export const evaluateLicense = (expression, policy = getLicensePolicy()) => {
+  let parsed;
+  try {
+    parsed = expression ? parseSpdxExpression(expression) : null;
+  } catch {
+    parsed = null;
+  }
+  if (!parsed) return { status: policy.unknown, licenses: expression ? [expression] : [], unknown: true };
+
+  const evaluate = (node) => {
+    if (node.license) {
+      const id = node.exception ? `${node.license} WITH ${node.exception}` : node.license;
+      return { status: evaluateLicenseId(node, policy), licenses: [id] };
+    }
+    const left = evaluate(node.left);
+    const right = evaluate(node.right);
+    if (rank(left.status) === rank(right.status)) return { status: left.status, licenses: [...left.licenses, ...right.licenses] };
+    const pickWorse = node.conjunction === 'and';
+    return (rank(left.status) > rank(right.status)) === pickWorse ? left : right;
+  };
+  return { ...evaluate(parsed), unknown: false };
+};
+
+/**
+ * SPDX id of a license text, for packages that only ship a LICENSE file
+ * @param {string} text
+ * @returns {string|null}
+ */
+export const detectLicenseFromText = (text) => LICENSE_TEXT_SIGNATURES.find(({ pattern }) => pattern.test(text))?.id || null;
+
+const readText = (filePath) => {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * LICENSE and NOTICE files of an installed package (the shortest matching name wins,
+ * so LICENSE beats LICENSE-THIRD-PARTY)
+ * @param {string} dir
+ * @returns {{licenseFile: string|null, licenseText: string|null, noticeText: string|null}}
+ */
+export const readLicenseFiles = (dir) => {
+  let names = [];
+  try {
+    names = fs.readdirSync(dir).sort((a, b) => a.length - b.length || a.localeCompare(b));
+  } catch {
+    // Not installed
+  }
+  const licenseFile = names.find((name) => LICENSE_FILE.test(name)) || null;
+  const noticeFile = names.find((name) => NOTICE_FILE.test(name));
+  return {
+    licenseFile,
+    licenseText: licenseFile ? readText(path.join(dir, licenseFile)) : null,
+    noticeText: noticeFile ? readText(path.join(dir, noticeFile)) : null,
+  };
+};
+
+/**
+ * License of a package from the lockfile, its installed package.json or its LICENSE file
+ * @param {Object} node - Graph package
+ * @param {string} [rootDir]
+ * @returns {{expression: string|null, source: string|null, manifest: Object|null, licenseText: string|null, noticeText: string|null}}
+ *   source is lockfile, package.json or license-file
+ */
+export const resolvePackageLicense = (node, rootDir = process.cwd()) => {
+  const installed = findInstalledPackage(node, rootDir);
+  const manifest = installed?.manifest || null;
+  const files = installed ? readLicenseFiles(installed.dir) : { licenseText: null, noticeText: null };
+  let expression = node.license || normalizeLicense(manifest || {});
+  let source = expression ? (manifest && normalizeLicense(manifest) === expression ? 'package.json' : 'lockfile') : null;
+
+  // "SEE LICENSE IN <file>" points at a custom license inside the package
+  const pointer = expression && SEE_LICENSE_IN.exec(expression);
+  if (pointer && installed) {
+    const text = readText(path.join(installed.dir, pointer[1].trim()));
+    if (text) files.licenseText = text;
+    expression = text ? detectLicenseFromText(text) : null;
+    source = expression ? 'license-file' : null;
+  } else if (pointer) {
+    expression = null;
+    source = null;
+  }
+  if (!expression && files.licenseText) {
+    expression = detectLicenseFromText(files.licenseText);
+    source = expression ? 'license-file' : null;
+  }
+  return { expression, source, manifest, licenseText: files.licenseText, noticeText: files.noticeText };
+};
+
+const formatPerson = (person) => {
+  if (!person) return null;
+  if (typeof person === 'string') return person;
+  return [person.name, person.email && `<${person.email}>`, person.url && `(${person.url})`].filter(Boolean).join(' ') || null;
+};
+
+const formatRepository = (repository) => {
+  const url = typeof repository === 'string' ? repository : repository?.url;
+  return url ? url.replace(/^git\+/, '').replace(/\.git$/, '') : null;
+};
+
+/**
+ * Attribution entry of one package for the third-party notices
+ * @param {Object} node - Graph package
+ * @param {Object} resolved - From resolvePackageLicense()
+ * @returns {Object} { id, name, version, license, author, repository, homepage, copyright, licenseText, noticeText }
+ */
+export const createNoticeEntry = (node, resolved) => {
+  const manifest = resolved.manifest || {};
+  const copyright = (resolved.licenseText || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => /^copyright\b(?:\s+\(c\)|\s+©|\s+\d)/i.test(line) || /^©/.test(line));
+  return {
+    id: node.id,
+    name: node.name,
+    version: node.version,
+    license: resolved.expression || 'UNKNOWN',
+    author: formatPerson(manifest.author),
+    repository: formatRepository(manifest.repository),
+    homepage: manifest.homepage || null,
+    copyright: [...new Set(copyright)],
+    licenseText: resolved.licenseText ? resolved.licenseText.trim() : null,
+    noticeText: resolved.noticeText ? resolved.noticeText.trim() : null,
+  };
+};
+
+/**
+ * Third-party attribution file: every package with its license, copyright and full license text
+ * @param {Object[]} entries - From createNoticeEntry(); duplicates (same id) are listed once
+ * @param {string} [projectName]
+ * @returns {string}
+ */
+export const buildThirdPartyNotices = (entries, projectName = 'This project') => {
+  const unique = [...new Map(entries.map((entry) => [entry.id, entry])).values()]
+    .sort((a, b) => a.id.localeCompare(b.id));
+  const lines = [
+    'THIRD-PARTY SOFTWARE NOTICES AND INFORMATION',
+    '',
+    `${projectName} includes the following ${unique.length} third-party package(s).`,
+    `Generated by ui-code-insight on ${new Date().toISOString()}.`,
+    '',
+  ];
+  unique.forEach((entry) => {
+    lines.push(SEPARATOR, entry.id, `License: ${entry.license}`);
+    if (entry.author) lines.push(`Author: ${entry.author}`);
+    if (entry.repository || entry.homepage) lines.push(`Source: ${entry.repository || entry.homepage}`);
+    lines.push(...entry.copyright, SEPARATOR, '');
+    lines.push(entry.licenseText || `No license file is included in the package; see the ${entry.license} license text.`, '');
+    if (entry.noticeText) lines.push('NOTICE:', '', entry.noticeText, '');
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Save the third-party notices in the report folder
+ * @param {string} folderPath
+ * @param {Object[]} entries - From createNoticeEntry()
+ * @param {string} [projectName]
+ * @returns {Promise<string>} File path
+ */
+export const writeThirdPartyNotices = async (folderPath, entries, projectName) => {
+  const noticesPath = path.join(folderPath, THIRD_PARTY_NOTICES);
+  await writeFile(noticesPath, buildThirdPartyNotices(entries, projectName));
+  return noticesPath;
+};
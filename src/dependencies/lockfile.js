@@ -0,0 +1,552 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+/**
+ * Lockfile readers
+ *
+ * Parse package-lock.json / npm-shrinkwrap.json (lockfile v1-v3), yarn.lock (classic and Berry)
+ * and pnpm-lock.yaml (v5-v9) into one resolved dependency graph, without touching
+ * node_modules, the package manager CLI or the registry.
+ *
+ * Every parser returns { packages, root, format }:
+ *   packages  [{ id: "name@version", name, version, license, integrity, resolved,
+ *                dependencies: { name: id }, peerDependencies: { name: range }, optionalPeers: [name] }]
+ *             integrity is a Subresource Integrity string ("sha512-...") and resolved the tarball
+ *             URL, where the lockfile records them (yarn Berry checksums cover yarn's own cache
+ *             archive, not the registry tarball, so they are left out)
+ *   root      { dependencies, devDependencies, optionalDependencies: { name: id|null } }
+ *   format    lockfile flavour, e.g. "npm-v3", "yarn-classic", "yarn-berry", "pnpm-v9"
+ * Dependency edges point at the package id the lockfile resolved them to (null when it did not).
+ * Workspace packages and local links are project code and are not part of the graph.
+ *
+ * In a workspace (monorepo) the lockfile at the repository root covers every package; the
+ * "importer" is the workspace directory ("packages/app", "." for the root) whose dependencies
+ * become the graph's root.
+ */
+
+// Checked in this order; npm prefers a shrinkwrap over package-lock.json
+export const LOCKFILES = [
+  { type: 'npm', file: 'npm-shrinkwrap.json', installCommand: 'npm install' },
+  { type: 'npm', file: 'package-lock.json', installCommand: 'npm install' },
+  { type: 'yarn', file: 'yarn.lock', installCommand: 'yarn install' },
+  { type: 'pnpm', file: 'pnpm-lock.yaml', installCommand: 'pnpm install' },
+];
+
+const ROOT_GROUPS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+/**
+ * Find the project's lockfile
+ * @param {string} [rootDir]
+ * @returns {{type: string, path: string, installCommand: string}|null}
+ */
+export const detectLockfile = (rootDir = process.cwd()) => {
+  const found = LOCKFILES.find(({ file }) => fs.existsSync(path.join(rootDir, file)));
+  return found ? { type: found.type, path: path.join(rootDir, found.file), installCommand: found.installCommand } : null;
+};
+
+/**
+ * Split "name@version" / "@scope/name@range" at the version separator
+ * @param {string} spec
+ * @returns {{name: string, rest: string}}
+ */
+const splitSpec = (spec) => {
+  const at = spec.indexOf('@', 1);
+  return at === -1 ? { name: spec, rest: '' } : { name: spec.slice(0, at), rest: spec.slice(at + 1) };
+};
+
+const createNode = (name, version, entry = {}) => ({
+  id: `${name}@${version}`,
+  name,
+  version: String(version),
+  license: normalizeLicense(entry),
+  integrity: entry.integrity || entry.resolution?.integrity || null,
+  resolved: entry.resolved || entry.resolution?.tarball || null,
+  dependencies: {},
+  peerDependencies: { ...(entry.peerDependencies || {}) },
+  optionalPeers: Object.keys(entry.peerDependenciesMeta || {}).filter((peer) => entry.peerDependenciesMeta[peer]?.optional),
+});
+
+const emptyRoot = () => ({ dependencies: {}, devDependencies: {}, optionalDependencies: {} });
+
+/**
+ * License of a lockfile entry or package.json ("MIT", { type: "MIT" } or legacy licenses: [...])
+ * @param {Object} manifest
+ * @returns {string|null}
+ */
+export const normalizeLicense = (manifest = {}) => {
+  const { license, licenses } = manifest;
+  if (typeof license === 'string') return license;
+  if (license?.type) return license.type;
+  if (Array.isArray(licenses) && licenses.length > 0) {
+    const types = licenses.map((item) => (typeof item === 'string' ? item : item?.type)).filter(Boolean);
+    return types.length > 1 ? `(${types.join(' OR ')})` : types[0] || null;
+  }
+  return null;
+};
+
+/**
+ * Collect nodes by id; the same package can appear at several install paths or peer variants
+ */
+const createNodeSet = () => {
+  const nodes = new Map();
+  return {
+    add(node) {
+      const existing = nodes.get(node.id);
+      if (!existing) {
+        nodes.set(node.id, node);
+        return node;
+      }
+      existing.license = existing.license || node.license;
+      existing.integrity = existing.integrity || node.integrity;
+      existing.resolved = existing.resolved || node.resolved;
+      Object.entries(node.peerDependencies).forEach(([peer, range]) => {
+        if (!(peer in existing.peerDependencies)) existing.peerDependencies[peer] = range;
+      });
+      existing.optionalPeers = [...new Set([...existing.optionalPeers, ...node.optionalPeers])];
+      return existing;
+    },
+    values: () => [...nodes.values()],
+  };
+};
+
+/**
+ * Install path of the package a dependency resolves to, following node_modules lookup:
+ * the package's own node_modules first, then each parent's, then the root
+ */
+const resolveInstallPath = (entries, fromPath, name) => {
+  let base = fromPath;
+  for (;;) {
+    const candidate = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+    if (entries[candidate]) return candidate;
+    if (!base) return null;
+    const parent = base.lastIndexOf('/node_modules/');
+    base = parent === -1 ? '' : base.slice(0, parent);
+  }
+};
+
+/**
+ * Flatten a lockfile v1 dependency tree into v2-style install paths
+ */
+const flattenNpmV1 = (dependencies = {}, prefix = '', entries = {}) => {
+  Object.entries(dependencies).forEach(([name, entry]) => {
+    const installPath = prefix ? `${prefix}/node_modules/${name}` : `node_modules/${name}`;
+    entries[installPath] = { ...entry, dependencies: entry.requires || {} };
+    flattenNpmV1(entry.dependencies, installPath, entries);
+  });
+  return entries;
+};
+
+/**
+ * package-lock.json / npm-shrinkwrap.json
+ * @param {string} content
+ * @param {Object} [manifest] - package.json, used for the root of lockfile v1
+ * @param {string} [importer] - Workspace directory whose dependencies form the root
+ * @returns {{packages: Object[], root: Object, format: string}}
+ */
+export const parseNpmLockfile = (content, manifest = {}, importer = '.') => {
+  const lock = JSON.parse(content);
+  const format = lock.packages ? `npm-v${lock.lockfileVersion}` : 'npm-v1';
+  // v2/v3 list install paths ("" is the root, paths without node_modules/ are workspaces)
+  const entries = lock.packages || { '': manifest, ...flattenNpmV1(lock.dependencies) };
+  const nodes = createNodeSet();
+  const nodeAt = new Map();
+
+  Object.entries(entries).forEach(([installPath, entry]) => {
+    if (!installPath.includes('node_modules/') || entry.link || !entry.version) return;
+    const name = entry.name || installPath.slice(installPath.lastIndexOf('node_modules/') + 'node_modules/'.length);
+    nodeAt.set(installPath, nodes.add(createNode(name, entry.version, entry)));
+  });
+
+  const resolve = (fromPath, name) => {
+    const target = resolveInstallPath(entries, fromPath, name);
+    return target && nodeAt.has(target) ? nodeAt.get(target).id : null;
+  };
+
+  nodeAt.forEach((node, installPath) => {
+    const entry = entries[installPath];
+    Object.keys({ ...entry.dependencies, ...entry.optionalDependencies }).forEach((name) => {
+      node.dependencies[name] = resolve(installPath, name);
+    });
+  });
+
+  // Workspaces are listed under their directory and resolve from there up to the root
+  const importerPath = importer === '.' ? '' : importer;
+  const root = emptyRoot();
+  const rootEntry = entries[importerPath] || manifest;
+  ROOT_GROUPS.forEach((group) => {
+    Object.keys(rootEntry[group] || {}).forEach((name) => {
+      root[group][name] = resolve(importerPath, name);
+    });
+  });
+  return { packages: nodes.values(), root, format };
+};
+
+/**
+ * Blocks of a yarn classic lockfile:
+ *
+ *   "@babel/core@^7.0.0", "@babel/core@^7.1.0":
+ *     version "7.2.0"
+ *     dependencies:
+ *       "@babel/types" "^7.2.0"
+ */
+const readYarnClassicBlocks = (content) => {
+  const blocks = [];
+  let block = null;
+  let section = null;
+  const unquote = (value) => value.trim().replace(/^"|"$/g, '');
+
+  content.split('\n').forEach((line) => {
+    if (!line.trim() || line.trimStart().startsWith('#')) return;
+    if (!line.startsWith(' ')) {
+      block = { specs: line.replace(/:\s*$/, '').split(',').map(unquote), fields: {}, dependencies: {}, optionalDependencies: {} };
+      blocks.push(block);
+      section = null;
+      return;
+    }
+    if (!block) return;
+    if (/^ {2}\S/.test(line)) {
+      const field = /^ {2}("[^"]+"|\S+?):?(?:\s+(.+))?$/.exec(line);
+      if (!field) return;
+      const key = unquote(field[1]);
+      section = field[2] === undefined ? key : null;
+      if (field[2] !== undefined) block.fields[key] = unquote(field[2]);
+    } else if (section && block[section]) {
+      const dependency = /^ {4}("[^"]+"|\S+)\s+(.+)$/.exec(line);
+      if (dependency) block[section][unquote(dependency[1])] = unquote(dependency[2]);
+    }
+  });
+  return blocks;
+};
+
+/**
+ * Older yarn classic lockfiles have no integrity field, only a sha1 after the tarball URL
+ * ("https://registry.yarnpkg.com/ms/-/ms-2.1.2.tgz#5ee3...")
+ */
+const yarnSha1Integrity = (resolved) => {
+  const sha1 = /#([a-f0-9]{40})$/.exec(resolved || '');
+  return sha1 ? `sha1-${Buffer.from(sha1[1], 'hex').toString('base64')}` : null;
+};
+
+/**
+ * yarn.lock, classic (v1) format
+ */
+const parseYarnClassic = (content, manifest) => {
+  const nodes = createNodeSet();
+  const bySpec = new Map();
+  const resolved = [];
+
+  readYarnClassicBlocks(content).forEach((block) => {
+    if (!block.fields.version) return;
+    // Aliases ("string-width-cjs@npm:string-width@^4.2.0") install the real package
+    const { name, rest } = splitSpec(block.specs[0]);
+    const node = nodes.add(createNode(rest.startsWith('npm:') ? splitSpec(rest.slice(4)).name : name, block.fields.version, {
+      integrity: block.fields.integrity || yarnSha1Integrity(block.fields.resolved),
+      resolved: block.fields.resolved?.replace(/#.*$/, '')
+    }));
+    block.specs.forEach((spec) => bySpec.set(spec, node.id));
+    resolved.push({ node, block });
+  });
+
+  const resolve = (name, range) => bySpec.get(`${name}@${range}`) || null;
+  resolved.forEach(({ node, block }) => {
+    Object.entries({ ...block.dependencies, ...block.optionalDependencies }).forEach(([name, range]) => {
+      node.dependencies[name] = resolve(name, range);
+    });
+  });
+
+  const root = emptyRoot();
+  ROOT_GROUPS.forEach((group) => {
+    Object.entries(manifest[group] || {}).forEach(([name, range]) => {
+      root[group][name] = resolve(name, range);
+    });
+  });
+  return { packages: nodes.values(), root, format: 'yarn-classic' };
+};
+
+/**
+ * yarn.lock, Berry (v2+) format: YAML with a "resolution" per entry
+ */
+const parseYarnBerry = (content, manifest) => {
+  const lock = yaml.load(content) || {};
+  const nodes = createNodeSet();
+  const bySpec = new Map();
+  const resolved = [];
+
+  Object.entries(lock).forEach(([key, entry]) => {
+    if (key === '__metadata' || !entry?.resolution || entry.version === undefined) return;
+    const { name, rest } = splitSpec(entry.resolution);
+    // Workspaces and local links are project code, not installed packages
+    if (/^(workspace|link|portal|file):/.test(rest)) return;
+    const node = nodes.add(createNode(name, entry.version, entry));
+    key.split(',').forEach((spec) => bySpec.set(spec.trim(), node.id));
+    resolved.push({ node, entry });
+  });
+
+  const resolve = (name, range) => bySpec.get(`${name}@${range}`) || bySpec.get(`${name}@npm:${range}`) || null;
+  resolved.forEach(({ node, entry }) => {
+    Object.entries({ ...entry.dependencies, ...entry.optionalDependencies }).forEach(([name, range]) => {
+      node.dependencies[name] = resolve(name, String(range));
+    });
+  });
+
+  const root = emptyRoot();
+  ROOT_GROUPS.forEach((group) => {
+    Object.entries(manifest[group] || {}).forEach(([name, range]) => {
+      root[group][name] = resolve(name, range);
+    });
+  });
+  return { packages: nodes.values(), root, format: 'yarn-berry' };
+};
+
+/**
+ * yarn.lock (classic or Berry)
+ * @param {string} content
+ * @param {Object} [manifest] - package.json; yarn.lock does not record the root's dependencies
+ * @returns {{packages: Object[], root: Object, format: string}}
+ */
+export const parseYarnLockfile = (content, manifest = {}) => (
+  /^__metadata:/m.test(content) ? parseYarnBerry(content, manifest) : parseYarnClassic(content, manifest)
+);
+
+/**
+ * pnpm package key to name and version:
+ *   v5  /@scope/name/1.0.0_peer@2.0.0
+ *   v6  /@scope/name@1.0.0(peer@2.0.0)
+ *   v9  @scope/name@1.0.0(peer@2.0.0)
+ */
+const parsePnpmKey = (key, lockfileVersion) => {
+  const id = key.replace(/^\//, '').replace(/\(.*$/, '');
+  if (lockfileVersion < 6) {
+    const slash = id.lastIndexOf('/');
+    return { name: id.slice(0, slash), version: id.slice(slash + 1).replace(/_.*$/, '') };
+  }
+  const { name, rest } = splitSpec(id);
+  return { name, version: rest };
+};
+
+/**
+ * Package id a pnpm dependency reference points at: a version ("1.0.0(peer@2.0.0)"),
+ * an aliased key ("/string-width/4.2.3", "string-width@4.2.3") or a local link
+ */
+const resolvePnpmReference = (name, reference, lockfileVersion) => {
+  const ref = String(reference);
+  if (/^(link|file|workspace):/.test(ref)) return null;
+  if (ref.startsWith('/') || (!/^\d/.test(ref) && ref.includes('@'))) {
+    const target = parsePnpmKey(ref, ref.startsWith('/') ? lockfileVersion : 9);
+    return `${target.name}@${target.version}`;
+  }
+  const version = ref.replace(/\(.*$/, '');
+  return `${name}@${lockfileVersion < 6 ? version.replace(/_.*$/, '') : version}`;
+};
+
+/**
+ * pnpm-lock.yaml
+ * @param {string} content
+ * @param {string} [importer] - Workspace directory whose dependencies form the root
+ * @returns {{packages: Object[], root: Object, format: string}}
+ */
+export const parsePnpmLockfile = (content, importer = '.') => {
+  const lock = yaml.load(content) || {};
+  const lockfileVersion = parseFloat(lock.lockfileVersion) || 5;
+  const nodes = createNodeSet();
+  const resolved = [];
+
+  Object.entries(lock.packages || {}).forEach(([key, entry = {}]) => {
+    const parsed = parsePnpmKey(key, lockfileVersion);
+    // Tarball and git dependencies carry their real name and version in the entry
+    const name = entry?.name || parsed.name;
+    const version = entry?.version || parsed.version;
+    if (!name || !version) return;
+    resolved.push({ node: nodes.add(createNode(name, version, entry || {})), key, entry: entry || {} });
+  });
+
+  // v9 moved the dependencies of each package into "snapshots"
+  const ids = new Set(nodes.values().map((node) => node.id));
+  const byId = new Map(nodes.values().map((node) => [node.id, node]));
+  const link = (node, dependencies = {}) => {
+    Object.entries(dependencies).forEach(([name, reference]) => {
+      const id = resolvePnpmReference(name, reference, lockfileVersion);
+      node.dependencies[name] = id && ids.has(id) ? id : null;
+    });
+  };
+  resolved.forEach(({ node, entry }) => link(node, { ...entry.dependencies, ...entry.optionalDependencies }));
+  Object.entries(lock.snapshots || {}).forEach(([key, entry = {}]) => {
+    const { name, version } = parsePnpmKey(key, lockfileVersion);
+    const node = byId.get(`${name}@${version}`);
+    if (node) link(node, { ...entry?.dependencies, ...entry?.optionalDependencies });
+  });
+
+  // Single projects keep the root's dependencies at the top level before v9
+  const importerEntry = lock.importers?.[importer] || (importer === '.' ? lock : {});
+  const root = emptyRoot();
+  ROOT_GROUPS.forEach((group) => {
+    Object.entries(importerEntry[group] || {}).forEach(([name, value]) => {
+      const reference = typeof value === 'object' && value !== null ? value.version : value;
+      const id = resolvePnpmReference(name, reference, lockfileVersion);
+      root[group][name] = id && ids.has(id) ? id : null;
+    });
+  });
+  return { packages: nodes.values(), root, format: `pnpm-v${lockfileVersion}` };
+};
+
+// yarn.lock does not record importers; each workspace's ranges come from its package.json
+const PARSERS = {
+  npm: (content, manifest, importer) => parseNpmLockfile(content, manifest, importer),
+  yarn: (content, manifest) => parseYarnLockfile(content, manifest),
+  pnpm: (content, manifest, importer) => parsePnpmLockfile(content, importer),
+};
+
+/**
+ * Ids of the packages reachable from the given ones
+ */
+const walkDependencies = (byId, startIds) => {
+  const seen = new Set();
+  const queue = startIds.filter(Boolean);
+  while (queue.length > 0) {
+    const id = queue.pop();
+    if (seen.has(id) || !byId.has(id)) continue;
+    seen.add(id);
+    queue.push(...Object.values(byId.get(id).dependencies).filter(Boolean));
+  }
+  return seen;
+};
+
+/**
+ * Mark packages that are only reachable through devDependencies
+ */
+const markDevPackages = (packages, root) => {
+  const byId = new Map(packages.map((node) => [node.id, node]));
+  const walk = (startIds) => walkDependencies(byId, startIds);
+  const production = walk([...Object.values(root.dependencies), ...Object.values(root.optionalDependencies)]);
+  const development = walk(Object.values(root.devDependencies));
+  packages.forEach((node) => {
+    node.dev = !production.has(node.id) && development.has(node.id);
+  });
+};
+
+/**
+ * Read the project's package.json, or {} when there is none
+ * @param {string} [rootDir]
+ * @returns {Object}
+ */
+export const readManifest = (rootDir = process.cwd()) => {
+  const manifestPath = path.join(rootDir, 'package.json');
+  return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {};
+};
+
+/**
+ * Resolved dependency graph of the project
+ * @param {string} [rootDir] - Directory of the lockfile (the repository root of a workspace)
+ * @param {Object} [options]
+ * @param {string} [options.importer] - Workspace directory relative to rootDir ("." for the root);
+ *   the graph then only holds what that package depends on
+ * @returns {{lockfile: Object, manifest: Object, root: Object, packages: Map<string, Object>}|null}
+ *   null when the project has no lockfile. Each package also gets dev: true when only
+ *   devDependencies need it.
+ */
+export const readDependencyGraph = (rootDir = process.cwd(), { importer } = {}) => {
+  const lockfile = detectLockfile(rootDir);
+  if (!lockfile) return null;
+  const manifest = readManifest(path.join(rootDir, importer || '.'));
+  const parsed = PARSERS[lockfile.type](fs.readFileSync(lockfile.path, 'utf8'), manifest, importer || '.');
+  let { packages } = parsed;
+  if (importer !== undefined) {
+    const byId = new Map(packages.map((node) => [node.id, node]));
+    const reachable = walkDependencies(byId, ROOT_GROUPS.flatMap((group) => Object.values(parsed.root[group])));
+    packages = packages.filter((node) => reachable.has(node.id));
+  }
+  markDevPackages(packages, parsed.root);
+  return {
+    lockfile: { ...lockfile, format: parsed.format },
+    manifest,
+    root: parsed.root,
+    packages: new Map(packages.map((node) => [node.id, node])),
+  };
+};
+
+/**
+ * Resolved versions per package name
+ * @param {Object} graph - From readDependencyGraph()
+ * @returns {Map<string, Object[]>} name -> packages, one per resolved version
+ */
+export const groupByName = (graph) => {
+  const byName = new Map();
+  graph.packages.forEach((node) => {
+    if (!byName.has(node.name)) byName.set(node.name, []);
+    byName.get(node.name).push(node);
+  });
+  return byName;
+};
+
+/**
+ * Install location of a package, if node_modules has the version the lockfile resolved
+ * (hoisted install or the pnpm store)
+ * @param {Object} node - Graph package
+ * @param {string} [rootDir]
+ * @returns {{dir: string, manifest: Object}|null}
+ */
+export const findInstalledPackage = (node, rootDir = process.cwd()) => {
+  const candidates = [
+    path.join(rootDir, 'node_modules', node.name),
+    path.join(rootDir, 'node_modules', '.pnpm', `${node.name.replace('/', '+')}@${node.version}`, 'node_modules', node.name),
+  ];
+  for (const dir of candidates) {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+      if (manifest.version === node.version) return { dir, manifest };
+    } catch {
+      // Not installed at this location
+    }
+  }
+  return null;
+};
+
+/**
+ * package.json of an installed package (see findInstalledPackage)
+ * @param {Object} node - Graph package
+ * @param {string} [rootDir]
+ * @returns {Object|null}
+ */
+export const readInstalledManifest = (node, rootDir = process.cwd()) => findInstalledPackage(node, rootDir)?.manifest || null;
+
+// Lockfile formats that do not record peer dependencies
+const FORMATS_WITHOUT_PEERS = ['npm-v1', 'yarn-classic'];
+
+/**
+ * Fill in what the lockfile does not record from node_modules: licenses (only npm v2+ lockfiles
+ * have them) and peer dependencies (missing from npm v1 and yarn classic lockfiles)
+ * @param {Object} graph - From readDependencyGraph(); packages are updated in place
+ * @param {string} [rootDir]
+ * @returns {Object} The graph
+ */
+export const addInstalledMetadata = (graph, rootDir = process.cwd()) => {
+  const needsPeers = FORMATS_WITHOUT_PEERS.includes(graph.lockfile.format);
+  graph.packages.forEach((node) => {
+    if (node.license && !needsPeers) return;
+    const manifest = readInstalledManifest(node, rootDir);
+    if (!manifest) return;
+    node.license = node.license || normalizeLicense(manifest);
+    if (needsPeers) {
+      const installed = createNode(node.name, node.version, manifest);
+      node.peerDependencies = { ...installed.peerDependencies, ...node.peerDependencies };
+      node.optionalPeers = [...new Set([...node.optionalPeers, ...installed.optionalPeers])];
+    }
+  });
+  return graph;
+};
+
+/**
+ * Resolved package versions from the project's lockfile
+ * @param {string} [rootDir]
+ * @returns {{lockfile: {type: string, path: string}, packages: Array<{name: string, version: string}>}|null}
+ *   null when the project has no lockfile
+ */
+export const readResolvedPackages = (rootDir = process.cwd()) => {
+  const graph = readDependencyGraph(rootDir);
+  if (!graph) return null;
+  return {
+    lockfile: graph.lockfile,
+    packages: [...graph.packages.values()].map(({ name, version }) => ({ name, version })),
+  };
+};
@@ -1,11 +1,14 @@
 import { ESLint } from "eslint";
 import path from "path";
-import { readFile, writeFile } from "fs/promises";
-import { fileURLToPath } from "url";
+import { writeFile } from "fs/promises";
 import { globby } from "globby";
 import fs from "fs";
 import chalk from "chalk";
-import { getConfigPattern, getMergedExcludeRules } from '../config-loader.js';
+import { getConfig, getConfigPattern, getMergedExcludeRules } from '../config-loader.js';
+import { isChangedFilesMode } from '../utils/changed-files.js';
+import { digestFile } from '../utils/scan-cache.js';
+import { runFileTasks } from '../utils/worker-pool.js';
+import { getLintConfigFile, getLintConfigPath } from '../utils.js';
 import { execSync } from 'child_process';
 import { createRequire } from 'module';
 
@@ -104,79 +107,6 @@ function getConfigExtends(configPath) {
   return [];
 }
 
-// Constants for configuration files
-const CONFIG_FOLDER = "config";
-const ESLINTRC_JSON = ".eslintrc.json";
-const ESLINTRC_JS = ".eslintrc.js";
-const ESLINTRC_YML = ".eslintrc.yml";
-const ESLINTRC = ".eslintrc";
-const ESLINTRC_REACT = "eslintrc.react.json";
-const ESLINTRC_NODE = "eslintrc.node.json";
-const ESLINTRC_VANILLA = "eslintrc.vanilla.json";
-const ESLINTRC_TS = "eslintrc.typescript.json";
-const ESLINTRC_TSREACT = "eslintrc.tsreact.json";
-
-/**
- * Function to determine ESLint configuration file path
- * @param {boolean} recommendedLintRules
- * @param {string} projectType
- * @returns {string} lintConfigFile
- */
-const getLintConfigFile = (recommendedLintRules, projectType = '') => {
-  const __filename = fileURLToPath(import.meta.url);
-  const __dirname = path.dirname(__filename);
-  let configFileName = 'eslintrc.simple.json'; // Default to simple config
-
-  if (projectType.toLowerCase() === 'react') {
-    configFileName = ESLINTRC_REACT;
-  } else if (projectType.toLowerCase() === 'node') {
-    configFileName = ESLINTRC_NODE;
-  } else if (projectType.toLowerCase() === 'vanilla') {
-    configFileName = ESLINTRC_VANILLA;
-  } else if (projectType.toLowerCase() === 'typescript') {
-    configFileName = ESLINTRC_TS;
-  } else if (projectType.toLowerCase() === 'typescript + react' || projectType.toLowerCase() === 'tsreact') {
-    configFileName = ESLINTRC_TSREACT;
-  }
-
-  const configFilePath = path.join(__dirname, CONFIG_FOLDER, configFileName);
-  
-  // Check if the target config exists, otherwise fallback to simple config
-  if (fs.existsSync(configFilePath)) {
-    return configFilePath;
-  }
-
-  // Fallback to simple config to avoid module resolution issues
-  const simpleConfigPath = path.join(__dirname, CONFIG_FOLDER, 'eslintrc.simple.json');
-  if (fs.existsSync(simpleConfigPath)) {
-    console.log(chalk.yellow(`⚠️  Using simplified ESLint config to avoid module resolution issues`));
-    return simpleConfigPath;
-  }
-
-  // Final fallback to default logic
-  const recommendedLintRulesConfigFile = path.join(
-    __dirname,
-    CONFIG_FOLDER,
-    ESLINTRC_JSON
-  );
-  const moduleDir = path.join(process.cwd(), "node_modules", "ui-code-insight");
-  const eslintLintFilePathFromModule = path.join(moduleDir, ESLINTRC_JSON);
-
-  if (recommendedLintRules) {
-    return recommendedLintRulesConfigFile;
-  }
-
-  const configFiles = [
-    ESLINTRC,
-    ESLINTRC_JS,
-    ESLINTRC_YML,
-    ESLINTRC_JSON,
-    eslintLintFilePathFromModule,
-  ];
-
-  return configFiles.find((file) => fs.existsSync(file));
-};
-
 /**
  * Output red-colored text to console
  * @param {string} text
@@ -195,75 +125,15 @@ const logWarning = (text) => console.log(chalk.yellow(text));
  */
 const logSuccess = (text) => console.log(chalk.green(text));
 
-/**
- * Function to lint a single file
- * @param {string} filePath
- * @param {ESLint} eslint
- * @returns {Promise<Object|null>} lint result
- */
-const lintFile = async (filePath, eslint) => {
-  try {
-    // Read file content
-    const data = await readFile(filePath, "utf8");
-
-    // Lint the file
-    const messages = await eslint.lintText(data, {
-      filePath,
-    });
-
-    // Check if messages array exists and has content
-    if (!messages || !Array.isArray(messages) || messages.length === 0) {
-      console.warn(chalk.yellow(`⚠️  No lint results for ${filePath}`));
-      return {
-        filePath,
-        errorCount: 0,
-        warningCount: 0,
-        messages: [],
-      };
-    }
-
-    const firstMessage = messages[0];
-    
-    // Check if the message object has the expected properties
-    if (!firstMessage || typeof firstMessage !== 'object') {
-      console.warn(chalk.yellow(`⚠️  Invalid lint result for ${filePath}`));
-      return {
-        filePath,
-        errorCount: 0,
-        warningCount: 0,
-        messages: [],
-      };
-    }
-
-    return {
-      filePath,
-      errorCount: firstMessage.errorCount || 0,
-      warningCount: firstMessage.warningCount || 0,
-      messages: firstMessage.messages || [],
-    };
-  } catch (err) {
-    console.error(chalk.red(`❌ Error processing file ${filePath}: ${err.message}`));
-    return {
-      filePath,
-      errorCount: 0,
-      warningCount: 0,
-      messages: [],
-      error: err.message
-    };
-  }
-};
-
-const BATCH_SIZE = 5;
-
 /**
  * Function to lint all files
  * @param {Array<string>} files
  * @param {string} folderPath
- * @param {ESLint} eslint
  * @param {string} projectType
  * @param {Array<string>} reports
+ * @param {string} configFile - ESLint config the files are linted with (part of the cache key)
  */
-const lintAllFiles = async (files, folderPath, eslint, projectType, reports) => {
+const lintAllFiles = async (files, folderPath, projectType, reports, configFile) => {
   console.log(
     chalk.green(
       `Total files count is ${files.length} This linting task will take some time.`
@@ -275,40 +145,19 @@ const lintAllFiles = async (files, folderPath, eslint, projectType, reports) =>
 
   let results = [];
   let processed = 0;
-  let errorCount = 0;
-  
-  for (let i = 0; i < files.length; i += BATCH_SIZE) {
-    const batch = files.slice(i, i + BATCH_SIZE);
-    
-    try {
-      const batchResults = await Promise.all(batch.map(async (filePath) => {
-        processed++;
-        process.stdout.write(`\r[ESLint] Progress: ${processed}/${files.length} files checked`);
-        
-        try {
-          return await lintFile(filePath, eslint);
-        } catch (fileError) {
-          errorCount++;
-          console.error(chalk.red(`❌ Error processing file ${filePath}: ${fileError.message}`));
-          return {
-            filePath,
-            errorCount: 0,
-            warningCount: 0,
-            messages: [],
-            error: fileError.message
-          };
-        }
-      }));
-      
-      // Filter out null results and add valid ones
-      const validResults = batchResults.filter(result => result !== null && result !== undefined);
-      results.push(...validResults);
-      
-    } catch (batchError) {
-      console.error(chalk.red(`❌ Error processing batch ${Math.floor(i / BATCH_SIZE) + 1}: ${batchError.message}`));
-      errorCount += batch.length;
-    }
-  }
+
+  // Files are linted on the worker pool; results stream back as each file finishes
+  const { failed } = await runFileTasks('eslint:lint', files, {
+    taskOptions: { configFile },
+    cacheScope: `eslint:${digestFile(configFile)}`,
+    shouldCache: result => result && !result.error,
+    onResult: (result) => {
+      processed++;
+      process.stdout.write(`\r[ESLint] Progress: ${processed}/${files.length} files checked`);
+      if (result) results.push(result);
+    },
+  });
+  const errorCount = failed + results.filter(result => result.error).length;
   
   if (errorCount > 0) {
     console.log(chalk.yellow(`⚠️  ${errorCount} files had processing errors`));
@@ -402,6 +251,8 @@ const lintAllFiles = async (files, folderPath, eslint, projectType, reports) =>
     path.join(folderPath, "eslint-report.json"),
     JSON.stringify(jsonReport, null, 2)
   );
+
+  return jsonReport;
 };
 
 /**
@@ -411,6 +262,7 @@ const lintAllFiles = async (files, folderPath, eslint, projectType, reports) =>
  * @param {Boolean} recommendedLintRules
  * @param {String} projectType
  * @param {Array<string>} reports
+ * @returns {Promise<Object>} ESLint JSON report
  */
 export const generateESLintReport = async (
   folderPath,
@@ -418,6 +270,7 @@ export const generateESLintReport = async (
   projectType = '',
   reports = []
 ) => {
+  let jsonReport;
   try {
     const lintConfigFile = getLintConfigFile(recommendedLintRules, projectType);
     if (!lintConfigFile) {
@@ -426,9 +279,10 @@ export const generateESLintReport = async (
 
     console.log(chalk.blue(`Using ESLint config: ${lintConfigFile}`));
 
-    let eslint;
+    // The workers create their own instances; this one only checks the options before linting
+    let eslintConfigFile = lintConfigFile;
     try {
-      eslint = new ESLint({
+      new ESLint({
         useEslintrc: false,
         overrideConfigFile: lintConfigFile,
         // Add error handling for module resolution
@@ -440,19 +294,14 @@ export const generateESLintReport = async (
       console.log(chalk.yellow(`🔄 Trying with simplified configuration...`));
       
       // Try with simplified config
-      const simpleConfigPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'config', 'eslintrc.simple.json');
-      eslint = new ESLint({
-        useEslintrc: false,
-        overrideConfigFile: simpleConfigPath,
-        errorOnUnmatchedPattern: false,
-        allowInlineConfig: false,
-      });
+      const simpleConfigPath = getLintConfigPath();
+      eslintConfigFile = simpleConfigPath;
     }
 
     const files = await globby(getConfigPattern('jsFilePathPattern'));
     console.log(chalk.blue(`📁 ESLint scanning ${files.length} files with pattern: ${getConfigPattern('jsFilePathPattern').join(', ')}`));
     
-    await lintAllFiles(files, folderPath, eslint, projectType, reports);
+    jsonReport = await lintAllFiles(files, folderPath, projectType, reports, eslintConfigFile);
     
     console.log(chalk.green(`✅ ESLint report generated successfully`));
     
@@ -485,6 +334,11 @@ export const generateESLintReport = async (
     throw error; // Re-throw to maintain error handling in calling code
   }
 
+  // npm audit covers the whole project, not the changed files, and needs the registry
+  if (isChangedFilesMode() || getConfig().offline) {
+    return jsonReport;
+  }
+
   try {
     const auditOutput = execSync('npm audit --json', {
       cwd: process.cwd(),
@@ -507,4 +361,6 @@ export const generateESLintReport = async (
   } catch (error) {
     // ... existing error handling ...
   }
+
+  return jsonReport;
 };
@@ -0,0 +1,131 @@
+import { ESLint } from "eslint";
+import fs from "fs";
+import { readFile } from "fs/promises";
+import chalk from "chalk";
+import { getLintConfigFile, getLintConfigPath } from "../utils.js";
+
+// ESLint instances by config file, created once per thread
+const eslintInstances = new Map();
+// Lint results of the files the shared scanner read, by config file
+const sourceResults = new WeakMap();
+
+const getESLint = (configFile) => {
+  if (!eslintInstances.has(configFile)) {
+    eslintInstances.set(configFile, new ESLint({
+      useEslintrc: false,
+      overrideConfigFile: configFile,
+      errorOnUnmatchedPattern: false,
+      allowInlineConfig: false,
+    }));
+  }
+  return eslintInstances.get(configFile);
+};
+
+/**
+ * Function to lint a single file
+ * @param {string} filePath
+ * @param {ESLint} eslint
+ * @returns {Promise<Object|null>} lint result
+ */
+export const lintFile = async (filePath, eslint) => {
+  try {
+    // Read file content
+    const data = await readFile(filePath, "utf8");
+
+    // Lint the file
+    const messages = await eslint.lintText(data, {
+      filePath,
+    });
+
+    // Check if messages array exists and has content
+    if (!messages || !Array.isArray(messages) || messages.length === 0) {
+      console.warn(chalk.yellow(`⚠️  No lint results for ${filePath}`));
+      return {
+        filePath,
+        errorCount: 0,
+        warningCount: 0,
+        messages: [],
+      };
+    }
+
+    const firstMessage = messages[0];
+    
+    // Check if the message object has the expected properties
+    if (!firstMessage || typeof firstMessage !== 'object') {
+      console.warn(chalk.yellow(`⚠️  Invalid lint result for ${filePath}`));
+      return {
+        filePath,
+        errorCount: 0,
+        warningCount: 0,
+        messages: [],
+      };
+    }
+
+    return {
+      filePath,
+      errorCount: firstMessage.errorCount || 0,
+      warningCount: firstMessage.warningCount || 0,
+      messages: firstMessage.messages || [],
+    };
+  } catch (err) {
+    console.error(chalk.red(`❌ Error processing file ${filePath}: ${err.message}`));
+    return {
+      filePath,
+      errorCount: 0,
+      warningCount: 0,
+      messages: [],
+      error: err.message
+    };
+  }
+};
+
+/**
+ * Lint a single file with the given config (the ESLint report's per-file task)
+ * @param {string} filePath
+ * @param {Object} options
+ * @param {string} options.configFile - Config the report resolved (see generateESLintReport)
+ * @returns {Promise<Object>} lint result
+ */
+export const lintFileWithConfig = async (filePath, { configFile }) => lintFile(filePath, getESLint(configFile));
+
+/**
+ * Options of the audits' ESLint checks (eslint_security, unused_code, eslint_promise),
+ * resolved once on the main thread; a config ESLint cannot load falls back to the simple one
+ * @returns {{configFile: string}}
+ */
+export const getAuditLintOptions = () => {
+  const eslintConfig = getLintConfigFile();
+  if (!eslintConfig) {
+    throw new Error(".eslintrc file is missing");
+  }
+
+  try {
+    getESLint(eslintConfig);
+    return { configFile: eslintConfig };
+  } catch (initError) {
+    console.warn(chalk.yellow(`⚠️ ESLint initialization failed with config ${eslintConfig}, falling back to simple config`));
+    const configFile = getLintConfigPath();
+    if (!fs.existsSync(configFile)) {
+      throw new Error("No valid ESLint configuration found");
+    }
+    return { configFile };
+  }
+};
+
+/**
+ * Lint a file the shared scanner read; every check that asks with the same config
+ * shares one lint of the file
+ * @param {Object} source - From the shared scanner
+ * @param {string} configFile
+ * @returns {Promise<Object[]>} ESLint messages
+ */
+export const lintSource = (source, configFile) => {
+  if (!sourceResults.has(source)) sourceResults.set(source, new Map());
+  const results = sourceResults.get(source);
+  if (!results.has(configFile)) {
+    results.set(configFile, getESLint(configFile)
+      .lintText(source.content, { filePath: source.file })
+      .then(([result]) => (result?.messages || []).filter(message => message && message.ruleId)));
+  }
+  return results.get(configFile);
+};
@@ -0,0 +1,144 @@
+import chalk from "chalk";
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+import { writeFile } from "fs/promises";
+import { getToolVersion } from "../utils.js";
+import { getLintCounts, getWorstLighthouseScore, LIGHTHOUSE_SCORE_METRICS } from "../quality-gates.js";
+
+/**
+ * Run history for trend tracking
+ *
+ * Every run appends a summary snapshot to history-report.json in the report folder.
+ * The report files themselves are overwritten on each run; the history file is not,
+ * so the dashboard can chart how the numbers move over time.
+ */
+
+export const HISTORY_FILE = "history-report.json";
+export const DEFAULT_HISTORY_LIMIT = 100;
+
+const HISTORY_VERSION = 1;
+
+// Categories with severity counts (same shape as the comprehensive report)
+export const HISTORY_AUDIT_CATEGORIES = ["security", "performance", "accessibility", "lighthouse", "testing", "dependency", "checklist"];
+export const HISTORY_LINT_CATEGORIES = ["eslint", "stylelint"];
+
+/**
+ * Current git commit, branch and whether tracked files have uncommitted changes,
+ * or null outside a git repository
+ * @returns {{commit: string, branch: string|null, dirty: boolean}|null}
+ */
+export const getGitInfo = () => {
+  const git = (args) =>
+    execFileSync("git", args, { cwd: process.cwd(), encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+  try {
+    const commit = git(["rev-parse", "HEAD"]);
+    const branch = git(["rev-parse", "--abbrev-ref", "HEAD"]);
+    // Untracked files (such as the report folder itself) don't make a run dirty
+    const dirty = git(["status", "--porcelain", "--untracked-files=no"]).length > 0;
+    return { commit, branch: branch === "HEAD" ? null : branch, dirty };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Build a summary snapshot of one run
+ * @param {Object} results - Results keyed by category (audit results, lint reports)
+ * @param {Object} [meta] - { projectType, reports, git }
+ * @returns {Object} Snapshot
+ */
+export const buildSnapshot = (results = {}, meta = {}) => {
+  const summary = { totalIssues: 0, highSeverity: 0, mediumSeverity: 0, lowSeverity: 0 };
+  const categories = {};
+
+  HISTORY_AUDIT_CATEGORIES.forEach((category) => {
+    const result = results[category];
+    if (!result) return;
+    const counts = {
+      totalIssues: result.totalIssues || 0,
+      highSeverity: result.highSeverity || 0,
+      mediumSeverity: result.mediumSeverity || 0,
+      lowSeverity: result.lowSeverity || 0,
+    };
+    categories[category] = counts;
+    Object.keys(summary).forEach((key) => {
+      summary[key] += counts[key];
+    });
+  });
+
+  const lint = {};
+  HISTORY_LINT_CATEGORIES.forEach((category) => {
+    if (!results[category]) return;
+    const { errors, warnings } = getLintCounts(results[category]);
+    lint[category] = { errors, warnings, files: (results[category].results || []).length };
+  });
+
+  // Worst score across URLs and devices, matching the Lighthouse quality gates
+  let lighthouse = null;
+  if (results.lighthouse?.scores && Object.keys(results.lighthouse.scores).length > 0) {
+    lighthouse = {};
+    LIGHTHOUSE_SCORE_METRICS.forEach((metric) => {
+      lighthouse[metric] = getWorstLighthouseScore(results.lighthouse, metric);
+    });
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    toolVersion: getToolVersion(),
+    git: meta.git === undefined ? getGitInfo() : meta.git,
+    projectType: meta.projectType || null,
+    reports: meta.reports || [],
+    summary,
+    categories,
+    lint,
+    lighthouse,
+  };
+};
+
+/**
+ * Load the history of a report folder (empty history when missing or unreadable)
+ * @param {string} folderPath
+ * @returns {{version: number, snapshots: Array}}
+ */
+export const loadHistory = (folderPath) => {
+  const historyPath = path.join(folderPath, HISTORY_FILE);
+  if (!fs.existsSync(historyPath)) {
+    return { version: HISTORY_VERSION, snapshots: [] };
+  }
+  try {
+    const history = JSON.parse(fs.readFileSync(historyPath, "utf8"));
+    if (history.version !== HISTORY_VERSION || !Array.isArray(history.snapshots)) {
+      console.warn(chalk.yellow(`⚠️  Unsupported history format in ${historyPath}, starting a new history`));
+      return { version: HISTORY_VERSION, snapshots: [] };
+    }
+    return history;
+  } catch (error) {
+    console.warn(chalk.yellow(`⚠️  Could not read history ${historyPath}: ${error.message}`));
+    return { version: HISTORY_VERSION, snapshots: [] };
+  }
+};
+
+/**
+ * Append a snapshot to the history, keeping at most `limit` snapshots
+ * @param {string} folderPath - Report folder
+ * @param {Object} snapshot - From buildSnapshot()
+ * @param {number} [limit]
+ * @returns {Promise<Object>} The updated history
+ */
+export const recordSnapshot = async (folderPath, snapshot, limit = DEFAULT_HISTORY_LIMIT) => {
+  const history = loadHistory(folderPath);
+  history.snapshots.push(snapshot);
+  if (limit > 0 && history.snapshots.length > limit) {
+    history.snapshots = history.snapshots.slice(-limit);
+  }
+
+  const historyPath = path.join(folderPath, HISTORY_FILE);
+  try {
+    await writeFile(historyPath, JSON.stringify(history, null, 2));
+    console.log(chalk.green(`✅ Run history updated: ${historyPath} (${history.snapshots.length} snapshot(s))`));
+  } catch (error) {
+    console.error(chalk.red("Error saving run history:", error.message));
+  }
+  return history;
+};
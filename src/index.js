@@ -4,12 +4,49 @@ import { generateESLintReport } from './eslint/eslint-report.js';
 import { generateStyleLintReport } from './stylelint/stylelint-report.js';
 import { generateNpmPackageReport } from './packages-report/packagesReport.js';
 import { generateComponentUsageReport } from './component-usage/component-usage-report.js';
+import { generateSarifReport } from './sarif/sarif-report.js';
+import { generateSbomReport } from './sbom/sbom-report.js';
+import { buildSnapshot, recordSnapshot, DEFAULT_HISTORY_LIMIT } from './history/history.js';
+import {
+  DEFAULT_BASELINE_FILE,
+  loadBaseline,
+  applyBaseline,
+  writeBaselinedReports,
+  printBaselineSummary
+} from './baseline/baseline.js';
+import { getConfig, getGates, addScanExclusion } from './config-loader.js';
+import { resolveGates, evaluateGates, printGateResults, isBuiltInGateCategory } from './quality-gates.js';
+import { getGitChangedFiles, setChangedFiles } from './utils/changed-files.js';
+import { openScanCache, saveScanCache } from './utils/scan-cache.js';
+import { setConcurrency, closeWorkerPool } from './utils/worker-pool.js';
+import { openFileScan, closeFileScan } from './scanner/file-scanner.js';
+import { resolveGitHistoryOptions } from './secrets/git-history-scanner.js';
+import { tagWorkspaceIssues, writeWorkspaceReports } from './workspaces/workspaces.js';
 import chalk from 'chalk';
 import path from 'path';
 import fs from 'fs';
 
+export { parseCliArgs, parseCompareArgs, parseAdvisoriesArgs, getCliHelp, REPORT_CHOICES, PROJECT_TYPES } from './cli-options.js';
+export { createBaseline, DEFAULT_BASELINE_FILE } from './baseline/baseline.js';
+export { generateCompareReport } from './compare/compare-report.js';
+export { importAdvisories, DEFAULT_ADVISORY_DATABASE } from './dependencies/advisories.js';
+
 /**
  * Main function to initialize code insight tool
+ * @param {Object} options - Same options the CLI flags map onto
+ * @param {string} [options.outputDir] - Report folder (defaults to ./report)
+ * @param {Object} [options.gates] - Quality gates, merged over "gates" from config
+ * @param {string} [options.baselineFile] - Baseline of known issues (defaults to config "baselineFile"
+ *   or ./ui-code-insight-baseline.json); only issues not in it are reported and gated
+ * @param {string} [options.changedSince] - Git ref; file-based audits only scan files changed since it,
+ *   and whole-project reports (testing, dependency, checklist, packages, sbom) only run when listed explicitly
+ * @param {Object} [options.gitHistory] - { range, depth }; also scan git history for secrets in the
+ *   security audit (defaults to "secrets.gitHistory" in config)
+ * @param {boolean} [options.cache] - Reuse findings of unchanged files from the scan cache
+ *   (defaults to "cache.enabled" in config, on unless set to false)
+ * @param {number} [options.concurrency] - Worker threads for file-based audits and ESLint
+ *   (defaults to "concurrency" in config, else the number of CPU cores; 1 runs them on the main thread)
+ * @returns {Promise<Object>} Report folder, per-category results and gate outcome
  */
 export async function codeInsightInit(options = {}) {
   const {
@@ -19,20 +56,53 @@ export async function codeInsightInit(options = {}) {
     stylelintConfig = 'standard',
     lighthouseUrl = null,
     accessibilityUrls = [],
-    securityUrls = []
+    securityUrls = [],
+    outputDir = path.join(process.cwd(), 'report'),
+    gates: cliGates = {},
+    baselineFile = getConfig().baselineFile || DEFAULT_BASELINE_FILE,
+    changedSince = null,
+    gitHistory = null,
+    cache,
+    concurrency
   } = options;
 
   console.log(chalk.blue('🚀 UI Code Insight Tool Starting...\n'));
 
-  const auditCategories = ['security', 'performance', 'accessibility', 'lighthouse', 'testing', 'dependency'];
-  const currentDir = process.cwd();
-  const reportDir = path.join(currentDir, 'report');
+  const auditCategories = ['security', 'performance', 'accessibility', 'lighthouse', 'testing', 'dependency', 'checklist'];
+  // Reports that look at the project as a whole rather than at individual files
+  const wholeProjectReports = ['testing', 'dependency', 'checklist', 'packages', 'sbom'];
+  const reportDir = path.resolve(outputDir);
+  const results = {};
+
+  // Never scan our own output (default report/ is already excluded by the patterns)
+  addScanExclusion(reportDir);
 
   // Create report directory if it doesn't exist
   if (!fs.existsSync(reportDir)) {
     fs.mkdirSync(reportDir, { recursive: true });
   }
 
+  // Limit file-based audits to files changed since the given git ref
+  let skippedReports = [];
+  if (changedSince) {
+    const changedFiles = getGitChangedFiles(changedSince);
+    setChangedFiles(changedFiles);
+    console.log(chalk.blue(`🔀 Changed-files mode: ${changedFiles.length} file(s) changed since ${changedSince}`));
+    skippedReports = wholeProjectReports.filter((report) => !reports.includes(report));
+    if (reports.includes('all') && skippedReports.length > 0) {
+      console.log(chalk.yellow(`⏭️  Skipping whole-project reports (${skippedReports.join(', ')}); pass them with --reports to run them`));
+    }
+  } else {
+    setChangedFiles(null);
+  }
+
+  openScanCache({ enabled: cache });
+  setConcurrency(concurrency);
+  // The code audits of this run share one read of each file
+  openFileScan(reports.includes('all')
+    ? auditCategories.filter(category => !skippedReports.includes(category))
+    : reports.filter(report => auditCategories.includes(report)));
+
   try {
     // Copy static files (dashboard template)
     console.log(chalk.blue('📁 Copying static files...'));
@@ -40,37 +110,56 @@ export async function codeInsightInit(options = {}) {
     console.log(chalk.green('✅ Static files copied successfully!'));
 
     // Initialize audit orchestrator with lighthouse URL
-    const orchestrator = new AuditOrchestrator(reportDir, lighthouseUrl, accessibilityUrls, securityUrls);
+    const orchestrator = new AuditOrchestrator(reportDir, lighthouseUrl, accessibilityUrls, securityUrls, {
+      gitHistory: resolveGitHistoryOptions(gitHistory)
+    });
+    let ranAllAudits = false;
       
     // Run audits based on selection
     if (reports.includes('all')) {
       console.log(chalk.blue('🔍 Running all audits...\n'));
-        await orchestrator.runAllAudits();
+        const auditResults = await orchestrator.runAllAudits({ skip: skippedReports });
+        Object.assign(results, auditResults.categories);
+        ranAllAudits = true;
       } else {
       console.log(chalk.blue(`🔍 Running selected audits: ${reports.join(', ')}\n`));
       
       for (const reportType of reports) {
         if (auditCategories.includes(reportType)) {
           console.log(chalk.blue(`\n📊 Running ${reportType} audit...`));
-          await orchestrator.runSpecificAudit(reportType);
+          results[reportType] = await orchestrator.runSpecificAudit(reportType);
         }
       }
+
+      if (reports.includes('plugins')) {
+        console.log(chalk.blue('\n🧩 Running plugin audits...'));
+        Object.assign(results, await orchestrator.runPluginAudits());
+      }
     }
 
     // Generate additional reports if requested
     if (reports.includes('eslint') || reports.includes('all')) {
       console.log(chalk.blue('\n📋 Generating ESLint Report...'));
-      await generateESLintReport(reportDir, true, projectType, reports);
+      results.eslint = await generateESLintReport(reportDir, true, projectType, reports);
     }
 
     if (reports.includes('stylelint') || reports.includes('all')) {
       console.log(chalk.blue('\n📋 Generating Stylelint Report...'));
-      await generateStyleLintReport(reportDir, true, projectType, reports);
+      results.stylelint = await generateStyleLintReport(reportDir, true, projectType, reports);
           }
 
-    if (reports.includes('packages') || reports.includes('all')) {
+    if (reports.includes('packages') || (reports.includes('all') && !skippedReports.includes('packages'))) {
       console.log(chalk.blue('\n📋 Generating Packages Report...'));
-      await generateNpmPackageReport(projectType, reports);
+      await generateNpmPackageReport(projectType, reports, reportDir, orchestrator.getWorkspaces());
+    }
+
+    if (reports.includes('sbom') || (reports.includes('all') && !skippedReports.includes('sbom'))) {
+      console.log(chalk.blue('\n📋 Generating SBOM Report...'));
+      try {
+        await generateSbomReport(reportDir, orchestrator.getWorkspaces());
+      } catch (error) {
+        console.warn(chalk.yellow('⚠️  SBOM Report failed:', error.message));
+      }
     }
 
     if (reports.includes('component-usage') || reports.includes('all')) {
@@ -83,12 +172,57 @@ export async function codeInsightInit(options = {}) {
       }
     }
 
+    // Time spent per file check, and the findings of this run for files that are unchanged next time
+    await closeFileScan(reportDir);
+    await saveScanCache();
+
+    // In a workspace, tag lint results and selected audits with the package of each file
+    const workspaces = orchestrator.getWorkspaces();
+    if (workspaces) {
+      await writeWorkspaceReports(reportDir, results, tagWorkspaceIssues(workspaces, results));
+    }
+
+    // Hide issues recorded in the baseline so reports and gates only see new ones
+    const baseline = loadBaseline(baselineFile);
+    if (baseline) {
+      const baselineSummary = applyBaseline(baseline, results);
+      await writeBaselinedReports(reportDir, results, baselineSummary);
+      if (ranAllAudits) {
+        orchestrator.calculateSummary();
+        orchestrator.updateWorkspaceSummary();
+        await orchestrator.generateAuditReport();
+      }
+      printBaselineSummary(baselineSummary, baselineFile);
+    }
+
+    // SARIF export for code-scanning UIs
+    await generateSarifReport(reportDir, results);
+
+    // Trend history; partial (changed-files) runs are left out so trends stay comparable
+    if (changedSince) {
+      console.log(chalk.yellow('⏭️  Not recording run history for a --changed-since run'));
+    } else {
+      const snapshot = buildSnapshot(results, { projectType, reports: reports.filter(report => report !== 'all') });
+      await recordSnapshot(reportDir, snapshot, getConfig().historyLimit ?? DEFAULT_HISTORY_LIMIT);
+    }
+
     console.log(chalk.green('\n✅ All reports generated successfully!'));
     console.log(chalk.blue(`📁 Reports saved to: ${reportDir}`));
     console.log(chalk.blue('🌐 Open dashboard.html in your browser to view results'));
 
+    const gates = resolveGates(getGates(), cliGates);
+    // Plugin categories are known even when the plugins did not run this time
+    const needsPlugins = Object.keys(gates).some(category => !results[category] && !isBuiltInGateCategory(category));
+    const pluginCategories = needsPlugins ? (await orchestrator.getPlugins()).map(plugin => plugin.name) : [];
+    const gateOutcome = evaluateGates(gates, results, { categories: pluginCategories });
+    printGateResults(gateOutcome);
+
+    return { reportDir, results, gates: gateOutcome };
   } catch (error) {
     console.error(chalk.red('❌ Error during code insight generation:', error.message));
     throw error;
+  } finally {
+    await closeFileScan();
+    await closeWorkerPool();
   }
 }
@@ -155,14 +155,16 @@ const generateStyleLintReportWrapper = async (
 
 /**
  * Generates an npm package report.
+ * @async
  * @param {string} projectType
  * @param {Array<string>} reports
- * @returns {void}
+ * @returns {Promise<void>}
  */
-const generateNpmPackageReportWrapper = (projectType, reports) => {
+const generateNpmPackageReportWrapper = async (projectType, reports = []) => {
   try {
     console.log(chalk.blue("Generating npm packages report..."));
-    generateNpmPackageReport();
+    await generateNpmPackageReport(projectType, reports, folderPath);
+    console.log(chalk.green("npm packages report generated successfully!"));
   } catch (err) {
     handleReportError("Error generating npm packages report", err);
   }
@@ -1,88 +1,310 @@
 import chalk from "chalk";
-import { readFile, writeFile } from "fs/promises";
+import fs from "fs";
 import path from "path";
 import fetch from "node-fetch";
+import pLimit from "p-limit";
+import semver from "semver";
+import { writeFile, readFile, mkdir } from "fs/promises";
+import { getConfig } from "../config-loader.js";
+import { readDependencyGraph, readManifest, normalizeLicense } from "../dependencies/lockfile.js";
+import { measureDirectory } from "../dependencies/dependency-tree.js";
+import { readLicenseFiles, detectLicenseFromText } from "../dependencies/licenses.js";
 
-const kbToMb = (kilobytes) => kilobytes / 1024;
+/**
+ * Packages report (npm-report.json)
+ *
+ * Lists the dependencies and devDependencies of package.json with what is installed: version,
+ * license, description and size come from node_modules (the lockfile version when a package is
+ * not installed). The registry is only asked for the latest version and deprecations, as an
+ * optional step that runs concurrently and caches its answers on disk.
+ *
+ * Optional settings in ui-code-insight.config.json ("offline": true also skips the registry):
+ *   "registry": {
+ *     "enabled": true,
+ *     "url": "https://registry.npmjs.org",
+ *     "tokenEnv": "NPM_TOKEN",          // environment variable with a token ("token" takes the value itself)
+ *     "concurrency": 8,
+ *     "cacheFile": "node_modules/.cache/ui-code-insight/registry.json",
+ *     "cacheTtlHours": 24
+ *   }
+ */
 
-export const generateNpmPackageReport = async () => {
-  const folderPath = path.resolve(process.cwd(), "report");
+const DEFAULT_REGISTRY = "https://registry.npmjs.org";
+const DEFAULT_CACHE_FILE = path.join("node_modules", ".cache", "ui-code-insight", "registry.json");
+const REGISTRY_TIMEOUT = 10000;
+// Abbreviated metadata: versions with dist and deprecated, without readmes
+const ABBREVIATED_METADATA = "application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8";
+
+const formatMegabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+/**
+ * Registry settings from the config, merged with the defaults
+ * @param {Object} [config]
+ * @returns {{enabled: boolean, url: string, token: string|null, concurrency: number, cacheFile: string, cacheTtlHours: number}}
+ */
+export const getRegistrySettings = (config = getConfig()) => {
+  const settings = config.registry || {};
+  return {
+    enabled: !config.offline && settings.enabled !== false,
+    url: (settings.url || DEFAULT_REGISTRY).replace(/\/+$/, ""),
+    token: settings.token || (settings.tokenEnv ? process.env[settings.tokenEnv] : null) || null,
+    concurrency: Number.isInteger(settings.concurrency) && settings.concurrency > 0 ? settings.concurrency : 8,
+    cacheFile: path.resolve(settings.cacheFile || DEFAULT_CACHE_FILE),
+    cacheTtlHours: typeof settings.cacheTtlHours === "number" ? settings.cacheTtlHours : 24,
+  };
+};
+
+/**
+ * Installed copy of a package, looked up like Node does: the project's node_modules first,
+ * then each parent folder up to the repository root
+ * @returns {{dir: string, manifest: Object}|null}
+ */
+const findInstalled = (name, projectDir, rootDir) => {
+  let dir = path.resolve(projectDir);
+  const root = path.resolve(rootDir);
+  for (;;) {
+    const packageDir = path.join(dir, "node_modules", name);
+    try {
+      return { dir: packageDir, manifest: JSON.parse(fs.readFileSync(path.join(packageDir, "package.json"), "utf8")) };
+    } catch {
+      // Not installed here
+    }
+    if (dir === root || dir === path.dirname(dir)) return null;
+    dir = path.dirname(dir);
+  }
+};
+
+/**
+ * Report entry of one dependency from node_modules, or from the lockfile when it is not installed
+ * @param {string} name
+ * @param {string} range - Range declared in package.json
+ * @param {Object} context - { projectDir, rootDir, locked: graph package or undefined }
+ * @returns {Object}
+ */
+export const describeInstalledPackage = (name, range, { projectDir, rootDir, locked }) => {
+  const installed = findInstalled(name, projectDir, rootDir);
+  const manifest = installed?.manifest || {};
+  let license = normalizeLicense(manifest) || locked?.license || null;
+  if (!license && installed) {
+    const { licenseText } = readLicenseFiles(installed.dir);
+    license = licenseText ? detectLicenseFromText(licenseText) : null;
+  }
+  return {
+    name,
+    range,
+    version: manifest.version || locked?.version || "Not installed",
+    installed: Boolean(installed),
+    latest: null,
+    outdated: false,
+    license: license || "Unknown",
+    description: manifest.description || "",
+    homepage: manifest.homepage || null,
+    deprecated: manifest.deprecated ? "Deprecated" : "Not deprecated",
+    unpackedSize: installed ? formatMegabytes(measureDirectory(installed.dir)) : "Not available",
+  };
+};
+
+/**
+ * Installed data for the dependencies and devDependencies of one package.json
+ * @param {Object} packageJson
+ * @param {Object} context
+ * @param {string} context.projectDir - Folder of the package.json
+ * @param {string} context.rootDir - Repository root
+ * @param {Object|null} context.graph - Lockfile graph of the package (readDependencyGraph)
+ * @param {string[]} [context.localPackages] - Workspace packages, which are linked rather than installed
+ * @returns {{dependencies: Object[], devDependencies: Object[]}}
+ */
+const collectPackages = (packageJson, { projectDir, rootDir, graph, localPackages = [] }) => {
+  const npmPackagesData = {
+    dependencies: [],
+    devDependencies: [],
+  };
+  ["dependencies", "devDependencies"].forEach((key) => {
+    Object.entries(packageJson?.[key] || {})
+      .filter(([packageName]) => !localPackages.includes(packageName))
+      .forEach(([packageName, range]) => {
+        const lockedId = graph?.root[key]?.[packageName];
+        const locked = lockedId ? graph.packages.get(lockedId) : undefined;
+        npmPackagesData[key].push(describeInstalledPackage(packageName, range, { projectDir, rootDir, locked }));
+      });
+  });
+  return npmPackagesData;
+};
+
+const readRegistryCache = async (cacheFile) => {
   try {
-    const data = await readFile("package.json", "utf8");
-    const packageJson = JSON.parse(data);
-    const dependencies = packageJson?.dependencies || {};
-    const devDependencies = packageJson?.devDependencies || {};
-    let npmPackagesData = {
-      dependencies: [],
-      devDependencies: [],
-    };
+    return JSON.parse(await readFile(cacheFile, "utf8"));
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Latest version and deprecations of a package from the registry
+ * @returns {Promise<{latest: string|null, deprecated: Object}>} deprecated: version -> message
+ */
+const fetchRegistryInfo = async (packageName, settings) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REGISTRY_TIMEOUT);
+  try {
+    const headers = { Accept: ABBREVIATED_METADATA };
+    if (settings.token) headers.Authorization = `Bearer ${settings.token}`;
+    const response = await fetch(`${settings.url}/${packageName.replace("/", "%2f")}`, { headers, signal: controller.signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const packageInfo = await response.json();
+    const deprecated = {};
+    Object.entries(packageInfo.versions || {}).forEach(([version, info]) => {
+      if (info?.deprecated) deprecated[version] = info.deprecated;
+    });
+    return { latest: packageInfo["dist-tags"]?.latest || null, deprecated };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Add the latest version and deprecations from the registry to report entries (in place).
+ * Lookups run concurrently and are cached on disk; failures leave the entries as they are.
+ * @param {Object[]} entries - From describeInstalledPackage()
+ * @param {Object} [settings] - From getRegistrySettings()
+ * @returns {Promise<{fetched: number, cached: number, failed: string[]}>}
+ */
+export const enrichFromRegistry = async (entries, settings = getRegistrySettings()) => {
+  const names = [...new Set(entries.map((entry) => entry.name))];
+  const cache = await readRegistryCache(settings.cacheFile);
+  const maxAge = settings.cacheTtlHours * 60 * 60 * 1000;
+  const stats = { fetched: 0, cached: 0, failed: [] };
+  const limit = pLimit(settings.concurrency);
+  const infoByName = new Map();
+  let done = 0;
+
+  await Promise.all(names.map((packageName) => limit(async () => {
+    const key = `${settings.url}/${packageName}`;
+    const cachedEntry = cache[key];
+    if (cachedEntry && Date.now() - cachedEntry.fetchedAt < maxAge) {
+      infoByName.set(packageName, cachedEntry.info);
+      stats.cached++;
+    } else {
+      try {
+        const info = await fetchRegistryInfo(packageName, settings);
+        cache[key] = { fetchedAt: Date.now(), info };
+        infoByName.set(packageName, info);
+        stats.fetched++;
+      } catch {
+        // Keep a stale answer rather than none
+        if (cachedEntry) infoByName.set(packageName, cachedEntry.info);
+        stats.failed.push(packageName);
+      }
+    }
+    done++;
+    process.stdout.write(`\r[Registry] Progress: ${done}/${names.length} packages checked`);
+  })));
+  if (names.length > 0) process.stdout.write("\n");
+
+  entries.forEach((entry) => {
+    const info = infoByName.get(entry.name);
+    if (!info) return;
+    entry.latest = info.latest;
+    entry.outdated = Boolean(semver.valid(entry.version) && semver.valid(info.latest) && semver.lt(entry.version, info.latest));
+    if (info.deprecated[entry.version]) {
+      entry.deprecated = "Deprecated";
+      entry.deprecationMessage = info.deprecated[entry.version];
+    }
+  });
 
-    const processPackage = async (packageName, isDevDependency = false) => {
-      // console.log(chalk.green(`Validating ${packageName}`));
+  if (stats.fetched > 0) {
+    try {
+      await mkdir(path.dirname(settings.cacheFile), { recursive: true });
+      await writeFile(settings.cacheFile, JSON.stringify(cache));
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: Could not write the registry cache: ${error.message}`));
+    }
+  }
+  return stats;
+};
+
+/**
+ * Write npm-report.json with the installed dependencies of the project, optionally enriched
+ * from the registry. In a workspace every package is listed under "workspaces"; the top-level
+ * lists hold each dependency once, with the packages that use it.
+ * @param {string} projectType
+ * @param {string[]} reports - Selected reports, recorded in the report
+ * @param {string} [folderPath]
+ * @param {Object|null} [workspaces] - From detectWorkspaces()
+ * @returns {Promise<Object|undefined>} Report data
+ */
+export const generateNpmPackageReport = async (
+  projectType,
+  reports = [],
+  folderPath = path.resolve(process.cwd(), "report"),
+  workspaces = null
+) => {
+  try {
+    const rootDir = process.cwd();
+    const readGraph = (importer) => {
       try {
-        const response = await fetch(
-          `https://registry.npmjs.org/${packageName}`
-        );
-
-        const packageInfo = await response.json();
-        const {
-          name,
-          version,
-          dist: { tarball, unpackedSize },
-          license,
-          bugs,
-          description,
-          deprecated,
-        } = packageInfo?.versions[packageInfo["dist-tags"]?.latest];
-
-        const packageData = {
-          name,
-          version,
-          license,
-          download: tarball,
-          description,
-          unpackedSize: unpackedSize
-            ? `${kbToMb(unpackedSize).toFixed(2)} MB`
-            : "Not available", // Convert to MB
-          deprecated: deprecated ? "Deprecated" : "Not deprecated",
-        };
-
-        if (isDevDependency) {
-          npmPackagesData.devDependencies.push(packageData);
-        } else {
-          npmPackagesData.dependencies.push(packageData);
-        }
-      } catch (err) {
-        console.log(
-          chalk.red(`Something went wrong with ${packageName} package`)
-        );
+        return readDependencyGraph(rootDir, importer === undefined ? {} : { importer });
+      } catch {
+        return null;
       }
     };
 
-    const depNames = Object.keys(dependencies);
-    let processed = 0;
-    for (const packageName of depNames) {
-      processed++;
-      process.stdout.write(`\r[NPM Packages] Progress: ${processed}/${depNames.length} dependencies checked`);
-      await processPackage(packageName);
+    let npmPackagesData;
+    if (!workspaces) {
+      console.log(chalk.blue("📦 Reading installed packages from node_modules..."));
+      npmPackagesData = collectPackages(readManifest(rootDir), { projectDir: rootDir, rootDir, graph: readGraph() });
+    } else {
+      const localPackages = workspaces.packages.map((pkg) => pkg.name);
+      npmPackagesData = { dependencies: [], devDependencies: [], workspaces: [] };
+      for (const pkg of workspaces.packages) {
+        console.log(chalk.blue(`🗂️  Packages of ${pkg.name} (${pkg.dir})`));
+        const packageData = collectPackages(pkg.manifest, { projectDir: pkg.path, rootDir, graph: readGraph(pkg.dir), localPackages });
+        npmPackagesData.workspaces.push({ name: pkg.name, dir: pkg.dir, ...packageData });
+        ["dependencies", "devDependencies"].forEach((key) => {
+          packageData[key].forEach((entry) => {
+            let listed = npmPackagesData[key].find((item) => item.name === entry.name);
+            if (!listed) {
+              listed = { ...entry, workspaces: [] };
+              npmPackagesData[key].push(listed);
+            }
+            listed.workspaces.push(pkg.name);
+          });
+        });
+      }
     }
-    process.stdout.write(`\r[NPM Packages] Progress: ${depNames.length}/${depNames.length} dependencies checked\n`);
-
-    // Process devDependencies
-    const devDepNames = Object.keys(devDependencies);
-    let devProcessed = 0;
-    for (const packageName of devDepNames) {
-      devProcessed++;
-      process.stdout.write(`\r[NPM Dev Packages] Progress: ${devProcessed}/${devDepNames.length} devDependencies checked`);
-      await processPackage(packageName, true);
+
+    const entries = [
+      ...npmPackagesData.dependencies,
+      ...npmPackagesData.devDependencies,
+      ...(npmPackagesData.workspaces || []).flatMap((pkg) => [...pkg.dependencies, ...pkg.devDependencies]),
+    ];
+    const settings = getRegistrySettings();
+    let registry = { enriched: false };
+    if (settings.enabled) {
+      console.log(chalk.blue(`🌐 Checking latest versions on ${settings.url}...`));
+      const stats = await enrichFromRegistry(entries, settings);
+      registry = { enriched: true, url: settings.url, fetched: stats.fetched, cached: stats.cached, failed: stats.failed.length };
+      if (stats.failed.length > 0) {
+        console.warn(chalk.yellow(`Warning: Registry lookup failed for ${stats.failed.length} package(s); they only show installed data`));
+      }
+    } else {
+      console.log(chalk.gray("ℹ️  Registry lookups are off; the packages report only shows installed data"));
     }
-    process.stdout.write(`\r[NPM Dev Packages] Progress: ${devDepNames.length}/${devDepNames.length} devDependencies checked\n`);
 
+    npmPackagesData.meta = {
+      generated: new Date().toISOString(),
+      projectType: projectType || null,
+      reports: (reports || []).filter((report) => report !== "all"),
+      registry,
+    };
     await writeFile(
-      `${folderPath}/npm-report.json`,
+      path.join(folderPath, "npm-report.json"),
       JSON.stringify(npmPackagesData, null, 2)
     );
+    console.log(chalk.green(`✅ Packages report saved to: ${path.join(folderPath, "npm-report.json")}`));
+    return npmPackagesData;
   } catch (error) {
     console.error("Error:", error);
+    return undefined;
   }
 };
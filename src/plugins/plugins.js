@@ -0,0 +1,223 @@
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { writeFile } from 'fs/promises';
+import { globby } from 'globby';
+import { getConfig, getConfigPattern, getScanExclusionPatterns } from '../config-loader.js';
+import { isChangedFilesMode, filterChangedFiles } from '../utils/changed-files.js';
+import { applySuppressions, getSuppressionSummary } from '../utils/suppressions.js';
+import { REPORT_CHOICES } from '../cli-options.js';
+
+/**
+ * Audit plugins
+ *
+ * Plugins are declared in ui-code-insight.config.json:
+ *   "plugins": [
+ *     "./audits/todo-audit.js",
+ *     { "module": "ui-code-insight-plugin-i18n", "options": { "locales": ["en", "de"] } }
+ *   ]
+ *
+ * A plugin module default-exports a plugin object, or a function that receives the
+ * options and returns one:
+ *   {
+ *     name: 'todo',                      // category name (lowercase letters, digits, dashes)
+ *     title: 'TODO Comments',            // optional, shown in the console and dashboard
+ *     icon: '📝',                        // optional
+ *     filePatterns: ['src/**\/*.js'],    // optional globs, or a config key such as 'jsFilePathPattern'
+ *     recommendation: 'Resolve TODOs',   // optional, printed when the plugin finds issues
+ *     run: async ({ files, folderPath, options }) => issues,
+ *     renderDashboard: (result) => html  // optional custom dashboard view
+ *   }
+ *
+ * run() returns issues in the standard { type, file, line, severity, message, code } shape
+ * (or { issues, ...extra }); results are saved as <name>-audit-report.json.
+ */
+
+export const PLUGIN_MANIFEST_FILE = 'plugins-report.json';
+
+const DEFAULT_PLUGIN_ICON = '🧩';
+const SEVERITIES = ['high', 'medium', 'low'];
+const CONFIG_PATTERN_KEYS = ['jsFilePathPattern', 'htmlFilePathPattern', 'scssFilePathPattern'];
+const PLUGIN_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// Report names the dashboard and CLI already use
+const RESERVED_NAMES = [...REPORT_CHOICES, 'plugins', 'comprehensive', 'compare', 'history', 'npm', 'lightHouseCombine'];
+
+/**
+ * Import a plugin module by path (relative to the project root) or package name
+ */
+const importPluginModule = async (specifier) => {
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    const modulePath = path.resolve(process.cwd(), specifier);
+    if (!fs.existsSync(modulePath)) {
+      throw new Error(`file not found: ${modulePath}`);
+    }
+    return import(pathToFileURL(modulePath).href);
+  }
+  // Packages are resolved from the project first, then from this tool
+  try {
+    const require = createRequire(path.join(process.cwd(), 'package.json'));
+    return await import(pathToFileURL(require.resolve(specifier)).href);
+  } catch {
+    return import(specifier);
+  }
+};
+
+/**
+ * Check a plugin definition, throwing a descriptive error when it is unusable
+ */
+const validatePlugin = (plugin) => {
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error('module must export a plugin object or a function returning one');
+  }
+  if (typeof plugin.name !== 'string' || !PLUGIN_NAME_PATTERN.test(plugin.name)) {
+    throw new Error(`invalid name "${plugin.name}" (use lowercase letters, digits and dashes)`);
+  }
+  if (RESERVED_NAMES.includes(plugin.name)) {
+    throw new Error(`name "${plugin.name}" is already used by a built-in report`);
+  }
+  if (typeof plugin.run !== 'function') {
+    throw new Error(`plugin "${plugin.name}" has no run() function`);
+  }
+  const patterns = plugin.filePatterns;
+  if (patterns !== undefined && !CONFIG_PATTERN_KEYS.includes(patterns) &&
+      !(Array.isArray(patterns) && patterns.every((pattern) => typeof pattern === 'string'))) {
+    throw new Error(`plugin "${plugin.name}" filePatterns must be an array of globs or one of: ${CONFIG_PATTERN_KEYS.join(', ')}`);
+  }
+  if (plugin.renderDashboard !== undefined && typeof plugin.renderDashboard !== 'function') {
+    throw new Error(`plugin "${plugin.name}" renderDashboard must be a function`);
+  }
+};
+
+/**
+ * Load the plugins declared in the config. Plugins that fail to load are reported and skipped.
+ * @param {Object} [config] - Defaults to ui-code-insight.config.json
+ * @returns {Promise<Object[]>} Validated plugins
+ */
+export const loadPlugins = async (config = getConfig()) => {
+  const entries = Array.isArray(config.plugins) ? config.plugins : [];
+  const plugins = [];
+
+  for (const entry of entries) {
+    const specifier = typeof entry === 'string' ? entry : entry?.module;
+    const options = (typeof entry === 'object' && entry?.options) || {};
+    try {
+      if (typeof specifier !== 'string' || !specifier.trim()) {
+        throw new Error('entry needs a module path');
+      }
+      const loaded = await importPluginModule(specifier.trim());
+      const exported = loaded.default ?? loaded.plugin;
+      const plugin = typeof exported === 'function' ? await exported(options) : exported;
+      validatePlugin(plugin);
+      if (plugins.some((other) => other.name === plugin.name)) {
+        throw new Error(`another plugin is already named "${plugin.name}"`);
+      }
+      plugins.push({
+        ...plugin,
+        title: plugin.title || plugin.name.charAt(0).toUpperCase() + plugin.name.slice(1),
+        icon: plugin.icon || DEFAULT_PLUGIN_ICON,
+        options,
+      });
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  Could not load plugin ${specifier}: ${error.message}`));
+    }
+  }
+
+  return plugins;
+};
+
+/**
+ * Files a plugin should look at (respects --changed-since)
+ */
+const getPluginFiles = async (plugin) => {
+  if (plugin.filePatterns === undefined) return [];
+  if (CONFIG_PATTERN_KEYS.includes(plugin.filePatterns)) {
+    return globby(getConfigPattern(plugin.filePatterns));
+  }
+  const files = await globby([...plugin.filePatterns, '!**/node_modules/**', ...getScanExclusionPatterns()]);
+  return isChangedFilesMode() ? filterChangedFiles(files) : files;
+};
+
+/**
+ * Fill in defaults so plugin issues look like built-in ones
+ */
+const normalizeIssue = (plugin, issue) => ({
+  ...issue,
+  type: issue.type || plugin.name,
+  severity: SEVERITIES.includes(issue.severity) ? issue.severity : 'medium',
+  message: issue.message || '',
+  source: issue.source || 'plugin',
+});
+
+/**
+ * Run one plugin and save its report as <name>-audit-report.json
+ * @param {Object} plugin - From loadPlugins()
+ * @param {string} folderPath - Report folder
+ * @returns {Promise<Object>} Audit result in the standard shape
+ */
+export const runPlugin = async (plugin, folderPath) => {
+  const files = await getPluginFiles(plugin);
+  const output = await plugin.run({ files, folderPath, options: plugin.options });
+  const { issues: rawIssues = [], ...extra } = Array.isArray(output) ? { issues: output } : (output || {});
+  if (!Array.isArray(rawIssues)) {
+    throw new Error(`plugin "${plugin.name}" returned issues that are not an array`);
+  }
+  const { issues, suppressed } = await applySuppressions(rawIssues.filter(Boolean).map((issue) => normalizeIssue(plugin, issue)));
+
+  const result = {
+    ...extra,
+    timestamp: new Date().toISOString(),
+    plugin: { name: plugin.name, title: plugin.title, icon: plugin.icon },
+    totalIssues: issues.length,
+    highSeverity: issues.filter((issue) => issue.severity === 'high').length,
+    mediumSeverity: issues.filter((issue) => issue.severity === 'medium').length,
+    lowSeverity: issues.filter((issue) => issue.severity === 'low').length,
+    issues,
+    ...getSuppressionSummary(suppressed),
+  };
+
+  if (plugin.renderDashboard) {
+    try {
+      result.dashboardHtml = String(await plugin.renderDashboard(result));
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  ${plugin.title} dashboard renderer failed: ${error.message}`));
+    }
+  }
+
+  const reportPath = path.join(folderPath, `${plugin.name}-audit-report.json`);
+  try {
+    await writeFile(reportPath, JSON.stringify(result, null, 2));
+    console.log(chalk.green(`✅ ${plugin.title} report saved to: ${reportPath}`));
+  } catch (error) {
+    console.error(chalk.red(`Error saving ${plugin.title} report:`, error.message));
+  }
+
+  console.log(chalk.white(`   ${plugin.icon} ${plugin.title}: ${result.totalIssues} issue(s) ` +
+    `(High: ${result.highSeverity} | Medium: ${result.mediumSeverity} | Low: ${result.lowSeverity})`));
+
+  return result;
+};
+
+/**
+ * Write plugins-report.json so the dashboard can add a section per plugin
+ * @param {string} folderPath - Report folder
+ * @param {Object[]} plugins - Plugins that ran
+ */
+export const writePluginManifest = async (folderPath, plugins) => {
+  const manifest = {
+    plugins: plugins.map((plugin) => ({
+      name: plugin.name,
+      title: plugin.title,
+      icon: plugin.icon,
+      report: `${plugin.name}-audit-report.json`,
+      customView: Boolean(plugin.renderDashboard),
+    })),
+  };
+  try {
+    await writeFile(path.join(folderPath, PLUGIN_MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  } catch (error) {
+    console.error(chalk.red('Error saving plugin manifest:', error.message));
+  }
+};
@@ -0,0 +1,225 @@
+import chalk from 'chalk';
+
+/**
+ * Quality gates
+ * Thresholds that fail a run (non-zero exit code) so CI can block merges.
+ *
+ * Config shape (ui-code-insight.config.json):
+ *   "gates": {
+ *     "security": { "high": 0 },
+ *     "accessibility": { "medium": 10 },
+ *     "lighthouse": { "performance": 70 },
+ *     "eslint": { "errors": 0 }
+ *   }
+ *
+ * Count metrics are maximums (fail when actual > threshold).
+ * Lighthouse score metrics are minimums (fail when the worst score < threshold).
+ */
+
+const SEVERITY_METRICS = {
+  high: 'highSeverity',
+  medium: 'mediumSeverity',
+  low: 'lowSeverity',
+  total: 'totalIssues',
+};
+
+const LINT_METRICS = ['errors', 'warnings', 'total'];
+
+export const LIGHTHOUSE_SCORE_METRICS = ['performance', 'accessibility', 'bestPractices', 'seo'];
+
+const AUDIT_CATEGORIES = ['security', 'performance', 'accessibility', 'testing', 'dependency', 'checklist'];
+
+/**
+ * Whether a category is one ui-code-insight reports itself; plugins add their own
+ */
+export function isBuiltInGateCategory(category) {
+  return AUDIT_CATEGORIES.includes(category) || ['lighthouse', 'eslint', 'stylelint'].includes(category);
+}
+
+/**
+ * Metrics each gate category accepts. Any other category is taken to be a plugin
+ * audit; whether it exists is checked against the run's results (see evaluateGates).
+ */
+export function getGateMetrics(category) {
+  if (category === 'lighthouse') return [...Object.keys(SEVERITY_METRICS), ...LIGHTHOUSE_SCORE_METRICS];
+  if (category === 'eslint' || category === 'stylelint') return LINT_METRICS;
+  return Object.keys(SEVERITY_METRICS);
+}
+
+function isScoreMetric(category, metric) {
+  return category === 'lighthouse' && LIGHTHOUSE_SCORE_METRICS.includes(metric);
+}
+
+/**
+ * Validate a single gate entry, throwing a descriptive error when invalid
+ */
+function validateGate(category, metric, threshold) {
+  const metrics = getGateMetrics(category);
+  if (!metrics.includes(metric)) {
+    throw new Error(`Unknown gate metric "${metric}" for ${category}. Use one of: ${metrics.join(', ')}`);
+  }
+  if (typeof threshold !== 'number' || Number.isNaN(threshold) || threshold < 0) {
+    throw new Error(`Gate ${category}.${metric} needs a non-negative number, got: ${threshold}`);
+  }
+}
+
+/**
+ * Parse CLI gate specs such as "security.high=0,lighthouse.performance=70"
+ * @param {string[]} specs - Raw --gate values (each may be comma-separated)
+ * @returns {Object} Gates keyed by category then metric
+ */
+export function parseGateSpecs(specs = []) {
+  const gates = {};
+  specs
+    .flatMap(spec => spec.split(','))
+    .map(spec => spec.trim())
+    .filter(Boolean)
+    .forEach(spec => {
+      const match = spec.match(/^([\w-]+)\.(\w+)=(\d+(?:\.\d+)?)$/);
+      if (!match) {
+        throw new Error(`Invalid gate "${spec}". Expected <category>.<metric>=<number>, e.g. security.high=0`);
+      }
+      const [, category, metric, value] = match;
+      const threshold = Number(value);
+      validateGate(category, metric, threshold);
+      gates[category] = { ...gates[category], [metric]: threshold };
+    });
+  return gates;
+}
+
+/**
+ * Merge gates from config with gates passed on the command line.
+ * CLI thresholds win per metric; invalid config entries are reported and ignored.
+ */
+export function resolveGates(configGates = {}, cliGates = {}) {
+  const gates = {};
+  Object.entries(configGates || {}).forEach(([category, metrics]) => {
+    Object.entries(metrics || {}).forEach(([metric, threshold]) => {
+      try {
+        validateGate(category, metric, threshold);
+        gates[category] = { ...gates[category], [metric]: threshold };
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️  Ignoring gate from config: ${error.message}`));
+      }
+    });
+  });
+  Object.entries(cliGates || {}).forEach(([category, metrics]) => {
+    gates[category] = { ...gates[category], ...metrics };
+  });
+  return gates;
+}
+
+/**
+ * Count lint errors/warnings from an ESLint or Stylelint JSON report
+ */
+export function getLintCounts(report) {
+  const counts = { errors: 0, warnings: 0, total: 0 };
+  (report?.results || []).forEach(result => {
+    (result.messages || []).forEach(message => {
+      const isWarning = message.severity === 1 || message.severity === 'warning';
+      if (isWarning) counts.warnings++;
+      else counts.errors++;
+      counts.total++;
+    });
+  });
+  return counts;
+}
+
+/**
+ * Lowest Lighthouse score for a metric across all URLs and device types
+ */
+export function getWorstLighthouseScore(result, metric) {
+  const values = [];
+  Object.values(result?.scores || {}).forEach(urlScores => {
+    ['desktop', 'mobile'].forEach(device => {
+      const value = urlScores?.[device]?.[metric];
+      if (typeof value === 'number' && !Number.isNaN(value)) values.push(value);
+    });
+  });
+  return values.length > 0 ? Math.min(...values) : null;
+}
+
+/**
+ * Read the actual value of a gate metric from a category result
+ */
+function getActualValue(category, metric, result) {
+  if (category === 'eslint' || category === 'stylelint') {
+    return getLintCounts(result)[metric];
+  }
+  if (isScoreMetric(category, metric)) {
+    return getWorstLighthouseScore(result, metric);
+  }
+  return result?.[SEVERITY_METRICS[metric]] || 0;
+}
+
+/**
+ * Evaluate gates against the results of this run.
+ * Categories that did not run (or Lighthouse without scores) are skipped, not failed;
+ * gates on a category that is neither built in, a known plugin, nor in the results fail.
+ * @param {Object} gates - Resolved gates
+ * @param {Object} results - Results keyed by category (audit results, lint reports)
+ * @param {Object} [options]
+ * @param {string[]} [options.categories] - Plugin categories, known even when they did not run
+ * @returns {{passed: boolean, evaluations: Array}}
+ */
+export function evaluateGates(gates = {}, results = {}, { categories = [] } = {}) {
+  const evaluations = [];
+
+  Object.entries(gates).forEach(([category, metrics]) => {
+    Object.entries(metrics).forEach(([metric, threshold]) => {
+      const comparator = isScoreMetric(category, metric) ? 'min' : 'max';
+      const result = results[category];
+
+      if (!result && !isBuiltInGateCategory(category) && !categories.includes(category)) {
+        evaluations.push({ category, metric, comparator, threshold, actual: null, passed: false, skipped: false, unknown: true });
+        return;
+      }
+
+      const actual = result ? getActualValue(category, metric, result) : null;
+
+      if (actual === null || actual === undefined) {
+        evaluations.push({ category, metric, comparator, threshold, actual: null, passed: true, skipped: true });
+        return;
+      }
+
+      const passed = comparator === 'min' ? actual >= threshold : actual <= threshold;
+      evaluations.push({ category, metric, comparator, threshold, actual, passed, skipped: false });
+    });
+  });
+
+  return {
+    passed: evaluations.every(evaluation => evaluation.passed),
+    evaluations,
+  };
+}
+
+/**
+ * Print gate results to the console
+ */
+export function printGateResults({ passed, evaluations }) {
+  if (evaluations.length === 0) return;
+
+  console.log(chalk.blue('\n🚦 QUALITY GATES'));
+  console.log(chalk.blue('='.repeat(50)));
+
+  evaluations.forEach(({ category, metric, comparator, threshold, actual, passed: gatePassed, skipped, unknown }) => {
+    const name = `${category}.${metric}`;
+    const rule = comparator === 'min' ? `>= ${threshold}` : `<= ${threshold}`;
+    if (unknown) {
+      console.log(chalk.red(`❌ ${name} ${rule} (unknown gate category: ${category})`));
+    } else if (skipped) {
+      console.log(chalk.gray(`⏭️  ${name} ${rule} (skipped: no results this run)`));
+    } else if (gatePassed) {
+      console.log(chalk.green(`✅ ${name} ${rule} (actual: ${actual})`));
+    } else {
+      console.log(chalk.red(`❌ ${name} ${rule} (actual: ${actual})`));
+    }
+  });
+
+  if (passed) {
+    console.log(chalk.green('\n✅ All quality gates passed'));
+  } else {
+    const failedCount = evaluations.filter(evaluation => !evaluation.passed).length;
+    console.log(chalk.red(`\n❌ ${failedCount} quality gate(s) failed`));
+  }
+}
@@ -0,0 +1,284 @@
+import chalk from "chalk";
+import fs from "fs";
+import path from "path";
+import { writeFile } from "fs/promises";
+import { getToolVersion, createSourceReader } from "../utils.js";
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const SARIF_VERSION = "2.1.0";
+const INFORMATION_URI = "https://github.com/deepak121001/ui-code-insight";
+
+/**
+ * Categories exported as SARIF runs, in output order
+ */
+export const SARIF_CATEGORIES = [
+  "security",
+  "performance",
+  "accessibility",
+  "testing",
+  "dependency",
+  "checklist",
+  "eslint",
+  "stylelint",
+];
+
+// Project-level findings without a source file are anchored to package.json
+const PROJECT_LEVEL_CATEGORIES = ["testing", "dependency", "checklist"];
+
+const SEVERITY_TO_LEVEL = {
+  high: "error",
+  medium: "warning",
+  low: "note",
+  info: "note",
+};
+
+/**
+ * Map an audit severity onto a SARIF level
+ * @param {string} severity
+ * @returns {string}
+ */
+const toLevel = (severity) => SEVERITY_TO_LEVEL[severity] || "warning";
+
+/**
+ * Relative, forward-slash URI for a file path
+ * @param {string} filePath
+ * @returns {string}
+ */
+const toArtifactUri = (filePath) => {
+  const relative = path.isAbsolute(filePath)
+    ? path.relative(process.cwd(), filePath)
+    : path.normalize(filePath);
+  return relative.split(path.sep).join("/");
+};
+
+/**
+ * Build a SARIF physical location
+ * @param {string} filePath
+ * @param {Object} region - startLine, startColumn, endLine, endColumn
+ * @param {string|null} snippet
+ */
+const buildLocation = (filePath, region = {}, snippet = null) => {
+  const sarifRegion = {};
+  if (region.startLine > 0) {
+    sarifRegion.startLine = region.startLine;
+    if (region.startColumn > 0) sarifRegion.startColumn = region.startColumn;
+    if (region.endLine >= region.startLine) sarifRegion.endLine = region.endLine;
+    if (region.endColumn > 0) sarifRegion.endColumn = region.endColumn;
+  }
+  if (snippet) {
+    sarifRegion.snippet = { text: snippet };
+  }
+
+  const physicalLocation = {
+    artifactLocation: { uri: toArtifactUri(filePath), uriBaseId: "%SRCROOT%" },
+  };
+  if (Object.keys(sarifRegion).length > 0) {
+    physicalLocation.region = sarifRegion;
+  }
+  return { physicalLocation };
+};
+
+/**
+ * Create an empty run for one category and a helper that registers rules
+ * @param {string} category
+ */
+const createRun = (category) => {
+  const rules = [];
+  const ruleIndex = new Map();
+
+  const run = {
+    tool: {
+      driver: {
+        name: category === "eslint" || category === "stylelint"
+          ? `ui-code-insight (${category})`
+          : `ui-code-insight (${category} audit)`,
+        version: getToolVersion(),
+        informationUri: INFORMATION_URI,
+        rules,
+      },
+    },
+    automationDetails: { id: `ui-code-insight/${category}/` },
+    results: [],
+  };
+
+  const registerRule = (ruleId, { description, help, level, tags = [], properties = {} }) => {
+    if (!ruleIndex.has(ruleId)) {
+      const rule = {
+        id: ruleId,
+        shortDescription: { text: description || ruleId },
+        defaultConfiguration: { level },
+        properties: { tags: [category, ...tags], ...properties },
+      };
+      if (help) {
+        rule.help = { text: help };
+      }
+      ruleIndex.set(ruleId, rules.length);
+      rules.push(rule);
+    }
+    return ruleIndex.get(ruleId);
+  };
+
+  return { run, registerRule };
+};
+
+/**
+ * Convert audit issues (security, performance, accessibility, testing, dependency, checklist) into a run
+ * @param {string} category
+ * @param {Object} auditResult - { issues: [...] }
+ * @returns {Object} SARIF run
+ */
+export const buildAuditRun = (category, auditResult) => {
+  const { run, registerRule } = createRun(category);
+
+  // Suppressed findings are kept with an in-source suppression so code scanning can audit them
+  [...(auditResult?.issues || []), ...(auditResult?.suppressedIssues || [])]
+    .filter((issue) => issue && !issue.positive)
+    .forEach((issue) => {
+      const ruleId = issue.type || "unknown";
+      const level = toLevel(issue.severity);
+      const tags = issue.source ? [issue.source] : [];
+      const ruleProperties = issue.wcag ? { wcag: issue.wcag } : {};
+      const index = registerRule(ruleId, {
+        description: issue.message,
+        help: issue.recommendation,
+        level,
+        tags,
+        properties: ruleProperties,
+      });
+
+      const result = {
+        ruleId,
+        ruleIndex: index,
+        level,
+        message: { text: issue.message || ruleId },
+        properties: { severity: issue.severity, source: issue.source || "custom" },
+      };
+
+      const filePath = issue.file && fs.existsSync(issue.file) ? issue.file : null;
+      if (filePath) {
+        result.locations = [
+          buildLocation(
+            filePath,
+            { startLine: issue.line, startColumn: issue.column, endLine: issue.endLine, endColumn: issue.endColumn },
+            issue.code
+          ),
+        ];
+      } else if (PROJECT_LEVEL_CATEGORIES.includes(category) && fs.existsSync("package.json")) {
+        result.locations = [buildLocation("package.json")];
+        if (issue.file) result.properties.package = issue.file;
+      }
+
+      // Data-flow findings carry the path from source to sink
+      if (filePath && Array.isArray(issue.path) && issue.path.length > 0) {
+        result.codeFlows = [{
+          threadFlows: [{
+            locations: issue.path.map((step) => ({
+              location: {
+                ...buildLocation(
+                  filePath,
+                  { startLine: step.line, startColumn: step.column, endLine: step.endLine, endColumn: step.endColumn },
+                  step.code
+                ),
+                message: { text: `${step.kind}: ${step.label}` },
+              },
+            })),
+          }],
+        }];
+      }
+
+      if (issue.url) result.properties.url = issue.url;
+      if (issue.recommendation) result.properties.recommendation = issue.recommendation;
+      if (issue.ruleId) result.properties.ruleId = issue.ruleId;
+      if (issue.suppression) {
+        result.suppressions = [{ kind: "inSource", justification: issue.suppression.reason || undefined }];
+      }
+
+      run.results.push(result);
+    });
+
+  return run;
+};
+
+/**
+ * Convert an ESLint or Stylelint JSON report into a run
+ * @param {string} category - 'eslint' or 'stylelint'
+ * @param {Object} lintReport - { results: [{ filePath, messages }] }
+ * @returns {Object} SARIF run
+ */
+export const buildLintRun = (category, lintReport) => {
+  const { run, registerRule } = createRun(category);
+  const readSourceLine = createSourceReader();
+
+  (lintReport?.results || []).forEach((fileResult) => {
+    (fileResult.messages || []).forEach((message) => {
+      const ruleId = (category === "eslint" ? message.ruleId : message.rule) || `${category}-parse-error`;
+      const isWarning = message.severity === 1 || message.severity === "warning";
+      const level = isWarning ? "warning" : "error";
+      const index = registerRule(ruleId, {
+        description: ruleId,
+        level,
+        tags: message.ruleSource ? [message.ruleSource] : [],
+      });
+
+      run.results.push({
+        ruleId,
+        ruleIndex: index,
+        level,
+        message: { text: message.message || ruleId },
+        locations: [
+          buildLocation(
+            fileResult.filePath,
+            {
+              startLine: message.line,
+              startColumn: message.column,
+              endLine: message.endLine,
+              endColumn: message.endColumn,
+            },
+            readSourceLine(fileResult.filePath, message.line)
+          ),
+        ],
+      });
+    });
+  });
+
+  return run;
+};
+
+/**
+ * Build a SARIF 2.1.0 log with one run per category present in results
+ * @param {Object} results - Results keyed by category (audit results, lint reports)
+ * @returns {Object} SARIF log
+ */
+export const buildSarifLog = (results = {}) => ({
+  $schema: SARIF_SCHEMA,
+  version: SARIF_VERSION,
+  runs: SARIF_CATEGORIES.filter((category) => results[category]).map((category) =>
+    category === "eslint" || category === "stylelint"
+      ? buildLintRun(category, results[category])
+      : buildAuditRun(category, results[category])
+  ),
+});
+
+/**
+ * Write ui-code-insight.sarif to the report folder
+ * @param {string} folderPath
+ * @param {Object} results - Results keyed by category
+ * @returns {Promise<string|null>} Path of the SARIF file, or null when nothing was exported
+ */
+export const generateSarifReport = async (folderPath, results = {}) => {
+  const sarifLog = buildSarifLog(results);
+  if (sarifLog.runs.length === 0) {
+    return null;
+  }
+
+  const sarifPath = path.join(folderPath, "ui-code-insight.sarif");
+  try {
+    await writeFile(sarifPath, JSON.stringify(sarifLog, null, 2));
+    const resultCount = sarifLog.runs.reduce((acc, run) => acc + run.results.length, 0);
+    console.log(chalk.green(`✅ SARIF report saved to: ${sarifPath} (${resultCount} results)`));
+    return sarifPath;
+  } catch (error) {
+    console.error(chalk.red("Error saving SARIF report:", error.message));
+    return null;
+  }
+};
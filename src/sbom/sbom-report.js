@@ -0,0 +1,304 @@
+import chalk from "chalk";
+import path from "path";
+import { randomUUID } from "crypto";
+import { writeFile } from "fs/promises";
+import { getToolVersion } from "../utils.js";
+import { readDependencyGraph, addInstalledMetadata, readManifest } from "../dependencies/lockfile.js";
+import { resolvePackageLicense, createNoticeEntry, parseSpdxExpression } from "../dependencies/licenses.js";
+
+/**
+ * Software bill of materials
+ *
+ * Every package the lockfile resolves, with its version, purl, license, integrity hashes and
+ * dependency relationships, written as:
+ *   sbom.cdx.json   CycloneDX 1.5 JSON
+ *   sbom.spdx.json  SPDX 2.3 JSON
+ *
+ * In a workspace both documents describe the repository root, with the workspace packages as
+ * sub-components (CycloneDX) or packages the root CONTAINS (SPDX).
+ */
+
+export const CYCLONEDX_FILE = "sbom.cdx.json";
+export const SPDX_FILE = "sbom.spdx.json";
+
+const TOOL_NAME = "ui-code-insight";
+const ROOT_GROUPS = ["dependencies", "optionalDependencies", "devDependencies"];
+
+// Subresource Integrity algorithm -> CycloneDX / SPDX algorithm names
+const HASH_ALGORITHMS = {
+  sha1: { cyclonedx: "SHA-1", spdx: "SHA1" },
+  sha256: { cyclonedx: "SHA-256", spdx: "SHA256" },
+  sha384: { cyclonedx: "SHA-384", spdx: "SHA384" },
+  sha512: { cyclonedx: "SHA-512", spdx: "SHA512" },
+};
+
+/**
+ * Package URL of an npm package
+ * @param {string} name - e.g. "@babel/core"
+ * @param {string} [version]
+ * @returns {string} e.g. "pkg:npm/%40babel/core@7.24.0"
+ */
+export const toPurl = (name, version) => {
+  const [namespace, packageName] = name.startsWith("@") ? name.split("/") : [null, name];
+  const base = `pkg:npm/${namespace ? `${encodeURIComponent(namespace)}/` : ""}${encodeURIComponent(packageName)}`;
+  return version ? `${base}@${encodeURIComponent(version)}` : base;
+};
+
+// Package URL of a graph id ("@scope/name@1.0.0")
+const idToPurl = (id) => {
+  const at = id.lastIndexOf("@");
+  return toPurl(id.slice(0, at), id.slice(at + 1));
+};
+
+/**
+ * Hex digests of a Subresource Integrity string ("sha512-<base64> sha1-<base64>")
+ * @param {string|null} integrity
+ * @returns {Array<{algorithm: string, hex: string}>} algorithm is the SRI name (sha512)
+ */
+export const integrityToHashes = (integrity) =>
+  (integrity || "")
+    .split(/\s+/)
+    .map((entry) => /^(sha1|sha256|sha384|sha512)-([A-Za-z0-9+/=]+)$/.exec(entry))
+    .filter(Boolean)
+    .map(([, algorithm, digest]) => ({ algorithm, hex: Buffer.from(digest, "base64").toString("hex") }));
+
+const isSpdxExpression = (expression) => {
+  try {
+    return Boolean(expression) && Boolean(parseSpdxExpression(expression));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Project, workspace packages and resolved packages for the SBOM
+ * @param {string} [rootDir]
+ * @param {Object|null} [workspaces] - From detectWorkspaces()
+ * @returns {Object|null} { project, members, lockfile, packages }, null without a lockfile.
+ *   project and members: { name, version, dir, dependsOn: [id], devDependsOn: [id] }
+ *   packages: [{ id, name, version, license, integrity, resolved, dev, dependsOn: [id], copyright }]
+ */
+export const collectSbomData = (rootDir = process.cwd(), workspaces = null) => {
+  const targets = workspaces
+    ? workspaces.packages.map((pkg) => ({ name: pkg.name, dir: pkg.dir, manifest: pkg.manifest, importer: pkg.dir }))
+    : [{ name: null, dir: ".", manifest: readManifest(rootDir), importer: undefined }];
+
+  const packages = new Map();
+  let lockfile = null;
+  const projects = [];
+  targets.forEach((target) => {
+    const graph = readDependencyGraph(rootDir, { importer: target.importer });
+    if (!graph) return;
+    addInstalledMetadata(graph, rootDir);
+    lockfile = graph.lockfile;
+    graph.packages.forEach((node) => {
+      const existing = packages.get(node.id);
+      // A package is a dev dependency only when no project needs it at runtime
+      if (existing) {
+        existing.dev = existing.dev && node.dev;
+        return;
+      }
+      const notice = createNoticeEntry(node, resolvePackageLicense(node, rootDir));
+      packages.set(node.id, {
+        id: node.id,
+        name: node.name,
+        version: node.version,
+        license: notice.license === "UNKNOWN" ? null : notice.license,
+        integrity: node.integrity,
+        resolved: node.resolved,
+        dev: node.dev,
+        dependsOn: [...new Set(Object.values(node.dependencies).filter(Boolean))].sort(),
+        copyright: notice.copyright,
+      });
+    });
+    const direct = (groups) => [...new Set(groups.flatMap((group) => Object.values(graph.root[group]).filter(Boolean)))].sort();
+    projects.push({
+      name: target.name || target.manifest.name || path.basename(path.resolve(rootDir)),
+      version: target.manifest.version || null,
+      dir: target.dir,
+      dependsOn: direct(ROOT_GROUPS.filter((group) => group !== "devDependencies")),
+      devDependsOn: direct(["devDependencies"]),
+    });
+  });
+  if (!lockfile) return null;
+
+  return {
+    project: projects[0],
+    members: projects.slice(1),
+    lockfile,
+    packages: [...packages.values()].sort((a, b) => a.id.localeCompare(b.id)),
+  };
+};
+
+/**
+ * CycloneDX 1.5 JSON document
+ * @param {Object} data - From collectSbomData()
+ * @returns {Object}
+ */
+export const buildCycloneDx = (data) => {
+  const toolVersion = getToolVersion();
+  const projectComponent = (project, type) => ({
+    type,
+    "bom-ref": toPurl(project.name, project.version),
+    name: project.name,
+    ...(project.version ? { version: project.version, purl: toPurl(project.name, project.version) } : {}),
+  });
+
+  const components = data.packages.map((pkg) => {
+    const [group, name] = pkg.name.startsWith("@") ? pkg.name.split("/") : [null, pkg.name];
+    const hashes = integrityToHashes(pkg.integrity).map(({ algorithm, hex }) => ({ alg: HASH_ALGORITHMS[algorithm].cyclonedx, content: hex }));
+    let licenses = [];
+    if (isSpdxExpression(pkg.license)) licenses = [{ expression: pkg.license }];
+    else if (pkg.license) licenses = [{ license: { name: pkg.license } }];
+    return {
+      type: "library",
+      "bom-ref": toPurl(pkg.name, pkg.version),
+      ...(group ? { group } : {}),
+      name,
+      version: pkg.version,
+      scope: pkg.dev ? "optional" : "required",
+      purl: toPurl(pkg.name, pkg.version),
+      ...(hashes.length > 0 ? { hashes } : {}),
+      ...(licenses.length > 0 ? { licenses } : {}),
+      ...(pkg.copyright.length > 0 ? { copyright: pkg.copyright.join("\n") } : {}),
+      ...(pkg.resolved ? { externalReferences: [{ type: "distribution", url: pkg.resolved }] } : {}),
+      ...(pkg.dev ? { properties: [{ name: "cdx:npm:package:development", value: "true" }] } : {}),
+    };
+  });
+
+  const projectDependencies = [data.project, ...data.members].map((project) => ({
+    ref: toPurl(project.name, project.version),
+    dependsOn: [...new Set([...project.dependsOn, ...project.devDependsOn])].sort().map(idToPurl),
+  }));
+
+  const rootComponent = projectComponent(data.project, "application");
+  if (data.members.length > 0) rootComponent.components = data.members.map((member) => projectComponent(member, "library"));
+
+  return {
+    bomFormat: "CycloneDX",
+    specVersion: "1.5",
+    serialNumber: `urn:uuid:${randomUUID()}`,
+    version: 1,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      tools: { components: [{ type: "application", name: TOOL_NAME, version: toolVersion }] },
+      component: rootComponent,
+      properties: [{ name: "ui-code-insight:lockfile", value: path.basename(data.lockfile.path) }],
+    },
+    components,
+    dependencies: [
+      ...projectDependencies,
+      ...data.packages.map((pkg) => ({
+        ref: toPurl(pkg.name, pkg.version),
+        dependsOn: pkg.dependsOn.map(idToPurl),
+      })),
+    ],
+  };
+};
+
+/**
+ * SPDX 2.3 JSON document
+ * @param {Object} data - From collectSbomData()
+ * @returns {Object}
+ */
+export const buildSpdx = (data) => {
+  const usedIds = new Set(["SPDXRef-DOCUMENT"]);
+  const spdxIds = new Map();
+  const spdxId = (key, label) => {
+    if (spdxIds.has(key)) return spdxIds.get(key);
+    const base = `SPDXRef-${label.replace(/[^A-Za-z0-9.-]+/g, "-")}`;
+    let id = base;
+    for (let suffix = 2; usedIds.has(id); suffix += 1) id = `${base}-${suffix}`;
+    usedIds.add(id);
+    spdxIds.set(key, id);
+    return id;
+  };
+  const projectKey = (project) => `project:${project.dir}`;
+
+  const projectPackage = (project) => ({
+    name: project.name,
+    SPDXID: spdxId(projectKey(project), `Project-${project.name}`),
+    ...(project.version ? { versionInfo: project.version } : {}),
+    downloadLocation: "NOASSERTION",
+    filesAnalyzed: false,
+    licenseConcluded: "NOASSERTION",
+    licenseDeclared: "NOASSERTION",
+    copyrightText: "NOASSERTION",
+    ...(project.version ? { externalRefs: [{ referenceCategory: "PACKAGE-MANAGER", referenceType: "purl", referenceLocator: toPurl(project.name, project.version) }] } : {}),
+    primaryPackagePurpose: "APPLICATION",
+  });
+
+  const packages = data.packages.map((pkg) => {
+    const checksums = integrityToHashes(pkg.integrity).map(({ algorithm, hex }) => ({ algorithm: HASH_ALGORITHMS[algorithm].spdx, checksumValue: hex }));
+    return {
+      name: pkg.name,
+      SPDXID: spdxId(pkg.id, `Package-${pkg.id}`),
+      versionInfo: pkg.version,
+      downloadLocation: pkg.resolved || "NOASSERTION",
+      filesAnalyzed: false,
+      ...(checksums.length > 0 ? { checksums } : {}),
+      licenseConcluded: "NOASSERTION",
+      licenseDeclared: isSpdxExpression(pkg.license) ? pkg.license : "NOASSERTION",
+      copyrightText: pkg.copyright.length > 0 ? pkg.copyright.join("\n") : "NOASSERTION",
+      externalRefs: [{ referenceCategory: "PACKAGE-MANAGER", referenceType: "purl", referenceLocator: toPurl(pkg.name, pkg.version) }],
+      primaryPackagePurpose: "LIBRARY",
+    };
+  });
+
+  const projectPackages = [data.project, ...data.members].map(projectPackage);
+  const rootId = projectPackages[0].SPDXID;
+  const relationships = [{ spdxElementId: "SPDXRef-DOCUMENT", relationshipType: "DESCRIBES", relatedSpdxElement: rootId }];
+  data.members.forEach((member) => {
+    relationships.push({ spdxElementId: rootId, relationshipType: "CONTAINS", relatedSpdxElement: spdxId(projectKey(member)) });
+  });
+  [data.project, ...data.members].forEach((project) => {
+    const projectId = spdxId(projectKey(project));
+    project.dependsOn.forEach((id) => {
+      relationships.push({ spdxElementId: projectId, relationshipType: "DEPENDS_ON", relatedSpdxElement: spdxIds.get(id) });
+    });
+    project.devDependsOn.forEach((id) => {
+      relationships.push({ spdxElementId: spdxIds.get(id), relationshipType: "DEV_DEPENDENCY_OF", relatedSpdxElement: projectId });
+    });
+  });
+  data.packages.forEach((pkg) => {
+    pkg.dependsOn.forEach((id) => {
+      relationships.push({ spdxElementId: spdxIds.get(pkg.id), relationshipType: "DEPENDS_ON", relatedSpdxElement: spdxIds.get(id) });
+    });
+  });
+
+  return {
+    spdxVersion: "SPDX-2.3",
+    dataLicense: "CC0-1.0",
+    SPDXID: "SPDXRef-DOCUMENT",
+    name: `${data.project.name}${data.project.version ? `@${data.project.version}` : ""}`,
+    documentNamespace: `https://spdx.org/spdxdocs/${encodeURIComponent(data.project.name)}-${randomUUID()}`,
+    creationInfo: {
+      created: new Date().toISOString().replace(/\.\d{3}Z$/, "Z"),
+      creators: [`Tool: ${TOOL_NAME}-${getToolVersion()}`],
+    },
+    packages: [...projectPackages, ...packages],
+    relationships,
+  };
+};
+
+/**
+ * Write the CycloneDX and SPDX documents to the report folder
+ * @param {string} reportDir
+ * @param {Object|null} [workspaces] - From detectWorkspaces()
+ * @returns {Promise<{cyclonedx: string, spdx: string}|null>} File paths, null without a lockfile
+ */
+export const generateSbomReport = async (reportDir, workspaces = null) => {
+  console.log(chalk.blue("📦 Generating SBOM..."));
+  const data = collectSbomData(process.cwd(), workspaces);
+  if (!data) {
+    console.log(chalk.yellow("⚠️  No package-lock.json, yarn.lock or pnpm-lock.yaml found; skipping the SBOM"));
+    return null;
+  }
+
+  const cyclonedx = path.join(reportDir, CYCLONEDX_FILE);
+  const spdx = path.join(reportDir, SPDX_FILE);
+  await writeFile(cyclonedx, JSON.stringify(buildCycloneDx(data), null, 2));
+  await writeFile(spdx, JSON.stringify(buildSpdx(data), null, 2));
+  console.log(chalk.green(`✅ SBOM (${data.packages.length} packages) saved to: ${cyclonedx} and ${spdx}`));
+  return { cyclonedx, spdx };
+};
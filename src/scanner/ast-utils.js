@@ -0,0 +1,200 @@
+/**
+ * Helpers for checks that work on the AST of a source (see source-file.js)
+ * Nodes are ESTree nodes from @typescript-eslint/parser, with loc and range.
+ */
+
+const SKIPPED_KEYS = new Set(['parent', 'loc', 'range', 'tokens', 'comments']);
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const CLASS_TYPES = new Set(['ClassDeclaration', 'ClassExpression']);
+
+export const isFunction = (node) => Boolean(node) && FUNCTION_TYPES.has(node.type);
+
+const isNode = (value) => value && typeof value === 'object' && typeof value.type === 'string';
+
+/**
+ * Keys of a node that can hold child nodes (also esquery's fallback for node types it does not know)
+ * @param {Object} node
+ * @returns {string[]}
+ */
+export function getChildKeys(node) {
+  return Object.keys(node).filter(key => !SKIPPED_KEYS.has(key) && node[key] && typeof node[key] === 'object');
+}
+
+/**
+ * Visit every node depth-first
+ * @param {Object} root
+ * @param {Function} visit - (node, ancestors) => void; ancestors run from the root to the parent
+ */
+export function walk(root, visit) {
+  const ancestors = [];
+  const enter = (node) => {
+    visit(node, ancestors);
+    ancestors.push(node);
+    for (const key of getChildKeys(node)) {
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach(child => { if (isNode(child)) enter(child); });
+      } else if (isNode(value)) {
+        enter(value);
+      }
+    }
+    ancestors.pop();
+  };
+  if (isNode(root)) enter(root);
+}
+
+/**
+ * Nodes of the given types
+ * @param {Object} root
+ * @param {string|string[]} types
+ * @returns {Array<{node: Object, ancestors: Object[]}>}
+ */
+export function findNodes(root, types) {
+  const wanted = new Set([].concat(types));
+  const found = [];
+  walk(root, (node, ancestors) => {
+    if (wanted.has(node.type)) found.push({ node, ancestors: [...ancestors] });
+  });
+  return found;
+}
+
+/**
+ * Issue location of a node; columns are 1-based like ESLint's
+ * @param {Object} node
+ * @returns {{line: number, column: number, endLine: number, endColumn: number}}
+ */
+export function nodeLocation(node) {
+  return {
+    line: node.loc.start.line,
+    column: node.loc.start.column + 1,
+    endLine: node.loc.end.line,
+    endColumn: node.loc.end.column + 1,
+  };
+}
+
+/**
+ * Source text of a node
+ * @param {Object} source - From createSource()
+ * @param {Object} node
+ * @returns {string}
+ */
+export function nodeText(source, node) {
+  return source.content.slice(node.range[0], node.range[1]);
+}
+
+/**
+ * The component a node belongs to: its outermost enclosing function or class,
+ * or the program for top-level code
+ * @param {Object[]} ancestors - From walk()/findNodes()
+ * @returns {Object}
+ */
+export function getComponent(ancestors) {
+  return ancestors.find(node => isFunction(node) || CLASS_TYPES.has(node.type)) || ancestors[0];
+}
+
+/**
+ * The innermost function around a node, or null at the top level
+ * @param {Object[]} ancestors
+ * @returns {Object|null}
+ */
+export function getEnclosingFunction(ancestors) {
+  for (let index = ancestors.length - 1; index >= 0; index--) {
+    if (isFunction(ancestors[index])) return ancestors[index];
+  }
+  return null;
+}
+
+/**
+ * Name of the function a call invokes: "setInterval" for setInterval(), window.setInterval()
+ * and el['setInterval']()
+ * @param {Object} call - CallExpression
+ * @returns {string|null}
+ */
+export function getCalleeName(call) {
+  const callee = call.callee;
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression') return getPropertyName(callee);
+  return null;
+}
+
+/**
+ * Name of a member's property: "innerHTML" for el.innerHTML and el['innerHTML']
+ * @param {Object} member - MemberExpression
+ * @returns {string|null}
+ */
+export function getPropertyName(member) {
+  if (!member.computed && member.property.type === 'Identifier') return member.property.name;
+  if (member.property.type === 'Literal' && typeof member.property.value === 'string') return member.property.value;
+  return null;
+}
+
+/**
+ * Element name of a JSX opening element, e.g. "img", "Image" or "Foo.Bar"
+ * @param {Object} opening - JSXOpeningElement
+ * @returns {string}
+ */
+export function getJSXName(opening) {
+  const name = (node) => {
+    if (node.type === 'JSXIdentifier') return node.name;
+    if (node.type === 'JSXMemberExpression') return `${name(node.object)}.${name(node.property)}`;
+    if (node.type === 'JSXNamespacedName') return `${node.namespace.name}:${node.name.name}`;
+    return '';
+  };
+  return name(opening.name);
+}
+
+/**
+ * A JSX attribute by name (case-insensitive, so maxLength matches maxlength)
+ * @param {Object} opening - JSXOpeningElement
+ * @param {string} name
+ * @returns {Object|null} JSXAttribute
+ */
+export function getJSXAttribute(opening, name) {
+  const wanted = name.toLowerCase();
+  return opening.attributes.find(attribute =>
+    attribute.type === 'JSXAttribute' && attribute.name.type === 'JSXIdentifier' && attribute.name.name.toLowerCase() === wanted
+  ) || null;
+}
+
+/**
+ * Whether props are spread onto the element, so any attribute may be set
+ * @param {Object} opening - JSXOpeningElement
+ * @returns {boolean}
+ */
+export function hasJSXSpread(opening) {
+  return opening.attributes.some(attribute => attribute.type === 'JSXSpreadAttribute');
+}
+
+/**
+ * Static string value of a JSX attribute: alt="x" and alt={'x'} give "x", a bare
+ * attribute gives true, anything computed gives undefined
+ * @param {Object} attribute - JSXAttribute
+ * @returns {string|boolean|undefined}
+ */
+export function getJSXAttributeValue(attribute) {
+  const { value } = attribute;
+  if (value === null) return true;
+  if (value.type === 'Literal') return value.value;
+  if (value.type === 'JSXExpressionContainer') {
+    const { expression } = value;
+    if (expression.type === 'Literal') return expression.value;
+    if (expression.type === 'TemplateLiteral' && expression.expressions.length === 0) return expression.quasis[0].value.cooked;
+  }
+  return undefined;
+}
+
+/**
+ * Whether a JSX element renders anything a screen reader can read: text, an
+ * expression, or a child element with text
+ * @param {Object} element - JSXElement
+ * @returns {boolean}
+ */
+export function hasJSXText(element) {
+  return element.children.some(child => {
+    if (child.type === 'JSXText') return child.value.trim() !== '';
+    if (child.type === 'JSXExpressionContainer') return child.expression.type !== 'JSXEmptyExpression';
+    if (child.type === 'JSXElement' || child.type === 'JSXFragment') return hasJSXText(child);
+    return false;
+  });
+}
@@ -0,0 +1,86 @@
+import { performance } from 'perf_hooks';
+import { SECURITY_FILE_CHECKS } from '../audits/security-checks.js';
+import { PERFORMANCE_FILE_CHECKS } from '../audits/performance-checks.js';
+import { ACCESSIBILITY_FILE_CHECKS } from '../audits/accessibility-checks.js';
+import { TESTING_FILE_CHECKS } from '../audits/testing-checks.js';
+import { hashContent } from '../utils/scan-cache.js';
+import { parseSuppressions } from '../utils/suppressions.js';
+import { readSource } from './source-file.js';
+
+/**
+ * Checks the shared scanner runs, by id ("<audit>:<check>")
+ * Every check is { files, run, options?, cacheKey? }:
+ *   files    - File set it runs on: "js", "html", "markup", "secrets" or "customRules"
+ *   run      - (source, options) => Promise<issues[]>, source from createSource()
+ *   options  - () => options, resolved once per run on the main thread (plain data)
+ *   cacheKey - options => string, added to the scan cache scope
+ */
+
+const withPrefix = (prefix, checks) => Object.fromEntries(
+  Object.entries(checks).map(([id, check]) => [`${prefix}:${id}`, check])
+);
+
+export const FILE_CHECKS = {
+  ...withPrefix('security', SECURITY_FILE_CHECKS),
+  ...withPrefix('performance', PERFORMANCE_FILE_CHECKS),
+  ...withPrefix('accessibility', ACCESSIBILITY_FILE_CHECKS),
+  ...withPrefix('testing', TESTING_FILE_CHECKS),
+};
+
+/**
+ * @param {string} id - Key of FILE_CHECKS
+ * @returns {Object}
+ */
+export function getFileCheck(id) {
+  const check = FILE_CHECKS[id];
+  if (!check) {
+    throw new Error(`Unknown file check: ${id}`);
+  }
+  return check;
+}
+
+/**
+ * Ids of the checks that belong to the given audits
+ * @param {string[]} categories - e.g. ["security", "accessibility"]
+ * @returns {string[]}
+ */
+export function getFileCheckIds(categories) {
+  return Object.keys(FILE_CHECKS).filter(id => categories.includes(id.split(':')[0]));
+}
+
+/**
+ * Read a file once and run several checks on it (the "scan:file" pool task)
+ * @param {string} file
+ * @param {Object} options
+ * @param {string[]} options.checks - Check ids
+ * @param {Object} [options.checkOptions] - Options by check id
+ * @param {Object} [options.cachedHashes] - Content hash of each check's cached result;
+ *   checks whose hash still matches are skipped
+ * @returns {Promise<{hash: string, results: Object, errors: Object, timings: Object, suppressions: Array}>}
+ *   Issues, error messages and milliseconds by check id; timings also has "read" and "parse".
+ *   suppressions holds the file's inline suppression ranges (see utils/suppressions.js)
+ */
+export async function scanFile(file, { checks, checkOptions = {}, cachedHashes = {} }) {
+  let started = performance.now();
+  const source = await readSource(file);
+  const hash = hashContent(source.content);
+  const timings = { read: performance.now() - started };
+  const results = {};
+  const errors = {};
+
+  for (const id of checks) {
+    if (cachedHashes[id] === hash) continue;
+    started = performance.now();
+    // The first check that asks for the AST pays for parsing; it is reported on its own
+    const parseTime = source.parseTime;
+    try {
+      results[id] = await getFileCheck(id).run(source, checkOptions[id] || {});
+    } catch (error) {
+      errors[id] = error.message;
+    }
+    timings[id] = performance.now() - started - (source.parseTime - parseTime);
+  }
+  if (source.parseTime > 0) timings.parse = source.parseTime;
+
+  return { hash, results, errors, timings, suppressions: parseSuppressions(source.content) };
+}
@@ -0,0 +1,282 @@
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { writeFile } from 'fs/promises';
+import chalk from 'chalk';
+import { globby } from 'globby';
+import { getConfigPattern } from '../config-loader.js';
+import { getSecretScanFiles } from '../secrets/secret-scanner.js';
+import { getCustomRuleFiles } from '../audits/custom-rules.js';
+import { toProjectPath } from '../utils/changed-files.js';
+import { getScanCache } from '../utils/scan-cache.js';
+import { runFileTasks } from '../utils/worker-pool.js';
+import { getFileCheck, getFileCheckIds } from './file-checks.js';
+
+/**
+ * Shared file scanner for the code audits
+ * Each file set is enumerated once and each file is read once per run: the checks
+ * of every planned audit (see file-checks.js) run together on the worker pool, and
+ * the audits pick up their checks' issues from the scan. Results are cached per
+ * check and file, and time spent per check is reported.
+ */
+
+// Build output the accessibility checks leave out on top of the file patterns
+const BUILD_OUTPUT = /(^|\/)(dist|build|out|node_modules|tools)\/|\.min\.js$|^report\//;
+
+// Files of each set, relative to the project
+const FILE_SETS = {
+  js: () => globby(getConfigPattern('jsFilePathPattern')),
+  html: () => globby(getConfigPattern('htmlFilePathPattern')),
+  markup: async (getFiles) => [...await getFiles('js'), ...await getFiles('html')]
+    .filter(file => !BUILD_OUTPUT.test(toProjectPath(file))),
+  secrets: () => getSecretScanFiles(),
+  customRules: (getFiles) => getCustomRuleFiles(getFiles),
+};
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+let activeScan = null;
+
+export class FileScan {
+  /**
+   * @param {string[]} [checks] - Check ids to run in the first pass
+   * @param {Object} [options]
+   * @param {boolean} [options.shared] - The run's scan: passes always cover whole file sets
+   */
+  constructor(checks = [], { shared = false } = {}) {
+    this.planned = new Set(checks);
+    this.shared = shared;
+    this.scans = new Map();
+    this.fileSets = new Map();
+    this.checkOptions = new Map();
+    this.results = new Map();
+    this.timings = {};
+    this.files = new Set();
+    // Inline suppression ranges of every file read, by project path
+    this.suppressions = new Map();
+    this.wallTime = 0;
+  }
+
+  /**
+   * Run the checks of an audit in the next pass
+   * @param {string} category - e.g. "security"
+   */
+  plan(category) {
+    getFileCheckIds([category]).forEach(id => this.planned.add(id));
+  }
+
+  /**
+   * Files of a set, enumerated once per scan
+   * @param {string} set - Key of FILE_SETS
+   * @returns {Promise<string[]>}
+   */
+  getFiles(set) {
+    if (!this.fileSets.has(set)) {
+      const enumerate = FILE_SETS[set];
+      if (!enumerate) {
+        throw new Error(`Unknown file set: ${set}`);
+      }
+      this.fileSets.set(set, enumerate(name => this.getFiles(name)));
+    }
+    return this.fileSets.get(set);
+  }
+
+  /**
+   * Issues of a check. The first request runs every planned check that has not
+   * run yet, so the audits share one read of each file.
+   * @param {string} id - Key of FILE_CHECKS, e.g. "security:secrets"
+   * @param {string[]} [files] - Limit to these files (scanned now if the pass did not cover them);
+   *   defaults to the check's file set
+   * @returns {Promise<Object[]>} Issues in file order
+   */
+  async getIssues(id, files = null) {
+    const check = getFileCheck(id);
+    if (!this.scans.has(id)) {
+      this.planned.add(id);
+      const pending = [...this.planned].filter(planned => !this.scans.has(planned));
+      // An audit's own scan only reads the files it asks for
+      const scan = this.scan(pending, this.shared ? null : files);
+      pending.forEach(planned => this.scans.set(planned, scan));
+    }
+    await this.scans.get(id);
+
+    const results = this.results.get(id);
+    if (!results) return [];
+    if (files) {
+      const missing = files.filter(file => !results.has(toProjectPath(file)));
+      if (missing.length > 0) await this.scan([id], missing);
+    }
+    return (files || await this.getFiles(check.files)).flatMap(file => results.get(toProjectPath(file)) || []);
+  }
+
+  /**
+   * Options of a check, resolved once; null when they cannot be (the check is skipped)
+   */
+  async getCheckOptions(id) {
+    if (!this.checkOptions.has(id)) {
+      const { options } = getFileCheck(id);
+      try {
+        this.checkOptions.set(id, options ? await options() : {});
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️  Skipping ${id}: ${error.message}`));
+        this.checkOptions.set(id, null);
+      }
+    }
+    return this.checkOptions.get(id);
+  }
+
+  /**
+   * One pass over the files of the given checks; each file is read once for all of them
+   * @param {string[]} ids - Check ids
+   * @param {string[]} [files] - Defaults to each check's file set
+   */
+  async scan(ids, files = null) {
+    const plan = new Map();
+    const checkOptions = {};
+    const scopes = {};
+    for (const id of ids) {
+      const options = await this.getCheckOptions(id);
+      if (options === null) continue;
+      const { cacheKey } = getFileCheck(id);
+      checkOptions[id] = options;
+      scopes[id] = cacheKey ? `scan:${id}:${cacheKey(options)}` : `scan:${id}`;
+      if (!this.results.has(id)) this.results.set(id, new Map());
+      for (const file of files || await this.getFiles(getFileCheck(id).files)) {
+        const key = toProjectPath(file);
+        if (!plan.has(key)) plan.set(key, { file, checks: [] });
+        plan.get(key).checks.push(id);
+      }
+    }
+    if (plan.size === 0) return;
+
+    const cache = getScanCache();
+    const checkCount = Object.keys(checkOptions).length;
+    const entries = [...plan.values()];
+    console.log(chalk.blue(`🔎 Scanning ${entries.length} files with ${checkCount} check(s)...`));
+    const started = performance.now();
+    let done = 0;
+
+    await runFileTasks('scan:file', entries.map(entry => entry.file), {
+      cacheScope: null,
+      taskOptions: (file) => {
+        const { checks } = plan.get(toProjectPath(file));
+        const cachedHashes = {};
+        checks.forEach(id => {
+          const hash = cache?.peek(scopes[id], file);
+          if (hash) cachedHashes[id] = hash;
+        });
+        return {
+          checks,
+          checkOptions: Object.fromEntries(checks.map(id => [id, checkOptions[id]])),
+          cachedHashes,
+        };
+      },
+      onResult: ({ hash, results, errors, timings, suppressions }, file) => {
+        const key = toProjectPath(file);
+        for (const id of plan.get(key).checks) {
+          // Checks skipped by the worker answer from the cache
+          const cached = cache?.get(scopes[id], file, hash);
+          let issues = id in results ? results[id] : cached;
+          if (errors[id]) {
+            console.warn(chalk.yellow(`\n⚠️  ${id} failed on ${file}: ${errors[id]}`));
+            issues = [];
+          } else if (id in results) {
+            cache?.set(scopes[id], file, hash, issues);
+          }
+          this.results.get(id).set(key, issues || []);
+          this.addTiming(id, timings[id], !(id in results) && !errors[id], issues);
+        }
+        this.addTiming('read', timings.read);
+        if (timings.parse) this.addTiming('parse', timings.parse);
+        this.files.add(key);
+        this.suppressions.set(key, suppressions);
+        process.stdout.write(`\r[Scan] ${++done}/${entries.length} files scanned`);
+      },
+    });
+
+    // Files that could not be read have no issues
+    entries.forEach(({ file, checks }) => checks.forEach(id => {
+      const results = this.results.get(id);
+      if (!results.has(toProjectPath(file))) results.set(toProjectPath(file), []);
+    }));
+    this.wallTime += performance.now() - started;
+    console.log(chalk.green(`\n✅ Scanned ${done} files with ${checkCount} check(s)`));
+    this.printTimings(Object.keys(checkOptions));
+  }
+
+  addTiming(id, time = 0, cached = false, issues = null) {
+    const timing = this.timings[id] || (this.timings[id] = { time: 0, files: 0, cached: 0, issues: 0 });
+    timing.time += time;
+    timing.files++;
+    if (cached) timing.cached++;
+    if (issues) timing.issues += issues.length;
+  }
+
+  /**
+   * Time per check, summed over files (workers run in parallel, so this exceeds the wall time)
+   * @param {string[]} [ids] - Defaults to every check that ran
+   */
+  printTimings(ids = Object.keys(this.timings)) {
+    const rows = ['read', 'parse', ...ids]
+      .filter(id => this.timings[id])
+      .map(id => [id, this.timings[id]])
+      .sort((a, b) => b[1].time - a[1].time);
+    console.log(chalk.gray('⏱️  Scan time per check (ms, summed over files):'));
+    rows.forEach(([id, { time, files, cached }]) => {
+      const detail = id === 'read' || id === 'parse' ? `${files} files` : `${files} files, ${cached} cached`;
+      console.log(chalk.gray(`   ${id.padEnd(40)} ${String(round(time)).padStart(10)}  (${detail})`));
+    });
+  }
+
+  /**
+   * @returns {Object} Files, wall time and per-check timings for the report
+   */
+  getSummary() {
+    return {
+      timestamp: new Date().toISOString(),
+      files: this.files.size,
+      wallTime: round(this.wallTime),
+      checks: Object.fromEntries(Object.entries(this.timings)
+        .map(([id, timing]) => [id, { ...timing, time: round(timing.time) }])),
+    };
+  }
+}
+
+/**
+ * Start the shared scan of a run; the first audit that asks for issues scans
+ * the files for every given audit at once
+ * @param {string[]} categories - Audits about to run, e.g. ["security", "performance"]
+ * @returns {FileScan}
+ */
+export function openFileScan(categories) {
+  activeScan = new FileScan(getFileCheckIds(categories), { shared: true });
+  return activeScan;
+}
+
+/**
+ * The scan an audit takes its check issues from: the run's shared scan, or a scan
+ * of its own checks when the audit runs alone
+ * @param {string} category - e.g. "security"
+ * @returns {FileScan}
+ */
+export function getFileScan(category) {
+  if (activeScan) {
+    activeScan.plan(category);
+    return activeScan;
+  }
+  return new FileScan(getFileCheckIds([category]));
+}
+
+/**
+ * Write the scan timings of the run to scan-timings.json and end the shared scan
+ * @param {string} [reportDir] - Timings are not written without one, or when nothing was scanned
+ */
+export async function closeFileScan(reportDir) {
+  const scan = activeScan;
+  activeScan = null;
+  if (!scan || !reportDir || scan.files.size === 0) return;
+  try {
+    await writeFile(path.join(reportDir, 'scan-timings.json'), JSON.stringify(scan.getSummary(), null, 2));
+  } catch (error) {
+    console.warn(chalk.yellow(`⚠️  Could not write scan timings: ${error.message}`));
+  }
+}
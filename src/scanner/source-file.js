@@ -0,0 +1,109 @@
+import fsp from 'fs/promises';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { parse } from '@typescript-eslint/parser';
+
+/**
+ * A file as the shared scanner hands it to checks
+ * The file is read once; every check gets the same content and lines, and the AST
+ * is parsed the first time a check asks for it.
+ */
+
+const PARSED_EXTENSIONS = new Set(['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts']);
+// Type assertions (<T>value) are not valid JSX, so only plain .ts files parse without it
+const NO_JSX_EXTENSIONS = new Set(['.ts', '.mts', '.cts']);
+
+/**
+ * Parse JavaScript/TypeScript (with JSX) into an ESTree AST with locations
+ * @param {string} file - Decides TypeScript and JSX handling
+ * @param {string} content
+ * @returns {Object|null} Program node, or null for other file types and syntax errors
+ */
+export function parseSource(file, content) {
+  const extension = path.extname(file).toLowerCase();
+  if (!PARSED_EXTENSIONS.has(extension)) return null;
+  try {
+    return parse(content, {
+      filePath: file,
+      ecmaFeatures: { jsx: !NO_JSX_EXTENSIONS.has(extension) },
+      loc: true,
+      range: true,
+      comment: false,
+      tokens: false,
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} file
+ * @param {string} content
+ * @returns {{file: string, content: string, lines: string[], ast: Object|null, parseTime: number}}
+ */
+export function createSource(file, content) {
+  let ast;
+  return {
+    file,
+    content,
+    lines: content.split('\n'),
+    parseTime: 0,
+    get ast() {
+      if (ast === undefined) {
+        const started = performance.now();
+        ast = parseSource(file, content);
+        this.parseTime = performance.now() - started;
+      }
+      return ast;
+    },
+  };
+}
+
+/**
+ * Issue location of a span of the content, for checks that match text instead of
+ * AST nodes; columns are 1-based like nodeLocation() in ast-utils.js
+ * @param {Object} source - From createSource()
+ * @param {number} start - Offset into the content
+ * @param {number} end - Offset just past the span
+ * @returns {{line: number, column: number, endLine: number, endColumn: number}}
+ */
+export function getSpanLocation(source, start, end) {
+  const position = (offset) => {
+    const before = source.content.slice(0, offset);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    return { line: before.split('\n').length, column: offset - lineStart + 1 };
+  };
+  const from = position(start);
+  const to = position(end);
+  return { line: from.line, column: from.column, endLine: to.line, endColumn: to.column };
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<Object>} Source for the checks (see createSource)
+ */
+export async function readSource(file) {
+  return createSource(file, await fsp.readFile(file, 'utf8'));
+}
+
+/**
+ * Code line and surrounding context from a file's lines
+ * @param {string[]} lines
+ * @param {number} line - 1-based
+ * @param {number} [contextRadius]
+ * @returns {{code: string, context: string}}
+ */
+export function getLineContext(lines, line, contextRadius = 2) {
+  const idx = line - 1;
+  const start = Math.max(0, idx - contextRadius);
+  const end = Math.min(lines.length - 1, idx + contextRadius);
+  const code = (lines[idx] || '').slice(0, 200) + ((lines[idx] || '').length > 200 ? '... (truncated)' : '');
+  const context = lines.slice(start, end + 1)
+    .map((l, i) => {
+      const n = start + i + 1;
+      let lineText = l.length > 200 ? l.slice(0, 200) + '... (truncated)' : l;
+      const marker = n === line ? '>>>' : '   ';
+      return `${marker} ${n}: ${lineText}`;
+    }).join('\n');
+  return { code, context };
+}
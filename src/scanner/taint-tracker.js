@@ -0,0 +1,319 @@
+import { walk, nodeLocation, isFunction, getCalleeName, getPropertyName } from './ast-utils.js';
+
+/**
+ * Intra-file taint tracking for DOM XSS
+ * Values read from untrusted sources (the URL, postMessage events, fetch responses,
+ * form inputs) are followed through variables, destructuring, string building,
+ * method calls and promise callbacks to the DOM sinks that turn them into markup
+ * or navigation. A flow ends at a sanitizer call. Variables are resolved per
+ * function scope; properties written onto objects and calls into other files are
+ * not followed.
+ */
+
+// Called on a value, these make it safe for the sinks below (matched by function or method name)
+export const DEFAULT_SANITIZERS = [
+  'sanitize', 'sanitizeHtml', 'sanitizeHTML', 'sanitizeUrl', 'filterXSS', 'xss',
+  'escape', 'escapeHtml', 'escapeHTML', 'encode', 'encodeURI', 'encodeURIComponent',
+  'Number', 'parseInt', 'parseFloat', 'Boolean',
+];
+
+// Calls that return DOM elements, whose .value is user input
+const DOM_LOOKUPS = new Set(['getElementById', 'querySelector', 'getElementsByName', 'getElementsByTagName', 'getElementsByClassName', 'querySelectorAll']);
+
+// Document properties that hold the URL, like location
+const DOCUMENT_URL_PROPERTIES = new Set(['URL', 'documentURI', 'referrer']);
+
+// Properties whose assignment renders markup or navigates
+const SINK_PROPERTIES = new Set(['innerHTML', 'outerHTML', 'href']);
+
+const SCOPE_TYPES = new Set(['Program', 'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+// Wrappers that only change the static type
+const TYPE_WRAPPERS = new Set(['TSAsExpression', 'TSNonNullExpression', 'TSTypeAssertion', 'TSSatisfiesExpression', 'ChainExpression']);
+
+const unwrap = (node) => (node && TYPE_WRAPPERS.has(node.type) ? unwrap(node.expression) : node);
+
+/**
+ * Dotted name of a member chain: "window.location.hash"; null for computed or call parts
+ */
+function getMemberPath(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type !== 'MemberExpression') return null;
+  const object = getMemberPath(node.object);
+  const property = getPropertyName(node);
+  return object && property ? `${object}.${property}` : null;
+}
+
+/**
+ * Identifiers a declaration or assignment target binds
+ * @returns {Object[]} Identifier nodes
+ */
+function getPatternIdentifiers(pattern) {
+  if (!pattern) return [];
+  switch (pattern.type) {
+    case 'Identifier': return [pattern];
+    case 'ObjectPattern': return pattern.properties.flatMap(property =>
+      getPatternIdentifiers(property.type === 'RestElement' ? property.argument : property.value));
+    case 'ArrayPattern': return pattern.elements.flatMap(getPatternIdentifiers);
+    case 'AssignmentPattern': return getPatternIdentifiers(pattern.left);
+    case 'RestElement': return getPatternIdentifiers(pattern.argument);
+    default: return [];
+  }
+}
+
+const nearestScope = (ancestors) => {
+  for (let index = ancestors.length - 1; index >= 0; index--) {
+    if (SCOPE_TYPES.has(ancestors[index].type)) return ancestors[index];
+  }
+  return ancestors[0];
+};
+
+/**
+ * Flows from untrusted sources to DOM sinks in one file
+ * @param {Object} source - From createSource(); files without an AST have no flows
+ * @param {Object} [options]
+ * @param {string[]} [options.sanitizers] - Function names, or dotted paths such as "DOMPurify.sanitize"
+ * @returns {Array<{source: string, sink: string, node: Object, path: Object[]}>} Each path runs
+ *   from the source to the sink; steps are { kind, label, line, column, endLine, endColumn, code }
+ *   with kind "source", "variable", "parameter" or "sink"
+ */
+export function findTaintFlows(source, { sanitizers = DEFAULT_SANITIZERS } = {}) {
+  const { ast, lines } = source;
+  if (!ast) return [];
+  const sanitizerNames = new Set(sanitizers);
+
+  // Names each scope declares, and the variables holding DOM elements
+  const declared = new Map();
+  const declare = (scope, identifier) => {
+    if (!declared.has(scope)) declared.set(scope, new Set());
+    declared.get(scope).add(identifier.name);
+  };
+  const domElements = new Set();
+  const functionsByName = new Map();
+  const declarators = [];
+  const assignments = [];
+  const calls = [];
+  const sinks = [];
+
+  walk(ast, (node, ancestors) => {
+    const entry = { node, ancestors: [...ancestors] };
+    if (node.type === 'VariableDeclarator') {
+      getPatternIdentifiers(node.id).forEach(identifier => declare(nearestScope(ancestors), identifier));
+      declarators.push(entry);
+      if (isFunction(node.init) && node.id.type === 'Identifier') functionsByName.set(node.id.name, node.init);
+    } else if (isFunction(node)) {
+      node.params.flatMap(getPatternIdentifiers).forEach(identifier => declare(node, identifier));
+      if (node.id && node.type === 'FunctionDeclaration') {
+        declare(nearestScope(ancestors), node.id);
+        functionsByName.set(node.id.name, node);
+      }
+    } else if (node.type === 'ImportDeclaration') {
+      node.specifiers.forEach(specifier => declare(ast, specifier.local));
+    } else if (node.type === 'AssignmentExpression') {
+      assignments.push(entry);
+      sinks.push(entry);
+    } else if (node.type === 'CallExpression') {
+      calls.push(entry);
+      sinks.push(entry);
+    } else if (node.type === 'JSXAttribute') {
+      sinks.push(entry);
+    }
+  });
+
+  // Variables are keyed by the scope that declares them; undeclared names are globals
+  const resolve = (name, ancestors) => {
+    for (let index = ancestors.length - 1; index >= 0; index--) {
+      const scope = ancestors[index];
+      if (declared.get(scope)?.has(name)) return `${scope.range[0]}:${scope.range[1]}:${name}`;
+    }
+    return `global:${name}`;
+  };
+
+  declarators.forEach(({ node, ancestors }) => {
+    const init = unwrap(node.init);
+    if (node.id.type === 'Identifier' && init?.type === 'CallExpression' && DOM_LOOKUPS.has(getCalleeName(init))) {
+      domElements.add(resolve(node.id.name, [...ancestors, node]));
+    }
+  });
+
+  const step = (kind, label, node) => {
+    const location = nodeLocation(node);
+    return { kind, label, ...location, code: (lines[location.line - 1] || '').trim().slice(0, 200) };
+  };
+  const tainted = new Map();
+  const taint = (key, from, node, kind = 'variable') => {
+    if (tainted.has(key)) return false;
+    tainted.set(key, { source: from.source, path: [...from.path, step(kind, node.name, node)] });
+    return true;
+  };
+  const newSource = (label, node) => ({ source: label, path: [step('source', label, node)] });
+
+  // Reads of user input: event.target.value, ref.current.value, input.value for looked-up elements
+  const isInputElement = (object, ancestors) => {
+    object = unwrap(object);
+    if (object.type === 'MemberExpression') return ['target', 'currentTarget', 'current'].includes(getPropertyName(object));
+    if (object.type === 'CallExpression') return DOM_LOOKUPS.has(getCalleeName(object));
+    if (object.type === 'Identifier') return domElements.has(resolve(object.name, ancestors));
+    return false;
+  };
+
+  const getMemberSource = (node, ancestors) => {
+    const memberPath = getMemberPath(node);
+    if (memberPath) {
+      const segments = memberPath.replace(/^(window|self|globalThis)\./, '').split('.');
+      if (segments[0] === 'document' && segments[1] === 'location') segments.shift();
+      if (segments[0] === 'location') return segments.slice(0, 2).join('.');
+      if (segments[0] === 'document' && DOCUMENT_URL_PROPERTIES.has(segments[1])) return `document.${segments[1]}`;
+    }
+    if (getPropertyName(node) === 'value' && isInputElement(node.object, ancestors)) return 'input value';
+    return null;
+  };
+
+  const isSanitizer = (callee) => {
+    callee = unwrap(callee);
+    const name = callee.type === 'MemberExpression' ? getPropertyName(callee) : callee.name;
+    return sanitizerNames.has(name) || sanitizerNames.has(getMemberPath(callee));
+  };
+
+  /**
+   * Taint of an expression: { source, path } or null
+   * Functions are not entered; their parameters are tainted by the callers below.
+   */
+  const taintOf = (node, ancestors) => {
+    if (!node) return null;
+    const first = (nodes) => {
+      for (const child of nodes) {
+        const result = taintOf(child, ancestors);
+        if (result) return result;
+      }
+      return null;
+    };
+
+    switch (node.type) {
+      case 'Identifier': {
+        const key = resolve(node.name, ancestors);
+        if (tainted.has(key)) return tainted.get(key);
+        return key === 'global:location' ? newSource('location', node) : null;
+      }
+      case 'MemberExpression': {
+        const label = getMemberSource(node, ancestors);
+        return label ? newSource(label, node) : taintOf(node.object, ancestors);
+      }
+      case 'CallExpression': {
+        if (isSanitizer(node.callee)) return null;
+        const callee = unwrap(node.callee);
+        if (getMemberPath(callee)?.replace(/^window\./, '') === 'fetch') return newSource('fetch response', node);
+        // Methods of tainted values: params.get(), response.text(), value.trim()
+        const receiver = callee.type === 'MemberExpression' ? taintOf(callee.object, ancestors) : null;
+        return receiver || first(node.arguments);
+      }
+      case 'NewExpression': {
+        const literal = ['ObjectExpression', 'ArrayExpression'].includes(node.arguments[0]?.type);
+        if (node.callee.type === 'Identifier' && node.callee.name === 'URLSearchParams' && !literal) {
+          return first(node.arguments) || newSource('URLSearchParams', node);
+        }
+        return first(node.arguments);
+      }
+      case 'TaggedTemplateExpression':
+        return isSanitizer(node.tag) ? null : first(node.quasi.expressions);
+      case 'BinaryExpression':
+        return node.operator === '+' ? first([node.left, node.right]) : null;
+      case 'LogicalExpression': return first([node.left, node.right]);
+      case 'ConditionalExpression': return first([node.consequent, node.alternate]);
+      case 'AssignmentExpression': return taintOf(node.right, ancestors);
+      case 'SequenceExpression': return taintOf(node.expressions[node.expressions.length - 1], ancestors);
+      case 'TemplateLiteral': return first(node.expressions);
+      case 'ArrayExpression': return first(node.elements.filter(Boolean));
+      case 'ObjectExpression': return first(node.properties.map(property => (property.type === 'Property' ? property.value : property)));
+      case 'SpreadElement':
+      case 'AwaitExpression': return taintOf(node.argument, ancestors);
+      case 'JSXExpressionContainer': return taintOf(node.expression, ancestors);
+      default:
+        return TYPE_WRAPPERS.has(node.type) ? taintOf(node.expression, ancestors) : null;
+    }
+  };
+
+  const resolveFunction = (node) => {
+    node = unwrap(node);
+    if (isFunction(node)) return node;
+    return node?.type === 'Identifier' ? functionsByName.get(node.name) || null : null;
+  };
+  const taintParam = (fn, from) => getPatternIdentifiers(fn?.params[0])
+    .map(identifier => taint(`${fn.range[0]}:${fn.range[1]}:${identifier.name}`, from, identifier, 'parameter'))
+    .some(Boolean);
+
+  // postMessage handlers: their event parameter is untrusted
+  const taintMessageHandler = (handler) => {
+    const fn = resolveFunction(handler);
+    const param = fn?.params[0];
+    if (param) taintParam(fn, newSource('postMessage event data', param));
+  };
+  calls.forEach(({ node }) => {
+    const [type, handler] = node.arguments;
+    if (getCalleeName(node) === 'addEventListener' && type?.type === 'Literal' && type.value === 'message') {
+      taintMessageHandler(handler);
+    }
+  });
+  assignments.forEach(({ node }) => {
+    const name = node.left.type === 'MemberExpression' ? getPropertyName(node.left) : node.left.name;
+    if (name === 'onmessage') taintMessageHandler(node.right);
+  });
+
+  // Propagate through declarations, assignments and promise callbacks until nothing changes
+  for (let changed = true, rounds = 0; changed && rounds < 20; rounds++) {
+    changed = false;
+    for (const { node, ancestors } of declarators) {
+      const from = node.init && taintOf(node.init, ancestors);
+      if (!from) continue;
+      for (const identifier of getPatternIdentifiers(node.id)) {
+        changed = taint(resolve(identifier.name, [...ancestors, node]), from, identifier) || changed;
+      }
+    }
+    for (const { node, ancestors } of assignments) {
+      if (node.left.type === 'MemberExpression') continue;
+      const from = taintOf(node.right, ancestors);
+      if (!from) continue;
+      for (const identifier of getPatternIdentifiers(node.left)) {
+        changed = taint(resolve(identifier.name, ancestors), from, identifier) || changed;
+      }
+    }
+    for (const { node, ancestors } of calls) {
+      const callee = unwrap(node.callee);
+      if (callee.type !== 'MemberExpression' || getPropertyName(callee) !== 'then') continue;
+      const from = taintOf(callee.object, ancestors);
+      if (from) changed = taintParam(resolveFunction(node.arguments[0]), from) || changed;
+    }
+  }
+
+  const flows = [];
+  const report = (node, sink, value, ancestors) => {
+    const from = taintOf(value, ancestors);
+    if (from) flows.push({ source: from.source, sink, node, path: [...from.path, step('sink', sink, node)] });
+  };
+  for (const { node, ancestors } of sinks) {
+    if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression') {
+      const property = getPropertyName(node.left);
+      if (SINK_PROPERTIES.has(property)) report(node, property, node.right, ancestors);
+    } else if (node.type === 'CallExpression') {
+      const name = getCalleeName(node);
+      const callee = unwrap(node.callee);
+      if (callee.type === 'Identifier' && name === 'eval') {
+        report(node, 'eval', node.arguments[0], ancestors);
+      } else if ((name === 'write' || name === 'writeln') && getMemberPath(callee)?.endsWith(`document.${name}`)) {
+        const argument = node.arguments.find(candidate => taintOf(candidate, ancestors));
+        if (argument) report(node, `document.${name}`, argument, ancestors);
+      } else if (name === 'insertAdjacentHTML') {
+        report(node, 'insertAdjacentHTML', node.arguments[1], ancestors);
+      } else if (name === 'setAttribute' && node.arguments[0]?.type === 'Literal' && node.arguments[0].value === 'href') {
+        report(node, 'href', node.arguments[1], ancestors);
+      }
+    } else if (node.type === 'JSXAttribute' && node.value?.type === 'JSXExpressionContainer') {
+      const name = node.name.name;
+      if (name === 'dangerouslySetInnerHTML' || name === 'href') {
+        report(node, name, node.value, ancestors);
+      }
+    }
+  }
+  return flows;
+}
@@ -0,0 +1,198 @@
+import { spawn } from 'child_process';
+import readline from 'readline';
+import chalk from 'chalk';
+import { getConfig } from '../config-loader.js';
+import { findSecrets, getSecretSettings, maskSecret } from './secret-scanner.js';
+
+/**
+ * Git history secret scan
+ *
+ * Walks the patches of `git log -p` and runs the secret detector on every added line,
+ * so secrets that were committed and later deleted are still reported. Each finding
+ * names the commit that introduced the secret; the value is masked.
+ *
+ * Enabled with --git-history (plus --git-history-range / --git-history-depth) or in
+ * ui-code-insight.config.json:
+ *   "secrets": { "gitHistory": { "enabled": true, "range": "origin/main..HEAD", "depth": 500 } }
+ */
+
+export const DEFAULT_HISTORY_DEPTH = 1000;
+
+const HISTORY_RECOMMENDATION = 'Rotate the secret: it stays readable in git history after the file is changed or deleted';
+const COMMIT_MARKER = '\u0000commit ';
+
+// Generated and vendored files that are not worth scanning in old commits either
+const SKIPPED_HISTORY_PATHS = [
+  '**/node_modules/**',
+  '**/dist/**',
+  '**/build/**',
+  '**/coverage/**',
+  '**/*.min.js',
+  '**/package-lock.json',
+  '**/npm-shrinkwrap.json',
+  '**/yarn.lock',
+  '**/pnpm-lock.yaml',
+  '**/*-report.json',
+  '**/ui-code-insight-baseline.json',
+  '**/ui-code-insight-advisories.json',
+];
+
+/**
+ * Convert a path glob (*, **, ?, {a,b}) into a regular expression
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+const globToRegExp = (glob) => {
+  let source = '';
+  const pattern = glob.replace(/^\.\//, '');
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '*' && pattern[index + 1] === '*') {
+      const slash = pattern[index + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      index += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', index);
+      if (end === -1) {
+        source += '\\{';
+        continue;
+      }
+      source += `(?:${pattern.slice(index + 1, end).split(',').map((part) => part.replace(/[.+^$()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*')).join('|')})`;
+      index = end;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * History scan options from the config, overridden by CLI values
+ * @param {Object} [overrides] - { range, depth } from the command line
+ * @returns {{range: string|null, depth: number}|null} null when the scan is off
+ */
+export const resolveGitHistoryOptions = (overrides = null) => {
+  const configured = getConfig().secrets?.gitHistory;
+  if (!overrides && !configured?.enabled) return null;
+  const range = overrides?.range ?? configured?.range ?? null;
+  const depth = overrides?.depth ?? configured?.depth ?? DEFAULT_HISTORY_DEPTH;
+  if (range && range.startsWith('-')) {
+    throw new Error(`Invalid git history range: ${range}`);
+  }
+  if (!Number.isInteger(depth) || depth < 0) {
+    throw new Error(`Invalid git history depth: ${depth} (use a whole number, 0 for no limit)`);
+  }
+  return { range, depth };
+};
+
+/**
+ * Arguments for `git log`
+ * @param {{range: string|null, depth: number}} options
+ * @returns {string[]}
+ */
+export const buildGitLogArgs = ({ range = null, depth = DEFAULT_HISTORY_DEPTH } = {}) => {
+  const args = [
+    'log', '-p', '--no-color', '--no-ext-diff', '--unified=0',
+    `--format=%x00commit %H%x09%aI%x09%s`,
+  ];
+  if (depth > 0) args.push(`--max-count=${depth}`);
+  if (range) args.push(range);
+  args.push('--');
+  return args;
+};
+
+/**
+ * Parse `git log -p` output line by line and report secrets on added lines
+ * @param {AsyncIterable<string>|Iterable<string>} lines - Output of buildGitLogArgs()
+ * @param {Object} [settings] - From getSecretSettings()
+ * @returns {Promise<{issues: Object[], commitsScanned: number}>}
+ */
+export const scanGitLog = async (lines, settings = getSecretSettings()) => {
+  const skipped = [...SKIPPED_HISTORY_PATHS, ...settings.allowedPaths].map(globToRegExp);
+  // git log lists newest first, so the last finding per secret is the commit that introduced it
+  const findingsByKey = new Map();
+  let commit = null;
+  let file = null;
+  let lineNumber = 0;
+  let commitsScanned = 0;
+  // Between "diff --git" and the first hunk; "+++ " only names the file there
+  let inFileHeader = false;
+
+  for await (const line of lines) {
+    if (line.startsWith(COMMIT_MARKER)) {
+      const [hash, authorDate, ...subject] = line.slice(COMMIT_MARKER.length).split('\t');
+      commit = { hash, shortHash: hash.slice(0, 7), authorDate, subject: subject.join('\t') };
+      file = null;
+      inFileHeader = false;
+      commitsScanned++;
+    } else if (line.startsWith('diff --git ')) {
+      file = null;
+      inFileHeader = true;
+    } else if (inFileHeader && line.startsWith('+++ ')) {
+      const target = line.slice(4);
+      file = target === '/dev/null' ? null : target.replace(/^b\//, '');
+      if (file && skipped.some((pattern) => pattern.test(file))) file = null;
+    } else if (line.startsWith('@@')) {
+      inFileHeader = false;
+      const match = /\+(\d+)/.exec(line);
+      lineNumber = match ? Number(match[1]) : 0;
+    } else if (line.startsWith('+') && commit && file) {
+      const text = line.slice(1);
+      findSecrets(text, file, settings).forEach(({ rule, value, entropy }) => {
+        findingsByKey.set(`${rule.id}\u0000${file}\u0000${value}`, { rule, value, entropy, commit, file, line: lineNumber, text });
+      });
+      lineNumber++;
+    }
+  }
+
+  const issues = [...findingsByKey.values()].map(({ rule, value, entropy, commit: source, file: filePath, line, text }) => ({
+    type: 'git_history_secret',
+    ruleId: rule.id,
+    file: filePath,
+    line,
+    severity: rule.severity,
+    message: `${rule.name} committed in ${source.shortHash}`,
+    code: text.split(value).join(maskSecret(value)).trim().slice(0, 200),
+    recommendation: HISTORY_RECOMMENDATION,
+    commit: source,
+    secret: {
+      provider: rule.name,
+      masked: maskSecret(value),
+      entropy: Number(entropy.toFixed(2)),
+    },
+  }));
+
+  return { issues, commitsScanned };
+};
+
+/**
+ * Scan local git history for secrets
+ * @param {{range: string|null, depth: number}} options - From resolveGitHistoryOptions()
+ * @returns {Promise<{issues: Object[], commitsScanned: number, range: string|null, depth: number}>}
+ */
+export const scanGitHistory = async (options) => {
+  const { range, depth } = options;
+  console.log(chalk.blue(`🕰️  Scanning git history for secrets (${range || 'HEAD'}, ${depth > 0 ? `up to ${depth} commits` : 'all commits'})...`));
+
+  const git = spawn('git', buildGitLogArgs(options), { cwd: process.cwd(), stdio: ['ignore', 'pipe', 'pipe'] });
+  let stderr = '';
+  git.stderr.on('data', (chunk) => { stderr += chunk; });
+  const exited = new Promise((resolve, reject) => {
+    git.on('error', reject);
+    git.on('close', resolve);
+  });
+
+  const output = readline.createInterface({ input: git.stdout, crlfDelay: Infinity });
+  const { issues, commitsScanned } = await scanGitLog(output);
+  const exitCode = await exited;
+  if (exitCode !== 0) {
+    throw new Error(stderr.trim() || `git log exited with code ${exitCode}`);
+  }
+
+  console.log(chalk.green(`✅ Git history: ${commitsScanned} commit(s) scanned, ${issues.length} secret(s) found`));
+  return { issues, commitsScanned, range, depth };
+};
@@ -0,0 +1,137 @@
+/**
+ * Secret signature catalog
+ *
+ * Provider rules match a key format that is specific enough on its own; capture group 1
+ * is the secret value. Generic rules match a credential-looking name assigned to a
+ * literal and only report values whose Shannon entropy reaches minEntropy.
+ */
+
+export const PROVIDER_RULES = [
+  {
+    id: 'aws-access-key-id',
+    name: 'AWS access key ID',
+    pattern: /\b((?:AKIA|ASIA|ABIA|ACCA|AGPA|AIDA|AIPA|ANPA|ANVA|AROA|APKA)[A-Z0-9]{16})\b/g,
+    severity: 'high',
+  },
+  {
+    id: 'aws-secret-access-key',
+    name: 'AWS secret access key',
+    pattern: /aws.{0,20}?(?:secret|private).{0,20}?['"=:\s]([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/gi,
+    severity: 'high',
+  },
+  {
+    id: 'github-token',
+    name: 'GitHub token',
+    pattern: /\b((?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{82})\b/g,
+    severity: 'high',
+  },
+  {
+    id: 'gitlab-token',
+    name: 'GitLab personal access token',
+    pattern: /\b(glpat-[A-Za-z0-9_-]{20})\b/g,
+    severity: 'high',
+  },
+  {
+    id: 'stripe-secret-key',
+    name: 'Stripe live secret key',
+    pattern: /\b((?:sk|rk)_live_[A-Za-z0-9]{24,99})\b/g,
+    severity: 'high',
+  },
+  {
+    id: 'slack-token',
+    name: 'Slack token',
+    pattern: /\b(xox[abposr]-[A-Za-z0-9-]{10,72})\b/g,
+    severity: 'high',
+  },
+  {
+    id: 'slack-webhook',
+    name: 'Slack webhook URL',
+    pattern: /(https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]{20,})/g,
+    severity: 'medium',
+  },
+  {
+    id: 'google-api-key',
+    name: 'Google API key',
+    pattern: /\b(AIza[A-Za-z0-9_-]{35})(?![A-Za-z0-9_-])/g,
+    severity: 'high',
+  },
+  {
+    id: 'npm-token',
+    name: 'npm access token',
+    pattern: /\b(npm_[A-Za-z0-9]{36})\b/g,
+    severity: 'high',
+  },
+  {
+    id: 'sendgrid-api-key',
+    name: 'SendGrid API key',
+    pattern: /\b(SG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43})(?![A-Za-z0-9_-])/g,
+    severity: 'high',
+  },
+  {
+    id: 'jwt',
+    name: 'JSON Web Token',
+    pattern: /\b(eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})(?![A-Za-z0-9_-])/g,
+    severity: 'medium',
+  },
+  {
+    id: 'private-key',
+    name: 'Private key',
+    pattern: /(-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----)/g,
+    severity: 'high',
+    multiline: /-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/,
+  },
+  {
+    id: 'credentials-in-url',
+    name: 'Password in connection URL',
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/'"`]+:([^\s:@/'"`]{3,})@[^\s'"`]+/gi,
+    severity: 'high',
+  },
+];
+
+const PASSWORD_NAMES = 'pass(?:word|wd|phrase)?|pwd';
+const KEY_NAMES = 'secret|token|api[_-]?key|apikey|access[_-]?key|private[_-]?key|client[_-]?secret|auth[_-]?key|credentials?';
+
+/**
+ * Build the "name = 'value'" matchers for a group of credential names.
+ * Quoted values are matched in every file; bare values only in .env and YAML files,
+ * where an unquoted value is still a literal (in code it would be a variable).
+ */
+const assignmentPatterns = (names) => ({
+  quoted: new RegExp(`([\\w.-]*(?:${names})[\\w.-]*)['"]?\\s*(?:=|:|=>)\\s*(['"\`])([^'"\`\\s]{6,})\\2`, 'gi'),
+  bare: new RegExp(`^\\s*(?:export\\s+)?([\\w.-]*(?:${names})[\\w.-]*)\\s*[=:]\\s*([^\\s'"\`#]{6,})\\s*(?:#.*)?$`, 'i'),
+});
+
+export const GENERIC_RULES = [
+  {
+    id: 'generic-password',
+    name: 'Hardcoded password',
+    severity: 'high',
+    minLength: 6,
+    minEntropy: 2.5,
+    ...assignmentPatterns(PASSWORD_NAMES),
+  },
+  {
+    id: 'generic-secret',
+    name: 'Hardcoded secret',
+    severity: 'medium',
+    minLength: 12,
+    minEntropy: 3.5,
+    ...assignmentPatterns(KEY_NAMES),
+  },
+];
+
+// Values that are clearly not real credentials
+export const DEFAULT_ALLOWED_VALUES = [
+  /example|sample|dummy|fake|placeholder|changeme|change_me|redacted|your[_-]?/i,
+  /^(?:x+|\*+|\.+|-+|0+|1234\d*)$/i,
+  /\$\{|\{\{|<%|%\(|^<.*>$|^\$[A-Z_]+$/,
+  /^(?:process\.env|import\.meta\.env|env\.)/,
+];
+
+// Test fixtures and mocks are expected to contain fake credentials
+export const DEFAULT_ALLOWED_PATHS = [
+  '**/__fixtures__/**',
+  '**/fixtures/**',
+  '**/__mocks__/**',
+  '**/*.{test,spec}.{js,ts,jsx,tsx,mjs,cjs}',
+];
@@ -0,0 +1,217 @@
+import path from 'path';
+import chalk from 'chalk';
+import { globby } from 'globby';
+import { getConfig, getConfigPattern } from '../config-loader.js';
+import {
+  PROVIDER_RULES,
+  GENERIC_RULES,
+  DEFAULT_ALLOWED_VALUES,
+  DEFAULT_ALLOWED_PATHS,
+} from './secret-providers.js';
+
+/**
+ * Secret detection
+ *
+ * Scans the files of jsFilePathPattern and secretFilePathPattern (.env*, JSON, YAML, HTML, PEM keys)
+ * with the provider signatures and entropy-scored generic rules from secret-providers.js.
+ * Secret values never reach the report: code and context lines are masked.
+ *
+ * Optional settings in ui-code-insight.config.json:
+ *   "secrets": {
+ *     "entropyThreshold": 3.5,               // overrides minEntropy of the generic rules
+ *     "allowlist": {
+ *       "paths": ["e2e/**"],                  // added to the default fixture/mock/test globs
+ *       "values": ["^pk_test_"],              // regexes for values that are not secrets
+ *       "rules": ["jwt"]                      // rule ids to turn off
+ *     }
+ *   }
+ */
+
+const SECRET_RECOMMENDATION = 'Remove the secret from the code, rotate it, and load it from an environment variable or a secret manager';
+const BARE_VALUE_FILE_PATTERN = /(^|[\\/])\.env[^\\/]*$|\.ya?ml$/i;
+const WORD_VALUE_PATTERN = /^[A-Za-z]+(?:[_.\-\s][A-Za-z]+)*$/;
+const PATH_VALUE_PATTERN = /^(?:https?:\/\/|\.{0,2}\/)/i;
+const MAX_CODE_LENGTH = 200;
+
+/**
+ * Shannon entropy in bits per character
+ * @param {string} value
+ * @returns {number}
+ */
+export const shannonEntropy = (value) => {
+  if (!value) return 0;
+  const counts = new Map();
+  for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+};
+
+/**
+ * Mask a secret, keeping a short prefix and suffix so it can still be recognized
+ * @param {string} value
+ * @returns {string}
+ */
+export const maskSecret = (value) => {
+  if (value.length < 12) return '*'.repeat(value.length);
+  return `${value.slice(0, 4)}${'*'.repeat(Math.min(value.length - 6, 16))}${value.slice(-2)}`;
+};
+
+/**
+ * Secret settings from the config, merged with the defaults
+ * @param {Object} [config]
+ * @returns {{allowedPaths: string[], allowedValues: RegExp[], disabledRules: string[], entropyThreshold: number|null}}
+ */
+export const getSecretSettings = (config = getConfig()) => {
+  const settings = config.secrets || {};
+  const allowlist = settings.allowlist || {};
+  const allowedValues = [...DEFAULT_ALLOWED_VALUES];
+  (allowlist.values || []).forEach((value) => {
+    try {
+      allowedValues.push(new RegExp(value));
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  Ignoring secrets allowlist value ${value}: ${error.message}`));
+    }
+  });
+  return {
+    allowedPaths: [...DEFAULT_ALLOWED_PATHS, ...(allowlist.paths || [])],
+    allowedValues,
+    disabledRules: allowlist.rules || [],
+    entropyThreshold: typeof settings.entropyThreshold === 'number' ? settings.entropyThreshold : null,
+  };
+};
+
+const isAllowedValue = (value, settings) => settings.allowedValues.some((pattern) => pattern.test(value));
+
+/**
+ * Generic rule matches on one line: [{ name, value }]
+ */
+const matchGenericRule = (rule, line, allowBare) => {
+  const matches = [...line.matchAll(rule.quoted)].map((match) => ({ name: match[1], value: match[3] }));
+  if (matches.length === 0 && allowBare) {
+    const bare = rule.bare.exec(line);
+    if (bare) matches.push({ name: bare[1], value: bare[2] });
+  }
+  return matches;
+};
+
+/**
+ * Find secrets in a file's content
+ * @param {string} content
+ * @param {string} filePath - Used to decide whether unquoted values count (.env, YAML)
+ * @param {Object} [settings] - From getSecretSettings()
+ * @returns {Array<{rule: Object, line: number, value: string, entropy: number}>}
+ */
+export const findSecrets = (content, filePath, settings = getSecretSettings()) => {
+  const lines = content.split('\n');
+  const allowBare = BARE_VALUE_FILE_PATTERN.test(filePath);
+  const providerRules = PROVIDER_RULES.filter((rule) => !settings.disabledRules.includes(rule.id));
+  const genericRules = GENERIC_RULES.filter((rule) => !settings.disabledRules.includes(rule.id));
+  const findings = [];
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    const values = new Set();
+
+    providerRules.forEach((rule) => {
+      for (const match of line.matchAll(rule.pattern)) {
+        const value = match[1];
+        if (values.has(value) || isAllowedValue(value, settings)) continue;
+        values.add(value);
+        findings.push({ rule, line: index + 1, value, entropy: shannonEntropy(value) });
+      }
+    });
+
+    genericRules.forEach((rule) => {
+      const minEntropy = settings.entropyThreshold ?? rule.minEntropy;
+      matchGenericRule(rule, line, allowBare).forEach(({ value }) => {
+        // Skip values a provider rule already reported, plain words (ids, labels, i18n keys) and paths
+        if ([...values].some((known) => known.includes(value) || value.includes(known))) return;
+        if (value.length < rule.minLength || WORD_VALUE_PATTERN.test(value) || PATH_VALUE_PATTERN.test(value)) return;
+        if (isAllowedValue(value, settings)) return;
+        const entropy = shannonEntropy(value);
+        if (entropy < minEntropy) return;
+        values.add(value);
+        findings.push({ rule, line: index + 1, value, entropy });
+      });
+    });
+  });
+
+  return findings;
+};
+
+/**
+ * Copy of the lines with every found secret masked, including private key bodies
+ */
+const maskLines = (lines, findings) => {
+  const masked = [...lines];
+  findings.forEach(({ rule, line, value }) => {
+    masked[line - 1] = masked[line - 1].split(value).join(maskSecret(value));
+    if (rule.multiline) {
+      for (let index = line; index < masked.length && !rule.multiline.test(lines[index]); index++) {
+        masked[index] = masked[index].replace(/\S/g, '*');
+      }
+    }
+  });
+  return masked;
+};
+
+/**
+ * Masked code line and context for a finding
+ */
+const buildCodeContext = (maskedLines, lineNumber, radius = 2) => {
+  const index = lineNumber - 1;
+  const start = Math.max(0, index - radius);
+  const end = Math.min(maskedLines.length - 1, index + radius);
+  const truncate = (text) => (text.length > MAX_CODE_LENGTH ? `${text.slice(0, MAX_CODE_LENGTH)}... (truncated)` : text);
+  return {
+    code: truncate(maskedLines[index].trim()),
+    context: maskedLines.slice(start, end + 1)
+      .map((text, offset) => `${start + offset === index ? '>>>' : '   '} ${start + offset + 1}: ${truncate(text)}`)
+      .join('\n'),
+  };
+};
+
+/**
+ * Turn findings in one file into security issues
+ * @param {string} file
+ * @param {string} content
+ * @param {Array} findings - From findSecrets()
+ * @returns {Object[]}
+ */
+export const toSecretIssues = (file, content, findings) => {
+  if (findings.length === 0) return [];
+  const maskedLines = maskLines(content.split('\n'), findings);
+  return findings.map(({ rule, line, value, entropy }) => ({
+    type: 'hardcoded_secret',
+    ruleId: rule.id,
+    file,
+    line,
+    severity: rule.severity,
+    message: `${rule.name} detected`,
+    ...buildCodeContext(maskedLines, line),
+    recommendation: SECRET_RECOMMENDATION,
+    secret: {
+      provider: rule.name,
+      masked: maskSecret(value),
+      entropy: Number(entropy.toFixed(2)),
+    },
+  }));
+};
+
+/**
+ * Files to scan for secrets (respects --changed-since and the path allowlist)
+ * @param {Object} [settings] - From getSecretSettings()
+ * @returns {Promise<string[]>}
+ */
+export const getSecretScanFiles = async (settings = getSecretSettings()) => {
+  const ignore = settings.allowedPaths;
+  const [codeFiles, otherFiles] = await Promise.all([
+    globby(getConfigPattern('jsFilePathPattern'), { ignore }),
+    globby(getConfigPattern('secretFilePathPattern'), { ignore }),
+  ]);
+  return [...new Set([...codeFiles, ...otherFiles].map((file) => path.normalize(file)))];
+};
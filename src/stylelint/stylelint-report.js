@@ -6,6 +6,7 @@ import chalk from "chalk";
 import stylelint from "stylelint";
 import { fileURLToPath } from "url";
 import { getConfigPattern, getMergedExcludeRules } from '../config-loader.js';
+import { cachedFileResult, digestFile } from '../utils/scan-cache.js';
 
 const { lint } = stylelint;
 
@@ -261,12 +262,13 @@ const lintAllFiles = async (files, folderPath, lintStyleConfigFile, projectType,
 
   let results = [];
   let processed = 0;
+  const cacheScope = `stylelint:${digestFile(lintStyleConfigFile)}`;
   for (let i = 0; i < files.length; i += BATCH_SIZE) {
     const batch = files.slice(i, i + BATCH_SIZE);
     const batchResults = await Promise.all(batch.map(async (filePath) => {
       processed++;
       process.stdout.write(`\r[Stylelint] Progress: ${processed}/${files.length} files checked`);
-      return await lintFile(filePath, lintStyleConfigFile);
+      return await cachedFileResult(cacheScope, filePath, () => lintFile(filePath, lintStyleConfigFile));
     }));
     results.push(...batchResults);
   }
@@ -323,6 +325,8 @@ const lintAllFiles = async (files, folderPath, lintStyleConfigFile, projectType,
     path.join(folderPath, "stylelint-report.json"),
     JSON.stringify(jsonReport, null, 2)
   );
+
+  return jsonReport;
 };
 
 /**
@@ -331,6 +335,7 @@ const lintAllFiles = async (files, folderPath, lintStyleConfigFile, projectType,
  * @param {Boolean} recommendedLintRules
  * @param {String} projectType
  * @param {Array<string>} reports
+ * @returns {Promise<Object>} Stylelint JSON report
  */
 export const generateStyleLintReport = async (
   folderPath,
@@ -346,5 +351,5 @@ export const generateStyleLintReport = async (
   // Use config-driven pattern for SCSS/CSS/LESS files
   const files = await globby(getConfigPattern('scssFilePathPattern'));
 
-  await lintAllFiles(files, folderPath, lintStyleConfigFile, projectType, reports);
+  return lintAllFiles(files, folderPath, lintStyleConfigFile, projectType, reports);
 };
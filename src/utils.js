@@ -42,3 +42,119 @@ export const copyStaticFiles = async (folderPath) => {
     console.log(chalk.blue("ℹ️  No config file found to copy"));
   }
 };
+
+/**
+ * Version of ui-code-insight itself (from its own package.json)
+ * @returns {string}
+ */
+export const getToolVersion = () => {
+  const __filename = fileURLToPath(import.meta.url);
+  const __dirname = path.dirname(__filename);
+  try {
+    const packageJson = JSON.parse(
+      fs.readFileSync(path.join(__dirname, "..", "package.json"), "utf8")
+    );
+    return packageJson.version || "0.0.0";
+  } catch {
+    return "0.0.0";
+  }
+};
+
+/**
+ * Create a reader that returns a trimmed source line, caching each file's lines
+ * @returns {(filePath: string, line: number) => string|null}
+ */
+export const createSourceReader = () => {
+  const cache = new Map();
+  return (filePath, line) => {
+    if (!filePath || !line) return null;
+    if (!cache.has(filePath)) {
+      try {
+        cache.set(filePath, fs.readFileSync(filePath, "utf8").split(/\r?\n/));
+      } catch {
+        cache.set(filePath, null);
+      }
+    }
+    const lines = cache.get(filePath);
+    return lines && lines[line - 1] !== undefined ? lines[line - 1].trim() : null;
+  };
+};
+
+const CONFIG_FOLDER = "config";
+const ESLINTRC_JSON = ".eslintrc.json";
+const ESLINTRC_JS = ".eslintrc.js";
+const ESLINTRC_YML = ".eslintrc.yml";
+const ESLINTRC = ".eslintrc";
+const ESLINTRC_SIMPLE = "eslintrc.simple.json";
+const ESLINTRC_REACT = "eslintrc.react.json";
+const ESLINTRC_NODE = "eslintrc.node.json";
+const ESLINTRC_VANILLA = "eslintrc.vanilla.json";
+const ESLINTRC_TS = "eslintrc.typescript.json";
+const ESLINTRC_TSREACT = "eslintrc.tsreact.json";
+
+/**
+ * Path of an ESLint config shipped with ui-code-insight (src/config, build/config once bundled)
+ * @param {string} [configFileName] - Defaults to the simple config
+ * @returns {string}
+ */
+export const getLintConfigPath = (configFileName = ESLINTRC_SIMPLE) => {
+  const __filename = fileURLToPath(import.meta.url);
+  const __dirname = path.dirname(__filename);
+  return path.join(__dirname, CONFIG_FOLDER, configFileName);
+};
+
+/**
+ * ESLint config for the code audits: the shipped config for the project type,
+ * falling back to the simple config and then to the project's own .eslintrc
+ * @param {boolean} [recommendedLintRules]
+ * @param {string} [projectType]
+ * @returns {string}
+ */
+export const getLintConfigFile = (recommendedLintRules = false, projectType = '') => {
+  let configFileName = ESLINTRC_SIMPLE; // Default to simple config
+
+  if (projectType && typeof projectType === 'string') {
+    const type = projectType.toLowerCase();
+    if (type === 'react') configFileName = ESLINTRC_REACT;
+    else if (type === 'node') configFileName = ESLINTRC_NODE;
+    else if (type === 'vanilla') configFileName = ESLINTRC_VANILLA;
+    else if (type === 'typescript') configFileName = ESLINTRC_TS;
+    else if (type === 'typescript + react' || type === 'tsreact') configFileName = ESLINTRC_TSREACT;
+  }
+
+  const configFilePath = getLintConfigPath(configFileName);
+
+  // Check if the target config exists, otherwise fallback to simple config
+  if (fs.existsSync(configFilePath)) {
+    return configFilePath;
+  }
+
+  // Fallback to simple config to avoid module resolution issues
+  const simpleConfigPath = getLintConfigPath();
+  if (fs.existsSync(simpleConfigPath)) {
+    console.log(chalk.yellow(`⚠️  Using simplified ESLint config to avoid module resolution issues`));
+    return simpleConfigPath;
+  }
+
+  // Final fallback to default logic
+  const recommendedLintRulesConfigFile = getLintConfigPath(ESLINTRC_JSON);
+  const moduleDir = path.join(process.cwd(), "node_modules", "ui-code-insight");
+  const eslintLintFilePathFromModule = path.join(moduleDir, ESLINTRC_JSON);
+
+  if (recommendedLintRules) {
+    return recommendedLintRulesConfigFile;
+  }
+
+  const configFiles = [
+    ESLINTRC,
+    ESLINTRC_JS,
+    ESLINTRC_YML,
+    ESLINTRC_JSON,
+    eslintLintFilePathFromModule,
+  ];
+
+  const foundConfig = configFiles.find((file) => fs.existsSync(file));
+
+  // If no config found, return simple config to avoid node_modules
+  return foundConfig || simpleConfigPath;
+};
@@ -0,0 +1,121 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import micromatch from 'micromatch';
+
+/**
+ * Changed-files mode (--changed-since <ref>)
+ * Holds the set of files git reports as changed so config-driven file patterns
+ * can be narrowed to them, and whole-project checks can be skipped.
+ */
+
+let changedFiles = null;
+// Changed files matched per pattern list, so repeated pattern lookups never walk the tree
+const matchedFiles = new Map();
+
+/**
+ * Project-relative, forward-slash form used to compare paths
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function toProjectPath(filePath) {
+  return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+}
+
+function runGit(args) {
+  return execFileSync('git', args, {
+    cwd: process.cwd(),
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+}
+
+/**
+ * Files changed since a git ref: committed changes since the merge base with the ref,
+ * plus uncommitted and untracked files. Deleted files are left out.
+ * Paths are relative to the current directory.
+ * @param {string} ref - Branch, tag or commit (e.g. origin/main)
+ * @returns {string[]}
+ */
+export function getGitChangedFiles(ref) {
+  let base;
+  try {
+    base = runGit(['merge-base', ref, 'HEAD']).trim();
+  } catch (error) {
+    const reason = error.stderr ? String(error.stderr).trim() : error.message;
+    throw new Error(`Could not find changes since "${ref}": ${reason}`);
+  }
+
+  const changed = runGit(['diff', '--name-only', '--relative', '--diff-filter=ACMRT', base]);
+  const untracked = runGit(['ls-files', '--others', '--exclude-standard']);
+
+  return [...new Set(
+    `${changed}\n${untracked}`
+      .split('\n')
+      .map(file => file.trim())
+      .filter(Boolean)
+  )];
+}
+
+/**
+ * Turn changed-files mode on (array of paths) or off (null)
+ * @param {string[]|null} files
+ */
+export function setChangedFiles(files) {
+  changedFiles = files ? new Set(files.map(toProjectPath)) : null;
+  matchedFiles.clear();
+}
+
+/**
+ * Whether audits are limited to changed files
+ * @returns {boolean}
+ */
+export function isChangedFilesMode() {
+  return changedFiles !== null;
+}
+
+/**
+ * Keep only changed files (returns the list untouched outside changed-files mode)
+ * @param {string[]} files
+ * @returns {string[]}
+ */
+export function filterChangedFiles(files) {
+  if (!changedFiles) return files;
+  return files.filter(file => changedFiles.has(toProjectPath(file)));
+}
+
+/**
+ * Files that match globby-style patterns; negated patterns exclude
+ * @param {string[]} files - Paths relative to the current directory
+ * @param {string[]} patterns
+ * @returns {string[]}
+ */
+export function matchPatterns(files, patterns) {
+  const strip = pattern => pattern.replace(/^\.\//, '');
+  const positive = patterns.filter(pattern => !pattern.startsWith('!')).map(strip);
+  const ignore = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => strip(pattern.slice(1)));
+  return micromatch(files, positive, { ignore });
+}
+
+/**
+ * Changed files that match glob patterns, matched once per pattern list
+ * @param {string[]} patterns - Globby patterns relative to the current directory
+ * @returns {string[]} Existing files, relative to the current directory
+ */
+export function matchChangedFiles(patterns) {
+  if (!changedFiles) return [];
+  const key = patterns.join('\n');
+  if (!matchedFiles.has(key)) {
+    matchedFiles.set(key, matchPatterns([...changedFiles], patterns).filter(file => fs.existsSync(file)));
+  }
+  return matchedFiles.get(key);
+}
+
+/**
+ * Escape glob syntax so a file path can be passed to globby as a literal pattern
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function escapeGlobPath(filePath) {
+  return filePath.replace(/[*?[\]{}()!@+]/g, '\\$&');
+}
@@ -0,0 +1,36 @@
+import { FILE_CHECKS, scanFile } from '../scanner/file-checks.js';
+import { readSource } from '../scanner/source-file.js';
+import { lintFileWithConfig } from '../eslint/lint-file.js';
+
+/**
+ * Per-file tasks the worker pool can run, by name
+ * Every task is (file, options) => Promise<result>, where options and result are
+ * plain data so they can cross thread boundaries and go into the scan cache.
+ * "scan:file" runs many checks on one read of the file (see src/scanner); each
+ * check can also run on its own under its id, e.g. "security:secrets".
+ */
+
+const singleChecks = Object.fromEntries(
+  Object.entries(FILE_CHECKS).map(([id, check]) => [id, async (file, options) => check.run(await readSource(file), options)])
+);
+
+export const FILE_TASKS = {
+  ...singleChecks,
+  'scan:file': scanFile,
+  'eslint:lint': lintFileWithConfig,
+};
+
+/**
+ * Run one task on one file in the current thread
+ * @param {string} task - Key of FILE_TASKS
+ * @param {string} file
+ * @param {Object} [options]
+ * @returns {Promise<*>}
+ */
+export async function runFileTask(task, file, options = {}) {
+  const run = FILE_TASKS[task];
+  if (!run) {
+    throw new Error(`Unknown file task: ${task}`);
+  }
+  return run(file, options);
+}
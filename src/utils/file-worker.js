@@ -0,0 +1,19 @@
+import { parentPort, workerData } from 'worker_threads';
+import { setConfig } from '../config-loader.js';
+import { runFileTask } from './file-tasks.js';
+
+/**
+ * Worker thread of the file pool (see worker-pool.js)
+ * Receives { id, task, file, options } and answers { id, result } or { id, error }.
+ * Several files are handled at once so reads overlap with scanning.
+ */
+
+setConfig(workerData.config);
+
+parentPort.on('message', async ({ id, task, file, options }) => {
+  try {
+    parentPort.postMessage({ id, result: await runFileTask(task, file, options) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
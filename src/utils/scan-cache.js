@@ -0,0 +1,250 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createRequire } from 'module';
+import chalk from 'chalk';
+import { ESLint } from 'eslint';
+import { getConfig } from '../config-loader.js';
+import { getToolVersion } from '../utils.js';
+import { toProjectPath } from './changed-files.js';
+
+/**
+ * Incremental scanning
+ * Findings are cached per audit scope and file, keyed by the file's content hash.
+ * The whole cache is dropped when its fingerprint changes: the ui-code-insight,
+ * ESLint or Stylelint version, the loaded config, the ignore file or a project
+ * ESLint/Stylelint config file.
+ */
+
+const CACHE_FORMAT = 1;
+const DEFAULT_CACHE_FILE = path.join('node_modules', '.cache', 'ui-code-insight', 'scan-cache.json');
+const IGNORE_FILE = '.ui-code-insight-ignore';
+const LINT_CONFIG_FILES = [
+  '.eslintrc', '.eslintrc.js', '.eslintrc.cjs', '.eslintrc.json', '.eslintrc.yml', '.eslintrc.yaml',
+  'eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs',
+  '.stylelintrc', '.stylelintrc.js', '.stylelintrc.cjs', '.stylelintrc.json', '.stylelintrc.yml', '.stylelintrc.yaml',
+  'stylelint.config.js', 'stylelint.config.mjs', 'stylelint.config.cjs',
+];
+
+let activeCache = null;
+
+/**
+ * SHA-1 of a string or buffer
+ * @param {string|Buffer} content
+ * @returns {string}
+ */
+export const hashContent = (content) => crypto.createHash('sha1').update(content).digest('hex');
+
+/**
+ * Hash of a file's content, or null when it cannot be read
+ * @param {string} filePath
+ * @returns {Promise<string|null>}
+ */
+export const hashFile = async (filePath) => {
+  try {
+    return hashContent(await fsp.readFile(filePath));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Hash of a file's content, or '' when it does not exist (for cache keys)
+ * @param {string} filePath
+ * @returns {string}
+ */
+export const digestFile = (filePath) => {
+  try {
+    return hashContent(fs.readFileSync(filePath));
+  } catch {
+    return '';
+  }
+};
+
+const getStylelintVersion = () => {
+  try {
+    return createRequire(import.meta.url)('stylelint/package.json').version;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Cache settings from ui-code-insight.config.json:
+ *   "cache": { "enabled": true, "file": "node_modules/.cache/ui-code-insight/scan-cache.json" }
+ * @param {Object} [config]
+ * @returns {{enabled: boolean, file: string}}
+ */
+export const getScanCacheSettings = (config = getConfig()) => {
+  const settings = config.cache || {};
+  return {
+    enabled: settings.enabled !== false,
+    file: settings.file || DEFAULT_CACHE_FILE,
+  };
+};
+
+/**
+ * Everything that changes findings for unchanged files
+ * @param {Object} [config]
+ * @returns {string}
+ */
+export const computeFingerprint = (config = getConfig()) => {
+  const lintConfigs = LINT_CONFIG_FILES
+    .filter(file => fs.existsSync(file))
+    .map(file => `${file}:${digestFile(file)}`);
+  return hashContent(JSON.stringify({
+    tool: getToolVersion(),
+    eslint: ESLint.version,
+    stylelint: getStylelintVersion(),
+    config,
+    ignore: digestFile(IGNORE_FILE),
+    lintConfigs,
+  }));
+};
+
+export class ScanCache {
+  /**
+   * @param {string} fingerprint - From computeFingerprint()
+   * @param {Object} [scopes] - Previously saved entries: scope -> file -> { hash, value }
+   */
+  constructor(fingerprint, scopes = {}) {
+    this.fingerprint = fingerprint;
+    this.scopes = scopes;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Cached value for a file whose content still has the given hash
+   * @param {string} scope - Audit type plus anything else the findings depend on
+   * @param {string} file
+   * @param {string|null} hash
+   * @returns {*} undefined on a miss
+   */
+  get(scope, file, hash) {
+    const entry = hash && this.scopes[scope]?.[toProjectPath(file)];
+    if (entry && entry.hash === hash) {
+      this.hits++;
+      return entry.value;
+    }
+    this.misses++;
+    return undefined;
+  }
+
+  /**
+   * Hash the cached value of a file belongs to, without counting a hit or miss
+   * @param {string} scope
+   * @param {string} file
+   * @returns {string|undefined}
+   */
+  peek(scope, file) {
+    return this.scopes[scope]?.[toProjectPath(file)]?.hash;
+  }
+
+  set(scope, file, hash, value) {
+    if (!hash) return;
+    if (!this.scopes[scope]) this.scopes[scope] = {};
+    // Stored as JSON so later changes to the reported objects do not leak in
+    this.scopes[scope][toProjectPath(file)] = { hash, value: JSON.parse(JSON.stringify(value)) };
+  }
+
+  /**
+   * Drop entries of files that no longer exist
+   */
+  prune() {
+    Object.values(this.scopes).forEach((files) => {
+      Object.keys(files).forEach((file) => {
+        if (!fs.existsSync(file)) delete files[file];
+      });
+    });
+  }
+
+  toJSON() {
+    return { format: CACHE_FORMAT, fingerprint: this.fingerprint, scopes: this.scopes };
+  }
+}
+
+/**
+ * Load the cache for this run (or turn caching off)
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled] - Overrides "cache.enabled" from config
+ * @returns {ScanCache|null}
+ */
+export function openScanCache(options = {}) {
+  const settings = getScanCacheSettings();
+  const enabled = options.enabled ?? settings.enabled;
+  activeCache = null;
+  if (!enabled) return null;
+
+  const fingerprint = computeFingerprint();
+  let saved = null;
+  try {
+    saved = JSON.parse(fs.readFileSync(settings.file, 'utf8'));
+  } catch {
+    // No cache yet, or unreadable: start empty
+  }
+
+  if (saved && saved.format === CACHE_FORMAT && saved.fingerprint === fingerprint) {
+    activeCache = new ScanCache(fingerprint, saved.scopes || {});
+    console.log(chalk.gray(`♻️  Using scan cache ${settings.file}`));
+  } else {
+    if (saved) {
+      console.log(chalk.yellow('♻️  Scan cache invalidated: ui-code-insight, lint tool or configuration changed'));
+    }
+    activeCache = new ScanCache(fingerprint);
+  }
+  activeCache.file = settings.file;
+  return activeCache;
+}
+
+/**
+ * The cache opened for this run, or null when caching is off
+ * @returns {ScanCache|null}
+ */
+export function getScanCache() {
+  return activeCache;
+}
+
+/**
+ * Write the cache opened for this run and close it
+ */
+export async function saveScanCache() {
+  const cache = activeCache;
+  activeCache = null;
+  if (!cache) return;
+
+  cache.prune();
+  try {
+    await fsp.mkdir(path.dirname(cache.file), { recursive: true });
+    const tempFile = `${cache.file}.${process.pid}.tmp`;
+    await fsp.writeFile(tempFile, JSON.stringify(cache));
+    await fsp.rename(tempFile, cache.file);
+    if (cache.hits > 0) {
+      console.log(chalk.gray(`♻️  Scan cache: ${cache.hits} unchanged file result(s) reused, ${cache.misses} scanned`));
+    }
+  } catch (error) {
+    console.warn(chalk.yellow(`⚠️  Could not write scan cache ${cache.file}: ${error.message}`));
+  }
+}
+
+/**
+ * Per-file result (e.g. a lint result) from the cache, computed and stored on a miss
+ * @param {string} scope - Tool plus the rule configuration, e.g. "eslint:<config hash>"
+ * @param {string} file
+ * @param {Function} compute - async () => result
+ * @param {Function} [shouldCache] - Results it rejects (failed files) are not stored
+ * @returns {Promise<*>}
+ */
+export async function cachedFileResult(scope, file, compute, shouldCache = Boolean) {
+  const cache = activeCache;
+  if (!cache) return compute();
+
+  const hash = await hashFile(file);
+  const cached = cache.get(scope, file, hash);
+  if (cached !== undefined) return cached;
+
+  const result = await compute();
+  if (shouldCache(result)) cache.set(scope, file, hash, result);
+  return result;
+}
@@ -0,0 +1,154 @@
+import fsp from 'fs/promises';
+import { toProjectPath } from './changed-files.js';
+
+/**
+ * Inline suppression comments for findings of the line-based scanners
+ *
+ *   // ui-code-insight-disable-next-line hardcoded_secret -- test fixture
+ *   const password = 'not-a-real-password';
+ *
+ *   const token = 'abc'; // ui-code-insight-disable-line
+ *
+ *   /* ui-code-insight-disable eval_usage, function_constructor -- sandboxed plugin loader *\/
+ *   ...
+ *   /* ui-code-insight-enable *\/
+ *
+ * Directives work in any comment syntax (//, /* *\/, <!-- -->, #). The issue types or
+ * rule ids to suppress are separated by spaces or commas; without any, every finding
+ * on the covered lines is suppressed. Text after "--" is kept as the reason.
+ * A block without a matching enable runs to the end of the file.
+ */
+
+const DIRECTIVE_MARKER = 'ui-code-insight-';
+const DIRECTIVE_PATTERN = /ui-code-insight-(disable-next-line|disable-line|disable|enable)(?![\w-])(.*)$/;
+
+/**
+ * Parse the directive on one line, if any
+ * @param {string} line
+ * @returns {{kind: string, types: string[], reason: string}|null}
+ */
+export function parseDirective(line) {
+  const match = DIRECTIVE_PATTERN.exec(line);
+  if (!match) return null;
+  const rest = match[2].replace(/\s*(\*\/|-->|%>|\}\})\s*$/, '');
+  const separator = rest.indexOf('--');
+  const typeList = separator === -1 ? rest : rest.slice(0, separator);
+  const reason = separator === -1 ? '' : rest.slice(separator + 2).trim();
+  return {
+    kind: match[1],
+    types: typeList.split(/[\s,]+/).filter(Boolean),
+    reason,
+  };
+}
+
+/**
+ * Line ranges covered by the directives in a file
+ * @param {string} content - File content
+ * @returns {Array<{start: number, end: number, types: string[], reason: string, directive: string, directiveLine: number}>}
+ */
+export function parseSuppressions(content) {
+  if (!content.includes(DIRECTIVE_MARKER)) return [];
+  const lines = content.split('\n');
+  const ranges = [];
+  let openBlocks = [];
+
+  const closeBlock = (block, end) => {
+    if (end >= block.start) ranges.push({ ...block, end });
+  };
+
+  lines.forEach((line, index) => {
+    const directive = parseDirective(line);
+    if (!directive) return;
+    const lineNumber = index + 1;
+    const { kind, types, reason } = directive;
+
+    if (kind === 'disable-line' || kind === 'disable-next-line') {
+      const target = kind === 'disable-line' ? lineNumber : lineNumber + 1;
+      ranges.push({ start: target, end: target, types, reason, directive: kind, directiveLine: lineNumber });
+    } else if (kind === 'disable') {
+      openBlocks.push({ start: lineNumber + 1, types, reason, directive: kind, directiveLine: lineNumber });
+    } else if (types.length === 0) {
+      openBlocks.forEach((block) => closeBlock(block, lineNumber - 1));
+      openBlocks = [];
+    } else {
+      // Re-enable only the listed types; blocks keep suppressing the others
+      openBlocks = openBlocks.flatMap((block) => {
+        if (block.types.length === 0 || !block.types.some((type) => types.includes(type))) return [block];
+        closeBlock(block, lineNumber - 1);
+        const remaining = block.types.filter((type) => !types.includes(type));
+        return remaining.length > 0 ? [{ ...block, start: lineNumber + 1, types: remaining }] : [];
+      });
+    }
+  });
+
+  openBlocks.forEach((block) => closeBlock(block, lines.length));
+  return ranges;
+}
+
+/**
+ * The range that suppresses an issue, if any
+ * @param {Array} ranges - From parseSuppressions()
+ * @param {Object} issue - Issue with line, type and optional ruleId
+ * @returns {Object|null}
+ */
+export function findSuppression(ranges, issue) {
+  const line = Number(issue.line);
+  return ranges.find((range) =>
+    line >= range.start && line <= range.end &&
+    (range.types.length === 0 || range.types.includes(issue.type) || range.types.includes(issue.ruleId))
+  ) || null;
+}
+
+/**
+ * Split issues into reported and suppressed ones. Issues without a file and line
+ * (live URL checks, dependency findings) and findings in past commits are never suppressed.
+ * @param {Object[]} issues
+ * @param {Map<string, Array>} [scannedRanges] - Ranges of the files the shared scan already
+ *   read, by project path (FileScan.suppressions); only other files are read here
+ * @returns {Promise<{issues: Object[], suppressed: Object[]}>} Suppressed issues carry
+ *   suppression: { reason, directive, line } so reviewers can audit them
+ */
+export async function applySuppressions(issues, scannedRanges = new Map()) {
+  const rangesByFile = new Map(scannedRanges);
+  const kept = [];
+  const suppressed = [];
+
+  for (const issue of issues) {
+    if (!issue.file || !issue.line || issue.commit) {
+      kept.push(issue);
+      continue;
+    }
+    const key = toProjectPath(issue.file);
+    if (!rangesByFile.has(key)) {
+      try {
+        rangesByFile.set(key, parseSuppressions(await fsp.readFile(issue.file, 'utf8')));
+      } catch {
+        rangesByFile.set(key, []);
+      }
+    }
+    const range = findSuppression(rangesByFile.get(key), issue);
+    if (range) {
+      suppressed.push({
+        ...issue,
+        suppression: { reason: range.reason || null, directive: range.directive, line: range.directiveLine },
+      });
+    } else {
+      kept.push(issue);
+    }
+  }
+
+  return { issues: kept, suppressed };
+}
+
+/**
+ * Report fields for suppressed findings
+ * @param {Object[]} suppressed - From applySuppressions()
+ * @returns {{suppressedCount: number, suppressedWithoutReason: number, suppressedIssues: Object[]}}
+ */
+export function getSuppressionSummary(suppressed) {
+  return {
+    suppressedCount: suppressed.length,
+    suppressedWithoutReason: suppressed.filter((issue) => !issue.suppression.reason).length,
+    suppressedIssues: suppressed,
+  };
+}
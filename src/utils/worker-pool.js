@@ -0,0 +1,206 @@
+import fs from 'fs';
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import pLimit from 'p-limit';
+import { getConfig } from '../config-loader.js';
+import { runFileTask } from './file-tasks.js';
+import { getScanCache, hashFile } from './scan-cache.js';
+
+/**
+ * Worker pool for file-based audits
+ * One pool of worker_threads is shared by every audit of a run. Files are handed out
+ * one at a time and each result comes back as soon as its file is done, so memory
+ * stays flat however many files a project has. With a concurrency of 1 (or without
+ * the worker entry file) the same tasks run on the main thread.
+ *
+ * "concurrency" in ui-code-insight.config.json or --concurrency sets the number of workers.
+ */
+
+const WORKER_FILE = fileURLToPath(new URL('./file-worker.js', import.meta.url));
+// Files in flight per worker, so file reads overlap with scanning
+const TASKS_PER_WORKER = 4;
+const INLINE_TASKS = 8;
+
+let concurrency = null;
+let pool = null;
+
+const defaultConcurrency = () => os.availableParallelism?.() ?? os.cpus().length;
+
+/**
+ * Set the number of workers for this run (takes effect for the next pool)
+ * @param {number} [value] - Falls back to "concurrency" in config, then the CPU count
+ */
+export function setConcurrency(value) {
+  concurrency = Number.isInteger(value) && value > 0 ? value : null;
+}
+
+/**
+ * @returns {number} Number of workers file tasks run on (1 means the main thread)
+ */
+export function getConcurrency() {
+  const configured = getConfig().concurrency;
+  return concurrency
+    ?? (Number.isInteger(configured) && configured > 0 ? configured : null)
+    ?? Math.max(1, defaultConcurrency());
+}
+
+class WorkerPool {
+  constructor(size) {
+    this.size = size;
+    this.workers = [];
+    this.queue = [];
+    this.nextId = 0;
+  }
+
+  /**
+   * Run a task on the next free worker
+   * @returns {Promise<*>} The task's result
+   */
+  run(task, file, options) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: ++this.nextId, task, file, options, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const worker = this.pickWorker();
+      if (!worker) return;
+      const job = this.queue.shift();
+      worker.jobs.set(job.id, job);
+      // Only busy workers keep the process alive
+      worker.ref();
+      worker.postMessage({ id: job.id, task: job.task, file: job.file, options: job.options });
+    }
+  }
+
+  pickWorker() {
+    const available = this.workers
+      .filter(worker => worker.jobs.size < TASKS_PER_WORKER)
+      .sort((a, b) => a.jobs.size - b.jobs.size)[0];
+    if (available && available.jobs.size === 0) return available;
+    if (this.workers.length < this.size) return this.spawn();
+    return available || null;
+  }
+
+  spawn() {
+    const worker = new Worker(WORKER_FILE, { workerData: { config: getConfig() } });
+    worker.jobs = new Map();
+    worker.on('message', ({ id, result, error }) => {
+      const job = worker.jobs.get(id);
+      if (!job) return;
+      worker.jobs.delete(id);
+      if (error) {
+        job.reject(new Error(error));
+      } else {
+        job.resolve(result);
+      }
+      if (worker.jobs.size === 0) worker.unref();
+      this.dispatch();
+    });
+    worker.on('error', error => this.retire(worker, error));
+    worker.on('exit', code => this.retire(worker, new Error(`Worker stopped with exit code ${code}`)));
+    this.workers.push(worker);
+    return worker;
+  }
+
+  /**
+   * Drop a crashed worker; its files fail and a new worker takes the queue
+   */
+  retire(worker, error) {
+    if (!this.workers.includes(worker)) return;
+    this.workers = this.workers.filter(other => other !== worker);
+    worker.jobs.forEach(job => job.reject(error));
+    worker.jobs.clear();
+    this.dispatch();
+  }
+
+  async close() {
+    const workers = this.workers;
+    this.workers = [];
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
+
+/**
+ * The shared pool, created on first use; null when tasks run on the main thread
+ * @returns {WorkerPool|null}
+ */
+function getWorkerPool() {
+  if (pool) return pool;
+  const size = getConcurrency();
+  if (size <= 1) return null;
+  if (!fs.existsSync(WORKER_FILE)) {
+    console.warn(chalk.yellow(`⚠️  Worker entry ${WORKER_FILE} not found, running file audits on the main thread`));
+    return null;
+  }
+  console.log(chalk.gray(`🧵 Running file audits on ${size} worker threads`));
+  pool = new WorkerPool(size);
+  return pool;
+}
+
+/**
+ * Stop the workers (a new pool is created if tasks run again)
+ */
+export async function closeWorkerPool() {
+  const current = pool;
+  pool = null;
+  if (current) await current.close();
+}
+
+/**
+ * Run a file task over many files on the pool. Unchanged files are answered from the
+ * scan cache; every other result is stored in it.
+ * @param {string} task - Key of FILE_TASKS, e.g. "security:secrets"
+ * @param {string[]} files
+ * @param {Object} [options]
+ * @param {Object|Function} [options.taskOptions] - Passed to the task (plain data), or file => options
+ * @param {string|null} [options.cacheScope] - Scan cache scope; defaults to the task, add anything else results
+ *   depend on. null leaves caching to the caller.
+ * @param {Function} [options.shouldCache] - Results it rejects (failed files) are not stored
+ * @param {Function} [options.onResult] - (result, file) => void, called as each file finishes
+ * @returns {Promise<{processed: number, cached: number, failed: number}>}
+ */
+export async function runFileTasks(task, files, options = {}) {
+  const {
+    taskOptions = {},
+    cacheScope = task,
+    shouldCache = Boolean,
+    onResult = () => {},
+  } = options;
+  const cache = cacheScope === null ? null : getScanCache();
+  const workers = getWorkerPool();
+  // Keeps each worker busy without queueing (and hashing) every file up front
+  const limit = pLimit(workers ? workers.size * TASKS_PER_WORKER : INLINE_TASKS);
+  const stats = { processed: 0, cached: 0, failed: 0 };
+
+  await Promise.all(files.map(file => limit(async () => {
+    const hash = cache ? await hashFile(file) : null;
+    const cached = cache ? cache.get(cacheScope, file, hash) : undefined;
+    if (cached !== undefined) {
+      stats.cached++;
+      await onResult(cached, file);
+      return;
+    }
+
+    let result;
+    try {
+      const options = typeof taskOptions === 'function' ? taskOptions(file) : taskOptions;
+      result = workers
+        ? await workers.run(task, file, options)
+        : await runFileTask(task, file, options);
+    } catch (error) {
+      stats.failed++;
+      console.warn(chalk.yellow(`⚠️  Could not process ${file}: ${error.message}`));
+      return;
+    }
+    if (cache && shouldCache(result)) cache.set(cacheScope, file, hash, result);
+    stats.processed++;
+    await onResult(result, file);
+  })));
+
+  return stats;
+}
@@ -0,0 +1,221 @@
+import fs from 'fs';
+import path from 'path';
+import { writeFile } from 'fs/promises';
+import { globbySync } from 'globby';
+import yaml from 'js-yaml';
+import { getConfig } from '../config-loader.js';
+import { readManifest } from '../dependencies/lockfile.js';
+
+/**
+ * Workspace (monorepo) detection
+ *
+ * A repository is treated as a workspace when one of these lists its packages, checked in order:
+ *   - pnpm-workspace.yaml "packages"
+ *   - package.json "workspaces" (npm, yarn; an array or { packages: [...] })
+ *   - lerna.json "packages" (default packages/*)
+ *   - nx.json, with every project.json below the root as a project
+ *
+ * The dependency, testing and packages audits then run once per package, and every issue is
+ * tagged with the package ("workspace") it belongs to. "workspaces": false in
+ * ui-code-insight.config.json turns detection off; an array of globs replaces it.
+ *
+ * Detected workspaces: { tool, packages: [{ name, dir, path, manifest, root }] }, where dir is
+ * relative to the repository root ("." for the root package, which is always listed first).
+ */
+
+const IGNORED_DIRS = ['**/node_modules/**', '**/dist/**', '**/build/**', '**/coverage/**'];
+
+const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+/**
+ * Package globs of the repository and the tool that declares them
+ * @param {string} rootDir
+ * @param {Object} manifest - Root package.json
+ * @returns {{tool: string, patterns: string[], marker?: string}|null}
+ */
+const findWorkspacePatterns = (rootDir, manifest) => {
+  const configured = getConfig().workspaces;
+  if (configured === false) return null;
+  if (Array.isArray(configured)) return { tool: 'config', patterns: configured };
+
+  const pnpmWorkspace = path.join(rootDir, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmWorkspace)) {
+    const { packages = [] } = yaml.load(fs.readFileSync(pnpmWorkspace, 'utf8')) || {};
+    return { tool: 'pnpm', patterns: packages };
+  }
+  const declared = Array.isArray(manifest.workspaces) ? manifest.workspaces : manifest.workspaces?.packages;
+  if (Array.isArray(declared)) {
+    return { tool: fs.existsSync(path.join(rootDir, 'yarn.lock')) ? 'yarn' : 'npm', patterns: declared };
+  }
+  const lernaConfig = path.join(rootDir, 'lerna.json');
+  if (fs.existsSync(lernaConfig)) {
+    return { tool: 'lerna', patterns: readJson(lernaConfig).packages || ['packages/*'] };
+  }
+  // Nx projects do not need a package.json of their own
+  if (fs.existsSync(path.join(rootDir, 'nx.json'))) {
+    return { tool: 'nx', patterns: ['**'], marker: 'project.json' };
+  }
+  return null;
+};
+
+/**
+ * Package directories matched by workspace globs ("packages/*", "!packages/legacy")
+ * @param {string} rootDir
+ * @param {string[]} patterns
+ * @param {string} [marker] - File that makes a directory a package
+ * @returns {string[]} Directories relative to rootDir
+ */
+export const expandWorkspacePatterns = (rootDir, patterns, marker = 'package.json') => {
+  const globs = patterns.map((pattern) => {
+    const negated = pattern.startsWith('!');
+    const dir = pattern.replace(/^!/, '').replace(/^\.\//, '').replace(/\/+$/, '');
+    return `${negated ? '!' : ''}${dir}/${marker}`;
+  });
+  return globbySync(globs, { cwd: rootDir, ignore: IGNORED_DIRS })
+    .map((file) => path.posix.dirname(file))
+    .filter((dir) => dir !== '.')
+    .sort();
+};
+
+/**
+ * Detect the packages of a workspace
+ * @param {string} [rootDir]
+ * @returns {{tool: string, packages: Object[]}|null} null for a single-package project
+ */
+export const detectWorkspaces = (rootDir = process.cwd()) => {
+  const manifest = readManifest(rootDir);
+  const found = findWorkspacePatterns(rootDir, manifest);
+  if (!found) return null;
+
+  const members = expandWorkspacePatterns(rootDir, found.patterns, found.marker).map((dir) => {
+    const packagePath = path.join(rootDir, dir);
+    const packageManifest = readManifest(packagePath);
+    const project = found.marker === 'project.json' ? readJson(path.join(packagePath, 'project.json')) : {};
+    return { name: packageManifest.name || project.name || dir, dir, path: packagePath, manifest: packageManifest, root: false };
+  });
+  if (members.length === 0) return null;
+
+  const root = { name: manifest.name || '(root)', dir: '.', path: rootDir, manifest, root: true };
+  return { tool: found.tool, packages: [root, ...members] };
+};
+
+/**
+ * Names of the workspace's own packages; they are linked, not installed from the registry
+ * @param {Object|null} workspaces - From detectWorkspaces()
+ * @returns {string[]}
+ */
+export const getLocalPackageNames = (workspaces) => (workspaces ? workspaces.packages.map((pkg) => pkg.name) : []);
+
+/**
+ * Package a file belongs to: the deepest package directory that contains it
+ * @param {Object} workspaces - From detectWorkspaces()
+ * @param {string} file - Absolute or relative to the repository root
+ * @returns {Object} Workspace package (the root package for files outside every member)
+ */
+export const getWorkspaceForFile = (workspaces, file) => {
+  const rootPackage = workspaces.packages[0];
+  const absolute = path.resolve(rootPackage.path, file);
+  let match = rootPackage;
+  workspaces.packages.forEach((pkg) => {
+    if (pkg.root || pkg.path.length <= match.path.length) return;
+    if (absolute === pkg.path || absolute.startsWith(pkg.path + path.sep)) match = pkg;
+  });
+  return match;
+};
+
+const countSeverities = (issues) => ({
+  totalIssues: issues.length,
+  highSeverity: issues.filter((issue) => issue.severity === 'high').length,
+  mediumSeverity: issues.filter((issue) => issue.severity === 'medium').length,
+  lowSeverity: issues.filter((issue) => issue.severity === 'low').length,
+});
+
+/**
+ * Combine the results of one audit run per package into one result; issues are tagged with
+ * their package and the result gets a per-package breakdown
+ * @param {Array<{workspace: Object, result: Object}>} runs
+ * @returns {Object} Audit result with a "workspaces" array
+ */
+export const mergeWorkspaceResults = (runs) => {
+  const issues = runs.flatMap(({ workspace, result }) =>
+    (result?.issues || []).map((issue) => ({ ...issue, workspace: workspace.name }))
+  );
+  const merged = {
+    timestamp: new Date().toISOString(),
+    ...countSeverities(issues),
+    issues,
+    workspaces: runs.map(({ workspace, result }) => ({
+      name: workspace.name,
+      dir: workspace.dir,
+      ...countSeverities(result?.issues || []),
+    })),
+  };
+  if (runs.some(({ result }) => result?.positivePractices !== undefined)) {
+    merged.positivePractices = runs.reduce((acc, { result }) => acc + (result?.positivePractices || 0), 0);
+  }
+  return merged;
+};
+
+/**
+ * Tag the issues of file-based results with the package of their file (in place).
+ * Audit issues use "file", lint reports "filePath"; already tagged issues are left alone.
+ * @param {Object} workspaces - From detectWorkspaces()
+ * @param {Object} results - Results keyed by category
+ * @returns {string[]} Categories that had issues tagged
+ */
+export const tagWorkspaceIssues = (workspaces, results) => {
+  const tagged = [];
+  Object.entries(results).forEach(([category, result]) => {
+    const items = Array.isArray(result?.issues) ? result.issues : Array.isArray(result?.results) ? result.results : [];
+    let changed = false;
+    items.forEach((item) => {
+      const file = item.file || item.filePath;
+      if (item.workspace || typeof file !== 'string') return;
+      item.workspace = getWorkspaceForFile(workspaces, file).name;
+      changed = true;
+    });
+    if (changed) tagged.push(category);
+  });
+  return tagged;
+};
+
+/**
+ * Rewrite the report files of the given categories, e.g. after tagging their issues
+ * @param {string} folderPath
+ * @param {Object} results - Results keyed by category
+ * @param {string[]} categories
+ */
+export const writeWorkspaceReports = async (folderPath, results, categories) => {
+  await Promise.all(categories.map((category) => {
+    const fileName = Array.isArray(results[category].results) ? `${category}-report.json` : `${category}-audit-report.json`;
+    return writeFile(path.join(folderPath, fileName), JSON.stringify(results[category], null, 2));
+  }));
+};
+
+/**
+ * Per-package issue counts over the audit categories, for the comprehensive report
+ * @param {Object} workspaces - From detectWorkspaces()
+ * @param {Object} categories - Audit results keyed by category
+ * @returns {Object[]} [{ name, dir, totalIssues, highSeverity, mediumSeverity, lowSeverity, categories }]
+ */
+export const summarizeWorkspaces = (workspaces, categories) => {
+  const rootName = workspaces.packages[0].name;
+  return workspaces.packages.map((pkg) => {
+    const byCategory = {};
+    Object.entries(categories).forEach(([category, result]) => {
+      if (!Array.isArray(result?.issues)) return;
+      const issues = result.issues.filter((issue) => (issue.workspace || rootName) === pkg.name);
+      if (issues.length > 0) byCategory[category] = countSeverities(issues);
+    });
+    const totals = Object.values(byCategory);
+    return {
+      name: pkg.name,
+      dir: pkg.dir,
+      totalIssues: totals.reduce((acc, counts) => acc + counts.totalIssues, 0),
+      highSeverity: totals.reduce((acc, counts) => acc + counts.highSeverity, 0),
+      mediumSeverity: totals.reduce((acc, counts) => acc + counts.mediumSeverity, 0),
+      lowSeverity: totals.reduce((acc, counts) => acc + counts.lowSeverity, 0),
+      categories: byCategory,
+    };
+  });
+};
@@ -18,7 +18,23 @@ const testFiles = fs.readdirSync(__dirname)
 console.log(chalk.blue('🧪 UI Code Insight Test Runner'));
 console.log(chalk.blue('='.repeat(40)));
 
-if (process.argv.length > 2) {
+if (process.argv[2] === '--all') {
+  // Run every test; a failed assertion exits its process with a non-zero code
+  const failed = testFiles.filter(testFile => {
+    console.log(chalk.blue(`\nRunning test: ${testFile}`));
+    try {
+      execSync(`node ${path.join(__dirname, testFile)}`, { stdio: 'inherit', timeout: 300000 });
+      return false;
+    } catch (error) {
+      return true;
+    }
+  });
+  console.log(chalk.blue(`\n${testFiles.length - failed.length}/${testFiles.length} test files passed`));
+  if (failed.length > 0) {
+    failed.forEach(file => console.log(chalk.red(`❌ ${file} failed`)));
+    process.exit(1);
+  }
+} else if (process.argv.length > 2) {
   // Run specific test
   const testName = process.argv[2];
   const testFile = testFiles.find(file => file.includes(testName));
@@ -47,6 +63,7 @@ if (process.argv.length > 2) {
   
   console.log(chalk.blue('\nUsage:'));
   console.log(chalk.white('  node test/run-tests.js                    # List all tests'));
+  console.log(chalk.white('  node test/run-tests.js --all              # Run all tests (npm test)'));
   console.log(chalk.white('  node test/run-tests.js accessibility     # Run accessibility tests'));
   console.log(chalk.white('  node test/run-tests.js security          # Run security tests'));
   console.log(chalk.white('  node test/run-tests.js file-scanning     # Run file scanning tests'));
@@ -0,0 +1,197 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  osvEventsToRanges,
+  githubRangeToSemver,
+  normalizeAdvisories,
+  importAdvisories,
+  loadAdvisoryDatabase,
+  matchAdvisories
+} from '../src/dependencies/advisories.js';
+import {
+  parseNpmLockfile,
+  parseYarnLockfile,
+  parsePnpmLockfile,
+  readResolvedPackages
+} from '../src/dependencies/lockfile.js';
+import { SecurityAudit } from '../src/audits/security-audit.js';
+import { parseAdvisoriesArgs } from '../src/cli-options.js';
+
+const OSV_LODASH = {
+  id: 'GHSA-35jh-r3h4-6jhm',
+  aliases: ['CVE-2021-23337'],
+  summary: 'Command Injection in lodash',
+  affected: [{
+    package: { ecosystem: 'npm', name: 'lodash' },
+    ranges: [{ type: 'SEMVER', events: [{ introduced: '0' }, { fixed: '4.17.21' }] }]
+  }],
+  references: [{ type: 'ADVISORY', url: 'https://github.com/advisories/GHSA-35jh-r3h4-6jhm' }],
+  database_specific: { severity: 'HIGH' }
+};
+
+const OSV_PYPI = {
+  id: 'GHSA-pypi-only',
+  affected: [{ package: { ecosystem: 'PyPI', name: 'requests' }, ranges: [{ type: 'ECOSYSTEM', events: [{ introduced: '0' }] }] }]
+};
+
+const GITHUB_REST = [{
+  ghsa_id: 'GHSA-p6mc-m468-83gw',
+  cve_id: 'CVE-2020-8203',
+  summary: 'Prototype Pollution in minimist',
+  severity: 'moderate',
+  html_url: 'https://github.com/advisories/GHSA-p6mc-m468-83gw',
+  vulnerabilities: [{ package: { ecosystem: 'npm', name: 'minimist' }, vulnerable_version_range: '>= 1.0.0, < 1.2.6', first_patched_version: '1.2.6' }]
+}];
+
+const GITHUB_GRAPHQL = {
+  data: {
+    securityVulnerabilities: {
+      nodes: [{
+        package: { ecosystem: 'NPM', name: '@scope/widget' },
+        severity: 'CRITICAL',
+        vulnerableVersionRange: '= 2.0.0',
+        firstPatchedVersion: { identifier: '2.0.1' },
+        advisory: { ghsaId: 'GHSA-wdgt-0000-0000', summary: 'Widget RCE', permalink: 'https://github.com/advisories/GHSA-wdgt-0000-0000', identifiers: [{ type: 'GHSA', value: 'GHSA-wdgt-0000-0000' }, { type: 'CVE', value: 'CVE-2024-0001' }] }
+      }]
+    }
+  }
+};
+
+async function testAdvisories() {
+  // Test 1: Range conversion
+  assert.equal(osvEventsToRanges([{ introduced: '1.0.0' }, { fixed: '1.2.3' }])[0], '>=1.0.0 <1.2.3', 'OSV introduced/fixed');
+  assert.equal(osvEventsToRanges([{ introduced: '2.0.0' }, { last_affected: '2.1.0' }])[0], '>=2.0.0 <=2.1.0', 'OSV last_affected');
+  assert.equal(osvEventsToRanges([{ introduced: '3.0.0' }])[0], '>=3.0.0', 'OSV open range');
+  assert.equal(githubRangeToSemver('>= 1.0.0, < 1.2.6'), '>=1.0.0 <1.2.6', 'GitHub range syntax');
+
+  // Test 2: Dump formats
+  const osv = normalizeAdvisories({ vulns: [OSV_LODASH, OSV_PYPI] });
+  assert.ok(osv.length === 1 && osv[0].package === 'lodash' && osv[0].severity === 'high', 'OSV npm advisory kept');
+  assert.equal(osv[0].patchedVersions[0], '4.17.21', 'Patched version recorded');
+  const rest = normalizeAdvisories(GITHUB_REST);
+  assert.ok(rest[0].package === 'minimist' && rest[0].severity === 'medium' && rest[0].aliases[0] === 'CVE-2020-8203', 'GitHub REST advisory');
+  const graphql = normalizeAdvisories(GITHUB_GRAPHQL);
+  assert.ok(graphql[0].package === '@scope/widget' && graphql[0].severity === 'high' && graphql[0].aliases.join() === 'CVE-2024-0001', 'GitHub GraphQL advisory');
+
+  // Test 3: Lockfile formats
+  const { packages: npmV3 } = parseNpmLockfile(JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'app' },
+      'node_modules/lodash': { version: '4.17.20' },
+      'node_modules/a/node_modules/@scope/widget': { version: '2.0.0' },
+      'packages/ui': { version: '1.0.0' },
+      'node_modules/ui': { resolved: 'packages/ui', link: true }
+    }
+  }));
+  assert.ok(npmV3.length === 2 && npmV3.some(pkg => pkg.name === '@scope/widget' && pkg.version === '2.0.0'), 'npm v3 nested and scoped packages');
+  const { packages: npmV1 } = parseNpmLockfile(JSON.stringify({
+    lockfileVersion: 1,
+    dependencies: { a: { version: '1.0.0', dependencies: { minimist: { version: '1.2.5' } } } }
+  }));
+  assert.ok(npmV1.some(pkg => pkg.name === 'minimist' && pkg.version === '1.2.5'), 'npm v1 dependency tree');
+  const { packages: yarnClassic } = parseYarnLockfile([
+    '# THIS IS AN AUTOGENERATED FILE.',
+    '',
+    '"@scope/widget@^2.0.0", "@scope/widget@~2.0.0":',
+    '  version "2.0.0"',
+    '  resolved "https://registry.yarnpkg.com/@scope/widget/-/widget-2.0.0.tgz"',
+    '',
+    'lodash@^4.17.0:',
+    '  version "4.17.20"'
+  ].join('\n'));
+  assert.ok(yarnClassic.length === 2 && yarnClassic[0].name === '@scope/widget' && yarnClassic[1].version === '4.17.20', 'yarn classic');
+  const { packages: yarnBerry } = parseYarnLockfile([
+    '__metadata:',
+    '  version: 6',
+    '',
+    '"lodash@npm:^4.17.0":',
+    '  version: 4.17.20',
+    '  resolution: "lodash@npm:4.17.20"',
+    '',
+    '"app@workspace:.":',
+    '  version: 0.0.0-use.local',
+    '  resolution: "app@workspace:."'
+  ].join('\n'));
+  assert.ok(yarnBerry.length === 1 && yarnBerry[0].name === 'lodash' && yarnBerry[0].version === '4.17.20', 'yarn Berry without workspaces');
+  const { packages: pnpmV5 } = parsePnpmLockfile("lockfileVersion: 5.4\npackages:\n  /lodash/4.17.20:\n    dev: false\n  /@scope/widget/2.0.0_react@18.2.0:\n    dev: false\n");
+  const { packages: pnpmV6 } = parsePnpmLockfile("lockfileVersion: '6.0'\npackages:\n  /@scope/widget@2.0.0(react@18.2.0):\n    dev: false\n");
+  const { packages: pnpmV9 } = parsePnpmLockfile("lockfileVersion: '9.0'\npackages:\n  minimist@1.2.5:\n    resolution: {integrity: sha512-x}\n");
+  assert.ok(pnpmV5.some(pkg => pkg.name === '@scope/widget' && pkg.version === '2.0.0'), 'pnpm v5 keys');
+  assert.ok(pnpmV6[0].name === '@scope/widget' && pnpmV6[0].version === '2.0.0', 'pnpm v6 keys');
+  assert.ok(pnpmV9[0].name === 'minimist' && pnpmV9[0].version === '1.2.5', 'pnpm v9 keys');
+
+  // Test 4: Matching
+  const database = { advisories: [...osv, ...rest, ...graphql] };
+  const matches = matchAdvisories([
+    { name: 'lodash', version: '4.17.20' },
+    { name: 'lodash', version: '4.17.21' },
+    { name: 'minimist', version: '0.2.0' },
+    { name: '@scope/widget', version: '2.0.0' },
+    { name: 'lodash', version: 'github:lodash/lodash#abc' }
+  ], database);
+  assert.ok(matches.length === 2 && matches.every(match => ['lodash', '@scope/widget'].includes(match.name)), 'Vulnerable versions matched');
+  assert.equal(matches.find(match => match.name === 'lodash').fixedIn, '4.17.21', 'Fixed version suggested');
+  assert.equal(matchAdvisories([{ name: 'lodash', version: '4.17.21-beta.1' }], database).length, 1, 'Prerelease inside range matched');
+
+  // Test 5: CLI
+  const args = parseAdvisoriesArgs(['import', 'osv', 'ghsa.json', '--out', 'db.json']);
+  assert.ok(args.dumpPaths.join() === 'osv,ghsa.json' && args.databasePath === 'db.json', 'Import arguments parsed');
+  let rejected = false;
+  try {
+    parseAdvisoriesArgs(['import']);
+  } catch {
+    rejected = true;
+  }
+  assert.ok(rejected, 'Import without dumps rejected');
+
+  const originalCwd = process.cwd();
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-advisories-'));
+
+  try {
+    process.chdir(projectDir);
+    fs.writeFileSync('ui-code-insight.config.json', JSON.stringify({ jsFilePathPattern: ['src/**/*.js'], offline: true }));
+    fs.mkdirSync('src');
+    fs.mkdirSync('report');
+    fs.mkdirSync('dumps/osv', { recursive: true });
+    fs.writeFileSync('src/app.js', 'export const app = 1;\n');
+    fs.writeFileSync('dumps/osv/GHSA-35jh-r3h4-6jhm.json', JSON.stringify(OSV_LODASH));
+    fs.writeFileSync('dumps/osv/GHSA-pypi-only.json', JSON.stringify(OSV_PYPI));
+    fs.writeFileSync('dumps/github.json', JSON.stringify(GITHUB_REST));
+    fs.writeFileSync('package-lock.json', JSON.stringify({
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'app' },
+        'node_modules/lodash': { version: '4.17.20' },
+        'node_modules/minimist': { version: '1.2.5' }
+      }
+    }));
+
+    // Test 6: Import and security audit
+    const withoutDatabase = await new SecurityAudit(path.resolve('report')).runSecurityAudit();
+    assert.ok(!withoutDatabase.issues.some(issue => issue.type === 'dependency_vulnerability'), 'No dependency check without a database');
+
+    const first = await importAdvisories(['dumps/osv']);
+    const second = await importAdvisories(['dumps/github.json', 'dumps/osv']);
+    const stored = loadAdvisoryDatabase();
+    assert.ok(first.imported === 1 && second.total === 2 && stored.advisories.length === 2, 'Folder and file dumps imported');
+    assert.equal(stored.advisories.filter(advisory => advisory.package === 'lodash').length, 1, 'Re-import replaces instead of duplicating');
+    assert.equal(stored.sources.length, 3, 'Import sources recorded');
+    assert.equal(readResolvedPackages().packages.length, 2, 'Resolved packages read from lockfile');
+
+    const results = await new SecurityAudit(path.resolve('report')).runSecurityAudit();
+    const vulnerabilities = results.issues.filter(issue => issue.type === 'dependency_vulnerability');
+    const lodash = vulnerabilities.find(issue => issue.package === 'lodash');
+    assert.equal(vulnerabilities.length, 2, 'Vulnerable lockfile versions reported');
+    assert.ok(lodash.ruleId === 'GHSA-35jh-r3h4-6jhm' && lodash.version === '4.17.20' && lodash.file === 'package-lock.json' && lodash.fixedIn === '4.17.21' && lodash.advisory.aliases[0] === 'CVE-2021-23337', 'Issue shape');
+    const rerun = await new SecurityAudit(path.resolve('report')).runSecurityAudit();
+    assert.equal(JSON.stringify(rerun.issues.filter(issue => issue.type === 'dependency_vulnerability')), JSON.stringify(vulnerabilities), 'Deterministic results');
+  } finally {
+    process.chdir(originalCwd);
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+await testAdvisories();
@@ -0,0 +1,171 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createSource } from '../src/scanner/source-file.js';
+import { scanMemoryLeaks, scanBlockingCodeInAsync } from '../src/audits/performance-checks.js';
+import { scanInputValidation } from '../src/audits/security-checks.js';
+import { scanImageAccessibility, scanFormAccessibility } from '../src/audits/accessibility-checks.js';
+import { buildSarifLog } from '../src/sarif/sarif-report.js';
+import { PerformanceAudit } from '../src/audits/performance-audit.js';
+import { closeFileScan } from '../src/scanner/file-scanner.js';
+
+const COMPONENT = `function Gallery() {
+  useEffect(() => {
+    window.addEventListener('resize', onResize);
+    document.addEventListener('click', () => close());
+    image.addEventListener('load', show, { once: true });
+    const id = setInterval(tick, 1000);
+    setTimeout(hint, 500);
+    return () => {
+      window.removeEventListener('resize', onResize);
+      clearInterval(id);
+    };
+  }, []);
+  return (
+    <form>
+      <img
+        src="hero.png"
+        className="hero"
+      />
+      <img src="logo.png" alt="" />
+      <img src="cat.png" alt="Photo" />
+      <Image src={src} alt={caption} />
+      <input type="text" />
+      <label>Email <input type="email" required maxLength={80} /></label>
+      <input type="hidden" />
+      <input {...props} />
+      <button></button>
+      <button><Icon /></button>
+      <button>Save</button>
+      <div dangerouslySetInnerHTML={{ __html: html }} />
+    </form>
+  );
+}
+
+function Other() {
+  window.addEventListener('scroll', onScroll);
+  return () => window.removeEventListener('resize', onResize);
+}
+
+async function poll() {
+  while (true) {
+    check();
+  }
+  while (true) {
+    await wait();
+  }
+  for (;;) {
+    const later = async () => { await wait(); };
+  }
+  fs.readFileSync('state.json');
+}
+
+function busy() {
+  while (true) {}
+}
+`;
+
+const PAGE = `<img
+  src="hero.png">
+<label>Name <input type="text" maxlength="20"></label>
+<input
+  type="text"
+  required>
+<button></button>
+<button><i class="icon"></i></button>
+<IMG src="x.png" alt="image">
+`;
+
+const WORKER = `async function load() {
+  const data = fs.readFileSync('data.json');
+  return data;
+}
+async function save(state) {
+  fs.writeFileSync('state.json', state);
+}
+`;
+
+const at = (issues, type) => issues.filter(issue => issue.type === type).map(issue => issue.line);
+
+async function testAstChecks() {
+  const jsx = createSource('src/Gallery.jsx', COMPONENT);
+  const html = createSource('src/page.html', PAGE);
+
+  // Test 1: Memory leaks
+  const leaks = await scanMemoryLeaks(jsx);
+  assert.ok(!leaks.some(issue => issue.line === 3), 'Listeners removed in the same component pass');
+  assert.ok(leaks.some(issue => issue.line === 4), 'Inline handlers can never be removed');
+  assert.ok(!leaks.some(issue => issue.line === 5), '{ once: true } listeners pass');
+  assert.ok(!leaks.some(issue => issue.line === 6) && leaks.some(issue => issue.line === 7 && issue.severity === 'medium'), 'Timers need a clear call of their kind');
+  assert.ok(leaks.some(issue => issue.line === 35), 'Removal must match event and handler');
+  const inline = leaks.find(issue => issue.line === 4);
+  assert.ok(inline.column === 5 && inline.endLine === 4 && inline.endColumn === 54, 'Exact node location');
+  const broken = await scanMemoryLeaks(createSource('src/broken.js', 'setInterval(tick, 10)\nconst = ;\n'));
+  assert.ok(broken.length === 1 && broken[0].line === 1, 'Files that do not parse fall back to line patterns');
+
+  // Test 2: Blocking code in async functions
+  const blocking = await scanBlockingCodeInAsync(jsx);
+  assert.equal(at(blocking, 'blocking_code_in_async').join(','), '40,46,49', 'Endless loops without await');
+  assert.ok(!blocking.some(issue => issue.line > 52), 'Code outside async functions passes');
+
+  // Test 3: Input validation
+  const inputs = await scanInputValidation(jsx);
+  assert.equal(at(inputs, 'input_no_validation').join(','), '22,24', 'JSX inputs without validation');
+  assert.equal(at(inputs, 'input_unsafe_dom_insertion').length, 0, 'DOM insertion in parsed code is left to the data-flow check');
+  const htmlInputs = await scanInputValidation(html);
+  assert.equal(htmlInputs.length, 0, 'Multi-line HTML inputs');
+
+  // Test 4: Images
+  const images = await scanImageAccessibility(jsx);
+  const multiLine = images.find(issue => issue.type === 'missing_alt');
+  assert.ok(multiLine?.line === 15 && multiLine.endLine === 18, 'Multi-line <img> reported at its start');
+  assert.ok(at(images, 'empty_alt').join(',') === '19' && at(images, 'generic_alt').join(',') === '20', 'Empty and generic alt text');
+  assert.equal(images.length, 3, 'Computed alt text passes');
+  const htmlImages = await scanImageAccessibility(html);
+  assert.ok(at(htmlImages, 'missing_alt').join(',') === '1' && at(htmlImages, 'generic_alt').join(',') === '9', 'HTML images matched across lines');
+
+  // Test 5: Forms
+  const forms = await scanFormAccessibility(jsx);
+  assert.equal(at(forms, 'missing_form_label').join(','), '22', 'Inputs inside a label are labeled');
+  assert.equal(at(forms, 'missing_aria_required').join(','), '23', 'Required without aria-required');
+  assert.ok(at(forms, 'empty_button').join(',') === '26' && at(forms, 'button_no_accessible_name').join(',') === '27', 'Empty buttons and icon-only buttons');
+  const htmlForms = await scanFormAccessibility(html);
+  assert.ok(at(htmlForms, 'missing_form_label').join(',') === '4' && at(htmlForms, 'missing_aria_required').join(',') === '4', 'Multi-line HTML inputs');
+  assert.ok(at(htmlForms, 'empty_button').join(',') === '7' && at(htmlForms, 'button_no_accessible_name').join(',') === '8', 'HTML buttons');
+
+  // Test 6: SARIF regions
+  // SARIF only locates issues in files that exist
+  const sarif = buildSarifLog({ accessibility: { issues: [{ ...multiLine, file: fileURLToPath(import.meta.url) }] } });
+  const region = sarif.runs[0].results[0].locations[0].physicalLocation.region;
+  assert.ok(region.startLine === 15 && region.startColumn === 7 && region.endLine === 18 && region.endColumn === 9, 'End line and column exported');
+
+  // Test 7: Performance audit report
+  const originalCwd = process.cwd();
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-ast-checks-'));
+  try {
+    process.chdir(projectDir);
+    fs.mkdirSync('src');
+    fs.mkdirSync('report');
+    fs.writeFileSync('package.json', JSON.stringify({ name: 'fixture' }));
+    fs.writeFileSync('ui-code-insight.config.json', JSON.stringify({ jsFilePathPattern: ['src/**/*.js'] }));
+    fs.writeFileSync('src/worker.js', WORKER);
+    const scanned = [
+      ...await scanMemoryLeaks(createSource('src/worker.js', WORKER)),
+      ...await scanBlockingCodeInAsync(createSource('src/worker.js', WORKER)),
+    ];
+    await new PerformanceAudit(path.resolve('report')).runPerformanceAudit();
+    const report = JSON.parse(fs.readFileSync('report/performance-audit-report.json', 'utf8'));
+    const range = ({ type, line, column, endLine, endColumn }) => `${type}@${line}:${column}-${endLine}:${endColumn}`;
+    const reported = report.issues.filter(issue => issue.file === 'src/worker.js' && issue.source !== 'eslint').map(range);
+    assert.equal(scanned.map(range).join(' '), 'blocking_code_in_async@2:16-2:44 blocking_code_in_async@6:3-6:40', 'Both blocking calls found');
+    assert.deepEqual(reported, scanned.map(range), 'Report holds every issue with its range');
+  } finally {
+    await closeFileScan();
+    process.chdir(originalCwd);
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+await testAstChecks();
@@ -0,0 +1,75 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createBaseline, loadBaseline, applyBaseline, fingerprintIssue } from '../src/baseline/baseline.js';
+
+async function testBaseline() {
+  const testDir = './test-baseline';
+  const reportDir = path.join(testDir, 'report');
+  const sourceFile = path.join(testDir, 'app.js');
+  const baselineFile = path.join(testDir, 'baseline.json');
+  fs.mkdirSync(reportDir, { recursive: true });
+
+  try {
+    // Existing code with one eval() and one var
+    fs.writeFileSync(sourceFile, 'eval(userInput);\nvar count = 1;\n');
+    const securityReport = {
+      totalIssues: 2, highSeverity: 2, mediumSeverity: 0, lowSeverity: 0,
+      issues: [
+        { type: 'eval_usage', file: sourceFile, line: 1, severity: 'high', message: 'eval() detected', code: 'eval(userInput);' },
+        { type: 'missing_csp', url: 'https://example.com', severity: 'high', message: 'No CSP header' }
+      ]
+    };
+    const eslintReport = {
+      results: [{ filePath: sourceFile, errorCount: 1, messages: [{ ruleId: 'no-var', severity: 2, line: 2, message: 'Unexpected var' }] }]
+    };
+    fs.writeFileSync(path.join(reportDir, 'security-audit-report.json'), JSON.stringify(securityReport));
+    fs.writeFileSync(path.join(reportDir, 'eslint-report.json'), JSON.stringify(eslintReport));
+
+    // Test 1: Creating a baseline
+    const baseline = await createBaseline(reportDir, baselineFile);
+    assert.ok(fs.existsSync(baselineFile), 'Baseline file written');
+    assert.equal(baseline.totalIssues, 3, 'All issues fingerprinted');
+    assert.ok(loadBaseline(baselineFile)?.totalIssues === 3, 'Baseline loads back');
+    assert.equal(loadBaseline(path.join(testDir, 'nope.json')), null, 'Missing baseline returns null');
+
+    // Test 2: Fingerprints survive line shifts
+    const moved = { type: 'eval_usage', file: `./${sourceFile}`, line: 40, severity: 'high', message: 'eval() detected', code: '  eval(userInput);  ' };
+    assert.equal(fingerprintIssue('security', moved), fingerprintIssue('security', securityReport.issues[0]), 'Same fingerprint after move/reformat');
+    const changed = { ...moved, code: 'eval(otherInput);' };
+    assert.notEqual(fingerprintIssue('security', changed), fingerprintIssue('security', moved), 'Different code gives a new fingerprint');
+
+    // Test 3: Later run only reports new issues
+    fs.writeFileSync(sourceFile, '// header\n\neval(userInput);\nvar count = 1;\nvar total = 2;\n');
+    const results = {
+      security: {
+        issues: [
+          { type: 'eval_usage', file: sourceFile, line: 3, severity: 'high', message: 'eval() detected', code: 'eval(userInput);' },
+          { type: 'eval_usage', file: sourceFile, line: 9, severity: 'high', message: 'eval() detected', code: 'eval(userInput);' },
+          { type: 'missing_csp', url: 'https://example.com', severity: 'high', message: 'No CSP header' },
+          { type: 'secure_practice', severity: 'info', message: 'Good', positive: true }
+        ]
+      },
+      eslint: {
+        results: [{ filePath: sourceFile, errorCount: 2, warningCount: 1, messages: [
+          { ruleId: 'no-var', severity: 2, line: 4, message: 'Unexpected var' },
+          { ruleId: 'no-var', severity: 2, line: 5, message: 'Unexpected var' },
+          { ruleId: 'no-console', severity: 1, line: 6, message: 'Unexpected console statement' }
+        ] }]
+      }
+    };
+    const summary = applyBaseline(loadBaseline(baselineFile), results);
+    assert.equal(summary.security.baseline, 2, 'Shifted security issue matched baseline');
+    assert.ok(results.security.issues.some(issue => issue.line === 9), 'Duplicate occurrence beyond baseline count is new');
+    assert.ok(results.security.issues.some(issue => issue.positive), 'Positive practices never hidden');
+    assert.ok(results.security.totalIssues === 2 && results.security.highSeverity === 1, 'Counts recalculated');
+    assert.equal(results.security.baselineIssues.length, 2, 'Known issues kept in baselineIssues');
+    assert.equal(summary.eslint.baseline, 1, 'Shifted ESLint message matched');
+    assert.ok(results.eslint.results[0].messages[0].line === 5 && results.eslint.results[0].errorCount === 1, 'New ESLint message reported');
+    assert.equal(results.eslint.results[0].warningCount, 1, 'Warnings recounted separately');
+  } finally {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  }
+}
+
+await testBaseline();
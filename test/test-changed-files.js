@@ -0,0 +1,85 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { globby } from 'globby';
+import { getGitChangedFiles, setChangedFiles, isChangedFilesMode, filterChangedFiles } from '../src/utils/changed-files.js';
+import { getConfigPattern } from '../src/config-loader.js';
+import { parseCliArgs } from '../src/cli-options.js';
+
+function git(...args) {
+  execFileSync('git', args, { stdio: 'pipe' });
+}
+
+async function testChangedFiles() {
+  const originalCwd = process.cwd();
+  const repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-changed-'));
+
+  try {
+    process.chdir(repoDir);
+    git('init', '-q');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    fs.writeFileSync('ui-code-insight.config.json', JSON.stringify({ jsFilePathPattern: ['**/*.js', '!**/node_modules/**'] }));
+    fs.mkdirSync('src');
+    fs.writeFileSync('src/old.js', 'const a = 1;\n');
+    fs.writeFileSync('src/edited.js', 'const b = 1;\n');
+    fs.writeFileSync('src/removed.js', 'const c = 1;\n');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'base');
+    git('tag', 'base');
+
+    // Committed edit, deletion, uncommitted new file
+    fs.writeFileSync('src/edited.js', 'const b = 2;\n');
+    fs.rmSync('src/removed.js');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'change');
+    fs.writeFileSync('src/new file.js', 'eval(x);\n');
+    fs.writeFileSync('notes.md', '# notes\n');
+
+    // Test 1: Asking git for changed files
+    const changed = getGitChangedFiles('base');
+    assert.ok(changed.includes('src/edited.js'), 'Committed edit included');
+    assert.ok(changed.includes('src/new file.js'), 'Untracked file included');
+    assert.ok(!changed.includes('src/removed.js'), 'Deleted file left out');
+    assert.ok(!changed.includes('src/old.js'), 'Unchanged file left out');
+    let unknownRefFails = false;
+    try {
+      getGitChangedFiles('no-such-ref');
+    } catch {
+      unknownRefFails = true;
+    }
+    assert.ok(unknownRefFails, 'Unknown ref rejected');
+
+    // Test 2: Config patterns narrowed to the changed files
+    const allFiles = getConfigPattern('jsFilePathPattern');
+    assert.ok(allFiles.includes('**/*.js'), 'Normal mode keeps glob patterns');
+    setChangedFiles(changed);
+    const narrowed = getConfigPattern('jsFilePathPattern');
+    assert.ok(isChangedFilesMode(), 'Changed-files mode enabled');
+    assert.equal(narrowed.length, 2, 'Only changed JS files scanned');
+    assert.equal((await globby(narrowed)).length, 2, 'Narrowed patterns glob back to the files');
+    assert.ok(!narrowed.some(pattern => pattern.endsWith('.md')), 'Non-JS changes ignored');
+    assert.equal(filterChangedFiles(['src/old.js', './src/edited.js']).length, 1, 'Direct file lists filtered');
+    fs.mkdirSync('node_modules/dep', { recursive: true });
+    fs.writeFileSync('node_modules/dep/index.js', 'module.exports = 1;\n');
+    setChangedFiles([...changed, 'node_modules/dep/index.js', 'src/missing.js']);
+    assert.equal(getConfigPattern('jsFilePathPattern').length, 2, 'Changed files matched against negated patterns, missing files dropped');
+
+    setChangedFiles([]);
+    assert.equal(getConfigPattern('jsFilePathPattern').length, 0, 'No changes means nothing to scan');
+    setChangedFiles(null);
+    assert.ok(!isChangedFilesMode() && filterChangedFiles(['a.js']).length === 1, 'Mode can be turned off');
+
+    // Test 3: CLI flag
+    assert.equal(parseCliArgs(['--changed-since', 'origin/main']).changedSince, 'origin/main', 'Ref parsed');
+    assert.equal(parseCliArgs([]).changedSince, undefined, 'Left undefined when not passed');
+  } finally {
+    setChangedFiles(null);
+    process.chdir(originalCwd);
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  }
+}
+
+await testChangedFiles();
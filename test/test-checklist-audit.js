@@ -0,0 +1,61 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AuditOrchestrator } from '../src/audits/audit-orchestrator.js';
+import { CHECKLIST_ITEMS } from '../src/audits/checklist-audit.js';
+import { evaluateGates } from '../src/quality-gates.js';
+import { buildSarifLog } from '../src/sarif/sarif-report.js';
+
+async function testChecklistAudit() {
+  const originalCwd = process.cwd();
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-checklist-'));
+
+  try {
+    process.chdir(projectDir);
+    fs.writeFileSync('ui-code-insight.config.json', JSON.stringify({
+      jsFilePathPattern: ['src/**/*.js'],
+      htmlFilePathPattern: ['src/**/*.html'],
+      scssFilePathPattern: ['src/**/*.css']
+    }));
+    fs.mkdirSync('src');
+    fs.mkdirSync('report');
+    fs.writeFileSync('src/index.html', '<div id="main"></div><div id="main"></div><script defer src="app.js"></script>\n');
+    fs.writeFileSync('src/app.js', 'function init() { $(".menu").hide(); }\n');
+    fs.writeFileSync('src/style.css', '@media (max-width: 600px) { .nav__item { color: red; } }\n');
+
+    const orchestrator = new AuditOrchestrator(path.resolve('report'));
+    const results = await orchestrator.runSpecificAudit('checklist');
+    const check = (type) => results.checks.find(item => item.type === type);
+
+    // Test 1: Report shape
+    assert.ok(fs.existsSync('report/checklist-audit-report.json'), 'Report written');
+    assert.equal(results.totalChecks, CHECKLIST_ITEMS.length, 'Every checklist item reported');
+    assert.equal(results.passedChecks + results.failedChecks + results.skippedChecks, results.totalChecks, 'Passed + failed + skipped adds up');
+    assert.ok(results.checks.every(item => item.title && item.severity), 'Items carry a title and severity');
+
+    // Test 2: Pass/fail per item
+    assert.equal(check('css-responsive').passed, true, 'Media query passes css-responsive');
+    assert.equal(check('js-non-blocking').passed, true, 'Defer script passes js-non-blocking');
+    assert.equal(check('css-unique-ids').passed, false, 'Duplicate id fails css-unique-ids');
+    assert.equal(check('js-jquery-usage').passed, false, 'jQuery call fails js-jquery-usage');
+
+    // Test 3: Failed items become issues
+    const failedTypes = results.checks.filter(item => !item.passed && !item.skipped).map(item => item.type);
+    assert.ok(results.issues.length === failedTypes.length && results.totalIssues === failedTypes.length, 'One issue per failed item');
+    assert.ok(results.issues.every(issue => !check(issue.type).skipped), 'Skipped items are not issues');
+    assert.equal(results.highSeverity + results.mediumSeverity + results.lowSeverity, results.totalIssues, 'Severity counts match');
+    assert.ok(results.issues.every(issue => issue.recommendation), 'Issues carry recommendations');
+
+    // Test 4: Gates and SARIF treat checklist like other audits
+    const gates = evaluateGates({ checklist: { medium: 0 } }, { checklist: results });
+    assert.ok(gates.evaluations[0].actual === results.mediumSeverity && gates.passed === (results.mediumSeverity === 0), 'Checklist gate evaluated');
+    const sarif = buildSarifLog({ checklist: results });
+    assert.ok(sarif.runs.length === 1 && sarif.runs[0].results.length === results.totalIssues, 'SARIF run exported');
+  } finally {
+    process.chdir(originalCwd);
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+await testChecklistAudit();
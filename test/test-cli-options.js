@@ -0,0 +1,62 @@
+import assert from 'assert/strict';
+import { parseCliArgs, normalizeProjectType } from '../src/cli-options.js';
+import { addScanExclusion, getConfigPattern } from '../src/config-loader.js';
+
+function expectError(fn) {
+  try {
+    fn();
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+async function testCliOptions() {
+  // Test 1: No flags leaves everything to prompts/defaults
+  const empty = parseCliArgs([]);
+  assert.equal(empty.projectType, undefined, 'Project type left undefined');
+  assert.equal(empty.reports, undefined, 'Reports left undefined');
+  assert.ok(empty.lighthouseUrl === undefined && empty.accessibilityUrls === undefined, 'URLs left undefined');
+  assert.equal(empty.yes, false, '--yes defaults to false');
+
+  // Test 2: Full flag surface maps onto codeInsightInit options
+  const full = parseCliArgs([
+    '--reports', 'security,eslint',
+    '--project-type', 'react',
+    '--lighthouse-url', 'https://example.com',
+    '--a11y-urls', 'https://example.com, https://example.com/about',
+    '--security-urls', 'https://example.com',
+    '--out', 'audit-output',
+    '--yes',
+  ]);
+  assert.equal(JSON.stringify(full.reports), '["security","eslint"]', 'Reports split on commas');
+  assert.equal(full.projectType, 'React', 'Project type normalized');
+  assert.equal(full.lighthouseUrl, 'https://example.com', 'Lighthouse URL kept');
+  assert.ok(full.accessibilityUrls.length === 2 && full.accessibilityUrls[1] === 'https://example.com/about', 'Accessibility URLs trimmed');
+  assert.equal(full.securityUrls.length, 1, 'Security URLs parsed');
+  assert.equal(full.outputDir, 'audit-output', 'Output dir kept');
+  assert.equal(full.yes, true, '--yes set');
+
+  // Test 3: Repeated flags and short aliases
+  const repeated = parseCliArgs(['-r', 'security', '-r', 'performance,security', '-p', 'TypeScript + React', '-y']);
+  assert.equal(JSON.stringify(repeated.reports), '["security","performance"]', 'Repeated --reports merged and de-duplicated');
+  assert.equal(repeated.projectType, 'TypeScript + React', 'Display name accepted');
+  assert.equal(normalizeProjectType('ts-react'), 'TypeScript + React', 'ts-react alias');
+  assert.equal(normalizeProjectType('vanilla-js'), 'Vanilla JS', 'vanilla-js alias');
+
+  // Test 4: Invalid input is rejected
+  assert.ok(expectError(() => parseCliArgs(['--reports', 'securty'])), 'Unknown report rejected');
+  assert.ok(expectError(() => parseCliArgs(['--project-type', 'cobol'])), 'Unknown project type rejected');
+  assert.ok(expectError(() => parseCliArgs(['--a11y-urls', 'not a url'])), 'Invalid URL rejected');
+  assert.ok(expectError(() => parseCliArgs(['--colour'])), 'Unknown flag rejected');
+  assert.ok(expectError(() => parseCliArgs(['--out'])), 'Missing flag value rejected');
+
+  // Test 5: Custom output folder is excluded from scanning
+  addScanExclusion('audit-output');
+  addScanExclusion('/outside/project');
+  const jsPattern = getConfigPattern('jsFilePathPattern');
+  assert.ok(jsPattern.includes('!audit-output/**'), 'Output folder excluded');
+  assert.ok(!jsPattern.some(pattern => pattern.includes('outside')), 'Folder outside project ignored');
+}
+
+await testCliOptions();
@@ -0,0 +1,120 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { compareReports, formatCompareMarkdown, generateCompareReport } from '../src/compare/compare-report.js';
+import { parseCompareArgs } from '../src/cli-options.js';
+
+const writeJson = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+};
+
+const auditResult = (issues) => ({
+  totalIssues: issues.length,
+  highSeverity: issues.filter(issue => issue.severity === 'high').length,
+  mediumSeverity: issues.filter(issue => issue.severity === 'medium').length,
+  lowSeverity: issues.filter(issue => issue.severity === 'low').length,
+  issues
+});
+
+async function testCompare() {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-compare-'));
+  // Two checkouts of the same project, each with its own report folder
+  const baseReport = path.join(workDir, 'main', 'report');
+  const headReport = path.join(workDir, 'release', 'report');
+
+  try {
+    const evalIssue = { type: 'eval', file: './src/a.js', line: 3, severity: 'high', message: 'eval() usage', code: 'eval(input);' };
+    const xssIssue = { type: 'xss', file: './src/b.js', line: 7, severity: 'high', message: 'innerHTML assignment', code: 'el.innerHTML = value;' };
+    const tokenIssue = { type: 'secret', file: './src/c.js', line: 1, severity: 'medium', message: 'Hardcoded token', code: 'const token = "abc";' };
+
+    // Base: eval + xss; head: eval moved down a few lines, xss fixed, token new, a second eval new
+    writeJson(path.join(baseReport, 'comprehensive-audit-report.json'), {
+      timestamp: '2026-01-01T00:00:00.000Z',
+      categories: { security: auditResult([evalIssue, xssIssue]) }
+    });
+    writeJson(path.join(headReport, 'security-audit-report.json'), auditResult([
+      { ...evalIssue, line: 10 },
+      tokenIssue,
+      { ...evalIssue, line: 20 }
+    ]));
+
+    writeJson(path.join(baseReport, 'eslint-report.json'), { results: [
+      { filePath: path.join(workDir, 'main', 'src', 'a.js'), messages: [
+        { ruleId: 'no-unused-vars', severity: 2, message: "'x' is defined but never used.", line: 1 },
+        { ruleId: 'no-console', severity: 1, message: 'Unexpected console statement.', line: 2 }
+      ] }
+    ] });
+    writeJson(path.join(headReport, 'eslint-report.json'), { results: [
+      { filePath: path.join(workDir, 'release', 'src', 'a.js'), messages: [
+        { ruleId: 'no-unused-vars', severity: 2, message: "'x' is defined but never used.", line: 4 }
+      ] }
+    ] });
+
+    // Only the head folder has a Stylelint report
+    writeJson(path.join(headReport, 'stylelint-report.json'), { results: [] });
+
+    writeJson(path.join(baseReport, 'lightHouseCombine-report.json'), [
+      { url: 'https://example.com', desktop: { performance: 90, accessibility: 95, bestPractices: 100, seo: 100 }, mobile: { performance: 70, accessibility: 95, bestPractices: 100, seo: 98 } }
+    ]);
+    writeJson(path.join(headReport, 'lightHouseCombine-report.json'), [
+      { url: 'https://example.com', desktop: { performance: 85, accessibility: 95, bestPractices: 100, seo: 100 }, mobile: { performance: 74, accessibility: 95, bestPractices: 100, seo: 98 } }
+    ]);
+
+    const comparison = compareReports(baseReport, headReport);
+    const security = comparison.categories.security;
+    const eslint = comparison.categories.eslint;
+
+    // Test 1: Audit issues
+    assert.ok(security.unchanged.length === 1 && security.unchanged[0].type === 'eval', 'Moved issue is unchanged');
+    assert.ok(security.fixed.length === 1 && security.fixed[0].type === 'xss', 'Fixed issue detected');
+    assert.equal(security.new.length, 2, 'New issues detected (including a second copy)');
+    assert.ok(security.base === 2 && security.head === 3 && security.delta === 1, 'Totals and change recorded');
+    assert.equal(comparison.base.timestamp, '2026-01-01T00:00:00.000Z', 'Per-category file and comprehensive report both read');
+
+    // Test 2: Lint messages
+    assert.equal(eslint.unchanged.length, 1, 'Same file in another checkout matches');
+    assert.ok(eslint.fixed.length === 1 && eslint.fixed[0].ruleId === 'no-console', 'Fixed lint warning detected');
+    assert.ok(eslint.errors.delta === 0 && eslint.warnings.delta === -1, 'Error/warning changes');
+    assert.ok(!comparison.categories.stylelint && comparison.skippedCategories.some(entry => entry.category === 'stylelint'), 'Category in one folder only is skipped');
+
+    // Test 3: Lighthouse and summary
+    const desktopPerformance = comparison.lighthouse.find(score => score.device === 'desktop' && score.metric === 'performance');
+    const mobilePerformance = comparison.lighthouse.find(score => score.device === 'mobile' && score.metric === 'performance');
+    assert.equal(desktopPerformance.delta, -5, 'Score drop reported');
+    assert.equal(mobilePerformance.delta, 4, 'Score gain reported');
+    assert.ok(comparison.summary.new === 2 && comparison.summary.fixed === 2 && comparison.summary.unchanged === 2, 'Summary adds up');
+
+    // Test 4: Output files
+    const markdown = formatCompareMarkdown(comparison);
+    assert.ok(markdown.includes('| Security | 2 | 3 | +1 | 2 | 1 | 1 |'), 'Markdown has category table');
+    assert.ok(markdown.includes('## New Issues') && markdown.includes('Hardcoded token'), 'Markdown lists new issues');
+    const outDir = path.join(workDir, 'compare');
+    await generateCompareReport(baseReport, headReport, outDir);
+    assert.ok(['compare-report.json', 'compare-report.md', 'index.html'].every(file => fs.existsSync(path.join(outDir, file))), 'JSON, Markdown and dashboard written');
+    let missingError = null;
+    try {
+      compareReports(path.join(workDir, 'missing'), headReport);
+    } catch (error) {
+      missingError = error;
+    }
+    assert.notEqual(missingError, null, 'Missing folder rejected');
+
+    // Test 5: CLI arguments
+    const args = parseCompareArgs(['old/report', 'new/report', '--out', 'delta']);
+    assert.ok(args.baseDir === 'old/report' && args.headDir === 'new/report' && args.outputDir === 'delta', 'Folders and --out parsed');
+    assert.equal(parseCompareArgs(['a', 'b']).outputDir, './report-compare', 'Default output folder');
+    let argsError = null;
+    try {
+      parseCompareArgs(['only-one']);
+    } catch (error) {
+      argsError = error;
+    }
+    assert.notEqual(argsError, null, 'Two folders required');
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+await testCompare();
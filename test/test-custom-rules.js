@@ -0,0 +1,103 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getCustomRules } from '../src/audits/custom-rules.js';
+import { getFileScan } from '../src/scanner/file-scanner.js';
+import { setConcurrency, closeWorkerPool } from '../src/utils/worker-pool.js';
+import { SecurityAudit } from '../src/audits/security-audit.js';
+
+async function testCustomRules() {
+  const originalCwd = process.cwd();
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-custom-rules-'));
+
+  try {
+    process.chdir(projectDir);
+    fs.mkdirSync('src');
+    fs.mkdirSync('report');
+    fs.writeFileSync('src/auth.js', [
+      'export function login(res) {',
+      '  localStorage.setItem("authToken", res.token);',
+      '  localStorage.setItem("theme", "dark");',
+      '}',
+      ''
+    ].join('\n'));
+    fs.writeFileSync('src/api.js', [
+      'const xhr = new XMLHttpRequest();',
+      "xhr.open('GET', '/api', false);",
+      "xhr.open('GET', '/api', true);",
+      ''
+    ].join('\n'));
+    fs.writeFileSync('src/types.ts', 'const token: string = sessionStorage.getItem("token") as string;\n');
+    fs.writeFileSync('ui-code-insight.config.json', JSON.stringify({
+      jsFilePathPattern: ['src/**/*.{js,ts}'],
+      customRules: [
+        {
+          id: 'no-token-in-localstorage',
+          category: 'security',
+          pattern: "localStorage\\.setItem\\(\\s*['\"][^'\"]*token",
+          flags: 'ig',
+          message: 'Do not store tokens in localStorage',
+          severity: 'high',
+          recommendation: 'Keep tokens in memory or an httpOnly cookie'
+        },
+        {
+          id: 'no-session-storage',
+          category: 'security',
+          selector: "MemberExpression[object.name='sessionStorage']",
+          message: 'sessionStorage is not allowed',
+          severity: 'low',
+          files: 'src/**/*.ts'
+        },
+        {
+          id: 'no-sync-xhr',
+          category: 'performance',
+          selector: "CallExpression[callee.property.name='open'][arguments.2.value=false]",
+          message: 'Synchronous XMLHttpRequest blocks the main thread'
+        },
+        { id: 'bad-regex', category: 'security', pattern: '(', message: 'never used' },
+        { id: 'no-matcher', category: 'security', message: 'never used' },
+        { id: 'bad-selector', category: 'security', selector: 'CallExpression[', message: 'never used' },
+        { id: 'bad-category', category: 'testing', pattern: 'x', message: 'never used' },
+        { id: 'no-sync-xhr', category: 'performance', pattern: 'x', message: 'duplicate' }
+      ]
+    }));
+
+    // Test 1: Validation
+    const rules = getCustomRules();
+    assert.equal(rules.length, 3, 'Valid rules kept');
+    assert.ok(!rules.some(rule => ['bad-regex', 'no-matcher', 'bad-selector', 'bad-category'].includes(rule.id)), 'Invalid and duplicate rules skipped');
+    assert.equal(getCustomRules('performance').length, 1, 'Rules filtered by category');
+    assert.equal(getCustomRules('performance')[0].severity, 'medium', 'Severity defaults to medium');
+
+    // Test 2: Regex and selector rules, run by the shared scan
+    setConcurrency(1);
+    const securityIssues = await getFileScan('security').getIssues('security:custom_rules');
+    const tokenIssues = securityIssues.filter(issue => issue.ruleId === 'no-token-in-localstorage');
+    assert.ok(tokenIssues.length === 1 && tokenIssues[0].line === 2, 'Regex rule matches only the token line');
+    assert.equal(getCustomRules('security')[0].regex.flags, 'i', 'Stateful regex flags dropped');
+    const sessionIssues = securityIssues.filter(issue => issue.ruleId === 'no-session-storage');
+    assert.ok(sessionIssues.length === 1 && sessionIssues[0].file === 'src/types.ts', 'Selector rule works on TypeScript');
+    assert.ok(!securityIssues.some(issue => issue.ruleId === 'no-session-storage' && issue.file !== 'src/types.ts'), 'Rules only run on their own files');
+    const performanceIssues = await getFileScan('performance').getIssues('performance:custom_rules');
+    assert.ok(performanceIssues.length === 1 && performanceIssues[0].line === 2, 'Selector rule matches AST, not text');
+    assert.ok(performanceIssues[0].column === 1 && performanceIssues[0].endColumn === 31, 'Selector matches carry their range');
+    const issue = tokenIssues[0];
+    assert.ok(issue.type === 'no-token-in-localstorage' && issue.severity === 'high' && issue.message && issue.code.includes('authToken'), 'Issue in built-in shape');
+    assert.ok(issue.recommendation.includes('httpOnly') && issue.context.includes('>>> 2:'), 'Recommendation and context carried');
+
+    // Test 3: Security audit reports custom rules like built-in issues
+    const audit = new SecurityAudit(path.resolve('report'));
+    const results = await audit.runSecurityAudit();
+    const reported = results.issues.filter(item => item.ruleId === 'no-token-in-localstorage');
+    assert.equal(reported.length, 1, 'Custom issue in security report');
+    assert.ok(results.highSeverity >= 1, 'Counted in severity totals');
+  } finally {
+    await closeWorkerPool();
+    setConcurrency(undefined);
+    process.chdir(originalCwd);
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+await testCustomRules();
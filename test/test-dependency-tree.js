@@ -0,0 +1,97 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readDependencyGraph } from '../src/dependencies/lockfile.js';
+import {
+  buildDependencyTree,
+  readPackageSizes,
+  measureDirectory,
+  writeDependencyGraphReport
+} from '../src/dependencies/dependency-tree.js';
+import { DependencyAudit } from '../src/audits/dependency-audit.js';
+
+const install = (name, version, bytes) => {
+  const dir = path.join('node_modules', name);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name, version }));
+  fs.writeFileSync(path.join(dir, 'index.js'), 'x'.repeat(bytes));
+};
+
+async function testDependencyTree() {
+  const originalCwd = process.cwd();
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-dependency-tree-'));
+
+  try {
+    process.chdir(projectDir);
+    fs.writeFileSync('package.json', JSON.stringify({
+      name: 'app',
+      dependencies: { express: '^4.0.0', lodash: '^4.17.0' },
+      devDependencies: { jest: '^29.0.0' }
+    }));
+    // express -> debug -> ms@2.0.0, jest -> ms@2.1.3, express and jest share lodash
+    fs.writeFileSync('package-lock.json', JSON.stringify({
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'app', dependencies: { express: '^4.0.0', lodash: '^4.17.0' }, devDependencies: { jest: '^29.0.0' } },
+        'node_modules/express': { version: '4.18.0', dependencies: { debug: '2.6.9', lodash: '^4.17.0' } },
+        'node_modules/debug': { version: '2.6.9', dependencies: { ms: '2.0.0' } },
+        'node_modules/ms': { version: '2.0.0' },
+        'node_modules/lodash': { version: '4.17.20' },
+        'node_modules/jest': { version: '29.7.0', dev: true, dependencies: { ms: '^2.1.0', lodash: '^4.17.0' } },
+        'node_modules/jest/node_modules/ms': { version: '2.1.3', dev: true }
+      }
+    }));
+    install('express', '4.18.0', 2000);
+    install('debug', '2.6.9', 300);
+    install('ms', '2.0.0', 100);
+    install('lodash', '4.17.20', 5000);
+    install('jest', '29.7.0', 1000);
+    fs.mkdirSync('node_modules/express/lib', { recursive: true });
+    fs.writeFileSync('node_modules/express/lib/router.js', 'y'.repeat(500));
+
+    const graph = readDependencyGraph();
+    const sizes = readPackageSizes(graph);
+    const vulnerabilities = [{
+      name: 'lodash',
+      version: '4.17.20',
+      advisory: { id: 'GHSA-35jh-r3h4-6jhm', severity: 'high', summary: 'Command Injection in lodash', url: null },
+      fixedIn: '4.17.21'
+    }];
+    const tree = buildDependencyTree(graph, { sizes, vulnerabilities });
+    const nodes = Object.fromEntries(tree.nodes.map(node => [node.id, node]));
+    const roots = Object.fromEntries(tree.roots.map(root => [root.name, root]));
+
+    // Test 1: Sizes
+    assert.ok(measureDirectory(path.join('node_modules', 'express')) === sizes.get('express@4.18.0') && sizes.get('express@4.18.0') > 2500, 'Package size includes subfolders');
+    assert.ok(sizes.get('ms@2.1.3') === null && tree.summary.unknownSize === 1, 'Nested install not found in node_modules');
+
+    // Test 2: Direct dependencies
+    assert.ok(nodes['ms@2.0.0'].introducedBy.join() === 'express' && nodes['lodash@4.17.20'].introducedBy.sort().join() === 'express,jest,lodash', 'Transitive packages traced to direct dependencies');
+    assert.ok(roots.express.packages === 4 && roots.jest.packages === 3 && roots.jest.group === 'devDependencies', 'Subtree counts');
+    assert.ok(roots.express.exclusivePackages === 3 && roots.express.exclusiveSize === sizes.get('express@4.18.0') + sizes.get('debug@2.6.9') + sizes.get('ms@2.0.0'), 'Removing express saves only what it alone pulls in');
+    assert.ok(roots.lodash.exclusiveSize === 0 && roots.lodash.totalSize === sizes.get('lodash@4.17.20'), 'Shared package is not counted as a saving');
+    assert.equal(tree.roots[0].name, 'express', 'Sorted by saving');
+
+    // Test 3: Highlights
+    assert.ok(nodes['ms@2.0.0'].duplicate && nodes['ms@2.1.3'].duplicate && !nodes['debug@2.6.9'].duplicate, 'Duplicated versions flagged');
+    assert.equal(nodes['lodash@4.17.20'].vulnerabilities[0].fixedIn, '4.17.21', 'Vulnerable node with fix');
+    assert.ok(roots.express.duplicates === 1 && roots.express.vulnerable === 1 && roots.jest.vulnerable === 1, 'Roots count duplicates and vulnerable packages');
+    assert.ok(tree.summary.packages === 6 && tree.summary.direct === 3 && tree.summary.duplicated === 1 && tree.summary.vulnerable === 1, 'Summary');
+
+    // Test 4: Report
+    fs.mkdirSync('report');
+    const reportPath = await writeDependencyGraphReport(path.resolve('report'), [tree]);
+    const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    assert.ok(path.basename(reportPath) === 'dependency-graph-report.json' && report.projects[0].name === 'app' && report.projects[0].lockfile === 'package-lock.json', 'Report written');
+    const audit = new DependencyAudit(path.resolve('report'));
+    const auditTree = audit.buildDependencyTree();
+    await new Promise(resolve => audit.issueStream.end(resolve));
+    assert.ok(auditTree.roots.length === 3 && auditTree.summary.installedSize === tree.summary.installedSize, 'Built by the dependency audit');
+  } finally {
+    process.chdir(originalCwd);
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+await testDependencyTree();
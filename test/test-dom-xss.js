@@ -0,0 +1,100 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSource } from '../src/scanner/source-file.js';
+import { findTaintFlows } from '../src/scanner/taint-tracker.js';
+import { scanDomXss, scanEnhancedPatterns, getDomXssOptions } from '../src/audits/security-checks.js';
+import { buildSarifLog } from '../src/sarif/sarif-report.js';
+import { setConfig } from '../src/config-loader.js';
+
+const APP = `import DOMPurify from 'dompurify';
+const params = new URLSearchParams(window.location.search);
+const query = params.get('q');
+document.getElementById('results').innerHTML = \`<h2>\${query}</h2>\`;
+document.getElementById('safe').innerHTML = DOMPurify.sanitize(query);
+document.getElementById('static').innerHTML = '<b>Loading</b>';
+
+window.addEventListener('message', (event) => {
+  const { data } = event;
+  preview.innerHTML = data.html;
+});
+
+async function loadNews() {
+  const response = await fetch('/api/news');
+  const html = await response.text();
+  news.innerHTML = html;
+}
+fetch('/api/banner').then(res => res.text()).then(banner => document.write(banner));
+
+const nameInput = document.querySelector('#name');
+function greet() {
+  greeting.insertAdjacentHTML('beforeend', nameInput.value);
+}
+function follow() {
+  link.href = location.hash.slice(1);
+}
+function shadowed() {
+  const query = 'fixed';
+  label.innerHTML = query;
+}
+const Comment = ({ text }) => <div dangerouslySetInnerHTML={{ __html: cleanHtml(query) }} />;
+const Back = () => <a href={document.referrer}>Back</a>;
+eval(location.hash.substring(1));
+`;
+
+const flowAt = (flows, line) => flows.find(flow => flow.node.loc.start.line === line);
+
+async function testDomXss() {
+  const source = createSource('src/app.jsx', APP);
+
+  // Test 1: Sources and sinks
+  const flows = findTaintFlows(source);
+  assert.ok(flowAt(flows, 4)?.source === 'location.search' && flowAt(flows, 4).sink === 'innerHTML', 'URLSearchParams from location into innerHTML');
+  assert.ok(flowAt(flows, 10)?.source === 'postMessage event data', 'postMessage event data');
+  assert.ok(flowAt(flows, 16)?.source === 'fetch response' && flowAt(flows, 18)?.sink === 'document.write', 'fetch responses, awaited or through then()');
+  assert.ok(flowAt(flows, 22)?.source === 'input value' && flowAt(flows, 22).sink === 'insertAdjacentHTML', 'Input values');
+  assert.ok(flowAt(flows, 25)?.sink === 'href' && flowAt(flows, 32)?.source === 'document.referrer', 'href assignments and JSX href');
+  assert.ok(flowAt(flows, 33)?.sink === 'eval', 'eval');
+
+  // Test 2: Safe code
+  assert.ok(!flowAt(flows, 5), 'Sanitized values pass');
+  assert.ok(!flowAt(flows, 6), 'Constant markup passes');
+  assert.ok(!flowAt(flows, 29), 'Shadowed variables are not tainted');
+  assert.equal(flows.length, 9, 'Only flows are reported');
+  const custom = findTaintFlows(source, { sanitizers: ['sanitize', 'cleanHtml'] });
+  assert.ok(flowAt(flows, 31) !== undefined && !flowAt(custom, 31), 'Configured sanitizers');
+
+  // Test 3: Paths
+  const path4 = flowAt(flows, 4).path;
+  assert.equal(path4.map(step => `${step.kind}:${step.label}`).join(' '), 'source:location.search variable:params variable:query sink:innerHTML', 'Path runs from source to sink');
+  assert.ok(path4[1].line === 2 && path4[1].column === 7 && path4[2].code === "const query = params.get('q');", 'Steps have locations and code');
+  const callback = flowAt(flows, 18).path.map(step => step.label).join(' ');
+  assert.equal(callback, 'fetch response banner document.write', 'Callback parameters');
+
+  // Test 4: Issues
+  const issues = await scanDomXss(source, getDomXssOptions());
+  const first = issues[0];
+  assert.ok(issues.length === 9 && first.type === 'dom_xss' && first.severity === 'high' && first.message === 'Untrusted location.search reaches innerHTML without sanitization (location.search → params → query → innerHTML)', 'dom_xss issues with the route');
+  const patterns = await scanEnhancedPatterns(source);
+  const unparsed = await scanEnhancedPatterns(createSource('src/broken.js', 'el.innerHTML = html\nconst = ;\n'));
+  assert.ok(!patterns.some(issue => issue.type === 'xss_dom') && unparsed.some(issue => issue.type === 'xss_dom'), 'Line flags only for code that does not parse');
+  setConfig({ xss: { sanitizers: ['cleanHtml'] } });
+  const configured = await scanDomXss(source, getDomXssOptions());
+  setConfig(null);
+  assert.equal(configured.length, 8, '"xss.sanitizers" from the config');
+
+  // Test 5: SARIF code flows
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-dom-xss-'));
+  try {
+    const file = path.join(projectDir, 'app.jsx');
+    fs.writeFileSync(file, APP);
+    const sarif = buildSarifLog({ security: { issues: [{ ...first, file }] } });
+    const locations = sarif.runs[0].results[0].codeFlows[0].threadFlows[0].locations;
+    assert.ok(locations.length === 4 && locations[0].location.message.text === 'source: location.search' && locations[3].location.physicalLocation.region.startLine === 4, 'One thread flow location per step');
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+await testDomXss();
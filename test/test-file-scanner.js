@@ -0,0 +1,135 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileScan, openFileScan, getFileScan, closeFileScan } from '../src/scanner/file-scanner.js';
+import { createSource } from '../src/scanner/source-file.js';
+import { runFileTasks, setConcurrency, closeWorkerPool } from '../src/utils/worker-pool.js';
+import { openScanCache, saveScanCache } from '../src/utils/scan-cache.js';
+import { ESLint } from 'eslint';
+
+// Count reads of each file (checks on the main thread read through fs/promises)
+const trackReads = () => {
+  const reads = new Map();
+  const readFile = fsp.readFile;
+  fsp.readFile = (file, ...args) => {
+    reads.set(String(file), (reads.get(String(file)) || 0) + 1);
+    return readFile(file, ...args);
+  };
+  return { reads, restore: () => { fsp.readFile = readFile; } };
+};
+
+async function testFileScanner() {
+  // Test 1: Sources
+  const jsx = createSource('src/view.jsx', 'const view = (\n  <img\n    src="a.png"\n  />\n);\n');
+  assert.ok(jsx.lines.length === 6 && jsx.parseTime === 0, 'Content split into lines');
+  const element = jsx.ast.body[0].declarations[0].init;
+  assert.ok(element.type === 'JSXElement' && element.loc.start.line === 2 && element.loc.end.line === 4, 'AST parsed on first use, with locations');
+  assert.ok(createSource('src/a.ts', 'const a = <number>b;\n').ast?.type === 'Program', 'TypeScript parses');
+  assert.ok(createSource('page.html', '<p>').ast === null && createSource('src/b.js', 'const = ;').ast === null, 'No AST for HTML or broken code');
+
+  const originalCwd = process.cwd();
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-file-scanner-'));
+
+  try {
+    process.chdir(projectDir);
+    fs.writeFileSync('ui-code-insight.config.json', JSON.stringify({
+      jsFilePathPattern: ['src/**/*.js'],
+      htmlFilePathPattern: ['src/**/*.html'],
+      customRules: [{ id: 'no-timers', category: 'performance', selector: "CallExpression[callee.name='setInterval']", message: 'No timers' }],
+    }));
+    fs.mkdirSync('src');
+    fs.writeFileSync('src/app.js', 'eval(input);\nel.innerHTML = html;\nsetInterval(tick, 10);\nconst name = file.name;\n');
+    fs.writeFileSync('src/util.js', 'export const add = (a, b) => a + b;\n');
+    fs.writeFileSync('src/page.html', '<input type="file">\n<img src="logo.png">\n');
+    setConcurrency(1);
+
+    // Test 2: One read per file
+    const tracker = trackReads();
+    const scan = openFileScan(['security', 'performance', 'accessibility', 'testing']);
+    const [patterns, leaks, images, uploads, custom] = await Promise.all([
+      getFileScan('security').getIssues('security:enhanced_patterns'),
+      getFileScan('performance').getIssues('performance:memory_leaks'),
+      getFileScan('accessibility').getIssues('accessibility:image_accessibility'),
+      getFileScan('security').getIssues('security:file_upload_inputs'),
+      getFileScan('performance').getIssues('performance:custom_rules'),
+    ]);
+    await getFileScan('testing').getIssues('testing:testing_patterns', ['src/app.js']);
+    tracker.restore();
+    const files = ['src/app.js', 'src/util.js', 'src/page.html'];
+    assert.ok(files.every(file => tracker.reads.get(file) === 1), 'Every audit shares one pass');
+    assert.ok(custom.length === 1 && custom[0].line === 3, 'Custom rules run in the same pass');
+    assert.ok(patterns.some(issue => issue.type === 'eval_usage') && leaks.some(issue => issue.type === 'memory_leak') && images.some(issue => issue.file === 'src/page.html') && uploads.some(issue => issue.type === 'file_upload_no_type_restriction'), 'Issues for each check');
+
+    const single = [];
+    await runFileTasks('security:enhanced_patterns', ['src/app.js', 'src/util.js'], { onResult: issues => single.push(...issues) });
+    assert.equal(JSON.stringify(single), JSON.stringify(patterns), 'Same issues as the check on its own');
+    assert.ok(uploads.every(issue => issue.file === 'src/page.html'), 'HTML checks skip JS files');
+
+    // ESLint checks share one lint of each file
+    const lintText = ESLint.prototype.lintText;
+    const linted = [];
+    ESLint.prototype.lintText = function (code, options) {
+      linted.push(options.filePath);
+      return lintText.call(this, code, options);
+    };
+    const lintScan = new FileScan(['security:eslint_security', 'performance:unused_code', 'performance:eslint_promise']);
+    const [eslintSecurity, unused] = await Promise.all([
+      lintScan.getIssues('security:eslint_security'),
+      lintScan.getIssues('performance:unused_code'),
+      lintScan.getIssues('performance:eslint_promise'),
+    ]);
+    ESLint.prototype.lintText = lintText;
+    assert.deepEqual(linted.sort(), ['src/app.js', 'src/util.js'], 'Each file linted once');
+    assert.ok(eslintSecurity.length > 0 && eslintSecurity.every(issue => issue.type === 'eslint_security' && issue.ruleId.startsWith('security/')), 'Security plugin issues');
+    const unusedName = unused.find(issue => issue.line === 4);
+    assert.ok(unusedName && unusedName.code === 'const name = file.name;' && unusedName.context.includes('>>> 4: const name = file.name;'), 'Code and context from the scanned lines');
+
+    // Test 3: Timings (the config file is scanned for secrets too)
+    const summary = scan.getSummary();
+    assert.ok(summary.files === 4 && summary.checks.read.files === 4 && summary.checks['security:enhanced_patterns'].files === 2 && summary.checks['security:enhanced_patterns'].issues === patterns.length, 'Time per check and for reading');
+    fs.mkdirSync('report');
+    await closeFileScan('report');
+    const written = JSON.parse(fs.readFileSync('report/scan-timings.json', 'utf8'));
+    assert.ok(written.files === 4 && typeof written.wallTime === 'number' && 'security:secrets' in written.checks, 'scan-timings.json written');
+
+    // Test 4: An audit on its own
+    const own = getFileScan('testing');
+    await own.getIssues('testing:mocking_patterns', ['src/util.js']);
+    assert.ok(own.files.size === 1 && own !== getFileScan('testing'), 'Only the requested files are read');
+    let unknown = false;
+    try {
+      await new FileScan().getIssues('security:unknown');
+    } catch {
+      unknown = true;
+    }
+    assert.ok(unknown, 'Unknown checks are rejected');
+
+    // Test 5: Scan cache
+    openScanCache({ enabled: true });
+    const first = await new FileScan(['security:enhanced_patterns', 'performance:memory_leaks']).getIssues('security:enhanced_patterns');
+    await saveScanCache();
+    fs.appendFileSync('src/util.js', 'eval(other);\n');
+    openScanCache({ enabled: true });
+    const cachedScan = new FileScan(['security:enhanced_patterns', 'performance:memory_leaks']);
+    const second = await cachedScan.getIssues('security:enhanced_patterns');
+    await saveScanCache();
+    const timing = cachedScan.getSummary().checks['security:enhanced_patterns'];
+    assert.ok(timing.files === 2 && timing.cached === 1 && cachedScan.getSummary().checks['performance:memory_leaks'].cached === 1, 'Unchanged files answered from the cache');
+    assert.ok(second.length === first.length + 1 && second.some(issue => issue.file === 'src/util.js'), 'Changed files scanned again');
+
+    // Workers give the same issues
+    setConcurrency(2);
+    const pooled = await new FileScan(['security:enhanced_patterns']).getIssues('security:enhanced_patterns');
+    assert.equal(JSON.stringify(pooled), JSON.stringify(second), 'Same issues on worker threads');
+  } finally {
+    await closeFileScan();
+    await closeWorkerPool();
+    setConcurrency(undefined);
+    process.chdir(originalCwd);
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+await testFileScanner();
@@ -0,0 +1,123 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { scanGitHistory, scanGitLog, buildGitLogArgs, resolveGitHistoryOptions } from '../src/secrets/git-history-scanner.js';
+import { getSecretSettings } from '../src/secrets/secret-scanner.js';
+import { SecurityAudit } from '../src/audits/security-audit.js';
+import { parseCliArgs } from '../src/cli-options.js';
+
+// Built from parts so this file does not trip secret scanners itself
+const AWS_KEY = 'AKIA' + 'Z7QXJ4M2KD9PL3WB';
+const STRIPE_KEY = 'sk_live_' + '4eC39HqLyjWDarjtT1zdp7dc';
+
+function git(...args) {
+  return execFileSync('git', args, { stdio: 'pipe', encoding: 'utf8' });
+}
+
+async function testGitHistory() {
+  // Test 1: Parsing git log output (default settings, the project config is loaded later)
+  const { issues: parsed, commitsScanned } = await scanGitLog([
+    '\u0000commit 2222222222222222222222222222222222222222\t2024-02-01T10:00:00+01:00\tTidy config',
+    'diff --git a/src/config.js b/src/config.js',
+    '--- a/src/config.js',
+    '+++ b/src/config.js',
+    '@@ -3 +3,2 @@',
+    `+const key = '${AWS_KEY}';`,
+    '+const region = "eu-west-1";',
+    '\u0000commit 1111111111111111111111111111111111111111\t2024-01-01T10:00:00+01:00\tAdd config',
+    'diff --git a/src/config.js b/src/config.js',
+    '+++ b/src/config.js',
+    '@@ -0,0 +1,5 @@',
+    '+export const config = {};',
+    `+const key = '${AWS_KEY}';`,
+    'diff --git a/node_modules/lib/index.js b/node_modules/lib/index.js',
+    '+++ b/node_modules/lib/index.js',
+    '@@ -0,0 +1 @@',
+    `+const vendorKey = '${STRIPE_KEY}';`
+  ], getSecretSettings({}));
+  assert.equal(commitsScanned, 2, 'Commits counted');
+  assert.equal(parsed.length, 1, 'Same secret reported once');
+  assert.ok(parsed[0].commit.hash.startsWith('1111') && parsed[0].line === 2, 'Oldest commit that added it reported');
+  assert.ok(!parsed.some(issue => issue.file.startsWith('node_modules')), 'Vendored paths skipped');
+  assert.ok(!JSON.stringify(parsed).includes(AWS_KEY) && parsed[0].secret.masked.startsWith('AKIA'), 'Value masked');
+
+  // Test 2: Options
+  const args = buildGitLogArgs({ range: 'origin/main..HEAD', depth: 50 });
+  assert.ok(args.includes('--max-count=50'), 'Depth limit passed to git');
+  assert.equal(args.indexOf('origin/main..HEAD'), args.length - 2, 'Range passed before path separator');
+  assert.ok(!buildGitLogArgs({ depth: 0 }).some(arg => arg.startsWith('--max-count')), 'Depth 0 means no limit');
+  const cli = parseCliArgs(['--git-history-range', 'v1.0..HEAD', '--git-history-depth', '20']);
+  assert.ok(cli.gitHistory.range === 'v1.0..HEAD' && cli.gitHistory.depth === 20, 'CLI flags parsed');
+  assert.equal(JSON.stringify(parseCliArgs(['--git-history']).gitHistory), '{}', 'Plain flag enables the scan');
+  assert.equal(parseCliArgs([]).gitHistory, undefined, 'Scan off by default');
+  let rejected = false;
+  try {
+    parseCliArgs(['--git-history-range', '--output=x']);
+  } catch {
+    rejected = true;
+  }
+  assert.ok(rejected, 'Option-like range rejected');
+
+  const originalCwd = process.cwd();
+  const repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-git-history-'));
+
+  try {
+    process.chdir(repoDir);
+    git('init', '-q');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    fs.writeFileSync('ui-code-insight.config.json', JSON.stringify({
+      jsFilePathPattern: ['src/**/*.js'],
+      secrets: { gitHistory: { enabled: true, depth: 10 } }
+    }));
+    fs.mkdirSync('src');
+    fs.mkdirSync('report');
+    fs.writeFileSync('src/app.js', 'export const app = 1;\n');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'base');
+    git('tag', 'base');
+
+    fs.writeFileSync('.env', `STRIPE_KEY=${STRIPE_KEY}\n`);
+    git('add', '-A');
+    git('commit', '-q', '-m', 'Add env');
+    const leakCommit = git('rev-parse', 'HEAD').trim();
+
+    fs.rmSync('.env');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'Remove env');
+
+    // Test 3: Scanning a repository
+    const options = resolveGitHistoryOptions();
+    assert.ok(options && options.depth === 10 && options.range === null, 'Config enables the scan');
+    const history = await scanGitHistory(options);
+    const leak = history.issues.find(issue => issue.ruleId === 'stripe-secret-key');
+    assert.ok(Boolean(leak) && leak.file === '.env', 'Deleted secret found');
+    assert.ok(leak.commit.hash === leakCommit && /^\d{4}-\d{2}-\d{2}T/.test(leak.commit.authorDate), 'Commit and author date reported');
+    const limited = await scanGitHistory({ range: null, depth: 1 });
+    assert.ok(limited.commitsScanned === 1 && limited.issues.length === 0, 'Depth limit respected');
+    const ranged = await scanGitHistory({ range: 'base..HEAD', depth: 0 });
+    assert.ok(ranged.commitsScanned === 2 && ranged.issues.length === 1, 'Range respected');
+    let badRangeFails = false;
+    try {
+      await scanGitHistory({ range: 'no-such-ref..HEAD', depth: 0 });
+    } catch {
+      badRangeFails = true;
+    }
+    assert.ok(badRangeFails, 'Unknown range reported as error');
+
+    // Test 4: Security audit
+    const results = await new SecurityAudit(path.resolve('report')).runSecurityAudit([], { gitHistory: options });
+    const reported = results.issues.filter(issue => issue.type === 'git_history_secret');
+    assert.ok(reported.length === 1 && reported[0].commit.shortHash === leakCommit.slice(0, 7), 'History findings in security report');
+    assert.ok(results.gitHistory.commitsScanned === 3 && results.gitHistory.secretsFound === 1, 'Scan summary in report');
+    const withoutHistory = await new SecurityAudit(path.resolve('report')).runSecurityAudit();
+    assert.ok(!withoutHistory.gitHistory && !withoutHistory.issues.some(issue => issue.type === 'git_history_secret'), 'Off unless requested');
+  } finally {
+    process.chdir(originalCwd);
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  }
+}
+
+await testGitHistory();
@@ -0,0 +1,52 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { buildSnapshot, recordSnapshot, loadHistory, HISTORY_FILE } from '../src/history/history.js';
+
+async function testHistory() {
+  const reportDir = './test-history-report';
+  fs.mkdirSync(reportDir, { recursive: true });
+
+  try {
+    const results = {
+      security: { totalIssues: 3, highSeverity: 2, mediumSeverity: 1, lowSeverity: 0, issues: [] },
+      performance: { totalIssues: 1, highSeverity: 0, mediumSeverity: 0, lowSeverity: 1, issues: [] },
+      lighthouse: {
+        totalIssues: 0, highSeverity: 0, mediumSeverity: 0, lowSeverity: 0, issues: [],
+        scores: {
+          'https://example.com': { desktop: { performance: 92, seo: 100 }, mobile: { performance: 61, seo: 98 } }
+        }
+      },
+      eslint: { results: [{ filePath: 'a.js', messages: [{ severity: 2 }, { severity: 1 }, { severity: 1 }] }, { filePath: 'b.js', messages: [] }] },
+      stylelint: { results: [{ source: 'a.css', messages: [{ severity: 'error' }] }] }
+    };
+
+    // Test 1: Snapshot contents
+    const git = { commit: 'abc1234def', branch: 'main', dirty: false };
+    const snapshot = buildSnapshot(results, { projectType: 'React', reports: ['security', 'eslint'], git });
+    assert.ok(!Number.isNaN(Date.parse(snapshot.timestamp)), 'Timestamp recorded');
+    assert.equal(snapshot.git.commit, 'abc1234def', 'Git info recorded');
+    assert.ok(snapshot.categories.security.highSeverity === 2 && snapshot.categories.performance.lowSeverity === 1, 'Per-category severity totals');
+    assert.ok(snapshot.summary.totalIssues === 4 && snapshot.summary.highSeverity === 2, 'Overall summary');
+    assert.equal(snapshot.categories.testing, undefined, 'Categories that did not run left out');
+    assert.ok(snapshot.lighthouse.performance === 61 && snapshot.lighthouse.seo === 98, 'Lighthouse worst scores');
+    assert.ok(snapshot.lint.eslint.errors === 1 && snapshot.lint.eslint.warnings === 2 && snapshot.lint.eslint.files === 2, 'ESLint counts');
+    assert.equal(snapshot.lint.stylelint.errors, 1, 'Stylelint counts');
+    const noLighthouse = buildSnapshot({ lighthouse: { scores: {} } }, { git: null });
+    assert.equal(noLighthouse.lighthouse, null, 'No Lighthouse URL gives no scores');
+
+    // Test 2: History store
+    await recordSnapshot(reportDir, snapshot);
+    await recordSnapshot(reportDir, { ...snapshot, timestamp: new Date().toISOString() });
+    const history = loadHistory(reportDir);
+    assert.equal(history.snapshots.length, 2, 'Snapshots appended');
+    await recordSnapshot(reportDir, snapshot, 2);
+    assert.equal(loadHistory(reportDir).snapshots.length, 2, 'Oldest snapshots trimmed to limit');
+    fs.writeFileSync(path.join(reportDir, HISTORY_FILE), 'not json');
+    assert.equal(loadHistory(reportDir).snapshots.length, 0, 'Unreadable history starts fresh');
+  } finally {
+    fs.rmSync(reportDir, { recursive: true, force: true });
+  }
+}
+
+await testHistory();
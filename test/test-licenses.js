@@ -0,0 +1,122 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getLicensePolicy,
+  parseSpdxExpression,
+  evaluateLicense,
+  detectLicenseFromText,
+  resolvePackageLicense,
+  buildThirdPartyNotices,
+  createNoticeEntry
+} from '../src/dependencies/licenses.js';
+import { DependencyAudit } from '../src/audits/dependency-audit.js';
+
+const MIT_TEXT = `MIT License
+
+Copyright (c) 2020 Jane Doe
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software")...`;
+
+const install = (name, manifest, files = {}) => {
+  const dir = path.join('node_modules', name);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name, ...manifest }));
+  Object.entries(files).forEach(([file, content]) => fs.writeFileSync(path.join(dir, file), content));
+};
+
+async function testLicenses() {
+  // Test 1: SPDX expressions
+  const parsed = parseSpdxExpression('(MIT OR Apache-2.0) AND GPL-2.0 WITH Classpath-exception-2.0');
+  assert.ok(parsed.conjunction === 'and' && parsed.left.conjunction === 'or' && parsed.right.exception === 'Classpath-exception-2.0', 'AND binds tighter than OR, WITH attaches an exception');
+  let invalid = false;
+  try {
+    parseSpdxExpression('MIT OR');
+  } catch {
+    invalid = true;
+  }
+  assert.ok(invalid, 'Invalid expression rejected');
+
+  // Test 2: Policy
+  const defaults = getLicensePolicy({});
+  assert.ok(evaluateLicense('GPL-3.0', defaults).status === 'review' && evaluateLicense('LGPL-2.1-or-later', defaults).status === 'review' && evaluateLicense('MIT', defaults).status === 'allowed', 'Default policy reviews GPL family');
+  const policy = getLicensePolicy({
+    licenses: {
+      allowed: ['MIT', 'BSD-*', 'GPL-2.0 WITH Classpath-exception-2.0'],
+      denied: ['AGPL-*', 'GPL-3.0'],
+      review: ['GPL-2.0'],
+      unknown: 'denied'
+    }
+  });
+  assert.equal(evaluateLicense('(MIT OR AGPL-3.0)', policy).status, 'allowed', 'OR passes when one choice does');
+  const both = evaluateLicense('MIT AND AGPL-3.0-only', policy);
+  assert.ok(both.status === 'denied' && both.licenses.join() === 'AGPL-3.0-only', 'AND takes the worst');
+  assert.equal(evaluateLicense('BSD-3-Clause', policy).status, 'allowed', 'Wildcards');
+  assert.ok(evaluateLicense('GPL-3.0-only', policy).status === 'denied' && evaluateLicense('GPL-2.0-only', policy).status === 'review', 'Deprecated GNU ids match current ones');
+  assert.equal(evaluateLicense('GPL-2.0 WITH Classpath-exception-2.0', policy).status, 'allowed', 'Listed exception wins over the plain license');
+  assert.equal(evaluateLicense('Apache-2.0', policy).status, 'review', 'License outside the allowlist needs a review');
+  assert.ok(evaluateLicense(null, policy).status === 'denied' && evaluateLicense('MIT,,Apache', policy).unknown === true, 'Unknown license follows the "unknown" setting');
+
+  // Test 3: License text
+  assert.equal(detectLicenseFromText(MIT_TEXT), 'MIT', 'MIT');
+  assert.equal(detectLicenseFromText('GNU LESSER GENERAL PUBLIC LICENSE\n Version 3, 29 June 2007'), 'LGPL-3.0', 'LGPL before GPL');
+  assert.equal(detectLicenseFromText('All rights reserved.'), null, 'Unrecognized text');
+
+  const originalCwd = process.cwd();
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-licenses-'));
+
+  try {
+    process.chdir(projectDir);
+    fs.writeFileSync('package.json', JSON.stringify({
+      name: 'app',
+      license: 'MIT',
+      dependencies: { 'left-pad': '^1.0.0', 'copyleft': '^1.0.0', 'dual': '^1.0.0', 'custom': '^1.0.0' },
+      devDependencies: { 'gpl-tool': '^1.0.0' }
+    }));
+    const entry = (version, extra = {}) => ({ version, ...extra });
+    fs.writeFileSync('package-lock.json', JSON.stringify({
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'app', dependencies: { 'left-pad': '^1.0.0', 'copyleft': '^1.0.0', 'dual': '^1.0.0', 'custom': '^1.0.0' }, devDependencies: { 'gpl-tool': '^1.0.0' } },
+        'node_modules/left-pad': entry('1.3.0'),
+        'node_modules/copyleft': entry('1.0.0'),
+        'node_modules/dual': entry('1.0.0', { license: '(MIT OR GPL-3.0)' }),
+        'node_modules/custom': entry('1.0.0'),
+        'node_modules/gpl-tool': entry('1.0.0', { license: 'GPL-3.0', dev: true })
+      }
+    }));
+    install('left-pad', { version: '1.3.0', author: { name: 'Jane Doe' }, repository: 'git+https://github.com/example/left-pad.git' }, { LICENSE: MIT_TEXT, NOTICE: 'Includes code from pad-start.' });
+    install('copyleft', { version: '1.0.0', license: 'SEE LICENSE IN COPYING.txt' }, { 'COPYING.txt': 'GNU GENERAL PUBLIC LICENSE\n Version 3, 29 June 2007' });
+    install('custom', { version: '1.0.0', license: 'SEE LICENSE IN EULA.txt' }, { 'EULA.txt': 'All rights reserved.' });
+
+    // Test 4: Reading licenses
+    const leftPad = resolvePackageLicense({ name: 'left-pad', version: '1.3.0', license: null });
+    assert.ok(leftPad.expression === 'MIT' && leftPad.source === 'license-file' && leftPad.noticeText.includes('pad-start'), 'From the LICENSE file');
+    const copyleft = resolvePackageLicense({ name: 'copyleft', version: '1.0.0', license: null });
+    assert.ok(copyleft.expression === 'GPL-3.0' && copyleft.source === 'license-file', 'SEE LICENSE IN follows the file');
+    const notice = createNoticeEntry({ id: 'left-pad@1.3.0', name: 'left-pad', version: '1.3.0' }, leftPad);
+    assert.ok(notice.copyright.join() === 'Copyright (c) 2020 Jane Doe' && notice.repository === 'https://github.com/example/left-pad' && notice.author === 'Jane Doe', 'Attribution entry');
+    const noticesText = buildThirdPartyNotices([notice, notice], 'app');
+    assert.ok(noticesText.split('left-pad@1.3.0').length === 2 && noticesText.includes('Permission is hereby granted') && noticesText.includes('NOTICE:'), 'Notices list each package once with its texts');
+
+    // Test 5: Dependency audit
+    fs.mkdirSync('report');
+    const audit = new DependencyAudit(path.resolve('report'));
+    await audit.checkLicenseCompliance();
+    await new Promise(resolve => audit.issueStream.end(resolve));
+    const issues = fs.readFileSync(audit.issuesFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    const byPackage = Object.fromEntries(issues.map(issue => [issue.package, issue]));
+    assert.ok(byPackage.copyleft?.type === 'problematic_license' && byPackage.copyleft.licenseSource === 'license-file', 'GPL from a license file needs a review');
+    assert.ok(!byPackage.dual && !byPackage['left-pad'], 'Dual license with an allowed choice passes');
+    assert.ok(byPackage['gpl-tool']?.dev === true, 'Dev dependency is checked too');
+    assert.ok(!byPackage.custom, 'Unknown license allowed by default');
+    assert.equal(audit.licenseNotices.map(item => item.name).sort().join(), 'copyleft,custom,dual,left-pad', 'Notices only cover production packages');
+  } finally {
+    process.chdir(originalCwd);
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+await testLicenses();
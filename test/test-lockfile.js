@@ -0,0 +1,203 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  parseNpmLockfile,
+  parseYarnLockfile,
+  parsePnpmLockfile,
+  readDependencyGraph,
+  groupByName
+} from '../src/dependencies/lockfile.js';
+import { DependencyAudit } from '../src/audits/dependency-audit.js';
+
+const MANIFEST = {
+  name: 'app',
+  license: 'MIT',
+  dependencies: { react: '^18.0.0', 'ui-kit': '^1.0.0' },
+  devDependencies: { jest: '^29.0.0' }
+};
+
+// Checks write to a JSONL stream; close it and read the issues back
+async function runChecks(audit, checks) {
+  for (const check of checks) await audit[check]();
+  await new Promise(resolve => audit.issueStream.end(resolve));
+  return fs.readFileSync(audit.issuesFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+async function testLockfile() {
+  // Test 1: npm
+  const npm = parseNpmLockfile(JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': MANIFEST,
+      'node_modules/react': { version: '18.2.0', license: 'MIT', dependencies: { 'loose-envify': '^1.1.0' } },
+      'node_modules/loose-envify': { version: '1.4.0', license: 'MIT' },
+      'node_modules/ui-kit': { version: '1.2.0', license: 'GPL-3.0', dependencies: { 'loose-envify': '^2.0.0' }, peerDependencies: { react: '^17.0.0' } },
+      'node_modules/ui-kit/node_modules/loose-envify': { version: '2.0.0', license: 'MIT' },
+      'node_modules/jest': { version: '29.7.0', dev: true, license: 'MIT' }
+    }
+  }));
+  const npmById = new Map(npm.packages.map(node => [node.id, node]));
+  assert.equal(npm.format, 'npm-v3', 'Format detected');
+  assert.equal(npmById.get('ui-kit@1.2.0').dependencies['loose-envify'], 'loose-envify@2.0.0', 'Nested install path wins');
+  assert.equal(npmById.get('react@18.2.0').dependencies['loose-envify'], 'loose-envify@1.4.0', 'Hoisted dependency resolved');
+  assert.ok(npm.root.dependencies.react === 'react@18.2.0' && npm.root.devDependencies.jest === 'jest@29.7.0', 'Root dependencies resolved');
+  assert.ok(npmById.get('ui-kit@1.2.0').license === 'GPL-3.0' && npmById.get('ui-kit@1.2.0').peerDependencies.react === '^17.0.0', 'Licenses and peers from lockfile');
+
+  // Test 2: yarn
+  const classic = parseYarnLockfile([
+    '# yarn lockfile v1',
+    '',
+    'react@^18.0.0:',
+    '  version "18.2.0"',
+    '  dependencies:',
+    '    loose-envify "^1.1.0"',
+    '',
+    'loose-envify@^1.1.0:',
+    '  version "1.4.0"',
+    '',
+    '"string-width-cjs@npm:string-width@^4.2.0":',
+    '  version "4.2.3"'
+  ].join('\n'), MANIFEST);
+  const classicReact = classic.packages.find(node => node.name === 'react');
+  assert.equal(classicReact.dependencies['loose-envify'], 'loose-envify@1.4.0', 'Classic edges resolved by range');
+  assert.ok(classic.root.dependencies.react === 'react@18.2.0' && classic.root.dependencies['ui-kit'] === null, 'Classic root resolved from package.json');
+  assert.ok(classic.packages.some(node => node.id === 'string-width@4.2.3'), 'Aliases keep the real package name');
+  const berry = parseYarnLockfile([
+    '__metadata:',
+    '  version: 8',
+    '',
+    '"react@npm:^18.0.0":',
+    '  version: 18.2.0',
+    '  resolution: "react@npm:18.2.0"',
+    '  dependencies:',
+    '    loose-envify: "npm:^1.1.0"',
+    '',
+    '"loose-envify@npm:^1.1.0, loose-envify@npm:^1.4.0":',
+    '  version: 1.4.0',
+    '  resolution: "loose-envify@npm:1.4.0"',
+    '',
+    '"ui-kit@npm:^1.0.0":',
+    '  version: 1.2.0',
+    '  resolution: "ui-kit@npm:1.2.0"',
+    '  peerDependencies:',
+    '    react: ^17.0.0',
+    '    react-dom: "*"',
+    '  peerDependenciesMeta:',
+    '    react-dom:',
+    '      optional: true',
+    '',
+    '"app@workspace:.":',
+    '  version: 0.0.0-use.local',
+    '  resolution: "app@workspace:."'
+  ].join('\n'), MANIFEST);
+  const berryKit = berry.packages.find(node => node.name === 'ui-kit');
+  assert.equal(berry.packages.find(node => node.name === 'react').dependencies['loose-envify'], 'loose-envify@1.4.0', 'Berry edges resolved');
+  assert.ok(berry.root.dependencies['ui-kit'] === 'ui-kit@1.2.0' && berry.format === 'yarn-berry', 'Berry root resolved');
+  assert.ok(berryKit.peerDependencies.react === '^17.0.0' && berryKit.optionalPeers.includes('react-dom'), 'Berry peers and optional peers');
+
+  // Test 3: pnpm
+  const pnpm6 = parsePnpmLockfile([
+    "lockfileVersion: '6.0'",
+    'dependencies:',
+    '  react:',
+    '    specifier: ^18.0.0',
+    '    version: 18.2.0',
+    'packages:',
+    '  /react@18.2.0:',
+    '    dependencies:',
+    '      loose-envify: 1.4.0',
+    '  /loose-envify@1.4.0:',
+    '    dev: false'
+  ].join('\n'));
+  assert.ok(pnpm6.root.dependencies.react === 'react@18.2.0' && pnpm6.packages[0].dependencies['loose-envify'] === 'loose-envify@1.4.0', 'v6 root and edges');
+  const pnpm9 = parsePnpmLockfile([
+    "lockfileVersion: '9.0'",
+    'importers:',
+    '  .:',
+    '    dependencies:',
+    '      ui-kit:',
+    '        specifier: ^1.0.0',
+    '        version: 1.2.0(react@18.2.0)',
+    'packages:',
+    '  react@18.2.0:',
+    '    resolution: {integrity: sha512-x}',
+    '  ui-kit@1.2.0:',
+    '    peerDependencies:',
+    '      react: ^17.0.0',
+    'snapshots:',
+    '  react@18.2.0: {}',
+    '  ui-kit@1.2.0(react@18.2.0):',
+    '    dependencies:',
+    '      react: 18.2.0'
+  ].join('\n'));
+  const pnpmKit = pnpm9.packages.find(node => node.name === 'ui-kit');
+  assert.equal(pnpm9.root.dependencies['ui-kit'], 'ui-kit@1.2.0', 'v9 importer with peer suffix');
+  assert.ok(pnpmKit.dependencies.react === 'react@18.2.0' && pnpmKit.peerDependencies.react === '^17.0.0', 'v9 snapshot edges');
+
+  const originalCwd = process.cwd();
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-lockfile-'));
+
+  try {
+    process.chdir(projectDir);
+    fs.mkdirSync('report');
+    fs.writeFileSync('package.json', JSON.stringify({
+      ...MANIFEST,
+      dependencies: { ...MANIFEST.dependencies, lodash: '^4.17.0', dayjs: '^1.11.0' },
+      devDependencies: { ...MANIFEST.devDependencies, react: '^18.0.0' },
+      peerDependencies: { 'react-dom': '^18.0.0' }
+    }));
+    fs.writeFileSync('yarn.lock', [
+      '# yarn lockfile v1',
+      '',
+      'react@^18.0.0:',
+      '  version "18.2.0"',
+      '',
+      'ui-kit@^1.0.0:',
+      '  version "1.2.0"',
+      '  dependencies:',
+      '    lodash "^3.0.0"',
+      '',
+      'lodash@^3.0.0:',
+      '  version "3.10.1"',
+      '',
+      'lodash@^4.17.0:',
+      '  version "4.17.21"',
+      '',
+      'jest@^29.0.0:',
+      '  version "28.1.0"'
+    ].join('\n'));
+    fs.mkdirSync('node_modules/ui-kit', { recursive: true });
+    fs.writeFileSync('node_modules/ui-kit/package.json', JSON.stringify({ name: 'ui-kit', version: '1.2.0', license: 'GPL-3.0', peerDependencies: { react: '^17.0.0', 'styled-components': '^6.0.0' } }));
+
+    // Test 4: Graph of a project
+    const graph = readDependencyGraph();
+    assert.ok(graph.lockfile.type === 'yarn' && graph.lockfile.format === 'yarn-classic', 'Lockfile detected');
+    assert.ok(graph.packages.get('jest@28.1.0').dev === true && graph.packages.get('react@18.2.0').dev === false, 'Dev-only packages marked');
+    assert.equal(groupByName(graph).get('lodash').length, 2, 'Versions grouped by name');
+
+    // Test 5: Dependency audit checks
+    const issues = await runChecks(new DependencyAudit(path.resolve('report')), [
+      'checkDuplicateDependencies', 'checkMissingDependencies', 'checkPeerDependencies', 'checkLicenseCompliance'
+    ]);
+    const ofType = type => issues.filter(issue => issue.type === type);
+    assert.ok(ofType('duplicate_dependency').some(issue => issue.package === 'react' && issue.message.includes('both')), 'Listed in dependencies and devDependencies');
+    assert.ok(ofType('duplicate_dependency').some(issue => issue.package === 'lodash' && issue.versions.join() === '3.10.1,4.17.21' && issue.severity === 'medium'), 'Multiple resolved versions');
+    assert.ok(ofType('missing_package').some(issue => issue.package === 'dayjs' && issue.recommendation.includes('yarn install')), 'Declared but not locked');
+    assert.ok(ofType('lockfile_out_of_sync').some(issue => issue.package === 'jest' && issue.version === '28.1.0'), 'Locked version outside declared range');
+    assert.ok(ofType('missing_peer_dependency').some(issue => issue.package === 'react-dom' && issue.severity === 'high'), 'Missing root peer');
+    assert.ok(ofType('missing_peer_dependency').some(issue => issue.package === 'styled-components' && issue.requiredBy === 'ui-kit@1.2.0'), 'Missing package peer (from node_modules)');
+    assert.ok(ofType('incompatible_peer_dependency').some(issue => issue.package === 'react' && issue.installedVersions.join() === '18.2.0'), 'Incompatible peer');
+    assert.ok(ofType('problematic_license').some(issue => issue.package === 'ui-kit' && issue.license === 'GPL-3.0'), 'License from installed package');
+
+    fs.rmSync('yarn.lock');
+    const withoutLockfile = await runChecks(new DependencyAudit(path.resolve('report')), ['checkDuplicateDependencies', 'checkPeerDependencies']);
+    assert.equal(withoutLockfile.filter(issue => issue.type === 'missing_lockfile').length, 1, 'Missing lockfile reported once');
+  } finally {
+    process.chdir(originalCwd);
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+await testLockfile();
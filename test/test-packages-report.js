@@ -0,0 +1,81 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import {
+  getRegistrySettings,
+  describeInstalledPackage,
+  enrichFromRegistry
+} from '../src/packages-report/packagesReport.js';
+
+const MIT_TEXT = 'Permission is hereby granted, free of charge, to any person obtaining a copy of this software';
+
+// Local stand-in for the npm registry
+const startRegistry = (requests) => new Promise((resolve) => {
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, authorization: req.headers.authorization, accept: req.headers.accept });
+    const documents = {
+      '/lodash': { 'dist-tags': { latest: '4.17.21' }, versions: { '4.17.20': {}, '4.17.21': {} } },
+      '/@acme%2fui': { 'dist-tags': { latest: '1.0.0' }, versions: { '1.0.0': { deprecated: 'Use @acme/ui2' } } }
+    };
+    const document = documents[req.url];
+    res.writeHead(document ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(document || { error: 'Not found' }));
+  });
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+async function testPackagesReport() {
+  // Test 1: Settings
+  process.env.UCI_TEST_TOKEN = 'secret-token';
+  const settings = getRegistrySettings({ registry: { url: 'https://npm.example.com/', tokenEnv: 'UCI_TEST_TOKEN', concurrency: 2 } });
+  assert.ok(settings.url === 'https://npm.example.com' && settings.token === 'secret-token' && settings.concurrency === 2, 'Registry URL and token from the environment');
+  assert.ok(getRegistrySettings({ offline: true }).enabled === false && getRegistrySettings({}).enabled === true, 'Offline mode turns lookups off');
+
+  const originalCwd = process.cwd();
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-packages-'));
+  let server;
+
+  try {
+    process.chdir(projectDir);
+    fs.mkdirSync('node_modules/lodash', { recursive: true });
+    fs.writeFileSync('node_modules/lodash/package.json', JSON.stringify({ name: 'lodash', version: '4.17.20', description: 'Lodash modular utilities.' }));
+    fs.writeFileSync('node_modules/lodash/LICENSE', MIT_TEXT);
+    fs.writeFileSync('node_modules/lodash/lodash.js', 'x'.repeat(2048));
+    fs.mkdirSync('packages/web/node_modules/@acme/ui', { recursive: true });
+    fs.writeFileSync('packages/web/node_modules/@acme/ui/package.json', JSON.stringify({ name: '@acme/ui', version: '1.0.0', license: 'ISC' }));
+
+    // Test 2: Installed data
+    const lodash = describeInstalledPackage('lodash', '^4.17.0', { projectDir, rootDir: projectDir });
+    assert.ok(lodash.version === '4.17.20' && lodash.installed && lodash.range === '^4.17.0', 'Installed version, not the latest');
+    assert.ok(lodash.license === 'MIT' && lodash.description === 'Lodash modular utilities.', 'License from the LICENSE file');
+    assert.ok(lodash.unpackedSize.endsWith(' MB') && lodash.unpackedSize !== 'Not available', 'Size on disk');
+    const ui = describeInstalledPackage('@acme/ui', '^1.0.0', { projectDir: path.join(projectDir, 'packages/web'), rootDir: projectDir });
+    assert.ok(ui.version === '1.0.0' && ui.license === 'ISC', 'Workspace package\'s own node_modules');
+    const missing = describeInstalledPackage('react', '^18.0.0', { projectDir, rootDir: projectDir, locked: { version: '18.2.0', license: 'MIT' } });
+    assert.ok(missing.version === '18.2.0' && !missing.installed && missing.unpackedSize === 'Not available', 'Lockfile version when not installed');
+
+    // Test 3: Registry enrichment
+    const requests = [];
+    server = await startRegistry(requests);
+    const registry = getRegistrySettings({ registry: { url: `http://127.0.0.1:${server.address().port}`, token: 'abc', cacheFile: 'cache/registry.json' } });
+    const entries = [lodash, ui, missing];
+    const stats = await enrichFromRegistry(entries, registry);
+    assert.ok(lodash.latest === '4.17.21' && lodash.outdated === true && ui.outdated === false, 'Latest version and outdated flag');
+    assert.ok(ui.deprecated === 'Deprecated' && ui.deprecationMessage === 'Use @acme/ui2', 'Deprecation of the installed version');
+    assert.ok(requests.every(request => request.authorization === 'Bearer abc' && request.accept.startsWith('application/vnd.npm.install-v1+json')), 'Token and abbreviated metadata requested');
+    assert.ok(stats.failed.join() === 'react' && missing.latest === null && stats.fetched === 2, 'Failed lookup keeps installed data');
+
+    const again = [describeInstalledPackage('lodash', '^4.17.0', { projectDir, rootDir: projectDir })];
+    const requestsBefore = requests.length;
+    const cachedStats = await enrichFromRegistry(again, registry);
+    assert.ok(fs.existsSync('cache/registry.json') && cachedStats.cached === 1 && requests.length === requestsBefore && again[0].latest === '4.17.21', 'Second run answered from the disk cache');
+  } finally {
+    if (server) await new Promise(resolve => server.close(resolve));
+    process.chdir(originalCwd);
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+await testPackagesReport();
@@ -0,0 +1,93 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AuditOrchestrator } from '../src/audits/audit-orchestrator.js';
+import { loadPlugins, runPlugin, PLUGIN_MANIFEST_FILE } from '../src/plugins/plugins.js';
+
+const BUILT_IN_AUDITS = ['security', 'performance', 'accessibility', 'lighthouse', 'testing', 'dependency', 'checklist'];
+
+async function testPlugins() {
+  const originalCwd = process.cwd();
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-plugins-'));
+
+  try {
+    process.chdir(projectDir);
+    fs.mkdirSync('src');
+    fs.mkdirSync('plugins');
+    fs.mkdirSync('report');
+    fs.writeFileSync('src/app.js', '// TODO: remove\nconst a = 1;\n// TODO: rename\n');
+    fs.writeFileSync('src/other.js', 'const b = 2;\n');
+
+    fs.writeFileSync('plugins/todo.mjs', `
+import fs from 'fs';
+export default {
+  name: 'todo',
+  title: 'TODO Comments',
+  icon: '📝',
+  filePatterns: ['src/**/*.js'],
+  recommendation: 'Resolve TODO comments',
+  run: async ({ files }) => files.flatMap(file =>
+    fs.readFileSync(file, 'utf8').split('\\n')
+      .map((code, index) => ({ code, line: index + 1 }))
+      .filter(({ code }) => code.includes('TODO'))
+      .map(({ code, line }) => ({ type: 'todo', file, line, severity: 'low', message: 'TODO comment', code }))
+  )
+};
+`);
+    fs.writeFileSync('plugins/factory.mjs', `
+export default (options) => ({
+  name: 'factory',
+  run: async () => ({ issues: [{ message: 'Limit is ' + options.limit, severity: 'critical' }], checkedItems: 3 }),
+  renderDashboard: (result) => '<p>' + result.checkedItems + ' items</p>'
+});
+`);
+    fs.writeFileSync('plugins/reserved.mjs', `export default { name: 'security', run: async () => [] };`);
+    fs.writeFileSync('plugins/broken.mjs', `export default { name: 'broken', run: async () => { throw new Error('boom'); } };`);
+    fs.writeFileSync('ui-code-insight.config.json', JSON.stringify({
+      plugins: [
+        './plugins/todo.mjs',
+        { module: './plugins/factory.mjs', options: { limit: 5 } },
+        './plugins/reserved.mjs',
+        './plugins/missing.mjs',
+        './plugins/broken.mjs'
+      ]
+    }));
+
+    // Test 1: Loading
+    const plugins = await loadPlugins();
+    const names = plugins.map(plugin => plugin.name);
+    assert.ok(names.includes('todo') && names.includes('factory') && names.includes('broken'), 'Valid plugins loaded');
+    assert.ok(!names.includes('security'), 'Built-in names rejected');
+    assert.equal(plugins.length, 3, 'Missing module skipped');
+    assert.equal(plugins.find(plugin => plugin.name === 'factory').title, 'Factory', 'Defaults filled in');
+
+    // Test 2: Running a plugin
+    const todo = await runPlugin(plugins.find(plugin => plugin.name === 'todo'), path.resolve('report'));
+    assert.ok(todo.totalIssues === 2 && todo.issues.every(issue => issue.file === 'src/app.js'), 'Plugin sees files from its patterns');
+    assert.ok(todo.lowSeverity === 2 && todo.highSeverity === 0, 'Severity counts');
+    assert.ok(fs.existsSync('report/todo-audit-report.json'), 'Report written');
+    const factory = await runPlugin(plugins.find(plugin => plugin.name === 'factory'), path.resolve('report'));
+    assert.equal(factory.issues[0].message, 'Limit is 5', 'Options passed to factory');
+    assert.ok(factory.issues[0].severity === 'medium' && factory.issues[0].type === 'factory', 'Unknown severity normalized');
+    assert.equal(factory.checkedItems, 3, 'Extra result fields kept');
+    assert.equal(factory.dashboardHtml, '<p>3 items</p>', 'Dashboard renderer output saved');
+
+    // Test 3: Orchestrator
+    const orchestrator = new AuditOrchestrator(path.resolve('report'));
+    const specific = await orchestrator.runSpecificAudit('todo');
+    assert.equal(specific.totalIssues, 2, 'Plugin runs by name');
+    const results = await orchestrator.runAllAudits({ skip: BUILT_IN_AUDITS });
+    assert.ok(results.categories.todo.totalIssues === 2 && results.categories.factory.totalIssues === 1, 'Plugins scheduled with all audits');
+    assert.equal(results.categories.broken.totalIssues, 0, 'Failing plugin does not stop the run');
+    assert.ok(results.summary.totalIssues === 3 && results.summary.lowSeverity === 2, 'Plugin issues summed');
+    assert.equal(orchestrator.getCategoryIcon('todo'), '📝', 'Plugin icon used');
+    const manifest = JSON.parse(fs.readFileSync(path.join('report', PLUGIN_MANIFEST_FILE), 'utf8'));
+    assert.ok(manifest.plugins.length === 3 && manifest.plugins.find(plugin => plugin.name === 'factory').customView === true, 'Dashboard manifest written');
+  } finally {
+    process.chdir(originalCwd);
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+await testPlugins();
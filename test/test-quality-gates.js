@@ -0,0 +1,76 @@
+import assert from 'assert/strict';
+import { parseGateSpecs, resolveGates, evaluateGates } from '../src/quality-gates.js';
+
+function expectError(fn) {
+  try {
+    fn();
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+async function testQualityGates() {
+  // Test 1: Parsing CLI gate specs
+  const parsed = parseGateSpecs(['security.high=0,accessibility.medium=10', 'lighthouse.performance=70']);
+  assert.equal(parsed.security.high, 0, 'security.high parsed');
+  assert.equal(parsed.accessibility.medium, 10, 'accessibility.medium parsed');
+  assert.equal(parsed.lighthouse.performance, 70, 'lighthouse.performance parsed');
+  assert.ok(expectError(() => parseGateSpecs(['security.high>0'])), 'Malformed spec rejected');
+  assert.equal(parseGateSpecs(['todo.high=0']).todo.high, 0, 'Plugin categories parsed');
+  assert.ok(expectError(() => parseGateSpecs(['todo.performance=70'])), 'Score metrics only for lighthouse');
+  assert.ok(expectError(() => parseGateSpecs(['eslint.high=0'])), 'Unknown metric rejected');
+
+  // Test 2: CLI gates override config gates per metric
+  const merged = resolveGates(
+    { security: { high: 5, medium: 20 }, bogus: { score: 1 } },
+    { security: { high: 0 } }
+  );
+  assert.equal(merged.security.high, 0, 'CLI threshold wins');
+  assert.equal(merged.security.medium, 20, 'Config-only metric kept');
+  assert.equal(merged.bogus, undefined, 'Invalid config gate ignored');
+
+  // Test 3: Evaluating gates against results
+  const results = {
+    security: { totalIssues: 3, highSeverity: 1, mediumSeverity: 2, lowSeverity: 0 },
+    accessibility: { totalIssues: 8, highSeverity: 0, mediumSeverity: 8, lowSeverity: 0 },
+    lighthouse: {
+      scores: {
+        'https://example.com': {
+          desktop: { performance: 92, accessibility: 100 },
+          mobile: { performance: 64, accessibility: 98 }
+        }
+      }
+    },
+    eslint: {
+      results: [{ messages: [{ severity: 2 }, { severity: 1 }] }]
+    }
+  };
+  const outcome = evaluateGates({
+    security: { high: 0 },
+    accessibility: { medium: 10 },
+    lighthouse: { performance: 70, accessibility: 90 },
+    eslint: { errors: 1, warnings: 0 },
+    testing: { high: 0 }
+  }, results);
+  const find = (category, metric) => outcome.evaluations.find(e => e.category === category && e.metric === metric);
+
+  assert.equal(find('security', 'high').passed, false, 'security.high fails with 1 high issue');
+  assert.equal(find('accessibility', 'medium').passed, true, 'accessibility.medium passes with 8 <= 10');
+  assert.ok(find('lighthouse', 'performance').actual === 64 && !find('lighthouse', 'performance').passed, 'lighthouse.performance uses worst score (64)');
+  assert.equal(find('lighthouse', 'accessibility').passed, true, 'lighthouse.accessibility passes');
+  assert.ok(find('eslint', 'errors').actual === 1 && find('eslint', 'errors').passed, 'eslint.errors counts severity 2 only');
+  assert.equal(find('eslint', 'warnings').passed, false, 'eslint.warnings fails');
+  assert.equal(find('testing', 'high').skipped, true, 'Category that did not run is skipped');
+  assert.equal(outcome.passed, false, 'Overall outcome failed');
+  assert.equal(evaluateGates({}, results).passed, true, 'No gates passes');
+
+  // Test 4: Plugin categories
+  const plugin = evaluateGates({ todo: { high: 0, total: 5 } }, { todo: { totalIssues: 3, highSeverity: 1 } });
+  assert.ok(!plugin.evaluations[0].passed && plugin.evaluations[1].passed, 'Categories in the results are evaluated');
+  assert.ok(evaluateGates({ todo: { high: 0 } }, {}, { categories: ['todo'] }).evaluations[0].skipped, 'Plugins that did not run are skipped');
+  const unknown = evaluateGates({ secrets: { high: 0 } }, results);
+  assert.ok(!unknown.passed && unknown.evaluations[0].unknown, 'Unknown categories fail');
+}
+
+await testQualityGates();
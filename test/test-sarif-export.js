@@ -0,0 +1,77 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import { buildSarifLog } from '../src/sarif/sarif-report.js';
+
+async function testSarifExport() {
+  // Create a small source file so locations and lint snippets resolve
+  const testDir = './test-sarif';
+  const testFile = `${testDir}/app.js`;
+  fs.mkdirSync(testDir, { recursive: true });
+  fs.writeFileSync(testFile, 'const a = 1;\neval(userInput);\nvar unused = 2;\n');
+
+  try {
+    const results = {
+      security: {
+        issues: [
+          { type: 'eval_usage', file: testFile, line: 2, severity: 'high', message: 'eval() detected', code: 'eval(userInput);', recommendation: 'Avoid eval()', source: 'custom' },
+          { type: 'missing_csp', severity: 'medium', message: 'No CSP header', url: 'https://example.com', source: 'live-url' },
+          { type: 'secure_practice', severity: 'info', message: 'Good practice', positive: true }
+        ]
+      },
+      accessibility: {
+        issues: [
+          { type: 'missing_alt', file: testFile, line: 1, severity: 'low', message: 'Image missing alt', code: '<img>', wcag: '1.1.1' }
+        ]
+      },
+      eslint: {
+        results: [
+          { filePath: testFile, messages: [{ ruleId: 'no-var', severity: 2, line: 3, column: 1, endLine: 3, endColumn: 16, message: 'Unexpected var' }] }
+        ]
+      },
+      stylelint: {
+        results: [
+          { filePath: 'missing.scss', messages: [{ rule: 'color-no-invalid-hex', severity: 'warning', line: 4, column: 2, message: 'Invalid hex' }] }
+        ]
+      }
+    };
+
+    const sarif = buildSarifLog(results);
+
+    // Test 1: Log structure
+    assert.equal(sarif.version, '2.1.0', 'Version is 2.1.0');
+    assert.equal(sarif.runs.length, 4, 'One run per category present');
+    assert.equal(new Set(sarif.runs.map(run => run.automationDetails.id)).size, 4, 'Runs have distinct automation ids');
+
+    // Test 2: Audit issues
+    const securityRun = sarif.runs[0];
+    const evalResult = securityRun.results.find(result => result.ruleId === 'eval_usage');
+    const location = evalResult.locations[0].physicalLocation;
+    assert.ok(securityRun.tool.driver.rules.some(rule => rule.id === 'eval_usage'), 'Rule id comes from issue type');
+    assert.equal(evalResult.level, 'error', 'High severity maps to error');
+    assert.ok(location.artifactLocation.uri === 'test-sarif/app.js' && location.region.startLine === 2, 'File location kept');
+    assert.equal(location.region.snippet.text, 'eval(userInput);', 'Code snippet kept');
+    assert.equal(securityRun.results.length, 2, 'Positive practices skipped');
+    const urlResult = securityRun.results.find(result => result.ruleId === 'missing_csp');
+    assert.ok(urlResult.properties.url === 'https://example.com' && !urlResult.locations, 'Live URL issue keeps url without a location');
+    const a11yRule = sarif.runs[1].tool.driver.rules[0];
+    assert.equal(a11yRule.properties.wcag, '1.1.1', 'WCAG reference kept on rule');
+    assert.equal(sarif.runs[1].results[0].level, 'note', 'Low severity maps to note');
+
+    // Test 3: Lint reports
+    const eslintResult = sarif.runs[2].results[0];
+    const eslintRegion = eslintResult.locations[0].physicalLocation.region;
+    assert.equal(eslintResult.ruleId, 'no-var', 'ESLint rule id kept');
+    assert.ok(eslintRegion.startLine === 3 && eslintRegion.endColumn === 16, 'ESLint region kept');
+    assert.equal(eslintRegion.snippet.text, 'var unused = 2;', 'ESLint snippet read from source');
+    const stylelintResult = sarif.runs[3].results[0];
+    assert.equal(stylelintResult.level, 'warning', 'Stylelint warning level');
+    assert.ok(!stylelintResult.locations[0].physicalLocation.region.snippet, 'Missing source file has no snippet');
+
+    // Test 4: Nothing to export
+    assert.equal(buildSarifLog({}).runs.length, 0, 'No runs without results');
+  } finally {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  }
+}
+
+await testSarifExport();
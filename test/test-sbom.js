@@ -0,0 +1,98 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseYarnLockfile } from '../src/dependencies/lockfile.js';
+import {
+  toPurl,
+  integrityToHashes,
+  collectSbomData,
+  buildCycloneDx,
+  buildSpdx,
+  generateSbomReport
+} from '../src/sbom/sbom-report.js';
+import { detectWorkspaces } from '../src/workspaces/workspaces.js';
+
+const SHA512 = 'sha512-' + Buffer.from('a'.repeat(64)).toString('base64');
+
+async function testSbom() {
+  // Test 1: Identifiers and hashes
+  assert.ok(toPurl('@babel/core', '7.24.0') === 'pkg:npm/%40babel/core@7.24.0' && toPurl('ms') === 'pkg:npm/ms', 'Scoped purl');
+  const hashes = integrityToHashes(`${SHA512} sha1-XuPXtKwsmkKofiDW27Ox1T4Qorw=`);
+  assert.ok(hashes.length === 2 && hashes[0].hex === '61'.repeat(64) && hashes[1].hex === '5ee3d7b4ac2c9a42a87e20d6dbb3b1d53e10a2bc', 'Integrity to hex digests');
+  const yarn = parseYarnLockfile('# yarn lockfile v1\n\nms@^2.1.2:\n  version "2.1.2"\n  resolved "https://registry.yarnpkg.com/ms/-/ms-2.1.2.tgz#5ee3d7b4ac2c9a42a87e20d6dbb3b1d53e10a2bc"\n');
+  assert.ok(yarn.packages[0].integrity === 'sha1-XuPXtKwsmkKofiDW27Ox1T4Qorw=' && !yarn.packages[0].resolved.includes('#'), 'yarn classic sha1 from the resolved URL');
+
+  const originalCwd = process.cwd();
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-sbom-'));
+
+  try {
+    process.chdir(projectDir);
+    fs.writeFileSync('package.json', JSON.stringify({
+      name: 'shop',
+      version: '2.0.0',
+      dependencies: { '@acme/ui': '^1.0.0' },
+      devDependencies: { jest: '^29.0.0' }
+    }));
+    fs.writeFileSync('package-lock.json', JSON.stringify({
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'shop', version: '2.0.0', dependencies: { '@acme/ui': '^1.0.0' }, devDependencies: { jest: '^29.0.0' } },
+        'node_modules/@acme/ui': { version: '1.2.0', license: '(MIT OR Apache-2.0)', integrity: SHA512, resolved: 'https://registry.npmjs.org/@acme/ui/-/ui-1.2.0.tgz', dependencies: { ms: '^2.1.0' } },
+        'node_modules/ms': { version: '2.1.3', license: 'MIT', integrity: SHA512 },
+        'node_modules/jest': { version: '29.7.0', dev: true, license: 'Custom terms', dependencies: { ms: '^2.1.0' } }
+      }
+    }));
+
+    const data = collectSbomData();
+
+    // Test 2: CycloneDX
+    const bom = buildCycloneDx(data);
+    const components = Object.fromEntries(bom.components.map(component => [component.purl, component]));
+    const ui = components['pkg:npm/%40acme/ui@1.2.0'];
+    assert.ok(bom.bomFormat === 'CycloneDX' && bom.specVersion === '1.5' && /^urn:uuid:[0-9a-f-]{36}$/.test(bom.serialNumber) && bom.metadata.component.name === 'shop', 'Document header');
+    assert.ok(bom.components.length === 3 && ui.group === '@acme' && ui.name === 'ui', 'Every resolved package');
+    assert.ok(ui.licenses[0].expression === '(MIT OR Apache-2.0)' && ui.hashes[0].alg === 'SHA-512' && ui.externalReferences[0].type === 'distribution', 'License expression and hash');
+    assert.ok(components['pkg:npm/jest@29.7.0'].licenses[0].license.name === 'Custom terms' && components['pkg:npm/jest@29.7.0'].scope === 'optional', 'Non-SPDX license kept as a name, dev package optional');
+    const dependsOn = Object.fromEntries(bom.dependencies.map(dependency => [dependency.ref, dependency.dependsOn]));
+    assert.ok(dependsOn['pkg:npm/shop@2.0.0'].join() === 'pkg:npm/%40acme/ui@1.2.0,pkg:npm/jest@29.7.0' && dependsOn['pkg:npm/%40acme/ui@1.2.0'].join() === 'pkg:npm/ms@2.1.3', 'Dependency relationships');
+
+    // Test 3: SPDX
+    const spdx = buildSpdx(data);
+    const byName = Object.fromEntries(spdx.packages.map(pkg => [pkg.name, pkg]));
+    const ids = spdx.packages.map(pkg => pkg.SPDXID);
+    assert.ok(spdx.spdxVersion === 'SPDX-2.3' && spdx.dataLicense === 'CC0-1.0' && /Z$/.test(spdx.creationInfo.created) && !spdx.creationInfo.created.includes('.'), 'Document header');
+    assert.ok(new Set(ids).size === ids.length && ids.every(id => /^SPDXRef-[A-Za-z0-9.-]+$/.test(id)), 'Unique valid SPDX ids');
+    assert.ok(byName['@acme/ui'].checksums[0].algorithm === 'SHA512' && byName['@acme/ui'].externalRefs[0].referenceLocator === 'pkg:npm/%40acme/ui@1.2.0' && byName.jest.licenseDeclared === 'NOASSERTION', 'Checksums, purl and licenses');
+    const relation = (from, type, to) => spdx.relationships.some(item => item.spdxElementId === byName[from].SPDXID && item.relationshipType === type && item.relatedSpdxElement === byName[to].SPDXID);
+    assert.ok(relation('shop', 'DEPENDS_ON', '@acme/ui') && relation('jest', 'DEV_DEPENDENCY_OF', 'shop') && relation('@acme/ui', 'DEPENDS_ON', 'ms') && spdx.relationships[0].relationshipType === 'DESCRIBES', 'Relationships');
+
+    // Test 4: Workspaces and files
+    const lock = JSON.parse(fs.readFileSync('package-lock.json', 'utf8'));
+    fs.writeFileSync('package.json', JSON.stringify({ name: 'shop', version: '2.0.0', workspaces: ['packages/*'], devDependencies: { jest: '^29.0.0' } }));
+    fs.mkdirSync('packages/web', { recursive: true });
+    fs.writeFileSync('packages/web/package.json', JSON.stringify({ name: 'web', version: '0.1.0', dependencies: { '@acme/ui': '^1.0.0' } }));
+    lock.packages[''] = { name: 'shop', version: '2.0.0', workspaces: ['packages/*'], devDependencies: { jest: '^29.0.0' } };
+    lock.packages['packages/web'] = { name: 'web', version: '0.1.0', dependencies: { '@acme/ui': '^1.0.0' } };
+    lock.packages['node_modules/web'] = { resolved: 'packages/web', link: true };
+    fs.writeFileSync('package-lock.json', JSON.stringify(lock));
+    const workspaceData = collectSbomData(process.cwd(), detectWorkspaces());
+    const workspaceBom = buildCycloneDx(workspaceData);
+    const workspaceSpdx = buildSpdx(workspaceData);
+    assert.ok(workspaceBom.metadata.component.components[0].name === 'web' && workspaceBom.components.length === 3, 'Workspace package as sub-component');
+    assert.equal(workspaceData.packages.find(pkg => pkg.name === 'ms').dev, false, 'ms shared by runtime and dev packages stays required');
+    assert.ok(workspaceSpdx.relationships.some(item => item.relationshipType === 'CONTAINS'), 'Root CONTAINS the workspace package');
+
+    fs.mkdirSync('report');
+    const files = await generateSbomReport(path.resolve('report'));
+    const written = JSON.parse(fs.readFileSync(files.cyclonedx, 'utf8'));
+    assert.ok(path.basename(files.cyclonedx) === 'sbom.cdx.json' && path.basename(files.spdx) === 'sbom.spdx.json' && written.bomFormat === 'CycloneDX', 'Both documents written');
+    fs.rmSync('package-lock.json');
+    assert.equal((await generateSbomReport(path.resolve('report'))), null, 'Skipped without a lockfile');
+  } finally {
+    process.chdir(originalCwd);
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+await testSbom();
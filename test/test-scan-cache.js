@@ -0,0 +1,111 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  openScanCache,
+  saveScanCache,
+  getScanCache,
+  cachedFileResult
+} from '../src/utils/scan-cache.js';
+import { runFileTasks, setConcurrency } from '../src/utils/worker-pool.js';
+import { SecurityAudit } from '../src/audits/security-audit.js';
+import { parseCliArgs } from '../src/cli-options.js';
+
+// Enhanced pattern check over the files; collects the issues of every file, cached or not
+const runScan = async (files, cacheScope) => {
+  const issues = [];
+  const stats = await runFileTasks('security:enhanced_patterns', files, {
+    cacheScope,
+    onResult: result => issues.push(...result),
+  });
+  return { ...stats, issues };
+};
+
+async function testScanCache() {
+  const originalCwd = process.cwd();
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-scan-cache-'));
+  setConcurrency(1);
+
+  try {
+    process.chdir(projectDir);
+    fs.writeFileSync('ui-code-insight.config.json', JSON.stringify({ jsFilePathPattern: ['src/**/*.js'] }));
+    fs.mkdirSync('src');
+    fs.writeFileSync('src/a.js', 'eval(a);\nconst a = 1;\n');
+    fs.writeFileSync('src/b.js', 'const b = 1;\neval(b);\n');
+    const files = ['src/a.js', 'src/b.js'];
+
+    // Test 1: Without an open cache
+    const passthrough = await runScan(files);
+    assert.ok(passthrough.processed === 2 && passthrough.cached === 0 && getScanCache() === null, 'Every file is processed');
+    assert.ok(parseCliArgs(['--no-cache']).cache === false && parseCliArgs([]).cache === undefined, '--no-cache turns it off');
+
+    // Test 2: Reusing findings
+    openScanCache({ enabled: true });
+    const first = await runScan(files);
+    await saveScanCache();
+    assert.ok(first.processed === 2 && first.cached === 0 && fs.existsSync('node_modules/.cache/ui-code-insight/scan-cache.json'), 'First run scans everything');
+
+    fs.writeFileSync('src/b.js', 'const b = 2;\n');
+    openScanCache({ enabled: true });
+    const second = await runScan(files);
+    await saveScanCache();
+    assert.ok(second.cached === 1 && second.issues.length === 1 && second.issues[0].file === 'src/a.js', 'Unchanged file replayed');
+    assert.equal(second.processed, 1, 'Changed file scanned again');
+
+    const third = await runScan(files);
+    assert.equal(third.processed, 2, 'Closed after saving');
+
+    // Test 3: Invalidation
+    openScanCache({ enabled: true });
+    assert.equal((await runScan(files, 'test:other')).cached, 0, 'Other scopes do not share entries');
+    await saveScanCache();
+    fs.writeFileSync('.ui-code-insight-ignore', 'legacy/**\n');
+    openScanCache({ enabled: true });
+    const afterIgnore = await runScan(files);
+    await saveScanCache();
+    assert.ok(afterIgnore.cached === 0 && afterIgnore.processed === 2, 'Ignore file change drops the cache');
+    fs.writeFileSync('.eslintrc.json', '{"rules":{}}');
+    openScanCache({ enabled: true });
+    const afterLintConfig = await runScan(files);
+    await saveScanCache();
+    assert.equal(afterLintConfig.cached, 0, 'ESLint config change drops the cache');
+    assert.equal(openScanCache({ enabled: false }), null, 'Disabled cache');
+
+    // Test 4: Per-file results
+    openScanCache({ enabled: true });
+    let lints = 0;
+    const lint = async () => ({ filePath: 'src/a.js', messages: [{ ruleId: 'no-eval' }], run: ++lints });
+    await cachedFileResult('eslint:config', 'src/a.js', lint);
+    const reused = await cachedFileResult('eslint:config', 'src/a.js', lint);
+    await cachedFileResult('eslint:other-config', 'src/a.js', lint);
+    assert.ok(reused.run === 1 && lints === 2, 'Result reused per rule configuration');
+    let failures = 0;
+    const failing = async () => ({ filePath: 'src/b.js', messages: [], error: `failed ${++failures}` });
+    await cachedFileResult('eslint:config', 'src/b.js', failing, result => !result.error);
+    await cachedFileResult('eslint:config', 'src/b.js', failing, result => !result.error);
+    assert.equal(failures, 2, 'Failed files are not cached');
+    await saveScanCache();
+
+    // Test 5: Security audit
+    fs.writeFileSync('src/a.js', 'eval(value);\n');
+    fs.mkdirSync('report');
+    openScanCache({ enabled: true });
+    const firstAudit = new SecurityAudit(path.resolve('report'));
+    await firstAudit.runEnhancedPatternChecks();
+    await saveScanCache();
+    openScanCache({ enabled: true });
+    const secondAudit = new SecurityAudit(path.resolve('report'));
+    await secondAudit.runEnhancedPatternChecks();
+    const cache = getScanCache();
+    await saveScanCache();
+    const evals = issues => issues.filter(issue => issue.type === 'eval_usage' && issue.file === 'src/a.js');
+    assert.ok(evals(firstAudit.securityIssues).length === 1 && evals(secondAudit.securityIssues).length === 1 && secondAudit.fileScan.getSummary().checks['security:enhanced_patterns'].cached === 2 && cache.hits > 0, 'Same findings from the cache');
+  } finally {
+    await saveScanCache();
+    process.chdir(originalCwd);
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+await testScanCache();
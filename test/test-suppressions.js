@@ -0,0 +1,92 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseDirective, parseSuppressions, applySuppressions } from '../src/utils/suppressions.js';
+import { SecurityAudit } from '../src/audits/security-audit.js';
+import { buildAuditRun } from '../src/sarif/sarif-report.js';
+import { scanFile } from '../src/scanner/file-checks.js';
+
+async function testSuppressions() {
+  // Test 1: Directive parsing
+  const nextLine = parseDirective('  // ui-code-insight-disable-next-line hardcoded_secret, eval_usage -- test fixture');
+  assert.equal(nextLine.kind, 'disable-next-line', 'Kind parsed');
+  assert.equal(nextLine.types.join('|'), 'hardcoded_secret|eval_usage', 'Types parsed');
+  assert.equal(nextLine.reason, 'test fixture', 'Reason parsed');
+  const html = parseDirective('<!-- ui-code-insight-disable-line -->');
+  assert.ok(html.kind === 'disable-line' && html.types.length === 0 && html.reason === '', 'HTML comment closer ignored');
+  assert.equal(parseDirective('// ui-code-insight-disabled'), null, 'Similar words ignored');
+
+  // Test 2: Line ranges
+  const ranges = parseSuppressions([
+    '/* ui-code-insight-disable eval_usage, dev_url -- sandbox */',
+    'eval(a);',
+    '// ui-code-insight-enable eval_usage',
+    'eval(b);',
+    '/* ui-code-insight-enable */',
+    'x(); // ui-code-insight-disable-line',
+    '/* ui-code-insight-disable */',
+    'y();'
+  ].join('\n'));
+  const covers = (line, type) => ranges.some(range => line >= range.start && line <= range.end &&
+    (range.types.length === 0 || range.types.includes(type)));
+  assert.ok(covers(2, 'eval_usage') && !covers(2, 'hardcoded_secret'), 'Block covers its types');
+  assert.ok(!covers(4, 'eval_usage') && covers(4, 'dev_url'), 'Enable with types re-enables only those');
+  assert.ok(ranges.find(range => range.types.includes('dev_url') && range.start === 4)?.end === 4, 'Bare enable closes the block');
+  assert.ok(covers(6, 'anything'), 'Same-line directive');
+  assert.ok(covers(8, 'anything'), 'Unclosed block runs to end of file');
+
+  const originalCwd = process.cwd();
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-suppressions-'));
+
+  try {
+    process.chdir(projectDir);
+    fs.mkdirSync('src');
+    fs.mkdirSync('report');
+    fs.writeFileSync('src/app.js', [
+      '// ui-code-insight-disable-next-line eval_usage -- trusted expression from build config',
+      'eval(expression);',
+      'eval(userInput);',
+      '// ui-code-insight-disable-next-line',
+      'new Function(body);',
+      ''
+    ].join('\n'));
+    fs.writeFileSync('ui-code-insight.config.json', JSON.stringify({ jsFilePathPattern: ['src/**/*.js'] }));
+
+    // Test 3: Splitting issues
+    const { issues, suppressed } = await applySuppressions([
+      { type: 'eval_usage', file: 'src/app.js', line: 2 },
+      { type: 'eval_usage', file: 'src/app.js', line: 3 },
+      { type: 'function_constructor', file: path.resolve('src/app.js'), line: 5 },
+      { type: 'missing_csp', url: 'https://example.com' }
+    ]);
+    assert.equal(suppressed.length, 2, 'Matching issues suppressed');
+    assert.ok(issues.length === 2 && issues[0].line === 3 && Boolean(issues[1].url), 'Other lines and URL issues kept');
+    assert.ok(suppressed[0].suppression.reason === 'trusted expression from build config' && suppressed[0].suppression.line === 1, 'Reason recorded');
+    assert.equal(suppressed[1].suppression.reason, null, 'Missing reason recorded as null');
+    const scanned = await scanFile('src/app.js', { checks: [] });
+    assert.ok(scanned.suppressions.length === 2 && scanned.suppressions[0].start === 2, 'Ranges parsed in the shared scan');
+    const fromScan = await applySuppressions([{ type: 'eval_usage', file: 'src/unread.js', line: 2 }], new Map([['src/unread.js', scanned.suppressions]]));
+    assert.equal(fromScan.suppressed.length, 1, 'Ranges from the scan used without reading the file');
+
+    // Test 4: Security audit report
+    const audit = new SecurityAudit(path.resolve('report'));
+    const results = await audit.runSecurityAudit();
+    const evalLines = results.issues.filter(issue => issue.type === 'eval_usage').map(issue => issue.line);
+    assert.ok(!evalLines.includes(2) && evalLines.includes(3), 'Suppressed finding left out of issues');
+    assert.ok(results.suppressedCount === 2 && results.suppressedIssues.length === 2, 'Suppressed findings counted separately');
+    assert.equal(results.suppressedWithoutReason, 1, 'Findings without a reason counted');
+    assert.equal(results.highSeverity, results.issues.filter(issue => issue.severity === 'high').length, 'Severity totals exclude suppressed');
+
+    // Test 5: SARIF
+    const run = buildAuditRun('security', results);
+    const suppressedResults = run.results.filter(result => result.suppressions);
+    assert.equal(suppressedResults.length, 2, 'Suppressed findings exported');
+    assert.ok(suppressedResults.some(result => result.suppressions[0].justification === 'trusted expression from build config'), 'Justification included');
+  } finally {
+    process.chdir(originalCwd);
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+await testSuppressions();
@@ -0,0 +1,97 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  runFileTasks,
+  setConcurrency,
+  getConcurrency,
+  closeWorkerPool
+} from '../src/utils/worker-pool.js';
+import { openScanCache, saveScanCache } from '../src/utils/scan-cache.js';
+import { parseCliArgs } from '../src/cli-options.js';
+
+const SIMPLE_ESLINT_CONFIG = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'src', 'config', 'eslintrc.simple.json');
+
+// Run a task and collect the results in file order (they arrive in completion order)
+const collect = async (task, files, options = {}) => {
+  const results = [];
+  const stats = await runFileTasks(task, files, {
+    ...options,
+    onResult: (result, file) => results.push({ file, result }),
+  });
+  results.sort((a, b) => a.file.localeCompare(b.file));
+  return { ...stats, results };
+};
+
+async function testWorkerPool() {
+  // Test 1: Options
+  let rejected = false;
+  try {
+    parseCliArgs(['--concurrency', '0']);
+  } catch {
+    rejected = true;
+  }
+  assert.ok(parseCliArgs(['--concurrency', '3']).concurrency === 3 && rejected, '--concurrency sets the worker count');
+
+  const originalCwd = process.cwd();
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-worker-pool-'));
+
+  try {
+    process.chdir(projectDir);
+    fs.writeFileSync('ui-code-insight.config.json', JSON.stringify({ jsFilePathPattern: ['src/**/*.js'], concurrency: 3 }));
+    fs.mkdirSync('src');
+    const files = [];
+    for (let index = 0; index < 12; index++) {
+      const file = `src/file-${String(index).padStart(2, '0')}.js`;
+      fs.writeFileSync(file, `const value${index} = 1;\neval(input${index});\nel.innerHTML = html${index};\nsetInterval(tick, ${index});\n`);
+      files.push(file);
+    }
+    setConcurrency(undefined);
+    assert.equal(getConcurrency(), 3, 'Config "concurrency" is the default');
+    setConcurrency(2);
+    assert.equal(getConcurrency(), 2, 'Option overrides config');
+
+    // Test 2: Same results on workers and on the main thread
+    setConcurrency(1);
+    const inline = await collect('security:enhanced_patterns', files);
+    setConcurrency(2);
+    const pooled = await collect('security:enhanced_patterns', files);
+    assert.ok(pooled.processed === 12 && JSON.stringify(pooled.results) === JSON.stringify(inline.results), 'Workers find what the main thread finds');
+    assert.ok(pooled.results.every(({ file, result }) => result.length === 1 && result.every(issue => issue.file === file)), 'Every file\'s issues returned');
+
+    const leaks = await collect('performance:memory_leaks', files);
+    const a11y = await collect('accessibility:keyboard_navigation', files);
+    assert.ok(leaks.results.every(({ result }) => result.some(issue => issue.type === 'memory_leak')) && a11y.processed === 12, 'Performance and accessibility checks run too');
+
+    const lint = await collect('eslint:lint', files.slice(0, 2), { taskOptions: { configFile: SIMPLE_ESLINT_CONFIG } });
+    assert.ok(lint.processed === 2 && lint.results.every(({ file, result }) => result.filePath === file && Array.isArray(result.messages) && !result.error), 'ESLint results from the workers');
+
+    // Test 3: Streaming and failures
+    let reported = 0;
+    await runFileTasks('security:enhanced_patterns', files, { onResult: () => reported++ });
+    assert.equal(reported, 12, 'One callback per file');
+    const unknown = await collect('security:unknown', files.slice(0, 3));
+    assert.ok(unknown.failed === 3 && unknown.results.length === 0, 'Failed files are counted and skipped');
+    const afterFailure = await collect('security:enhanced_patterns', files.slice(0, 3));
+    assert.equal(afterFailure.processed, 3, 'Pool keeps working after failures');
+
+    // Test 4: Scan cache
+    openScanCache({ enabled: true });
+    const firstRun = await collect('security:enhanced_patterns', files);
+    await saveScanCache();
+    openScanCache({ enabled: true });
+    const secondRun = await collect('security:enhanced_patterns', files);
+    await saveScanCache();
+    assert.ok(firstRun.processed === 12 && secondRun.cached === 12 && secondRun.processed === 0, 'Unchanged files never reach a worker');
+    assert.equal(JSON.stringify(secondRun.results), JSON.stringify(firstRun.results), 'Cached results match');
+  } finally {
+    await closeWorkerPool();
+    setConcurrency(undefined);
+    process.chdir(originalCwd);
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+await testWorkerPool();
@@ -0,0 +1,161 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  detectWorkspaces,
+  getWorkspaceForFile,
+  mergeWorkspaceResults,
+  tagWorkspaceIssues,
+  summarizeWorkspaces
+} from '../src/workspaces/workspaces.js';
+import { parseNpmLockfile, parsePnpmLockfile, readDependencyGraph } from '../src/dependencies/lockfile.js';
+import { DependencyAudit } from '../src/audits/dependency-audit.js';
+import { TestingAudit } from '../src/audits/testing-audit.js';
+
+const writeJson = (file, data) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data));
+};
+
+// Checks write to a JSONL stream; close it and read the issues back
+async function runChecks(audit, checks) {
+  for (const check of checks) await audit[check]();
+  await new Promise(resolve => audit.issueStream.end(resolve));
+  return fs.readFileSync(audit.issuesFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+async function testWorkspaces() {
+  const originalCwd = process.cwd();
+  const repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-workspaces-'));
+
+  try {
+    process.chdir(repoDir);
+
+    // Test 1: Detection
+    writeJson('package.json', { name: 'monorepo', private: true, workspaces: ['packages/*'], devDependencies: { jest: '^29.0.0' } });
+    writeJson('packages/app/package.json', { name: '@acme/app', license: 'MIT', dependencies: { react: '^18.0.0', '@acme/ui': '^1.0.0' } });
+    writeJson('packages/ui/package.json', { name: '@acme/ui', license: 'MIT', dependencies: { lodash: '^4.17.0' } });
+    fs.mkdirSync('packages/notes');
+    const npmWorkspaces = detectWorkspaces();
+    assert.ok(npmWorkspaces.tool === 'npm' && npmWorkspaces.packages.map(pkg => pkg.name).join() === 'monorepo,@acme/app,@acme/ui', 'npm workspaces from package.json');
+    assert.ok(npmWorkspaces.packages[0].root === true && npmWorkspaces.packages[0].dir === '.', 'Root listed first');
+
+    fs.writeFileSync('pnpm-workspace.yaml', "packages:\n  - 'packages/*'\n  - '!packages/ui'\n");
+    const pnpmWorkspaces = detectWorkspaces();
+    assert.ok(pnpmWorkspaces.tool === 'pnpm' && pnpmWorkspaces.packages.map(pkg => pkg.dir).join() === '.,packages/app', 'pnpm-workspace.yaml with exclusion');
+    fs.rmSync('pnpm-workspace.yaml');
+
+    const lernaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-lerna-'));
+    writeJson(path.join(lernaDir, 'lerna.json'), { version: 'independent' });
+    writeJson(path.join(lernaDir, 'packages/core/package.json'), { name: 'core' });
+    const lernaWorkspaces = detectWorkspaces(lernaDir);
+    assert.ok(lernaWorkspaces.tool === 'lerna' && lernaWorkspaces.packages[1].name === 'core', 'lerna.json with default packages/*');
+    fs.rmSync(lernaDir, { recursive: true, force: true });
+
+    const nxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-nx-'));
+    writeJson(path.join(nxDir, 'nx.json'), {});
+    writeJson(path.join(nxDir, 'apps/shop/project.json'), { name: 'shop' });
+    writeJson(path.join(nxDir, 'libs/cart/project.json'), { name: 'cart' });
+    const nxWorkspaces = detectWorkspaces(nxDir);
+    assert.ok(nxWorkspaces.tool === 'nx' && nxWorkspaces.packages.slice(1).map(pkg => pkg.name).join() === 'shop,cart', 'Nx projects from project.json');
+    fs.rmSync(nxDir, { recursive: true, force: true });
+
+    const singleDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-single-'));
+    writeJson(path.join(singleDir, 'package.json'), { name: 'single' });
+    assert.equal(detectWorkspaces(singleDir), null, 'Single project is not a workspace');
+    fs.rmSync(singleDir, { recursive: true, force: true });
+
+    // Test 2: Files to packages
+    assert.equal(getWorkspaceForFile(npmWorkspaces, 'packages/app/src/index.js').name, '@acme/app', 'File in a package');
+    assert.equal(getWorkspaceForFile(npmWorkspaces, path.join(repoDir, 'packages/ui/button.js')).name, '@acme/ui', 'Absolute path');
+    assert.equal(getWorkspaceForFile(npmWorkspaces, 'scripts/release.js').name, 'monorepo', 'File outside every package belongs to the root');
+
+    // Test 3: Lockfile importers
+    const lock = {
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'monorepo', workspaces: ['packages/*'], devDependencies: { jest: '^29.0.0' } },
+        'packages/app': { name: '@acme/app', dependencies: { react: '^18.0.0', '@acme/ui': '^1.0.0' } },
+        'packages/app/node_modules/react': { version: '18.2.0', license: 'MIT' },
+        'packages/ui': { name: '@acme/ui', version: '1.0.0', dependencies: { lodash: '^4.17.0' } },
+        'node_modules/@acme/app': { resolved: 'packages/app', link: true },
+        'node_modules/@acme/ui': { resolved: 'packages/ui', link: true },
+        'node_modules/lodash': { version: '4.17.21', license: 'MIT' },
+        'node_modules/jest': { version: '29.7.0', dev: true, license: 'MIT' }
+      }
+    };
+    const npmApp = parseNpmLockfile(JSON.stringify(lock), {}, 'packages/app');
+    assert.ok(npmApp.root.dependencies.react === 'react@18.2.0' && npmApp.root.dependencies['@acme/ui'] === null, 'npm workspace resolves its nested install');
+    const pnpmUi = parsePnpmLockfile([
+      "lockfileVersion: '9.0'",
+      'importers:',
+      '  .:',
+      '    devDependencies:',
+      '      jest:',
+      '        specifier: ^29.0.0',
+      '        version: 29.7.0',
+      '  packages/ui:',
+      '    dependencies:',
+      '      lodash:',
+      '        specifier: ^4.17.0',
+      '        version: 4.17.21',
+      'packages:',
+      '  jest@29.7.0: {}',
+      '  lodash@4.17.21: {}'
+    ].join('\n'), 'packages/ui');
+    assert.ok(pnpmUi.root.dependencies.lodash === 'lodash@4.17.21' && Object.keys(pnpmUi.root.devDependencies).length === 0, 'pnpm importer of a workspace');
+
+    writeJson('package-lock.json', lock);
+    const uiGraph = readDependencyGraph(repoDir, { importer: 'packages/ui' });
+    assert.ok([...uiGraph.packages.keys()].join() === 'lodash@4.17.21' && uiGraph.manifest.name === '@acme/ui', 'Graph limited to what the package uses');
+
+    // Test 4: Audits of one package
+    fs.mkdirSync('report');
+    const appPackage = npmWorkspaces.packages[1];
+    const issues = await runChecks(new DependencyAudit(path.resolve('report'), {
+      workspace: appPackage,
+      localPackages: npmWorkspaces.packages.map(pkg => pkg.name)
+    }), ['checkMissingDependencies', 'checkLicenseCompliance']);
+    assert.ok(!issues.some(issue => issue.package === '@acme/ui'), 'Sibling workspace package is not reported missing');
+    assert.ok(!issues.some(issue => issue.type === 'missing_license'), 'package.json read from the package');
+
+    fs.mkdirSync('src', { recursive: true });
+    fs.writeFileSync('src/root.test.js', "it('works', () => {});\n");
+    fs.mkdirSync('packages/app/src', { recursive: true });
+    fs.writeFileSync('packages/app/src/app.test.js', "describe('app', () => {});\n");
+    const appTesting = new TestingAudit(path.resolve('report'), { workspace: appPackage });
+    const appFiles = await appTesting.findFiles(['**/*.test.js']);
+    assert.equal(appFiles.join(), 'packages/app/src/app.test.js', 'Package files reported from the repository root');
+    const rootTesting = new TestingAudit(path.resolve('report'), { workspace: npmWorkspaces.packages[0], excludeDirs: ['packages/app', 'packages/ui'] });
+    const rootFiles = await rootTesting.findFiles(['**/*.test.js']);
+    assert.equal(rootFiles.join(), 'src/root.test.js', 'Root run leaves member packages out');
+    await new Promise(resolve => appTesting.issueStream.end(resolve));
+    await new Promise(resolve => rootTesting.issueStream.end(resolve));
+
+    // Test 5: Merged results and breakdown
+    const merged = mergeWorkspaceResults([
+      { workspace: npmWorkspaces.packages[0], result: { issues: [{ type: 'missing_lockfile', severity: 'medium' }] } },
+      { workspace: appPackage, result: { issues: [{ type: 'missing_package', severity: 'high' }, { type: 'large_dependency', severity: 'low' }] } }
+    ]);
+    assert.equal(merged.issues.map(issue => issue.workspace).join(), 'monorepo,@acme/app,@acme/app', 'Issues tagged with their package');
+    assert.ok(merged.totalIssues === 3 && merged.highSeverity === 1 && merged.workspaces[1].totalIssues === 2, 'Totals and per-package counts');
+
+    const categories = {
+      dependency: merged,
+      security: { issues: [{ type: 'xss_vulnerability', file: 'packages/ui/button.js', severity: 'high' }, { type: 'dependency_vulnerability', severity: 'high' }] },
+      eslint: { results: [{ filePath: path.join(repoDir, 'packages/app/src/index.js'), messages: [] }] }
+    };
+    const tagged = tagWorkspaceIssues(npmWorkspaces, categories);
+    assert.ok(tagged.join() === 'security,eslint' && categories.security.issues[0].workspace === '@acme/ui' && categories.eslint.results[0].workspace === '@acme/app', 'File-based issues tagged');
+    const breakdown = summarizeWorkspaces(npmWorkspaces, categories);
+    const byName = Object.fromEntries(breakdown.map(item => [item.name, item]));
+    assert.ok(byName.monorepo.totalIssues === 2 && byName.monorepo.categories.security.highSeverity === 1, 'Untagged issues count for the root');
+    assert.ok(byName['@acme/ui'].categories.security.totalIssues === 1 && byName['@acme/app'].categories.dependency.totalIssues === 2, 'Breakdown per package and category');
+  } finally {
+    process.chdir(originalCwd);
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  }
+}
+
+await testWorkspaces();